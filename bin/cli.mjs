@@ -5,19 +5,44 @@
  *
  * Usage:
  *   drizzle-liquibase init                        — scaffold config + directory structure
+ *   drizzle-liquibase init --drizzle-config       — scaffold a config that reads drizzle.config.ts
+ *   drizzle-liquibase doctor                      — diagnose config, toolchain and database access
  *   drizzle-liquibase generate [name]             — generate migration from schema diff
  *   drizzle-liquibase generate [name] --reverse   — generate migration for DB-only objects
+ *   drizzle-liquibase generate [name] --watch     — live-preview the diff while editing the schema
+ *   drizzle-liquibase generate [name] --from-ref  — diff two git versions of the schema, no database
+ *   drizzle-liquibase generate [name] --against   — diff against a snapshot file instead of the database
+ *   drizzle-liquibase new <name>                  — create an empty migration for hand-written SQL
+ *   drizzle-liquibase snapshot --out <file>       — save the database's schema to JSON for --against
+ *   drizzle-liquibase check                       — exit 2 if schema and database have drifted (CI)
+ *   drizzle-liquibase lint [files...]             — exit 2 if migration files are unsafe or malformed
+ *   drizzle-liquibase verify-staged               — exit 2 if staged schema edits have no migration (pre-commit)
+ *   drizzle-liquibase convert [dir]               — convert a drizzle-kit migrations folder
+ *   drizzle-liquibase baseline [--to <file|id>]   — mark migrations as applied (alias: mark-applied)
+ *   drizzle-liquibase squash --to <file|tag>      — fold old migrations into one baseline changeset
+ *   drizzle-liquibase rebase                      — renumber out-of-order / duplicate migrations after a merge
  *   drizzle-liquibase update                      — apply pending migrations
- *   drizzle-liquibase status                      — show pending/applied migrations
+ *   drizzle-liquibase status [--json]             — show applied/pending/unknown changesets (no JVM)
  *   drizzle-liquibase validate                    — validate the changelog
  *   drizzle-liquibase rollback <count>            — rollback N changesets
- *   drizzle-liquibase history                     — show applied migration history
+ *   drizzle-liquibase history [--json]            — show applied migration history (no JVM)
  *   drizzle-liquibase <command> [args...]         — pass-through to Liquibase
+ *
+ *   drizzle-liquibase generate|update|status --all — run once per project in the config
+ *
+ * Global options:
+ *   --env <name>                                  — apply a config environment (or DRIZZLE_LIQUIBASE_ENV)
+ *   --project <name>                              — apply a config project (or DRIZZLE_LIQUIBASE_PROJECT)
+ *   --config <path>                               — load this config file (or DRIZZLE_LIQUIBASE_CONFIG)
+ *   --quiet                                       — only print warnings, errors and command results
+ *   --verbose                                     — also print queries, parse details and stack traces
+ *   --log-format <text|json>                      — JSON lines on stderr for log aggregation
  */
 
 import { existsSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
 import { dirname, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { consoleLogger, LOG_FORMATS } from '../src/logger.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -56,7 +81,7 @@ for (const envFile of ['.env', '.env.local']) {
 // Parse CLI arguments
 // ---------------------------------------------------------------------------
 
-const rawArgs = process.argv.slice(2);
+const rawArgs = takeGlobalOptions(process.argv.slice(2));
 const command = rawArgs[0];
 
 if (!command || command === '--help' || command === '-h') {
@@ -70,10 +95,52 @@ if (!command || command === '--help' || command === '-h') {
 
 switch (command) {
   case 'init':
-    await runInit();
+    await runInit(rawArgs.slice(1));
+    break;
+  case 'doctor':
+    await runDoctor(rawArgs.slice(1));
     break;
   case 'generate':
-    await runGenerate(rawArgs.slice(1));
+    if (rawArgs.includes('--all') && (rawArgs.includes('--watch') || rawArgs.includes('-w'))) {
+      console.error('❌ --watch cannot be combined with --all');
+      process.exit(1);
+    }
+    await forEachProject(rawArgs.slice(1), runGenerate);
+    break;
+  case 'new':
+    await runNew(rawArgs.slice(1));
+    break;
+  case 'snapshot':
+    await runSnapshot(rawArgs.slice(1));
+    break;
+  case 'check':
+    await runCheck(rawArgs.slice(1));
+    break;
+  case 'lint':
+    await runLint(rawArgs.slice(1));
+    break;
+  case 'verify-staged':
+    await runVerifyStaged(rawArgs.slice(1));
+    break;
+  case 'convert':
+    await runConvert(rawArgs.slice(1));
+    break;
+  case 'baseline':
+  case 'mark-applied':
+    await runBaseline(rawArgs.slice(1));
+    break;
+  case 'squash':
+    await runSquash(rawArgs.slice(1));
+    break;
+  case 'rebase':
+    await runRebase(rawArgs.slice(1));
+    break;
+  case 'status':
+  case 'history':
+    await forEachProject(rawArgs.slice(1), args => runStatus(command, args));
+    break;
+  case 'update':
+    await forEachProject(rawArgs.slice(1), args => runLiquibaseCommand('update', args));
     break;
   case 'rollbackCount':
     await runLiquibaseCommand('rollbackCount', rawArgs.slice(1));
@@ -110,21 +177,53 @@ switch (command) {
 // init — scaffold project structure
 // ---------------------------------------------------------------------------
 
-async function runInit() {
+async function runInit(args = []) {
   const cwd = process.cwd();
-  console.log('📁 Initialising drizzle-migrations-liquibase...\n');
+  consoleLogger.info('📁 Initialising drizzle-migrations-liquibase...\n');
+
+  // --drizzle-config / --no-drizzle-config answer the question below up front
+  let useDrizzleConfig = null;
+  for (const arg of args) {
+    if (arg === '--drizzle-config') useDrizzleConfig = true;
+    else if (arg === '--no-drizzle-config') useDrizzleConfig = false;
+  }
 
-  // 1. Create config file
+  // 1. Create config file (unless one exists in any supported format)
+  const { CONFIG_FILES } = await import('../src/config.mjs');
+  const existingConfig = CONFIG_FILES.find(f => existsSync(join(cwd, f)));
   const configPath = join(cwd, 'drizzle-liquibase.config.mjs');
-  if (!existsSync(configPath)) {
-    const templatePath = join(packageRoot, 'templates', 'drizzle-liquibase.config.mjs');
-    const template = existsSync(templatePath)
-      ? readFileSync(templatePath, 'utf-8')
-      : getDefaultConfigTemplate();
+  let reusedDrizzleConfig = null;
+  if (!existingConfig) {
+    const { findDrizzleConfig } = await import('../src/drizzle-config.mjs');
+    const drizzleConfig = findDrizzleConfig(cwd);
+    const drizzleConfigName = drizzleConfig && drizzleConfig.slice(cwd.length + 1);
+    if (drizzleConfig && useDrizzleConfig === null) {
+      useDrizzleConfig = await askYesNo(
+        `  Found ${drizzleConfigName} — reuse its schema, dialect and credentials? [Y/n] `
+      );
+    }
+
+    let template;
+    if (drizzleConfig && useDrizzleConfig) {
+      template = getDrizzleConfigReferenceTemplate(drizzleConfigName);
+    } else {
+      const templatePath = join(packageRoot, 'templates', 'drizzle-liquibase.config.mjs');
+      template = existsSync(templatePath)
+        ? readFileSync(templatePath, 'utf-8')
+        : getDefaultConfigTemplate();
+      // Without this the found drizzle.config.ts would still be read
+      if (drizzleConfig) {
+        template = template.replace('export default {\n',
+          `export default {\n  // ${drizzleConfigName} is not read — remove this line to reuse its settings\n  drizzleConfig: false,\n\n`);
+      }
+    }
     writeFileSync(configPath, template);
-    console.log('  ✅ Created drizzle-liquibase.config.mjs');
+    if (drizzleConfig && useDrizzleConfig) reusedDrizzleConfig = drizzleConfigName;
+    consoleLogger.info(reusedDrizzleConfig
+      ? `  ✅ Created drizzle-liquibase.config.mjs (reads ${reusedDrizzleConfig})`
+      : '  ✅ Created drizzle-liquibase.config.mjs');
   } else {
-    console.log('  ⏭️  drizzle-liquibase.config.mjs already exists');
+    consoleLogger.info(`  ⏭️  ${existingConfig} already exists`);
   }
 
   // 2. Create liquibase directory + master changelog
@@ -132,9 +231,9 @@ async function runInit() {
   const migrationsDir = join(lbDir, 'migrations');
   if (!existsSync(migrationsDir)) {
     mkdirSync(migrationsDir, { recursive: true });
-    console.log('  ✅ Created liquibase/migrations/');
+    consoleLogger.info('  ✅ Created liquibase/migrations/');
   } else {
-    console.log('  ⏭️  liquibase/migrations/ already exists');
+    consoleLogger.info('  ⏭️  liquibase/migrations/ already exists');
   }
 
   const changelogPath = join(lbDir, 'master-changelog.xml');
@@ -144,16 +243,18 @@ async function runInit() {
       ? readFileSync(templatePath, 'utf-8')
       : getDefaultChangelogTemplate();
     writeFileSync(changelogPath, template);
-    console.log('  ✅ Created liquibase/master-changelog.xml');
+    consoleLogger.info('  ✅ Created liquibase/master-changelog.xml');
   } else {
-    console.log('  ⏭️  liquibase/master-changelog.xml already exists');
+    consoleLogger.info('  ⏭️  liquibase/master-changelog.xml already exists');
   }
 
-  console.log('\n🎉 Done! Next steps:');
-  console.log('  1. Edit drizzle-liquibase.config.mjs — set schemaDir and databaseUrl');
-  console.log('  2. Run: npx drizzle-liquibase generate <migration_name>');
-  console.log('  3. Review the generated SQL in liquibase/migrations/');
-  console.log('  4. Run: npx drizzle-liquibase update');
+  consoleLogger.info('\n🎉 Done! Next steps:');
+  consoleLogger.info(reusedDrizzleConfig
+    ? `  1. Check drizzle-liquibase.config.mjs — schemaDir and databaseUrl come from ${reusedDrizzleConfig}`
+    : `  1. Edit ${existingConfig ?? 'drizzle-liquibase.config.mjs'} — set schemaDir and databaseUrl`);
+  consoleLogger.info('  2. Run: npx drizzle-liquibase generate <migration_name>');
+  consoleLogger.info('  3. Review the generated SQL in liquibase/migrations/');
+  consoleLogger.info('  4. Run: npx drizzle-liquibase update');
 }
 
 // ---------------------------------------------------------------------------
@@ -167,11 +268,54 @@ async function runGenerate(args) {
   let dialect = null;
   let excludeTables = [];
   let schemas = [];
+  let output = null;
+  let report = null;
+  let reportFile = null;
+  let review = false;
+  let renamesFile = null;
+  let watch = false;
+  let fromRef = null;
+  let toRef = null;
+  let against = null;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === '--reverse' || arg === '-r') {
       reverse = true;
+    } else if (arg === '--watch' || arg === '-w') {
+      watch = true;
+    } else if (arg === '--review') {
+      review = true;
+    } else if (arg === '--from-ref') {
+      fromRef = args[++i];
+    } else if (arg.startsWith('--from-ref=')) {
+      fromRef = arg.slice('--from-ref='.length);
+    } else if (arg === '--against') {
+      against = args[++i];
+    } else if (arg.startsWith('--against=')) {
+      against = arg.slice('--against='.length);
+    } else if (arg === '--to-ref') {
+      toRef = args[++i];
+    } else if (arg.startsWith('--to-ref=')) {
+      toRef = arg.slice('--to-ref='.length);
+    } else if (arg === '--renames') {
+      renamesFile = args[++i];
+    } else if (arg.startsWith('--renames=')) {
+      renamesFile = arg.slice('--renames='.length);
+    } else if (arg === '--dry-run' || arg === '--stdout') {
+      output = '-';
+    } else if (arg === '--output' || arg === '-o') {
+      output = args[++i];
+    } else if (arg.startsWith('--output=')) {
+      output = arg.slice('--output='.length);
+    } else if (arg === '--report') {
+      report = args[++i];
+    } else if (arg.startsWith('--report=')) {
+      report = arg.slice('--report='.length);
+    } else if (arg === '--report-file') {
+      reportFile = args[++i];
+    } else if (arg.startsWith('--report-file=')) {
+      reportFile = arg.slice('--report-file='.length);
     } else if (arg === '--engine' || arg === '-e') {
       engine = args[++i]; // consume next arg as engine value
     } else if (arg.startsWith('--engine=')) {
@@ -197,6 +341,60 @@ async function runGenerate(args) {
     }
   }
 
+  // --report-file on its own implies the only supported format
+  if (reportFile && !report) report = 'json';
+
+  const reportToStdout = report && !reportFile;
+  if (output === '-' && reportToStdout) {
+    console.error('❌ --dry-run/--stdout and a stdout report cannot be combined — add --report-file <path>');
+    process.exit(1);
+  }
+
+  if (watch && (output === '-' || report || review)) {
+    console.error('❌ --watch cannot be combined with --dry-run/--stdout, --report or --review');
+    process.exit(1);
+  }
+
+  if (toRef && !fromRef) {
+    console.error('❌ --to-ref needs --from-ref');
+    process.exit(1);
+  }
+
+  if (fromRef && (reverse || watch || against)) {
+    console.error('❌ --from-ref cannot be combined with --reverse, --watch or --against');
+    process.exit(1);
+  }
+
+  if (against && watch) {
+    console.error('❌ --against cannot be combined with --watch');
+    process.exit(1);
+  }
+
+  // Keep stdout clean for the rendered migration or report — progress goes to stderr
+  if (output === '-' || reportToStdout) {
+    console.log = console.error;
+  }
+
+  // Schema-to-schema diff between git refs — no database, always drizzle-kit's snapshot API
+  if (fromRef) {
+    const { SnapshotDiff } = await import('../src/snapshot.mjs');
+    await new SnapshotDiff({
+      fromRef,
+      toRef,
+      name: customName,
+      projectRoot: process.cwd(),
+      excludeTables,
+      schemas,
+      dialect,
+      output,
+      report,
+      reportFile,
+      review,
+      renamesFile,
+    }).run();
+    return;
+  }
+
   // Resolve engine: CLI flag > config file > default ('custom')
   if (!engine) {
     const { loadConfig } = await import('../src/config.mjs');
@@ -204,25 +402,457 @@ async function runGenerate(args) {
     engine = config.engine || 'custom';
   }
 
+  // Snapshot files hold the custom engine's introspection
+  if (against && engine === 'drizzle-kit') {
+    console.error('❌ --against needs the custom engine — snapshot files hold its introspection (use --from-ref for drizzle-kit)');
+    process.exit(1);
+  }
+
+  let generator;
   if (engine === 'drizzle-kit') {
     const { DrizzleKitEngine } = await import('../src/drizzle-kit-engine.mjs');
-    const generator = new DrizzleKitEngine({
+    generator = new DrizzleKitEngine({
       name: customName,
       projectRoot: process.cwd(),
       excludeTables,
       schemas,
       dialect,
+      output,
+      report,
+      reportFile,
+      review,
+      renamesFile,
     });
-    await generator.run();
   } else {
     const { SchemaDiffGenerator } = await import('../src/generate.mjs');
-    const generator = new SchemaDiffGenerator({
+    generator = new SchemaDiffGenerator({
       name: customName,
       reverse,
+      against,
       projectRoot: process.cwd(),
+      output,
+      report,
+      reportFile,
+      review,
     });
+  }
+
+  if (!watch) {
     await generator.run();
+    return;
+  }
+
+  const { SchemaWatcher } = await import('../src/watch.mjs');
+  try {
+    await new SchemaWatcher(generator).run();
+  } catch (error) {
+    console.error('❌ Error in watch mode:', error.message);
+    consoleLogger.debug(error.stack);
+    process.exit(1);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// check — drift detection for CI (exit 0 = in sync, 2 = drift, 1 = error)
+// ---------------------------------------------------------------------------
+
+async function runCheck(args) {
+  let engine = null;
+  let dialect = null;
+  let excludeTables = [];
+  let schemas = [];
+  let renamesFile = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--engine' || arg === '-e') {
+      engine = args[++i];
+    } else if (arg.startsWith('--engine=')) {
+      engine = arg.split('=')[1];
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (arg === '--exclude-tables') {
+      const val = args[++i];
+      if (val) excludeTables = val.split(',').map(t => t.trim()).filter(Boolean);
+    } else if (arg.startsWith('--exclude-tables=')) {
+      excludeTables = arg.split('=')[1].split(',').map(t => t.trim()).filter(Boolean);
+    } else if (arg === '--schemas') {
+      const val = args[++i];
+      if (val) schemas = val.split(',').map(s => s.trim()).filter(Boolean);
+    } else if (arg.startsWith('--schemas=')) {
+      schemas = arg.split('=')[1].split(',').map(s => s.trim()).filter(Boolean);
+    } else if (arg === '--renames') {
+      renamesFile = args[++i];
+    } else if (arg.startsWith('--renames=')) {
+      renamesFile = arg.slice('--renames='.length);
+    }
+  }
+
+  const { SchemaDriftCheck } = await import('../src/check.mjs');
+  const checker = new SchemaDriftCheck({
+    engine,
+    dialect,
+    excludeTables,
+    schemas,
+    renamesFile,
+    projectRoot: process.cwd(),
+  });
+  process.exit(await checker.run());
+}
+
+// ---------------------------------------------------------------------------
+// lint — static checks on migration files (exit codes: 0 / 2 / 1)
+// ---------------------------------------------------------------------------
+
+async function runLint(args) {
+  const files = [];
+  let format = 'text';
+  let strict = false;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format' || arg === '-f') {
+      format = args[++i];
+    } else if (arg.startsWith('--format=')) {
+      format = arg.split('=')[1];
+    } else if (arg === '--json') {
+      format = 'json';
+    } else if (arg === '--strict') {
+      strict = true;
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (!arg.startsWith('-')) {
+      files.push(arg);
+    }
+  }
+
+  const { MigrationLint } = await import('../src/lint.mjs');
+  const linter = new MigrationLint({
+    files,
+    format,
+    strict,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  process.exit(await linter.run());
+}
+
+// ---------------------------------------------------------------------------
+// verify-staged — pre-commit check that schema edits ship with a migration
+// ---------------------------------------------------------------------------
+
+async function runVerifyStaged(args) {
+  let base = null;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--base') {
+      base = args[++i];
+    } else if (arg.startsWith('--base=')) {
+      base = arg.slice('--base='.length);
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    }
+  }
+
+  const { StagedMigrationVerify } = await import('../src/verify.mjs');
+  const verifier = new StagedMigrationVerify({
+    base,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  process.exit(await verifier.run());
+}
+
+// ---------------------------------------------------------------------------
+// doctor — diagnose config, toolchain and database access
+// ---------------------------------------------------------------------------
+
+async function runDoctor(args) {
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    }
+  }
+
+  const { Doctor } = await import('../src/doctor.mjs');
+  const doctor = new Doctor({
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  process.exit(await doctor.run());
+}
+
+// ---------------------------------------------------------------------------
+// snapshot — save the database's schema for offline generate --against
+// ---------------------------------------------------------------------------
+
+async function runSnapshot(args) {
+  let out = null;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out' || arg === '-o') {
+      out = args[++i];
+    } else if (arg.startsWith('--out=')) {
+      out = arg.slice('--out='.length);
+    } else if (arg === '--stdout') {
+      out = '-';
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    }
   }
+
+  if (!out) {
+    console.error('❌ snapshot needs --out <file> (or --stdout)');
+    process.exit(1);
+  }
+
+  // Keep stdout clean for the JSON — progress goes to stderr
+  if (out === '-') {
+    console.log = console.error;
+  }
+
+  const { DatabaseSnapshot } = await import('../src/snapshot.mjs');
+  await new DatabaseSnapshot({
+    out,
+    projectRoot: process.cwd(),
+    dialect,
+  }).run();
+}
+
+// ---------------------------------------------------------------------------
+// convert — drizzle-kit migrations folder → Liquibase formatted SQL
+// ---------------------------------------------------------------------------
+
+async function runConvert(args) {
+  let sourceDir = null;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (!arg.startsWith('-')) {
+      sourceDir = sourceDir || arg;
+    }
+  }
+
+  const { DrizzleKitConverter } = await import('../src/convert.mjs');
+  const converter = new DrizzleKitConverter({
+    sourceDir: sourceDir || './drizzle',
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  await converter.run();
+}
+
+// ---------------------------------------------------------------------------
+// new — empty migration for hand-written SQL
+// ---------------------------------------------------------------------------
+
+async function runNew(args) {
+  let name = null;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (!arg.startsWith('-')) {
+      name = arg;
+    }
+  }
+
+  const { MigrationScaffold } = await import('../src/scaffold.mjs');
+  const scaffold = new MigrationScaffold({
+    name,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  await scaffold.run();
+}
+
+// ---------------------------------------------------------------------------
+// baseline — mark migrations as applied in DATABASECHANGELOG
+// ---------------------------------------------------------------------------
+
+async function runBaseline(args) {
+  let to = null;
+  let dialect = null;
+  let dryRun = false;
+  let force = false;
+  let skipVerify = false;
+  let yes = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--to') {
+      to = args[++i];
+    } else if (arg.startsWith('--to=')) {
+      to = arg.slice('--to='.length);
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--force') {
+      force = true;
+    } else if (arg === '--skip-verify') {
+      skipVerify = true;
+    } else if (arg === '--yes' || arg === '-y') {
+      yes = true;
+    }
+  }
+
+  const { MigrationBaseline } = await import('../src/baseline.mjs');
+  const baseline = new MigrationBaseline({
+    to,
+    dryRun,
+    force,
+    skipVerify,
+    projectRoot: process.cwd(),
+    dialect,
+    yes,
+  });
+  await baseline.run();
+}
+
+// ---------------------------------------------------------------------------
+// squash — fold old migrations into one baseline changeset
+// ---------------------------------------------------------------------------
+
+async function runSquash(args) {
+  let to = null;
+  let name = null;
+  let dialect = null;
+  let dryRun = false;
+  let precondition = true;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--to') {
+      to = args[++i];
+    } else if (arg.startsWith('--to=')) {
+      to = arg.slice('--to='.length);
+    } else if (arg === '--name') {
+      name = args[++i];
+    } else if (arg.startsWith('--name=')) {
+      name = arg.slice('--name='.length);
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--no-precondition') {
+      precondition = false;
+    }
+  }
+
+  const { MigrationSquash } = await import('../src/squash.mjs');
+  const squash = new MigrationSquash({
+    to,
+    name: name ?? undefined,
+    dryRun,
+    precondition,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  await squash.run();
+}
+
+// ---------------------------------------------------------------------------
+// rebase — renumber out-of-order / duplicate migrations after a merge
+// ---------------------------------------------------------------------------
+
+async function runRebase(args) {
+  let dryRun = false;
+  let dialect = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    }
+  }
+
+  const { MigrationRebase } = await import('../src/rebase.mjs');
+  const rebase = new MigrationRebase({
+    dryRun,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  await rebase.run();
+}
+
+// ---------------------------------------------------------------------------
+// status / history — read DATABASECHANGELOG directly (no JVM)
+// ---------------------------------------------------------------------------
+
+async function runStatus(view, args) {
+  let format = 'text';
+  // The global --verbose (taken before we get here) lists applied changesets too
+  let verbose = process.env.DRIZZLE_LIQUIBASE_LOG_LEVEL === 'debug';
+  let dialect = null;
+
+  // The Liquibase commands stay one flag away
+  if (args.includes('--liquibase')) {
+    await runLiquibaseCommand(view, args.filter(a => a !== '--liquibase'));
+    return;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format' || arg === '-f') {
+      format = args[++i];
+    } else if (arg.startsWith('--format=')) {
+      format = arg.split('=')[1];
+    } else if (arg === '--json') {
+      format = 'json';
+    } else if (arg === '--verbose' || arg === '-v') {
+      verbose = true;
+    } else if (arg === '--dialect' || arg === '-d') {
+      dialect = args[++i];
+    } else if (arg.startsWith('--dialect=')) {
+      dialect = arg.split('=')[1];
+    }
+  }
+
+  const { MigrationStatus } = await import('../src/status.mjs');
+  const status = new MigrationStatus({
+    view,
+    format,
+    verbose,
+    projectRoot: process.cwd(),
+    dialect,
+  });
+  await status.run();
 }
 
 // ---------------------------------------------------------------------------
@@ -231,15 +861,129 @@ async function runGenerate(args) {
 
 async function runLiquibaseCommand(command, args) {
   const { runLiquibase } = await import('../src/runner.mjs');
+  const yes = args.includes('--yes') || args.includes('-y');
 
   try {
-    await runLiquibase(command, args, { projectRoot: process.cwd() });
+    await runLiquibase(command, args.filter(a => a !== '--yes' && a !== '-y'), { projectRoot: process.cwd(), yes });
   } catch (error) {
     console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 }
 
+// ---------------------------------------------------------------------------
+// Global options
+// ---------------------------------------------------------------------------
+
+/**
+ * Remove `--env`, `--project`, `--config` and `--log-format` (`--flag value`
+ * or `--flag=value`), `--quiet` and `--verbose` from the arguments and export
+ * them as the DRIZZLE_LIQUIBASE_* variables loadConfig() and the console
+ * logger read for every command.
+ */
+function takeGlobalOptions(args) {
+  const variables = {
+    '--env': 'DRIZZLE_LIQUIBASE_ENV',
+    '--project': 'DRIZZLE_LIQUIBASE_PROJECT',
+    '--config': 'DRIZZLE_LIQUIBASE_CONFIG',
+    '--log-format': 'DRIZZLE_LIQUIBASE_LOG_FORMAT',
+  };
+  const levels = { '--quiet': 'warn', '--verbose': 'debug' };
+  const rest = [];
+  let levelFlag = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (levels[arg]) {
+      if (levelFlag && levelFlag !== arg) {
+        console.error('❌ --quiet cannot be combined with --verbose');
+        process.exit(1);
+      }
+      levelFlag = arg;
+      process.env.DRIZZLE_LIQUIBASE_LOG_LEVEL = levels[arg];
+      continue;
+    }
+    const flag = Object.keys(variables).find(f => arg === f || arg.startsWith(`${f}=`));
+    if (!flag) {
+      rest.push(arg);
+      continue;
+    }
+    const value = arg === flag ? args[++i] : arg.slice(flag.length + 1);
+    if (!value || value.startsWith('-')) {
+      console.error(`❌ ${flag} needs a value`);
+      process.exit(1);
+    }
+    if (flag === '--log-format' && !LOG_FORMATS.includes(value)) {
+      console.error(`❌ Invalid --log-format "${value}". Must be one of: ${LOG_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+    process.env[variables[flag]] = flag === '--config' ? resolve(value) : value;
+  }
+  return rest;
+}
+
+/**
+ * Run a command for the selected project, or with `--all` once per project
+ * in the config's `projects` array. A config with projects needs one of the
+ * two; stops at the first project that fails.
+ */
+async function forEachProject(args, run) {
+  const all = args.includes('--all');
+  const rest = args.filter(a => a !== '--all');
+
+  const { loadConfig } = await import('../src/config.mjs');
+  let config;
+  try {
+    config = await loadConfig(process.cwd());
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const names = config.projectNames;
+  if (all && config.project) {
+    console.error('❌ --all cannot be combined with --project');
+    process.exit(1);
+  }
+  if (all && !names.length) {
+    console.error('❌ --all needs a projects array in the config');
+    process.exit(1);
+  }
+  if (!all && !config.project && names.length) {
+    console.error(`❌ The config defines projects (${names.join(', ')}) — pass --project <name> or --all`);
+    process.exit(1);
+  }
+  if (!all) {
+    await run(rest);
+    return;
+  }
+
+  for (const name of names) {
+    consoleLogger.info(`\n📦 Project "${name}"`);
+    process.env.DRIZZLE_LIQUIBASE_PROJECT = name;
+    await run(rest);
+  }
+  delete process.env.DRIZZLE_LIQUIBASE_PROJECT;
+}
+
+/**
+ * Ask a yes/no question on the terminal; Enter means yes. Without a
+ * terminal the default is taken and said so.
+ */
+async function askYesNo(question) {
+  if (!process.stdin.isTTY) {
+    console.log(`${question.trimEnd()} yes (no terminal — pass --no-drizzle-config to decline)`);
+    return true;
+  }
+  const { createInterface } = await import('readline/promises');
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = (await rl.question(question)).trim().toLowerCase();
+    return answer === '' || answer === 'y' || answer === 'yes';
+  } finally {
+    rl.close();
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Help
 // ---------------------------------------------------------------------------
@@ -253,37 +997,162 @@ Usage:
 
 Commands:
   init                         Scaffold config file and directory structure
+                               Offers to reuse drizzle.config.ts when one is found
+    --drizzle-config           Reuse it without asking
+    --no-drizzle-config        Don't reuse it
+  doctor                       Check config, Liquibase, drizzle-kit, driver and database access
+                               Exit codes: 0 = all checks passed, 1 = a check failed
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
   generate [name]              Generate a migration from Drizzle schema ↔ DB diff
     --reverse, -r              Generate migration for objects in DB but not in schema
     --engine, -e <engine>      Diff engine: 'custom' (default) or 'drizzle-kit'
     --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
     --exclude-tables <list>    Comma-separated tables to exclude (drizzle-kit engine)
     --schemas <list>           Comma-separated schemas to include (default: public)
+    --renames <file>           JSON rename map answering drizzle-kit's rename prompts
+    --review                   Accept, skip or edit each statement and its rollback first
+    --watch, -w                Re-diff on every schema save; write the migration on request
+    --from-ref <ref>           Diff the schema at this git ref instead of the database (no DB needed)
+    --to-ref <ref>             With --from-ref: the schema version to diff to (default: working tree)
+    --against <file>           Diff against a file written by snapshot instead of the database
+    --dry-run, --stdout        Print the migration to stdout; no file, no changelog update
+    --output, -o <path>        Write the migration to <path>; no changelog update
+    --report json              Print a JSON change report to stdout (progress goes to stderr)
+    --report-file <path>       Write the JSON change report to <path> instead
+
+  new <name>                   Create an empty, registered migration for hand-written SQL
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  snapshot                     Save the database's schema as JSON for generate --against
+                               (custom engine introspection, PostgreSQL only)
+    --out, -o <file>           File to write
+    --stdout                   Print the JSON to stdout instead (progress goes to stderr)
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  check                        Compare schema and database without writing anything (for CI)
+                               Exit codes: 0 = in sync, 2 = drift found, 1 = error
+    --engine, -e <engine>      Diff engine: 'custom' (default) or 'drizzle-kit'
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+    --exclude-tables <list>    Comma-separated tables to exclude (drizzle-kit engine)
+    --schemas <list>           Comma-separated schemas to include (default: public)
+    --renames <file>           JSON rename map answering drizzle-kit's rename prompts
+
+  lint [files...]              Check migration files for unsafe or malformed changesets
+                               (default: every .sql file in migrationsDir)
+                               Exit codes: 0 = clean, 2 = errors found, 1 = lint failed
+    --format, -f <format>      Output format: text (default) or json (--json is an alias)
+    --strict                   Fail on warnings as well as errors
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  verify-staged                Check that staged schema changes come with a new migration
+                               covering them (for a git pre-commit hook; no database needed)
+                               Exit codes: 0 = covered, 2 = uncovered changes, 1 = error
+    --base <ref>               Check the commits since <ref> instead of the index (for CI)
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  convert [dir]                Convert a drizzle-kit migrations folder (default: ./drizzle)
+    --dialect, -d <dialect>    Override the dialect recorded in meta/_journal.json
+
+  baseline                     Mark migrations as applied without running them (alias: mark-applied)
+    --to <file|id|author:id>   Stop at this migration file or changeset (default: all)
+    --dry-run                  Print the per-changeset report without writing rows
+    --force                    Mark changesets even if their objects are missing
+    --skip-verify              Don't check objects exist (required for non-PostgreSQL)
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+    --yes, -y                  Skip the confirmation asked by requireConfirm environments
+
+  squash                       Fold the oldest migrations into one baseline changeset
+    --to <file|id|tag>         Last migration file, changeset or DATABASECHANGELOG tag to fold in
+    --name <name>              Changeset id / filename suffix (default: squashed_baseline)
+    --no-precondition          Skip the onFail:MARK_RAN precondition; print changelogSync steps
+    --dry-run                  Print the squashed migration without writing anything
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  rebase                       After a merge, renumber migrations the database hasn't run that sort
+                               before ones it has, and give duplicate changeset ids a unique suffix
+    --dry-run                  Print what would change without touching any file
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  status                       List applied, pending and unknown changesets by reading
+                               DATABASECHANGELOG directly (no JVM needed)
+    --format, -f <format>      Output format: text (default) or json (--json is an alias)
+    --verbose, -v              List applied changesets as well
+    --liquibase                Run Liquibase's own status command instead
+    --dialect, -d <dialect>    Database dialect: postgresql, mysql, sqlite, singlestore
+
+  history                      List applied changesets in execution order with date, tag and
+                               MD5SUM (no JVM needed; same --format, --liquibase and --dialect)
 
   update                       Apply all pending migrations
-  status                       Show pending / applied migration status
   validate                     Validate the master changelog
   rollback <count|tag|date>     Smart rollback (number → by count, date → by date, string → by tag)
   rollbackCount <count>        Rollback the last N changesets
   rollbackTag <tag>            Rollback to a named tag
   rollbackToDate <date>        Rollback to a date (YYYY-MM-DD or "YYYY-MM-DD HH:MM:SS")
-  history                      Show applied migration history
   tag <name>                   Tag the current database state
   updateSQL                    Preview the SQL that would be executed
 
   <command> [args...]          Any other Liquibase command (pass-through)
+    --yes, -y                  Skip the confirmation asked by requireConfirm environments
+
+Global options:
+  --env <name>                 Apply this environment from the config's environments block
+                               (default: $DRIZZLE_LIQUIBASE_ENV)
+  --project <name>             Apply this project from the config's projects array
+                               (default: $DRIZZLE_LIQUIBASE_PROJECT)
+  --all                        generate, update, status, history: run once per project
+  --config <path>              Load this config file instead of searching for one in the
+                               current directory and its parents (default: $DRIZZLE_LIQUIBASE_CONFIG)
+  --quiet                      Only print warnings, errors and command results (for scripts)
+  --verbose                    Also print introspection queries, parse details and stack traces
+  --log-format <text|json>     json: one JSON object per message on stderr, for log aggregation
+                               (default: $DRIZZLE_LIQUIBASE_LOG_FORMAT; level: $DRIZZLE_LIQUIBASE_LOG_LEVEL)
 
 Examples:
   npx drizzle-liquibase init
+  npx drizzle-liquibase init --drizzle-config
+  npx drizzle-liquibase doctor
   npx drizzle-liquibase generate add_users_table
   npx drizzle-liquibase generate add_users_table --engine drizzle-kit
   npx drizzle-liquibase generate --engine drizzle-kit --dialect mysql
   npx drizzle-liquibase generate --engine drizzle-kit --exclude-tables audit_log,staging
   npx drizzle-liquibase generate --engine drizzle-kit --schemas public,custom_schema
   npx drizzle-liquibase generate --reverse
+  npx drizzle-liquibase generate rename_users --engine drizzle-kit --renames renames.json
+  npx drizzle-liquibase generate add_users_table --review
+  npx drizzle-liquibase generate add_users_table --watch
+  npx drizzle-liquibase generate add_users_table --from-ref main --to-ref HEAD
+  npx drizzle-liquibase generate add_users_table --dry-run
+  npx drizzle-liquibase generate add_users_table --output preview.sql
+  npx drizzle-liquibase generate add_users_table --report json > changes.json
+  npx drizzle-liquibase generate add_users_table --report-file reports/changes.json
+  npx drizzle-liquibase new backfill_user_slugs
+  DATABASE_URL=$PROD_URL npx drizzle-liquibase snapshot --out prod-schema.json
+  npx drizzle-liquibase generate add_phone --against prod-schema.json
+  npx drizzle-liquibase check --engine drizzle-kit
+  npx drizzle-liquibase lint
+  npx drizzle-liquibase lint liquibase/migrations/20250101120000_add_users.sql --format json
+  npx drizzle-liquibase verify-staged
+  npx drizzle-liquibase verify-staged --base origin/main
+  npx drizzle-liquibase convert ./drizzle
+  npx drizzle-liquibase baseline --dry-run
+  npx drizzle-liquibase baseline --to 20250101120000_add_users.sql
+  npx drizzle-liquibase squash --to 20250101120000_add_users.sql --dry-run
+  npx drizzle-liquibase squash --to release-2.0
+  npx drizzle-liquibase rebase --dry-run
   npx drizzle-liquibase update
+  npx drizzle-liquibase update --env prod --yes
+  npx drizzle-liquibase generate add_invoices --project billing
+  npx drizzle-liquibase update --all
+  npx drizzle-liquibase status --config ../../drizzle-liquibase.config.mjs
+  npx drizzle-liquibase update --quiet
+  npx drizzle-liquibase generate add_users_table --verbose
+  npx drizzle-liquibase update --all --log-format json 2>> migrations.log
   npx drizzle-liquibase rollback 1
   npx drizzle-liquibase status
+  npx drizzle-liquibase status --json
+  npx drizzle-liquibase history
 `);
 }
 
@@ -320,7 +1189,7 @@ export default {
   // Timestamp format for migration filenames (default: YYYYMMDDHHmmss)
   timestampFormat: 'YYYYMMDDHHmmss',
 
-  // Liquibase execution mode: 'node' | 'cli' | 'docker'
+  // Liquibase execution mode: 'node' | 'cli' | 'docker' | 'native' (no Java)
   liquibaseMode: 'node',
 
   // Changeset author (null = auto-detect from git)
@@ -335,6 +1204,13 @@ export default {
   // Set to include additional schemas if your Drizzle schema uses pgSchema().
   // schemas: ['public'],
 
+  // Answers drizzle-kit's rename prompts so generate/check run unattended
+  // (drizzle-kit engine). Unresolved prompts fail the run.
+  // renames: { 'users.full_name': 'users.display_name', 'users.fax': null },
+
+  // Lint rule severities: 'error' | 'warning' | 'off'
+  // lint: { rules: { 'destructive-statement': 'error' } },
+
   // Schema diff options
   diff: {
     includePolicies: true,
@@ -347,6 +1223,35 @@ export default {
 `;
 }
 
+function getDrizzleConfigReferenceTemplate(drizzleConfigName) {
+  return `/**
+ * drizzle-migrations-liquibase configuration
+ * @see https://github.com/danielkpl2/drizzle-migrations-liquibase
+ */
+export default {
+  // schemaDir, dialect, databaseUrl, schemas and excludeTables are read from
+  // ${drizzleConfigName} (schema, dialect, dbCredentials, schemaFilter and
+  // the "!table" entries of tablesFilter). Set any of them here to override it.
+  drizzleConfig: './${drizzleConfigName}',
+
+  // Diff engine: 'custom' (default, PostgreSQL only) or 'drizzle-kit' (all dialects)
+  // engine: 'custom',
+
+  // Directory where Liquibase migration files are generated
+  migrationsDir: './liquibase/migrations',
+
+  // Path to the master changelog XML
+  masterChangelog: './liquibase/master-changelog.xml',
+
+  // Liquibase execution mode: 'node' | 'cli' | 'docker' | 'native' (no Java)
+  liquibaseMode: 'node',
+
+  // Changeset author (null = auto-detect from git)
+  author: null,
+};
+`;
+}
+
 function getDefaultChangelogTemplate() {
   return `<?xml version="1.0" encoding="UTF-8"?>
 <databaseChangeLog
@@ -15,55 +15,69 @@
  * unlike the CLI code path. filterStatements filters out false-positive diffs
  * like tinyint↔boolean, bigint unsigned↔serial, and redundant serial unique keys.
  *
+ * It also installs a hook in drizzle-kit's rename prompts so the drizzle-kit
+ * engine can answer them from a `renames` map instead of waiting for input
+ * (Patch 3, see src/renames.mjs).
+ *
  * This script is idempotent — it will skip each patch individually if already
  * applied or if drizzle-kit is not installed. A backup of the original file is
  * saved alongside the patched file (*.backup) for clean restoration on uninstall.
+ * drizzle-kit ships the API twice — api.js for require() and api.mjs for
+ * import() — and both files are patched.
  */
 
 import { readFileSync, writeFileSync, existsSync, copyFileSync } from 'fs';
 import { createRequire } from 'module';
-import { resolve } from 'path';
+import { basename, resolve } from 'path';
 
 // Resolve from the consuming project's directory (cwd), not from this script
 const require = createRequire(resolve(process.cwd(), 'package.json'));
 
-// ─── Resolve drizzle-kit/api.js ─────────────────────────────────────────────
-let apiPath;
+// ─── Resolve drizzle-kit/api.js and api.mjs ─────────────────────────────────
+let cjsPath;
 try {
-  apiPath = require.resolve('drizzle-kit/api');
+  cjsPath = require.resolve('drizzle-kit/api');
 } catch {
   // drizzle-kit not installed — nothing to patch
   console.log('[drizzle-liquibase] drizzle-kit not found, skipping patch.');
   process.exit(0);
 }
 
-// ─── Read the file ──────────────────────────────────────────────────────────
-let source = readFileSync(apiPath, 'utf8');
+// require() loads api.js and import() the ESM build next to it. Both bundle
+// the same code, so both get the patches.
+const apiPaths = [cjsPath, cjsPath.replace(/\.js$/, '.mjs')]
+  .filter((path, i, all) => all.indexOf(path) === i && existsSync(path));
 
-// ─── Save a backup of the original (only once) ─────────────────────────────
-const backupPath = apiPath + '.backup';
-if (!existsSync(backupPath)) {
-  copyFileSync(apiPath, backupPath);
-  console.log('[drizzle-liquibase] Saved backup of original drizzle-kit/api.js.');
-}
+for (const apiPath of apiPaths) patchFile(apiPath);
 
-// ─── Check if drizzle-kit even has the bug ──────────────────────────────────
-if (!source.includes('init_mysqlPushUtils')) {
-  console.log('[drizzle-liquibase] drizzle-kit version does not have mysqlPushUtils, skipping patch.');
-  process.exit(0);
-}
+/** Apply the patches to one build of drizzle-kit/api, keeping a backup of the original. */
+function patchFile(apiPath) {
+  // ─── Read the file ──────────────────────────────────────────────────────────
+  let source = readFileSync(apiPath, 'utf8');
+  const name = basename(apiPath);
 
-let patchCount = 0;
+  // ─── Save a backup of the original (only once) ─────────────────────────────
+  const backupPath = apiPath + '.backup';
+  if (!existsSync(backupPath)) {
+    copyFileSync(apiPath, backupPath);
+    console.log(`[drizzle-liquibase] Saved backup of original drizzle-kit/${name}.`);
+  }
 
-// ─── Patch 1: Add fromJson call to logSuggestionsAndReturn2 ─────────────────
-// MySQL's logSuggestionsAndReturn2 never converts structured statements to SQL.
-// All other dialects do this. We add the missing fromJson call at the end of
-// the for loop, matching the pattern used by PG, SQLite, and SingleStore.
+  let patchCount = 0;
 
-if (source.includes('fromJson([statement], "mysql", "push")')) {
-  console.log('[drizzle-liquibase] Patch 1 (fromJson): already applied.');
-} else {
-  const SEARCH_1 = `        }
+  // ─── Check if drizzle-kit even has the MySQL bugs ───────────────────────────
+  if (!source.includes('init_mysqlPushUtils')) {
+    console.log('[drizzle-liquibase] drizzle-kit version does not have mysqlPushUtils, skipping MySQL patches.');
+  } else {
+    // ─── Patch 1: Add fromJson call to logSuggestionsAndReturn2 ─────────────────
+    // MySQL's logSuggestionsAndReturn2 never converts structured statements to SQL.
+    // All other dialects do this. We add the missing fromJson call at the end of
+    // the for loop, matching the pattern used by PG, SQLite, and SingleStore.
+
+    if (source.includes('fromJson([statement], "mysql", "push")')) {
+      console.log('[drizzle-liquibase] Patch 1 (fromJson): already applied.');
+    } else {
+      const SEARCH_1 = `        }
       }
       return {
         statementsToExecute,
@@ -80,7 +94,7 @@ if (source.includes('fromJson([statement], "mysql", "push")')) {
 
 // src/cli/commands/mysqlIntrospect.ts`;
 
-  const REPLACE_1 = `        }
+      const REPLACE_1 = `        }
         const stmnt = fromJson([statement], "mysql", "push");
         if (typeof stmnt !== "undefined") {
           statementsToExecute.push(...stmnt);
@@ -101,61 +115,99 @@ if (source.includes('fromJson([statement], "mysql", "push")')) {
 
 // src/cli/commands/mysqlIntrospect.ts`;
 
-  if (!source.includes(SEARCH_1)) {
-    console.log('[drizzle-liquibase] Patch 1 (fromJson): could not find target. Skipping.');
-  } else {
-    source = source.replace(SEARCH_1, REPLACE_1);
-    patchCount++;
-    console.log('[drizzle-liquibase] Patch 1 (fromJson): applied.');
-  }
-}
-
-// ─── Patch 2: Add filterStatements call to pushMySQLSchema ──────────────────
-// pushMySQLSchema passes raw `statements` directly to logSuggestionsAndReturn
-// without filtering. filterStatements removes false-positive diffs:
-// - tinyint(1) ↔ boolean type changes
-// - bigint unsigned ↔ serial type changes
-// - redundant UNIQUE KEY drops on serial columns
-// - boolean default 0→false / 1→true normalization
-// Without it, re-running generate on an already-applied schema produces bogus
-// ALTER TABLE statements.
-
-if (source.includes('filterStatements: filterStatements4')) {
-  console.log('[drizzle-liquibase] Patch 2 (filterStatements): already applied.');
-} else {
-  // 2a: Import filterStatements alongside logSuggestionsAndReturn from mysqlPushUtils
-  const SEARCH_2A = `  const { logSuggestionsAndReturn: logSuggestionsAndReturn4 } = await Promise.resolve().then(() => (init_mysqlPushUtils(), mysqlPushUtils_exports));`;
-  const REPLACE_2A = `  const { logSuggestionsAndReturn: logSuggestionsAndReturn4, filterStatements: filterStatements4 } = await Promise.resolve().then(() => (init_mysqlPushUtils(), mysqlPushUtils_exports));`;
-
-  // 2b: Call filterStatements before logSuggestionsAndReturn
-  const SEARCH_2B = `  const { shouldAskForApprove, statementsToExecute, infoToPrint } = await logSuggestionsAndReturn4(
+      if (!source.includes(SEARCH_1)) {
+        console.log('[drizzle-liquibase] Patch 1 (fromJson): could not find target. Skipping.');
+      } else {
+        source = source.replace(SEARCH_1, REPLACE_1);
+        patchCount++;
+        console.log('[drizzle-liquibase] Patch 1 (fromJson): applied.');
+      }
+    }
+
+    // ─── Patch 2: Add filterStatements call to pushMySQLSchema ──────────────────
+    // pushMySQLSchema passes raw `statements` directly to logSuggestionsAndReturn
+    // without filtering. filterStatements removes false-positive diffs:
+    // - tinyint(1) ↔ boolean type changes
+    // - bigint unsigned ↔ serial type changes
+    // - redundant UNIQUE KEY drops on serial columns
+    // - boolean default 0→false / 1→true normalization
+    // Without it, re-running generate on an already-applied schema produces bogus
+    // ALTER TABLE statements.
+
+    if (source.includes('filterStatements: filterStatements4')) {
+      console.log('[drizzle-liquibase] Patch 2 (filterStatements): already applied.');
+    } else {
+      // 2a: Import filterStatements alongside logSuggestionsAndReturn from mysqlPushUtils
+      const SEARCH_2A = `  const { logSuggestionsAndReturn: logSuggestionsAndReturn4 } = await Promise.resolve().then(() => (init_mysqlPushUtils(), mysqlPushUtils_exports));`;
+      const REPLACE_2A = `  const { logSuggestionsAndReturn: logSuggestionsAndReturn4, filterStatements: filterStatements4 } = await Promise.resolve().then(() => (init_mysqlPushUtils(), mysqlPushUtils_exports));`;
+
+      // 2b: Call filterStatements before logSuggestionsAndReturn
+      const SEARCH_2B = `  const { shouldAskForApprove, statementsToExecute, infoToPrint } = await logSuggestionsAndReturn4(
     db,
     statements,
     validatedCur
   );`;
-  const REPLACE_2B = `  const filteredStatements = filterStatements4(statements, validatedCur, validatedPrev);
+      const REPLACE_2B = `  const filteredStatements = filterStatements4(statements, validatedCur, validatedPrev);
   const { shouldAskForApprove, statementsToExecute, infoToPrint } = await logSuggestionsAndReturn4(
     db,
     filteredStatements,
     validatedCur
   );`;
 
-  if (!source.includes(SEARCH_2A)) {
-    console.log('[drizzle-liquibase] Patch 2a (import filterStatements): could not find target. Skipping.');
-  } else if (!source.includes(SEARCH_2B)) {
-    console.log('[drizzle-liquibase] Patch 2b (call filterStatements): could not find target. Skipping.');
+      if (!source.includes(SEARCH_2A)) {
+        console.log('[drizzle-liquibase] Patch 2a (import filterStatements): could not find target. Skipping.');
+      } else if (!source.includes(SEARCH_2B)) {
+        console.log('[drizzle-liquibase] Patch 2b (call filterStatements): could not find target. Skipping.');
+      } else {
+        source = source.replace(SEARCH_2A, REPLACE_2A);
+        source = source.replace(SEARCH_2B, REPLACE_2B);
+        patchCount++;
+        console.log('[drizzle-liquibase] Patch 2 (filterStatements): applied.');
+      }
+    }
+  }
+
+  // ─── Patch 3: Rename prompt hook ────────────────────────────────────────────
+  // When drizzle-kit can't tell a rename from a drop + create it renders an
+  // interactive hanji prompt, which hangs CI. Route each of the four prompt
+  // sites through globalThis.__drizzleLiquibaseResolveRename when it is set,
+  // so the engine can answer from the `renames` map (see src/renames.mjs).
+  // With the hook unset drizzle-kit prompts exactly as before.
+
+  const RENAME_HOOK = 'globalThis.__drizzleLiquibaseResolveRename';
+
+  if (source.includes(RENAME_HOOK)) {
+    console.log('[drizzle-liquibase] Patch 3 (rename hook): already applied.');
   } else {
-    source = source.replace(SEARCH_2A, REPLACE_2A);
-    source = source.replace(SEARCH_2B, REPLACE_2B);
-    patchCount++;
-    console.log('[drizzle-liquibase] Patch 2 (filterStatements): applied.');
+    const promptSites = [
+      ['ResolveColumnSelect(tableName, created, promptData)', '{ entity: "column", table: tableName, created, choices: promptData }'],
+      ['ResolveSelectNamed(created, promptData, entity)', '{ entity, created, choices: promptData }'],
+      ['ResolveSelect(created, promptData, entity)', '{ entity, created, choices: promptData }'],
+      ['ResolveSchemasSelect(created, promptData)', '{ entity: "schema", created, choices: promptData }'],
+    ];
+    const targets = promptSites.map(([view, prompt]) => [
+      `const { status, data } = await (0, import_hanji2.render)(
+          new ${view}
+        );`,
+      `const { status, data } = await (${RENAME_HOOK} ? ${RENAME_HOOK}(${prompt}) : (0, import_hanji2.render)(
+          new ${view}
+        ));`,
+    ]);
+
+    if (!targets.every(([search]) => source.includes(search))) {
+      console.log('[drizzle-liquibase] Patch 3 (rename hook): could not find target. Skipping.');
+    } else {
+      for (const [search, replace] of targets) source = source.replace(search, replace);
+      patchCount++;
+      console.log('[drizzle-liquibase] Patch 3 (rename hook): applied.');
+    }
   }
-}
 
-// ─── Write the patched file ─────────────────────────────────────────────────
-if (patchCount > 0) {
-  writeFileSync(apiPath, source, 'utf8');
-  console.log(`[drizzle-liquibase] ✅ Applied ${patchCount} patch(es) to drizzle-kit MySQL push.`);
-} else {
-  console.log('[drizzle-liquibase] No patches needed.');
+  // ─── Write the patched file ─────────────────────────────────────────────────
+  if (patchCount > 0) {
+    writeFileSync(apiPath, source, 'utf8');
+    console.log(`[drizzle-liquibase] ✅ Applied ${patchCount} patch(es) to drizzle-kit/${name}.`);
+  } else {
+    console.log(`[drizzle-liquibase] No patches needed for drizzle-kit/${name}.`);
+  }
 }
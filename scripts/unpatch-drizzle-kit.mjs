@@ -3,8 +3,8 @@
 /**
  * unpatch-drizzle-kit.mjs
  *
- * Restores the original drizzle-kit/api.js from the backup created by
- * patch-drizzle-kit.mjs. This runs automatically via the `preuninstall`
+ * Restores the original drizzle-kit/api.js and api.mjs from the backups
+ * created by patch-drizzle-kit.mjs. This runs automatically via the `preuninstall`
  * lifecycle hook when the package is removed.
  *
  * Safe to run manually — exits cleanly if drizzle-kit is not installed
@@ -13,33 +13,37 @@
 
 import { existsSync, copyFileSync, unlinkSync } from 'fs';
 import { createRequire } from 'module';
-import { resolve } from 'path';
+import { basename, resolve } from 'path';
 
 // Resolve from the consuming project's directory (cwd), not from this script
 const require = createRequire(resolve(process.cwd(), 'package.json'));
 
-// ─── Resolve drizzle-kit/api.js ─────────────────────────────────────────────
-let apiPath;
+// ─── Resolve drizzle-kit/api.js and api.mjs ─────────────────────────────────
+let cjsPath;
 try {
-  apiPath = require.resolve('drizzle-kit/api');
+  cjsPath = require.resolve('drizzle-kit/api');
 } catch {
   console.log('[drizzle-liquibase] drizzle-kit not found, nothing to unpatch.');
   process.exit(0);
 }
+const apiPaths = [...new Set([cjsPath, cjsPath.replace(/\.js$/, '.mjs')])];
 
 // ─── Restore from backup ────────────────────────────────────────────────────
-const backupPath = apiPath + '.backup';
+for (const apiPath of apiPaths) {
+  const name = basename(apiPath);
+  const backupPath = apiPath + '.backup';
 
-if (!existsSync(backupPath)) {
-  console.log('[drizzle-liquibase] No backup found — drizzle-kit/api.js was not patched or backup was removed.');
-  process.exit(0);
-}
+  if (!existsSync(backupPath)) {
+    console.log(`[drizzle-liquibase] No backup found — drizzle-kit/${name} was not patched or backup was removed.`);
+    continue;
+  }
 
-try {
-  copyFileSync(backupPath, apiPath);
-  unlinkSync(backupPath);
-  console.log('[drizzle-liquibase] ✅ Restored original drizzle-kit/api.js from backup.');
-} catch (err) {
-  console.log(`[drizzle-liquibase] Could not restore backup: ${err.message}`);
-  process.exit(0); // non-fatal — don't block uninstall
+  try {
+    copyFileSync(backupPath, apiPath);
+    unlinkSync(backupPath);
+    console.log(`[drizzle-liquibase] ✅ Restored original drizzle-kit/${name} from backup.`);
+  } catch (err) {
+    // non-fatal — don't block uninstall
+    console.log(`[drizzle-liquibase] Could not restore backup of ${name}: ${err.message}`);
+  }
 }
@@ -0,0 +1,181 @@
+/**
+ * drizzle-migrations-liquibase — Programmatic API
+ *
+ * Promise-returning entry points for build scripts, test setup and other
+ * tools. Unlike the CLI classes' run() methods, these never print errors or
+ * call process.exit: they resolve to structured results and reject with the
+ * typed errors from errors.mjs.
+ *
+ *   generate(options)         — write a migration, resolve to its change report
+ *   diff(options)             — the same report, nothing written
+ *   runCommand(name, options) — a Liquibase command, resolve to its output
+ *
+ * Progress is silent by default; pass `logger` (console, pino, or anything
+ * with info/warn/error/debug) to receive it.
+ */
+
+import { loadConfig } from './config.mjs';
+import { SchemaDiffGenerator } from './generate.mjs';
+import { DrizzleKitEngine } from './drizzle-kit-engine.mjs';
+import { runLiquibase } from './runner.mjs';
+import { ConfigError } from './errors.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const ENGINES = ['custom', 'drizzle-kit'];
+
+/** Config from options, or loaded from the project root (with `env` / `project` applied). */
+async function resolveConfig(options) {
+  return options.config ?? (await loadConfig(options.projectRoot, {
+    env: options.env,
+    project: options.project,
+    configFile: options.configFile,
+    logger: options.logger ?? false,
+  }));
+}
+
+/**
+ * The generator for the configured engine, built from API options.
+ * Progress is silenced unless a logger is given.
+ */
+function createEngine(config, options) {
+  const engine = options.engine ?? config.engine ?? 'custom';
+  if (!ENGINES.includes(engine)) {
+    throw new ConfigError(`Unknown engine "${engine}". Must be one of: ${ENGINES.join(', ')}`);
+  }
+
+  const common = {
+    name: options.name,
+    config,
+    projectRoot: options.projectRoot,
+    output: options.output,
+    logger: options.logger ?? false,
+  };
+
+  if (engine === 'drizzle-kit') {
+    if (options.against) {
+      throw new ConfigError('`against` needs the custom engine — snapshot files hold its introspection');
+    }
+    return new DrizzleKitEngine({
+      ...common,
+      dialect: options.dialect,
+      excludeTables: options.excludeTables,
+      schemas: options.schemas,
+      renamesFile: options.renamesFile,
+    });
+  }
+  return new SchemaDiffGenerator({
+    ...common,
+    reverse: options.reverse,
+    against: options.against,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// API
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} GenerateOptions
+ * @property {string}   [projectRoot]   — project root (config lookup, relative paths)
+ * @property {object}   [config]        — pre-loaded config (skips loadConfig)
+ * @property {string}   [env]           — config environment to apply (default: $DRIZZLE_LIQUIBASE_ENV)
+ * @property {string}   [project]       — config project to apply (default: $DRIZZLE_LIQUIBASE_PROJECT)
+ * @property {string}   [configFile]    — config file to load instead of searching for one
+ * @property {string}   [engine]        — 'custom' or 'drizzle-kit' (default: config.engine, then 'custom')
+ * @property {string}   [name]          — migration name
+ * @property {boolean}  [reverse]       — custom engine: reverse mode
+ * @property {string}   [against]       — custom engine: diff against this snapshot file
+ * @property {string}   [dialect]       — drizzle-kit engine: dialect override
+ * @property {string[]} [excludeTables] — drizzle-kit engine: extra tables to exclude
+ * @property {string[]} [schemas]       — drizzle-kit engine: schemas to include
+ * @property {string}   [renamesFile]   — drizzle-kit engine: JSON renames file
+ * @property {object}   [logger]        — receives progress output; silent when omitted
+ */
+
+/**
+ * Generate a migration into migrationsDir and add it to the master changelog
+ * (or render it to `output` instead).
+ *
+ * @param {GenerateOptions & { output?: string }} [options]
+ * @returns {Promise<object>} the change report (see report.mjs) — `file` is the
+ *   migration written, or null when there were no changes
+ * @throws {ConfigError|ConnectionError|SchemaParseError}
+ */
+export async function generate(options = {}) {
+  const config = await resolveConfig(options);
+  return createEngine(config, options).execute();
+}
+
+/**
+ * Compare the schema against the database (or `against` snapshot) without
+ * writing anything.
+ *
+ * @param {GenerateOptions} [options]
+ * @returns {Promise<object>} the change report (see report.mjs), `file` null
+ * @throws {ConfigError|ConnectionError|SchemaParseError}
+ */
+export async function diff(options = {}) {
+  const config = await resolveConfig(options);
+  const engine = createEngine(config, { ...options, output: undefined });
+  await engine.init();
+
+  if (engine instanceof DrizzleKitEngine) {
+    const { sqlStatements, hasDataLoss, warnings, hints } = await engine.computeDiff();
+    const { statements, rollbackStatements } = await engine.buildStatements(sqlStatements);
+    return engine.reportChanges({ statements, rollbackStatements, hasDataLoss, warnings, hints, file: null });
+  }
+
+  try {
+    let dbSchema;
+    if (engine.against) dbSchema = engine.loadSnapshotSchema();
+    else await engine.initDb();
+    const { changes, statements, rollbackStatements } = await engine.computeDiff({ dbSchema });
+    return engine.reportChanges({ changes, statements, rollbackStatements, file: null });
+  } finally {
+    await engine.cleanup();
+  }
+}
+
+/**
+ * Run a Liquibase command through the configured liquibaseMode.
+ *
+ * @param {string} name — Liquibase command (e.g. 'update', 'status', 'rollbackCount')
+ * @param {object}   [options]
+ * @param {string[]} [options.args=[]]    — extra command arguments
+ * @param {string}   [options.projectRoot]
+ * @param {object}   [options.config]      — pre-loaded config (skips loadConfig)
+ * @param {string}   [options.env]         — config environment to apply (default: $DRIZZLE_LIQUIBASE_ENV)
+ * @param {string}   [options.project]     — config project to apply (default: $DRIZZLE_LIQUIBASE_PROJECT)
+ * @param {string}   [options.configFile]  — config file to load instead of searching for one
+ * @param {boolean}  [options.yes]         — skip the environment's requireConfirm prompt
+ * @param {Function} [options.confirm]     — replaces that prompt: `({ command, env }) => boolean`
+ * @param {object}   [options.logger]      — receives progress output; silent when omitted
+ * @returns {Promise<{ command: string, mode: string, output: string|null, result: object|null }>}
+ *   output — Liquibase's output (node, cli and docker modes)
+ *   result — the native executor's result (native mode, see native.mjs)
+ * @throws {ConfigError|ConnectionError|CommandError}
+ */
+export async function runCommand(name, options = {}) {
+  const config = await resolveConfig(options);
+  const mode = config.liquibaseMode || 'node';
+  const value = await runLiquibase(name, options.args ?? [], {
+    config,
+    projectRoot: options.projectRoot,
+    logger: options.logger ?? false,
+    capture: true,
+    yes: options.yes,
+    confirm: options.confirm,
+  });
+
+  return {
+    command: name,
+    mode,
+    output: mode === 'native' ? null : (value ?? null),
+    result: mode === 'native' ? value : null,
+  };
+}
+
+export default { generate, diff, runCommand };
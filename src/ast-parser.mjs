@@ -14,6 +14,7 @@
  */
 
 import { Project, SyntaxKind } from 'ts-morph';
+import { resolveLogger } from './logger.mjs';
 
 // ---------------------------------------------------------------------------
 // Drizzle type function name → normalised base type
@@ -57,7 +58,12 @@ const TYPE_MAP = {
 // ---------------------------------------------------------------------------
 
 export class ASTSchemaParser {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.logger] — progress output (see logger.mjs); defaults to the console
+   */
+  constructor(opts = {}) {
+    this.logger = resolveLogger(opts.logger);
     this._project = new Project({
       useInMemoryFileSystem: true,
       compilerOptions: {
@@ -119,7 +125,7 @@ export class ASTSchemaParser {
    * @returns {Record<string, object>}
    */
   parseFile(content, filename) {
-    console.log(`  Parsing schema file (AST): ${filename}`);
+    this.logger.debug(`  Parsing schema file (AST): ${filename}`);
     const sf = this._tempFile(content, filename);
     const tables = {};
 
@@ -192,6 +198,11 @@ export class ASTSchemaParser {
         }
       }
 
+      this.logger.debug(
+        `    ${varName} → ${tableName}: ${Object.keys(columns).length} column(s), ${indexes.length} index(es), ` +
+        `${uniqueConstraints.length} unique, ${policies.length} polic${policies.length === 1 ? 'y' : 'ies'}`
+      );
+
       tables[varName] = {
         name: tableName,
         columns,
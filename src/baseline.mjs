@@ -0,0 +1,550 @@
+/**
+ * drizzle-migrations-liquibase — Baseline (mark migrations as applied)
+ *
+ * Records changesets in DATABASECHANGELOG without executing them — the
+ * guarded alternative to `liquibase changelogSync` for adopting the tool on a
+ * database whose schema already exists (e.g. after `convert`).
+ *
+ * Before any row is written, the tables, columns and indexes the selected
+ * changesets create are checked against the live database using
+ * SchemaDiffGenerator.getDatabaseSchema(). A changeset whose objects are
+ * missing blocks the baseline unless --force is given.
+ *
+ * Object verification relies on PostgreSQL introspection; other dialects
+ * must opt out with --skip-verify.
+ */
+
+import { hostname } from 'os';
+import { basename } from 'path';
+import { loadConfig, detectDialectFromUrl } from './config.mjs';
+import { loadChangesets, changesetStatements } from './changelog.mjs';
+import {
+  openDatabase,
+  ensureTrackingTables,
+  readAppliedChangesets,
+  insertChangelogRows,
+  acquireChangelogLock,
+  releaseChangelogLock,
+} from './database.mjs';
+import { ConfigError, CommandError } from './errors.mjs';
+import { resolveLogger } from './logger.mjs';
+import { guardWrite } from './runner.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+const IDENT = '(?:"[^"]+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+)';
+const QUALIFIED = `(${IDENT}(?:\\.${IDENT})?)`;
+
+/** Keywords that start a table-level constraint rather than a column definition. */
+const CONSTRAINT_KEYWORDS = /^(constraint|primary|unique|foreign|check|exclude|key|index|fulltext|spatial|like)\b/i;
+
+function unquote(identifier) {
+  return identifier.replace(/^["`[]|["`\]]$/g, '');
+}
+
+/** Split `schema.name` into { schema, name } (schema null when unqualified). */
+function splitQualified(qualified) {
+  const parts = qualified.match(new RegExp(IDENT, 'g')).map(unquote);
+  return parts.length > 1
+    ? { schema: parts[0], name: parts[1] }
+    : { schema: null, name: parts[0] };
+}
+
+/**
+ * Split on commas that are not nested inside parentheses or quotes.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Describe the schema operations a single SQL statement performs.
+ *
+ * Only the DDL drizzle-kit and the custom engine generate is recognised:
+ * CREATE/DROP/RENAME TABLE, ADD/DROP/RENAME COLUMN and CREATE/DROP INDEX.
+ * Anything else (data changes, policies, functions, ...) yields no
+ * operations and is simply not verified.
+ *
+ * @param {string} statement
+ * @returns {Array<{ op: 'create'|'drop'|'rename', kind: 'table'|'column'|'index',
+ *                   schema: string|null, table?: string, name: string, to?: string }>}
+ */
+export function extractSchemaOperations(statement) {
+  const sql = statement
+    .replace(/^\s*--.*$/gm, '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .trim()
+    .replace(/;$/, '');
+  let m;
+
+  // CREATE TABLE [IF NOT EXISTS] name ( ... )
+  m = sql.match(new RegExp(`^CREATE\\s+(?:(?:GLOBAL|LOCAL)\\s+)?(?:UNLOGGED\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED}\\s*\\(([\\s\\S]*)\\)`, 'i'));
+  if (m) {
+    const { schema, name } = splitQualified(m[1]);
+    const ops = [{ op: 'create', kind: 'table', schema, name }];
+    for (const def of splitTopLevel(m[2])) {
+      if (CONSTRAINT_KEYWORDS.test(def)) continue;
+      const col = def.match(new RegExp(`^(${IDENT})`));
+      if (col) ops.push({ op: 'create', kind: 'column', schema, table: name, name: unquote(col[1]) });
+    }
+    return ops;
+  }
+
+  // DROP TABLE [IF EXISTS] a, b [CASCADE]
+  m = sql.match(/^DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([\s\S]+?)(?:\s+(?:CASCADE|RESTRICT))?$/i);
+  if (m) {
+    return splitTopLevel(m[1]).map(q => ({ op: 'drop', kind: 'table', ...splitQualified(q) }));
+  }
+
+  // CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] name ON [ONLY] table
+  m = sql.match(new RegExp(`^CREATE\\s+(?:UNIQUE\\s+)?INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(${IDENT})\\s+ON\\s+(?:ONLY\\s+)?${QUALIFIED}`, 'i'));
+  if (m) {
+    const { schema, name: table } = splitQualified(m[2]);
+    return [{ op: 'create', kind: 'index', schema, table, name: unquote(m[1]) }];
+  }
+
+  // DROP INDEX [CONCURRENTLY] [IF EXISTS] name [ON table]
+  m = sql.match(new RegExp(`^DROP\\s+INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+EXISTS\\s+)?${QUALIFIED}`, 'i'));
+  if (m) {
+    const { schema, name } = splitQualified(m[1]);
+    return [{ op: 'drop', kind: 'index', schema, name }];
+  }
+
+  // ALTER TABLE [IF EXISTS] [ONLY] name <actions>
+  m = sql.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?${QUALIFIED}\\s+([\\s\\S]+)$`, 'i'));
+  if (m) {
+    const { schema, name: table } = splitQualified(m[1]);
+    const actions = m[2];
+
+    const renameTable = actions.match(new RegExp(`^RENAME\\s+TO\\s+(${IDENT})$`, 'i'));
+    if (renameTable) {
+      return [{ op: 'rename', kind: 'table', schema, name: table, to: unquote(renameTable[1]) }];
+    }
+
+    const renameColumn = actions.match(new RegExp(`^RENAME\\s+(?:COLUMN\\s+)?(${IDENT})\\s+TO\\s+(${IDENT})$`, 'i'));
+    if (renameColumn) {
+      return [{ op: 'rename', kind: 'column', schema, table, name: unquote(renameColumn[1]), to: unquote(renameColumn[2]) }];
+    }
+
+    const ops = [];
+    for (const action of splitTopLevel(actions)) {
+      const add = action.match(new RegExp(`^ADD\\s+(?:COLUMN\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(${IDENT})`, 'i'));
+      if (add && !CONSTRAINT_KEYWORDS.test(unquote(add[1]))) {
+        ops.push({ op: 'create', kind: 'column', schema, table, name: unquote(add[1]) });
+        continue;
+      }
+      const drop = action.match(new RegExp(`^DROP\\s+(?:COLUMN\\s+)?(?:IF\\s+EXISTS\\s+)?(${IDENT})`, 'i'));
+      if (drop && !CONSTRAINT_KEYWORDS.test(unquote(drop[1]))) {
+        ops.push({ op: 'drop', kind: 'column', schema, table, name: unquote(drop[1]) });
+      }
+    }
+    return ops;
+  }
+
+  return [];
+}
+
+/** Stable key for a tracked schema object. */
+function objectKey(obj) {
+  return obj.kind === 'column'
+    ? `column:${obj.schema ?? ''}.${obj.table}.${obj.name}`
+    : `${obj.kind}:${obj.schema ?? ''}.${obj.name}`;
+}
+
+/**
+ * Work out which objects each changeset is expected to have left in the
+ * database, replaying the statements in order so that objects dropped or
+ * renamed by a later changeset are attributed correctly.
+ *
+ * @param {Array<object>} changesets — parsed changesets (see changelog.mjs)
+ * @returns {Array<Array<object>>} expected objects, one array per changeset
+ */
+export function expectedObjects(changesets) {
+  const live = new Map(); // key → { obj, owner }
+
+  changesets.forEach((cs, owner) => {
+    for (const statement of changesetStatements(cs)) {
+      for (const op of extractSchemaOperations(statement)) {
+        if (op.op === 'create') {
+          const obj = { kind: op.kind, schema: op.schema, name: op.name };
+          if (op.table) obj.table = op.table;
+          live.set(objectKey(obj), { obj, owner });
+        } else if (op.op === 'drop') {
+          if (op.kind === 'index') {
+            // DROP INDEX doesn't name the table — match on index name alone
+            for (const [key, entry] of live) {
+              if (entry.obj.kind === 'index' && entry.obj.name === op.name) live.delete(key);
+            }
+          } else {
+            live.delete(objectKey(op));
+            if (op.kind === 'table') {
+              for (const [key, entry] of live) {
+                if (entry.obj.table === op.name && entry.obj.schema === op.schema) live.delete(key);
+              }
+            }
+          }
+        } else if (op.op === 'rename') {
+          for (const [key, entry] of [...live]) {
+            const o = entry.obj;
+            if (o.schema !== op.schema) continue;
+            let renamed = null;
+            if (op.kind === 'table' && o.kind === 'table' && o.name === op.name) {
+              renamed = { ...o, name: op.to };
+            } else if (op.kind === 'table' && o.table === op.name) {
+              renamed = { ...o, table: op.to };
+            } else if (op.kind === 'column' && o.kind === 'column' && o.table === op.table && o.name === op.name) {
+              renamed = { ...o, name: op.to };
+            }
+            if (renamed) {
+              live.delete(key);
+              live.set(objectKey(renamed), { obj: renamed, owner: entry.owner });
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const perChangeset = changesets.map(() => []);
+  for (const { obj, owner } of live.values()) perChangeset[owner].push(obj);
+  return perChangeset;
+}
+
+/**
+ * Check objects against an introspected table map
+ * (the shape returned by SchemaDiffGenerator.getDatabaseSchema).
+ *
+ * Introspection covers the public schema only — objects in other schemas are
+ * returned as `unchecked` rather than `missing`.
+ *
+ * @returns {{ missing: Array<object>, unchecked: Array<object> }}
+ */
+export function verifyObjects(objects, tableMap) {
+  const missing = [];
+  const unchecked = [];
+
+  for (const obj of objects) {
+    if (obj.schema && obj.schema !== 'public') {
+      unchecked.push(obj);
+      continue;
+    }
+    let found;
+    if (obj.kind === 'table') {
+      found = Boolean(tableMap[obj.name]);
+    } else if (obj.kind === 'column') {
+      found = Boolean(tableMap[obj.table]?.columns?.[obj.name]);
+    } else {
+      found = Object.values(tableMap).some(t => (t.indexes || []).some(i => i.name === obj.name));
+    }
+    if (!found) missing.push(obj);
+  }
+
+  return { missing, unchecked };
+}
+
+/** Human-readable object label for reports. */
+export function describeObject(obj) {
+  const prefix = obj.schema ? `${obj.schema}.` : '';
+  return obj.kind === 'column'
+    ? `column ${prefix}${obj.table}.${obj.name}`
+    : `${obj.kind} ${prefix}${obj.name}`;
+}
+
+/**
+ * Select changesets up to and including `to`.
+ *
+ * `to` may be a migration filename (with or without directory), a changeset
+ * id, or `author:id`. With no `to`, every changeset is selected.
+ */
+export function selectChangesets(changesets, to = null) {
+  if (!to) return changesets;
+
+  let matches;
+  if (to.endsWith('.sql') || to.includes('/')) {
+    const wanted = basename(to);
+    matches = changesets
+      .map((cs, i) => (basename(cs.file) === wanted ? i : -1))
+      .filter(i => i !== -1);
+    if (matches.length) return changesets.slice(0, matches[matches.length - 1] + 1);
+    throw new ConfigError(`No migration file named "${wanted}" in the master changelog`);
+  }
+
+  const sep = to.lastIndexOf(':');
+  matches = changesets
+    .map((cs, i) => {
+      const hit = sep > 0
+        ? cs.author === to.slice(0, sep) && cs.id === to.slice(sep + 1)
+        : cs.id === to;
+      return hit ? i : -1;
+    })
+    .filter(i => i !== -1);
+
+  if (!matches.length) {
+    throw new ConfigError(`No changeset "${to}" in the master changelog`);
+  }
+  if (matches.length > 1) {
+    const files = matches.map(i => changesets[i].file).join(', ');
+    throw new ConfigError(
+      `Changeset id "${to}" is ambiguous (found in ${files}).\n` +
+      'Pass author:id or the migration filename instead.'
+    );
+  }
+  return changesets.slice(0, matches[0] + 1);
+}
+
+/**
+ * Build the per-changeset baseline plan.
+ *
+ * @param {Array<object>} changesets — selected changesets, in changelog order
+ * @param {Array<object>} applied    — rows from DATABASECHANGELOG
+ * @param {object|null}   tableMap   — introspected schema, or null to skip verification
+ * @returns {Array<{ changeset, status: 'applied'|'ok'|'missing'|'unverified',
+ *                   objects, missing, unchecked }>}
+ */
+export function planBaseline(changesets, applied, tableMap) {
+  const appliedKeys = new Set(applied.map(r => `${r.id}::${r.author}::${r.filename}`));
+  const expected = expectedObjects(changesets);
+
+  return changesets.map((changeset, i) => {
+    const objects = expected[i];
+    if (appliedKeys.has(`${changeset.id}::${changeset.author}::${changeset.file}`)) {
+      return { changeset, status: 'applied', objects, missing: [], unchecked: [] };
+    }
+    if (!tableMap) {
+      return { changeset, status: 'unverified', objects, missing: [], unchecked: objects };
+    }
+    const { missing, unchecked } = verifyObjects(objects, tableMap);
+    return { changeset, status: missing.length ? 'missing' : 'ok', objects, missing, unchecked };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationBaseline {
+  /**
+   * @param {object} opts
+   * @param {string}  [opts.to]                 — last file / changeset id / author:id to mark (default: all)
+   * @param {boolean} [opts.dryRun=false]       — print the report without writing rows
+   * @param {boolean} [opts.force=false]        — write rows even when objects are missing
+   * @param {boolean} [opts.skipVerify=false]   — don't introspect the database
+   * @param {object}  [opts.config]             — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]        — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]             — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]            — dialect override (postgresql|mysql|sqlite|singlestore)
+   * @param {boolean} [opts.yes=false]          — skip the requireConfirm prompt
+   * @param {Function} [opts.confirm]           — replaces the requireConfirm prompt (see runLiquibase)
+   */
+  constructor(opts = {}) {
+    this.to = opts.to ?? null;
+    this.dryRun = opts.dryRun ?? false;
+    this.force = opts.force ?? false;
+    this.skipVerify = opts.skipVerify ?? false;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+    this.yes = opts.yes ?? false;
+    this.confirm = opts.confirm ?? null;
+
+    this.config = null;
+    this.dialect = null;
+    this.databaseUrl = null;
+    this.db = null;
+    this.lockedBy = `${hostname()} (drizzle-liquibase baseline, pid ${process.pid})`;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+    this.databaseUrl = this.config.databaseUrl;
+
+    if (!this.databaseUrl) {
+      throw new ConfigError(
+        'DATABASE_URL is not configured. Set it in drizzle-liquibase.config.mjs, ' +
+        '.env, or as an environment variable.'
+      );
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new ConfigError(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    if (!this.skipVerify && this.dialect !== 'postgresql') {
+      throw new ConfigError(
+        `Object verification uses PostgreSQL introspection and is not available for ${this.dialect}.\n` +
+        'Re-run with --skip-verify once you have confirmed the schema matches the migrations.'
+      );
+    }
+
+    // Writing the rows is what changelogSync does — readOnly / requireConfirm apply
+    if (!this.dryRun) {
+      await guardWrite(this.config, 'changelogSync', { yes: this.yes, confirm: this.confirm });
+    }
+  }
+
+  /** Open the database connection (overridable in tests). */
+  async connect() {
+    return openDatabase(this.databaseUrl, {
+      dialect: this.dialect,
+      projectRoot: this._projectRoot,
+      logger: this.logger,
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Introspection
+  // ------------------------------------------------------------------
+
+  /**
+   * Introspect the live schema through SchemaDiffGenerator, reusing our
+   * open connection. Imported lazily — generate.mjs loads pg eagerly.
+   */
+  async introspect() {
+    const { SchemaDiffGenerator } = await import('./generate.mjs');
+    const generator = new SchemaDiffGenerator({ config: this.config, projectRoot: this._projectRoot, logger: this.logger });
+    generator.config = this.config;
+    generator.sqlClient = this.db.client;
+    return generator.getDatabaseSchema();
+  }
+
+  // ------------------------------------------------------------------
+  // Reporting
+  // ------------------------------------------------------------------
+
+  printReport(plan) {
+    const icons = { applied: '⏭️ ', ok: '✅', missing: '❌', unverified: '⚠️ ' };
+
+    for (const entry of plan) {
+      const { changeset: cs, status, objects, missing, unchecked } = entry;
+      let detail;
+      if (status === 'applied') {
+        detail = 'already in DATABASECHANGELOG';
+      } else if (status === 'unverified') {
+        detail = 'not verified';
+      } else if (status === 'missing') {
+        detail = `${missing.length} of ${objects.length} object(s) missing`;
+      } else {
+        detail = objects.length
+          ? `${objects.length - unchecked.length} object(s) verified`
+          : 'nothing to verify';
+      }
+      this.logger.info(`   ${icons[status]} ${cs.file}  ${cs.author}:${cs.id} — ${detail}`);
+      for (const obj of missing) this.logger.info(`        missing: ${describeObject(obj)}`);
+      if (status !== 'unverified') {
+        for (const obj of unchecked) this.logger.info(`        not checked: ${describeObject(obj)}`);
+      }
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  async run() {
+    this.logger.info('📌 Marking migrations as applied...');
+
+    try {
+      await this.init();
+
+      const changesets = selectChangesets(loadChangesets(this.config.masterChangelog), this.to);
+      this.logger.info(`   Changelog: ${this.config.masterChangelog}`);
+      this.logger.info(`   Selected ${changesets.length} changeset(s)${this.to ? ` up to ${this.to}` : ''}\n`);
+
+      this.db = await this.connect();
+
+      const applied = await readAppliedChangesets(this.db);
+      const tableMap = this.skipVerify ? null : await this.introspect();
+      const plan = planBaseline(changesets, applied, tableMap);
+
+      this.printReport(plan);
+
+      const blocked = plan.filter(e => e.status === 'missing');
+      const pending = plan.filter(e => e.status !== 'applied' && (this.force || e.status !== 'missing'));
+
+      if (blocked.length && !this.force) {
+        throw new CommandError(
+          `${blocked.length} changeset(s) create objects that don't exist in the database.\n` +
+          'Apply them with update instead, or re-run with --force to mark them anyway.',
+          { command: 'changelogSync' }
+        );
+      }
+
+      if (this.dryRun) {
+        this.logger.info(`\n🔍 Dry run — ${pending.length} changeset(s) would be marked as applied`);
+        return plan;
+      }
+
+      if (!pending.length) {
+        this.logger.info('\n✅ Nothing to do — all selected changesets are already applied');
+        return plan;
+      }
+
+      // Hold the change log lock like an update does, so a concurrent run
+      // can't number its rows with the same ORDEREXECUTED
+      await ensureTrackingTables(this.db);
+      await acquireChangelogLock(this.db, this.lockedBy);
+      let written;
+      try {
+        // Skip anything another run applied since the plan was made
+        const nowApplied = new Set((await readAppliedChangesets(this.db)).map(r => `${r.id}::${r.author}::${r.filename}`));
+        written = await insertChangelogRows(this.db, pending
+          .map(e => ({ id: e.changeset.id, author: e.changeset.author, filename: e.changeset.file }))
+          .filter(cs => !nowApplied.has(`${cs.id}::${cs.author}::${cs.filename}`)));
+      } finally {
+        await releaseChangelogLock(this.db);
+      }
+
+      this.logger.info(`\n✅ Marked ${written} changeset(s) as applied in DATABASECHANGELOG`);
+      return plan;
+    } catch (error) {
+      this.logger.error('❌ Error marking migrations as applied:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    } finally {
+      if (this.db) {
+        try {
+          await this.db.close();
+        } catch (error) {
+          this.logger.warn('Warning: Error closing database connection:', error.message);
+        }
+        this.db = null;
+      }
+    }
+  }
+}
+
+export default MigrationBaseline;
@@ -0,0 +1,232 @@
+/**
+ * drizzle-migrations-liquibase — Changelog reader
+ *
+ * Parses the master changelog XML and the Liquibase formatted SQL files it
+ * includes into plain changeset objects. No database access — commands that
+ * need to compare against DATABASECHANGELOG combine this with database.mjs.
+ *
+ * Only the subset of the formatted SQL syntax this tool generates (and that
+ * the conversion guides describe) is understood:
+ *   --liquibase formatted sql
+ *   --changeset author:id attr:value ...
+ *   --rollback ...
+ *   --preconditions ... / --precondition-...
+ *   --comment: ...
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+// ---------------------------------------------------------------------------
+// Master changelog
+// ---------------------------------------------------------------------------
+
+/**
+ * Return the files included by the master changelog, in include order.
+ * XML comments are ignored so commented-out includes don't count.
+ *
+ * @param {string} changelogPath — absolute path to master-changelog.xml
+ * @returns {Array<{ file: string, path: string }>}
+ *   file — the path as written in the include (what Liquibase records as FILENAME)
+ *   path — absolute path on disk
+ */
+export function readChangelogIncludes(changelogPath) {
+  if (!existsSync(changelogPath)) {
+    throw new Error(`Master changelog not found: ${changelogPath}`);
+  }
+
+  const xml = readFileSync(changelogPath, 'utf-8').replace(/<!--[\s\S]*?-->/g, '');
+  const baseDir = dirname(changelogPath);
+  const includes = [];
+
+  for (const match of xml.matchAll(/<include\s+[^>]*?file="([^"]+)"[^>]*\/>/g)) {
+    includes.push({ file: match[1], path: resolve(baseDir, match[1]) });
+  }
+
+  return includes;
+}
+
+// ---------------------------------------------------------------------------
+// Formatted SQL
+// ---------------------------------------------------------------------------
+
+// Same author:id grammar Liquibase uses — authors may contain spaces.
+const CHANGESET_RE = /^--\s*changeset\s+("[^"]+"|[^:]+):\s*("[^"]+"|\S+)(.*)$/i;
+const ROLLBACK_RE = /^--\s*rollback\s?(.*)$/i;
+const PRECONDITION_RE = /^--\s*precondition(?:s|-[\w-]+)\b/i;
+const COMMENT_RE = /^--\s*comment:\s?(.*)$/i;
+
+/**
+ * Parse `key:value key:value` changeset attributes. Values may contain
+ * spaces (e.g. `endDelimiter:--> statement-breakpoint`) — a value runs until
+ * the next `word:` token.
+ */
+export function parseChangesetAttributes(text) {
+  const attributes = {};
+  const re = /(\w+):(.*?)(?=\s+\w+:|\s*$)/g;
+  for (const match of text.trim().matchAll(re)) {
+    attributes[match[1]] = match[2].trim();
+  }
+  return attributes;
+}
+
+/**
+ * Parse a Liquibase formatted SQL file into changesets.
+ *
+ * @param {string} content — file content
+ * @param {string} [file]  — changelog-relative filename recorded on each changeset
+ * @returns {{ formatted: boolean, changesets: Array<object> }}
+ *   Each changeset: { author, id, attributes, body, rollback, preconditions,
+ *                     comment, file, line }
+ */
+export function parseFormattedSql(content, file = null) {
+  const lines = content.split(/\r?\n/);
+  const formatted = /^--\s*liquibase formatted sql/i.test((lines[0] || '').trim());
+  const changesets = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    const header = line.match(CHANGESET_RE);
+    if (header) {
+      current = {
+        author: header[1].replace(/^"|"$/g, '').trim(),
+        id: header[2].replace(/^"|"$/g, ''),
+        attributes: parseChangesetAttributes(header[3]),
+        body: [],
+        rollback: [],
+        preconditions: [],
+        comment: null,
+        file,
+        line: i + 1,
+      };
+      changesets.push(current);
+      return;
+    }
+    if (!current) return;
+
+    const rollback = line.match(ROLLBACK_RE);
+    const comment = line.match(COMMENT_RE);
+    if (rollback) {
+      current.rollback.push(rollback[1]);
+    } else if (PRECONDITION_RE.test(line)) {
+      current.preconditions.push(line.trim());
+    } else if (comment) {
+      current.comment = comment[1];
+    } else {
+      current.body.push(line);
+    }
+  });
+
+  for (const cs of changesets) {
+    cs.body = cs.body.join('\n').trim();
+    cs.rollback = cs.rollback.join('\n').trim();
+  }
+
+  return { formatted, changesets };
+}
+
+/**
+ * Load every changeset reachable from the master changelog, in execution order.
+ *
+ * @param {string} changelogPath — absolute path to master-changelog.xml
+ * @returns {Array<object>} changesets (see parseFormattedSql) with `path` set
+ */
+export function loadChangesets(changelogPath) {
+  const all = [];
+  for (const include of readChangelogIncludes(changelogPath)) {
+    if (!include.file.endsWith('.sql')) continue;
+    if (!existsSync(include.path)) {
+      throw new Error(`Included migration file not found: ${include.path}`);
+    }
+    const { changesets } = parseFormattedSql(readFileSync(include.path, 'utf-8'), include.file);
+    for (const cs of changesets) {
+      all.push({ ...cs, path: include.path });
+    }
+  }
+  return all;
+}
+
+// ---------------------------------------------------------------------------
+// Statement splitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns true if a SQL chunk contains nothing but comments and whitespace.
+ */
+export function isCommentOnly(sql) {
+  return sql
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*--.*$/gm, '')
+    .trim().length === 0;
+}
+
+/**
+ * Split SQL into statements.
+ *
+ * With an `endDelimiter` (e.g. '--> statement-breakpoint') the text is split
+ * on that delimiter. Otherwise it is split on `;`, ignoring semicolons inside
+ * quoted strings and `$$ ... $$` blocks. Empty and comment-only chunks are
+ * dropped.
+ *
+ * @param {string} sql
+ * @param {string|null} [endDelimiter]
+ * @returns {string[]}
+ */
+export function splitSqlStatements(sql, endDelimiter = null) {
+  let chunks;
+  if (endDelimiter) {
+    const pattern = endDelimiter
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s*');
+    chunks = sql.split(new RegExp(pattern));
+  } else {
+    chunks = [];
+    let current = '';
+    let inDollar = false;
+    let inQuote = false;
+    for (let i = 0; i < sql.length; i++) {
+      const ch = sql[i];
+      // Line comments may contain quotes or semicolons — copy them verbatim
+      if (!inQuote && !inDollar && ch === '-' && sql[i + 1] === '-') {
+        const eol = sql.indexOf('\n', i);
+        const end = eol === -1 ? sql.length : eol;
+        current += sql.slice(i, end);
+        i = end - 1;
+        continue;
+      }
+      if (!inQuote && ch === '$' && sql[i + 1] === '$') {
+        inDollar = !inDollar;
+        current += '$$';
+        i++;
+        continue;
+      }
+      if (!inDollar && ch === "'") inQuote = !inQuote;
+      current += ch;
+      if (ch === ';' && !inDollar && !inQuote) {
+        chunks.push(current);
+        current = '';
+      }
+    }
+    chunks.push(current);
+  }
+
+  return chunks
+    .map(s => s.trim())
+    .filter(s => s.length > 0 && !isCommentOnly(s));
+}
+
+/**
+ * Split a parsed changeset's body into statements, honouring its
+ * splitStatements / endDelimiter attributes.
+ */
+export function changesetStatements(changeset) {
+  const { splitStatements, endDelimiter } = changeset.attributes;
+  if (endDelimiter) return splitSqlStatements(changeset.body, endDelimiter);
+  if (splitStatements === 'false') {
+    return isCommentOnly(changeset.body) ? [] : [changeset.body];
+  }
+  return splitSqlStatements(changeset.body);
+}
+
+export default { readChangelogIncludes, parseFormattedSql, loadChangesets, splitSqlStatements, changesetStatements };
@@ -0,0 +1,278 @@
+/**
+ * drizzle-migrations-liquibase — Drift check
+ *
+ * Runs the same comparison as `generate` but never writes a migration or
+ * touches the changelog. Intended for CI:
+ *
+ *   0 — schema and database are in sync
+ *   2 — drift found (a migration is missing or hasn't been applied)
+ *   1 — the check itself failed (config, connection, schema errors)
+ *
+ * Both diff engines are supported: the custom engine's compareSchemas()
+ * (PostgreSQL) and the drizzle-kit engine's pushSchema path (all dialects).
+ */
+
+import { loadConfig } from './config.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Exit codes
+// ---------------------------------------------------------------------------
+
+export const CHECK_EXIT_CODES = {
+  NO_DRIFT: 0,
+  ERROR: 1,
+  DRIFT: 2,
+};
+
+// ---------------------------------------------------------------------------
+// Drift summaries
+// ---------------------------------------------------------------------------
+
+/**
+ * Group drift items by table, preserving first-seen order.
+ *
+ * @param {Array<{ table: string, item: string }>} entries
+ * @returns {Array<{ table: string, items: string[] }>}
+ */
+function groupByTable(entries) {
+  const tables = new Map();
+  for (const { table, item } of entries) {
+    if (!tables.has(table)) tables.set(table, []);
+    tables.get(table).push(item);
+  }
+  return [...tables].map(([table, items]) => ({ table, items }));
+}
+
+/**
+ * Per-table drift summary for the custom engine's change set
+ * (the object returned by SchemaDiffGenerator.compareSchemas).
+ *
+ * Items are prefixed `+` (missing from the database), `-` (only in the
+ * database) or `~` (differs).
+ */
+export function summariseChanges(changes) {
+  const entries = [];
+  const add = (table, item) => entries.push({ table, item });
+
+  changes.tablesToCreate.forEach(t => add(t.name, '+ table'));
+  changes.tablesToDrop.forEach(t => add(t.name, '- table'));
+  changes.columnsToAdd.forEach(c => add(c.table, `+ column ${c.column}`));
+  changes.columnsToDrop.forEach(c => add(c.table, `- column ${c.column}`));
+  changes.columnsToModify.forEach(c => add(c.table, `~ column ${c.column} (${c.kind})`));
+  changes.indexesToAdd.forEach(i => add(i.table, `+ index ${i.index.name}`));
+  changes.indexesToDrop.forEach(i => add(i.table, `- index ${i.index.name}`));
+  changes.uniqueToAdd.forEach(u => add(u.table, `+ unique ${u.unique.name}`));
+  changes.uniqueToDrop.forEach(u => add(u.table, `- unique ${u.unique.name}`));
+  changes.foreignKeysToAdd.forEach(f => add(f.table, `+ foreign key ${f.column} → ${f.references.table}.${f.references.column}`));
+  changes.foreignKeysToDrop.forEach(f => add(f.table, `- foreign key ${f.constraintName || f.column}`));
+  changes.policiesToAdd.forEach(p => add(p.table, `+ policy ${p.policy.name}`));
+  changes.policiesToDrop.forEach(p => add(p.table, `- policy ${p.policy.name}`));
+  changes.policiesToModify.forEach(p => add(p.table, `~ policy ${p.policy.name}`));
+
+  return groupByTable(entries);
+}
+
+const NAME = '["`]?([\\w$]+)["`]?';
+const QUALIFIED_NAME = `(?:["\`]?[\\w$]+["\`]?\\.)?${NAME}`;
+
+/**
+ * Describe one drizzle-kit SQL statement as a { table, item } drift entry.
+ * Statements that don't belong to a table are grouped under "(types)",
+ * "(indexes)" or "(other)".
+ */
+export function describeStatement(sql) {
+  const s = sql.trim().replace(/;$/, '');
+  let m;
+
+  if ((m = s.match(new RegExp(`^CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i')))) {
+    return { table: m[1], item: '+ table' };
+  }
+  if ((m = s.match(new RegExp(`^DROP\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i')))) {
+    return { table: m[1], item: '- table' };
+  }
+  if ((m = s.match(new RegExp(`^CREATE\\s+(?:UNIQUE\\s+)?INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?${NAME}\\s+ON\\s+(?:ONLY\\s+)?${QUALIFIED_NAME}`, 'i')))) {
+    return { table: m[2], item: `+ index ${m[1]}` };
+  }
+  if ((m = s.match(new RegExp(`^DROP\\s+INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+EXISTS\\s+)?${QUALIFIED_NAME}(?:\\s+ON\\s+${QUALIFIED_NAME})?`, 'i')))) {
+    return { table: m[2] ?? '(indexes)', item: `- index ${m[1]}` };
+  }
+  if ((m = s.match(new RegExp(`^(CREATE|DROP|ALTER)\\s+POLICY\\s+(?:IF\\s+EXISTS\\s+)?${NAME}\\s+ON\\s+${QUALIFIED_NAME}`, 'i')))) {
+    const sign = { CREATE: '+', DROP: '-', ALTER: '~' }[m[1].toUpperCase()];
+    return { table: m[3], item: `${sign} policy ${m[2]}` };
+  }
+  if ((m = s.match(new RegExp(`^(CREATE|DROP|ALTER)\\s+TYPE\\s+(?:IF\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i')))) {
+    const sign = { CREATE: '+', DROP: '-', ALTER: '~' }[m[1].toUpperCase()];
+    return { table: '(types)', item: `${sign} type ${m[2]}` };
+  }
+
+  if ((m = s.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?${QUALIFIED_NAME}\\s+([\\s\\S]+)$`, 'i')))) {
+    const table = m[1];
+    const action = m[2];
+    let a;
+    if ((a = action.match(new RegExp(`^RENAME\\s+TO\\s+${NAME}`, 'i')))) {
+      return { table, item: `~ table renamed to ${a[1]}` };
+    }
+    if ((a = action.match(new RegExp(`^RENAME\\s+COLUMN\\s+${NAME}\\s+TO\\s+${NAME}`, 'i')))) {
+      return { table, item: `~ column ${a[1]} renamed to ${a[2]}` };
+    }
+    if ((a = action.match(new RegExp(`^ADD\\s+CONSTRAINT\\s+${NAME}\\s+(FOREIGN\\s+KEY|UNIQUE|PRIMARY\\s+KEY|CHECK)`, 'i')))) {
+      return { table, item: `+ ${a[2].toLowerCase().replace(/\s+/, ' ')} ${a[1]}` };
+    }
+    if ((a = action.match(new RegExp(`^DROP\\s+(?:CONSTRAINT|FOREIGN\\s+KEY)\\s+(?:IF\\s+EXISTS\\s+)?${NAME}`, 'i')))) {
+      return { table, item: `- constraint ${a[1]}` };
+    }
+    if ((a = action.match(new RegExp(`^ADD\\s+(?:COLUMN\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?${NAME}`, 'i')))) {
+      return { table, item: `+ column ${a[1]}` };
+    }
+    if ((a = action.match(new RegExp(`^DROP\\s+(?:COLUMN\\s+)?(?:IF\\s+EXISTS\\s+)?${NAME}`, 'i')))) {
+      return { table, item: `- column ${a[1]}` };
+    }
+    if ((a = action.match(new RegExp(`^(?:ALTER|MODIFY|CHANGE)\\s+(?:COLUMN\\s+)?${NAME}`, 'i')))) {
+      return { table, item: `~ column ${a[1]}` };
+    }
+    return { table, item: `~ ${action.split(/\s+/).slice(0, 3).join(' ')}` };
+  }
+
+  const preview = s.replace(/\s+/g, ' ');
+  return { table: '(other)', item: `~ ${preview.length > 60 ? preview.slice(0, 60) + '...' : preview}` };
+}
+
+/**
+ * Per-table drift summary for drizzle-kit SQL statements.
+ */
+export function summariseStatements(sqlStatements) {
+  return groupByTable(sqlStatements.map(describeStatement));
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class SchemaDriftCheck {
+  /**
+   * @param {object} opts
+   * @param {string}   [opts.engine]        — 'custom' or 'drizzle-kit' (default: config.engine or 'custom')
+   * @param {string}   [opts.dialect]       — dialect override (drizzle-kit engine)
+   * @param {string[]} [opts.excludeTables] — extra tables to exclude (drizzle-kit engine)
+   * @param {string[]} [opts.schemas]       — schemas to include (drizzle-kit engine)
+   * @param {string}   [opts.renamesFile]   — JSON renames file (drizzle-kit engine)
+   * @param {object}   [opts.config]        — pre-loaded config (skips loadConfig)
+   * @param {string}   [opts.projectRoot]   — project root (for loadConfig fallback)
+   * @param {object}   [opts.logger]        — progress output (see logger.mjs); defaults to the console
+   */
+  constructor(opts = {}) {
+    this._cliEngine = opts.engine ?? null;
+    this._cliDialect = opts.dialect ?? null;
+    this._cliExcludeTables = opts.excludeTables ?? [];
+    this._cliSchemas = opts.schemas ?? [];
+    this._cliRenamesFile = opts.renamesFile ?? null;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+
+    this.config = null;
+    this.engine = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    // Resolve engine: CLI flag > config file > default ('custom')
+    this.engine = this._cliEngine ?? this.config.engine ?? 'custom';
+    if (!['custom', 'drizzle-kit'].includes(this.engine)) {
+      throw new Error(`Invalid engine "${this.engine}". Must be 'custom' or 'drizzle-kit'`);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Comparison
+  // ------------------------------------------------------------------
+
+  /**
+   * Run the engine's comparison without writing anything.
+   *
+   * @returns {Promise<{ drift: boolean, engine: string, statements: string[],
+   *                     tables: Array<{ table: string, items: string[] }> }>}
+   */
+  async check() {
+    if (this.engine === 'drizzle-kit') {
+      const { DrizzleKitEngine } = await import('./drizzle-kit-engine.mjs');
+      const generator = new DrizzleKitEngine({
+        config: this.config,
+        projectRoot: this._projectRoot,
+        excludeTables: this._cliExcludeTables,
+        schemas: this._cliSchemas,
+        dialect: this._cliDialect,
+        renamesFile: this._cliRenamesFile,
+        logger: this.logger,
+      });
+      await generator.init();
+      const { sqlStatements } = await generator.computeDiff();
+      return {
+        drift: sqlStatements.length > 0,
+        engine: this.engine,
+        statements: sqlStatements,
+        tables: summariseStatements(sqlStatements),
+      };
+    }
+
+    const { SchemaDiffGenerator } = await import('./generate.mjs');
+    const generator = new SchemaDiffGenerator({ config: this.config, projectRoot: this._projectRoot, logger: this.logger });
+    try {
+      await generator.init();
+      await generator.initDb();
+      const { changes, statements } = await generator.computeDiff();
+      return {
+        drift: statements.length > 0,
+        engine: this.engine,
+        statements,
+        tables: summariseChanges(changes),
+      };
+    } finally {
+      await generator.cleanup();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<number>} exit code — CHECK_EXIT_CODES.NO_DRIFT or .DRIFT
+   */
+  async run() {
+    this.logger.info('🔎 Checking for schema drift...');
+
+    try {
+      await this.init();
+      this.logger.info(`   Engine: ${this.engine}`);
+
+      const result = await this.check();
+
+      if (!result.drift) {
+        this.logger.info('\n✅ No drift — Drizzle schema and database are in sync');
+        return CHECK_EXIT_CODES.NO_DRIFT;
+      }
+
+      const itemCount = result.tables.reduce((n, t) => n + t.items.length, 0);
+      console.log(`\n❌ Drift detected: ${itemCount} difference(s) across ${result.tables.length} table(s)`);
+      for (const { table, items } of result.tables) {
+        console.log(`   ${table}`);
+        for (const item of items) console.log(`     ${item}`);
+      }
+      console.log('\n   Run `drizzle-liquibase generate` to create a migration, or `update` to apply pending ones.');
+      return CHECK_EXIT_CODES.DRIFT;
+    } catch (error) {
+      this.logger.error('❌ Error checking for drift:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(CHECK_EXIT_CODES.ERROR);
+    }
+  }
+}
+
+export default SchemaDriftCheck;
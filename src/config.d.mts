@@ -0,0 +1,257 @@
+/**
+ * drizzle-migrations-liquibase — Configuration types
+ *
+ * Typings for config.mjs. Use them through defineConfig() in
+ * drizzle-liquibase.config.ts, or with a JSDoc `@type` import of
+ * DrizzleLiquibaseConfig in a .mjs config.
+ */
+
+import type { Logger } from './index.mjs';
+
+export type Dialect = 'postgresql' | 'mysql' | 'sqlite' | 'singlestore';
+
+export type Engine = 'custom' | 'drizzle-kit';
+
+export type LiquibaseMode = 'node' | 'cli' | 'docker' | 'native';
+
+/** Noise-reduction toggles for the custom engine's schema diff. */
+export interface DiffOptions {
+  /** Include RLS policies in the diff. Default: true */
+  includePolicies?: boolean;
+  /** Detect and generate ALTER for modified policies. Default: false */
+  modifyPolicies?: boolean;
+  /** Drop policies that exist in the database but not in the schema. Default: false */
+  dropOrphanPolicies?: boolean;
+  /** Drop indexes that exist in the database but not in the schema. Default: false */
+  dropOrphanIndexes?: boolean;
+  /** Drop unique constraints that exist in the database but not in the schema. Default: false */
+  dropOrphanUniques?: boolean;
+}
+
+export type LintRule =
+  | 'not-formatted'
+  | 'missing-rollback'
+  | 'manual-rollback'
+  | 'missing-end-delimiter'
+  | 'unexpected-delimiter'
+  | 'destructive-statement'
+  | 'do-block-rollback';
+
+export type LintSeverity = 'error' | 'warning' | 'off';
+
+export interface LintOptions {
+  /** Per-rule severity overrides for `drizzle-liquibase lint`. */
+  rules?: Partial<Record<LintRule, LintSeverity>>;
+}
+
+/**
+ * drizzle-kit rename answers: `{ 'users.full_name': 'users.display_name' }`,
+ * or `['users.full_name -> users.display_name']`. `null` / `-> null` marks a drop.
+ */
+export type Renames =
+  | Record<string, string | null>
+  | Array<string | { from: string; to: string | null }>;
+
+/** Passed to every plugin hook. */
+export interface PluginContext {
+  config: ResolvedConfig;
+  logger: Logger;
+}
+
+/** Passed to the generation hooks. */
+export interface GenerationContext extends PluginContext {
+  engine: Engine;
+  dialect: Dialect;
+}
+
+/** One statement / rollback pair. */
+export interface StatementPair {
+  sql: string;
+  rollback: string;
+}
+
+/**
+ * A config plugin: a name plus any of the hooks. Hooks run in `plugins`
+ * order and may be async; one that throws stops the command with a PluginError.
+ */
+export interface Plugin {
+  name: string;
+  /** Before the database side of a diff is read (not when diffing against a snapshot). */
+  beforeIntrospect?(context: GenerationContext): void | Promise<void>;
+  /**
+   * Once the diff is known. Mutate `changes` (custom engine) or
+   * `sqlStatements` (drizzle-kit engine); either may also be replaced.
+   */
+  afterDiff?(context: GenerationContext & {
+    changes: Record<string, unknown[]> | null;
+    sqlStatements?: string[];
+  }): void | Promise<void>;
+  /**
+   * For each statement and its rollback. Return nothing to keep the pair,
+   * a partial pair or a SQL string to replace it, a list of pairs to expand
+   * it, or null to drop it.
+   */
+  transformStatement?(context: GenerationContext & StatementPair & { index: number }):
+    | void | null | false | string | Partial<StatementPair> | StatementPair[]
+    | Promise<void | null | false | string | Partial<StatementPair> | StatementPair[]>;
+  /**
+   * Before a migration is written. Set `filename` or `content`; the filename
+   * is ignored when writing to `--output`.
+   */
+  beforeWrite?(context: GenerationContext & {
+    filename: string;
+    content: string;
+    statements: string[];
+    rollbackStatements: string[];
+    output: string | null;
+  }): void | Promise<void>;
+  /** Before runLiquibase() runs a command that passed readOnly / requireConfirm. `args` may be edited. */
+  beforeRun?(context: PluginContext & { command: string; args: string[]; mode: LiquibaseMode }): void | Promise<void>;
+  /** After the command, whether it succeeded (`result`) or failed (`error`, rethrown afterwards). */
+  afterRun?(context: PluginContext & {
+    command: string;
+    args: string[];
+    mode: LiquibaseMode;
+    result: unknown;
+    error: Error | null;
+  }): void | Promise<void>;
+}
+
+/** The default export of drizzle-liquibase.config.{mjs,js,cjs,ts,mts}. */
+export interface DrizzleLiquibaseConfig {
+  /** Directory of the Drizzle schema files, relative to the project root. Required by most commands. */
+  schemaDir?: string | null;
+  /** Schema index file inside schemaDir that re-exports every schema file. Default: 'index.ts' */
+  schemaIndexFile?: string;
+  /** Database dialect. Default: detected from databaseUrl */
+  dialect?: Dialect | null;
+  /** Diff engine. Default: 'custom' */
+  engine?: Engine;
+  /** Where migration SQL files are written. Default: './liquibase/migrations' */
+  migrationsDir?: string;
+  /** The Liquibase master changelog. Default: './liquibase/master-changelog.xml' */
+  masterChangelog?: string;
+  /** Connection URL. Default: MIGRATION_DATABASE_URL, then DATABASE_URL */
+  databaseUrl?: string | null;
+  /** Migration filename timestamp. Tokens: YYYY MM DD HH mm ss SSS. Default: 'YYYYMMDDHHmmss' */
+  timestampFormat?: string;
+  /** How Liquibase commands run. Default: 'node' */
+  liquibaseMode?: LiquibaseMode;
+  /** Changeset author. Default: git user.email, then git user.name, then $USER */
+  author?: string | null;
+  /** drizzle-kit engine: extra tables to leave out of generated migrations. */
+  excludeTables?: string[];
+  /** drizzle-kit engine: database schemas to introspect. Default: ['public'] */
+  schemas?: string[];
+  /** drizzle-kit engine: answers to its rename prompts. */
+  renames?: Renames | null;
+  /** `drizzle-liquibase lint` settings. */
+  lint?: LintOptions;
+  /** Custom engine diff options. */
+  diff?: DiffOptions;
+  /** Refuse commands that change the database (update, rollback, ...). Default: false */
+  readOnly?: boolean;
+  /** Ask before commands that change the database; `--yes` skips the prompt. Default: false */
+  requireConfirm?: boolean;
+  /**
+   * drizzle-kit config whose schema, dialect, dbCredentials, schemaFilter and
+   * tablesFilter fill in schemaDir, dialect, databaseUrl, schemas and
+   * excludeTables. Keys set here override it. A path relative to the project
+   * root, or false to skip it. Default: drizzle.config.{ts,mts,js,mjs,cjs} if present
+   */
+  drizzleConfig?: string | boolean | null;
+  /** Hooks into generation and execution, called in order. Default: [] */
+  plugins?: Plugin[];
+  /**
+   * Named overrides, deep-merged over the rest of the config when selected
+   * with `--env NAME` or DRIZZLE_LIQUIBASE_ENV.
+   */
+  environments?: Record<string, EnvironmentConfig>;
+  /**
+   * Schema projects sharing this config (monorepos), each merged over the
+   * rest of the config when selected with `--project NAME`,
+   * DRIZZLE_LIQUIBASE_PROJECT or `--all`.
+   */
+  projects?: ProjectConfig[];
+}
+
+/** One entry of `environments`: any config key except `environments` and `projects`. */
+export type EnvironmentConfig = Omit<DrizzleLiquibaseConfig, 'environments' | 'projects'>;
+
+/** One entry of `projects`: a name plus any config key except `projects`. */
+export type ProjectConfig = Omit<DrizzleLiquibaseConfig, 'projects'> & { name: string };
+
+/** The config returned by loadConfig(): defaults applied, paths absolute. */
+export interface ResolvedConfig extends DrizzleLiquibaseConfig {
+  schemaIndexFile: string;
+  engine: Engine;
+  migrationsDir: string;
+  masterChangelog: string;
+  timestampFormat: string;
+  liquibaseMode: LiquibaseMode;
+  diff: Required<DiffOptions>;
+  readOnly: boolean;
+  requireConfirm: boolean;
+  plugins: Plugin[];
+  /** The environment merged in, or null. */
+  env: string | null;
+  /** The project merged in, or null. */
+  project: string | null;
+  /** Names of every project in the config. */
+  projectNames: string[];
+  /** Absolute path of the config file read, or null. */
+  configFile: string | null;
+  /** Absolute path of the drizzle-kit config read, or null. */
+  drizzleConfig: string | null;
+  environments?: never;
+  projects?: never;
+  _projectRoot: string;
+}
+
+/** Identity helper that types a config file. Validation runs when the file is loaded. */
+export declare function defineConfig(config: DrizzleLiquibaseConfig): DrizzleLiquibaseConfig;
+
+/**
+ * Check a config for unknown keys, wrong types and invalid values.
+ * Throws a ConfigError listing every problem.
+ */
+export declare function validateConfig(config: unknown, opts?: { file?: string | null }): DrizzleLiquibaseConfig;
+
+/**
+ * Find, load, validate and merge the project's config file, applying the
+ * environment and project named by `opts` or DRIZZLE_LIQUIBASE_ENV /
+ * DRIZZLE_LIQUIBASE_PROJECT. The file is `opts.configFile`,
+ * DRIZZLE_LIQUIBASE_CONFIG, or the nearest one in projectRoot or a parent.
+ */
+export declare function loadConfig(
+  projectRoot?: string,
+  opts?: { env?: string | null; project?: string | null; configFile?: string | null; logger?: Partial<Logger> | false | null }
+): Promise<ResolvedConfig>;
+
+/** The nearest config file in startDir or a parent directory, or null. */
+export declare function findConfigFile(startDir: string): string | null;
+
+/** Config filenames looked up in each directory, in priority order. */
+export declare const CONFIG_FILES: string[];
+
+export declare function detectDialectFromUrl(dbUrl: string | null | undefined): Dialect | null;
+
+export declare function parseDatabaseUrl(
+  dbUrl: string | null | undefined
+): { jdbc: string; username: string; password: string } | null;
+
+export declare function rewriteJdbcForDocker(jdbc: string): string;
+
+export declare function formatTimestamp(date: Date, pattern?: string, opts?: { utc?: boolean }): string;
+
+declare const _default: {
+  loadConfig: typeof loadConfig;
+  findConfigFile: typeof findConfigFile;
+  defineConfig: typeof defineConfig;
+  validateConfig: typeof validateConfig;
+  parseDatabaseUrl: typeof parseDatabaseUrl;
+  rewriteJdbcForDocker: typeof rewriteJdbcForDocker;
+  formatTimestamp: typeof formatTimestamp;
+  detectDialectFromUrl: typeof detectDialectFromUrl;
+};
+export default _default;
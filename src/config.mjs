@@ -1,13 +1,18 @@
 /**
  * drizzle-migrations-liquibase — Configuration loader
  *
- * Loads and validates the user's drizzle-liquibase.config.mjs configuration.
- * Also provides helpers for parsing DATABASE_URL into JDBC format.
+ * Loads and validates the user's drizzle-liquibase.config.{mjs,js,cjs,ts,mts}
+ * configuration. TypeScript configs are loaded with jiti. Also provides
+ * helpers for parsing DATABASE_URL into JDBC format.
  */
 
 import { existsSync, readFileSync } from 'fs';
-import { dirname, join, resolve } from 'path';
+import { dirname, join, normalize, resolve } from 'path';
 import { pathToFileURL } from 'url';
+import { ConfigError } from './errors.mjs';
+import { resolveLogger } from './logger.mjs';
+import { findDrizzleConfig, mapDrizzleConfig } from './drizzle-config.mjs';
+import { PLUGIN_HOOKS } from './plugins.mjs';
 
 // ---------------------------------------------------------------------------
 // Default configuration
@@ -54,10 +59,11 @@ const DEFAULTS = {
   timestampFormat: 'YYYYMMDDHHmmss',
 
   /**
-   * Liquibase execution mode: 'node' | 'cli' | 'docker'
+   * Liquibase execution mode: 'node' | 'cli' | 'docker' | 'native'
    *   node   — uses the `liquibase` npm package (default)
    *   cli    — shells out to a system-installed `liquibase` binary
    *   docker — runs the official liquibase/liquibase Docker image
+   *   native — applies formatted SQL changelogs in Node, no Java (see native.mjs)
    */
   liquibaseMode: 'node',
 
@@ -67,6 +73,30 @@ const DEFAULTS = {
    */
   author: null,
 
+  /**
+   * Safety flags enforced by runLiquibase for commands that change the
+   * database (update, rollback, dropAll, ...). Usually set per environment.
+   *   readOnly       — refuse them outright
+   *   requireConfirm — ask before running them (skip with --yes)
+   */
+  readOnly: false,
+  requireConfirm: false,
+
+  /**
+   * drizzle-kit config to take schemaDir, dialect, databaseUrl, schemas and
+   * excludeTables from (see drizzle-config.mjs). Keys set here override it.
+   *   null  — use drizzle.config.{ts,mts,js,mjs,cjs} in the project root, if any
+   *   path  — this file, relative to the project root
+   *   false — don't read one
+   */
+  drizzleConfig: null,
+
+  /**
+   * Plugins hooking into generation and execution: objects with a `name` and
+   * any of the hooks listed in plugins.mjs. Called in array order.
+   */
+  plugins: [],
+
   /** Noise-reduction toggles for the schema diff generator */
   diff: {
     includePolicies: true,
@@ -197,52 +227,464 @@ export function rewriteJdbcForDocker(jdbc) {
  * Format a Date according to the configured timestamp pattern.
  *
  * Supported tokens: YYYY, MM, DD, HH, mm, ss, SSS
+ *
+ * @param {Date}    date
+ * @param {string}  [pattern='YYYYMMDDHHmmss']
+ * @param {object}  [opts]
+ * @param {boolean} [opts.utc=false] — format in UTC instead of local time
  */
-export function formatTimestamp(date, pattern = 'YYYYMMDDHHmmss') {
+export function formatTimestamp(date, pattern = 'YYYYMMDDHHmmss', { utc = false } = {}) {
   const pad = (n, len = 2) => String(n).padStart(len, '0');
+  const get = (part) => date[utc ? `getUTC${part}` : `get${part}`]();
   return pattern
-    .replace('YYYY', pad(date.getFullYear(), 4))
-    .replace('MM', pad(date.getMonth() + 1))
-    .replace('DD', pad(date.getDate()))
-    .replace('HH', pad(date.getHours()))
-    .replace('mm', pad(date.getMinutes()))
-    .replace('ss', pad(date.getSeconds()))
-    .replace('SSS', pad(date.getMilliseconds(), 3));
+    .replace('YYYY', pad(get('FullYear'), 4))
+    .replace('MM', pad(get('Month') + 1))
+    .replace('DD', pad(get('Date')))
+    .replace('HH', pad(get('Hours')))
+    .replace('mm', pad(get('Minutes')))
+    .replace('ss', pad(get('Seconds')))
+    .replace('SSS', pad(get('Milliseconds'), 3));
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const DIFF_OPTIONS = Object.keys(DEFAULTS.diff);
+
+/**
+ * Expected shape of every config key. `type` is a typeOf() name (or a list
+ * of them), `oneOf` lists allowed string values, `keys` describes a nested
+ * object with fixed keys, `entries` one whose every value is an object of
+ * that shape and `items` an array of named objects of that shape. Every key may also be null or undefined unless `required`.
+ */
+const CONFIG_SCHEMA = {
+  schemaDir: { type: 'string' },
+  schemaIndexFile: { type: 'string' },
+  dialect: { oneOf: ['postgresql', 'mysql', 'sqlite', 'singlestore'] },
+  engine: { oneOf: ['custom', 'drizzle-kit'] },
+  migrationsDir: { type: 'string' },
+  masterChangelog: { type: 'string' },
+  databaseUrl: { type: 'string' },
+  timestampFormat: { type: 'string' },
+  liquibaseMode: { oneOf: ['node', 'cli', 'docker', 'native'] },
+  author: { type: 'string' },
+  readOnly: { type: 'boolean' },
+  requireConfirm: { type: 'boolean' },
+  drizzleConfig: { type: ['string', 'boolean'] },
+  excludeTables: { type: 'string[]' },
+  schemas: { type: 'string[]' },
+  renames: { type: ['object', 'array'] },
+  lint: { type: 'object', keys: { rules: { type: 'object' } } },
+  plugins: {
+    type: 'array',
+    items: { name: { type: 'string' }, ...Object.fromEntries(PLUGIN_HOOKS.map(h => [h, { type: 'function' }])) },
+  },
+  diff: {
+    type: 'object',
+    keys: Object.fromEntries(DIFF_OPTIONS.map(k => [k, { type: 'boolean' }])),
+  },
+};
+
+/** `environments: { NAME: {...} }` — each entry takes any key but `environments`. */
+CONFIG_SCHEMA.environments = { type: 'object', entries: { ...CONFIG_SCHEMA } };
+
+/** `projects: [{ name, ... }]` — each item takes a `name` and any key but `projects`. */
+CONFIG_SCHEMA.projects = { type: 'array', items: { name: { type: 'string' }, ...CONFIG_SCHEMA } };
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  'string[]': 'an array of strings',
+  function: 'a function',
+};
+
+/** typeof, with 'array', 'null' and 'string[]' told apart. */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return value.every(v => typeof v === 'string') ? 'string[]' : 'array';
+  return typeof value;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = next;
+    }
+  }
+  return row[b.length];
+}
+
+/** The candidate `value` was most likely meant to be, or null. */
+function didYouMean(value, candidates) {
+  const needle = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const lower = candidate.toLowerCase();
+    // A truncated or extended name (schemaDirectory → schemaDir) counts as close
+    const prefix = Math.min(needle.length, lower.length) >= 4 && (needle.startsWith(lower) || lower.startsWith(needle));
+    const distance = prefix ? 1 : editDistance(needle, lower);
+    if (distance <= Math.max(2, Math.floor(candidate.length / 4)) && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function checkKeys(object, schema, prefix, problems) {
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix + name;
+    const rule = schema[name];
+    if (!rule) {
+      const guess = didYouMean(name, Object.keys(schema));
+      problems.push({ key, message: `unknown key "${key}"${guess ? ` (did you mean "${prefix}${guess}"?)` : ''}` });
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+
+    if (rule.oneOf) {
+      if (!rule.oneOf.includes(value)) {
+        const guess = typeof value === 'string' ? didYouMean(value, rule.oneOf) : null;
+        problems.push({
+          key,
+          expected: rule.oneOf,
+          message: `invalid ${key} ${JSON.stringify(value)} — must be one of: ${rule.oneOf.join(', ')}` +
+            (guess ? ` (did you mean "${guess}"?)` : ''),
+        });
+      }
+      continue;
+    }
+
+    const allowed = [rule.type].flat();
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'string[]' && allowed.includes('array'));
+    if (!matches) {
+      problems.push({ key, message: `${key} must be ${allowed.map(t => TYPE_NAMES[t]).join(' or ')}, got ${actual}` });
+      continue;
+    }
+    if (rule.keys && actual === 'object') checkKeys(value, rule.keys, `${key}.`, problems);
+    if (rule.entries && actual === 'object') {
+      for (const [entry, entryValue] of Object.entries(value)) {
+        if (typeOf(entryValue) !== 'object') {
+          problems.push({ key: `${key}.${entry}`, message: `${key}.${entry} must be an object, got ${typeOf(entryValue)}` });
+          continue;
+        }
+        checkKeys(entryValue, rule.entries, `${key}.${entry}.`, problems);
+      }
+    }
+    if (rule.items) checkItems(value, rule.items, key, problems);
+  }
+}
+
+/** Check an array of named objects: `name` required and unique, keys per `schema`. */
+function checkItems(items, schema, key, problems) {
+  const seen = new Set();
+  for (const [i, item] of items.entries()) {
+    if (typeOf(item) !== 'object') {
+      problems.push({ key: `${key}[${i}]`, message: `${key}[${i}] must be an object, got ${typeOf(item)}` });
+      continue;
+    }
+    const label = typeof item.name === 'string' && item.name ? `${key}.${item.name}` : `${key}[${i}]`;
+    if (!item.name) {
+      problems.push({ key: `${label}.name`, message: `${label}.name is required` });
+    } else if (seen.has(item.name)) {
+      problems.push({ key: `${label}.name`, message: `duplicate ${key} name "${item.name}"` });
+    }
+    seen.add(item.name);
+    checkKeys(item, schema, `${label}.`, problems);
+  }
+}
+
+/**
+ * Check that no two projects write to the same migrations: each project's
+ * migrationsDir and masterChangelog — its own, else the base config's, else
+ * the default — must be its alone.
+ */
+function checkProjectPaths(config, problems) {
+  if (!Array.isArray(config.projects)) return;
+  const projects = config.projects.filter(p => typeOf(p) === 'object' && typeof p.name === 'string' && p.name);
+  for (const key of ['migrationsDir', 'masterChangelog']) {
+    const owners = new Map();
+    for (const project of projects) {
+      const value = project[key] ?? config[key] ?? DEFAULTS[key];
+      if (typeof value !== 'string') continue;
+      const path = normalize(value);
+      const owner = owners.get(path);
+      if (owner && owner !== project.name) {
+        problems.push({
+          key: `projects.${project.name}.${key}`,
+          message: `projects "${owner}" and "${project.name}" share ${key} "${value}" — give each project its own`,
+        });
+      }
+      owners.set(path, owner ?? project.name);
+    }
+  }
+}
+
+/**
+ * Check a user config against the known keys: unknown keys (with a
+ * did-you-mean), wrong types, invalid enum values and `diff` options.
+ * Projects must not share a migrationsDir or masterChangelog.
+ *
+ * @param {object} config
+ * @param {object} [opts]
+ * @param {string} [opts.file] — named in the error
+ * @returns {object} the config, unchanged
+ * @throws {ConfigError} listing every problem; `problems` holds them one per key
+ */
+export function validateConfig(config, { file = null } = {}) {
+  const where = file ? ` in ${file}` : '';
+  const kind = Array.isArray(config) ? 'array' : typeOf(config);
+  if (kind !== 'object') {
+    throw new ConfigError(`Invalid config${where}: expected an object as the default export, got ${kind}`, {
+      file,
+      problems: [{ key: '', message: `expected an object, got ${kind}` }],
+    });
+  }
+
+  const problems = [];
+  checkKeys(config, CONFIG_SCHEMA, '', problems);
+  checkProjectPaths(config, problems);
+  if (problems.length) {
+    throw new ConfigError(`Invalid config${where}:\n${problems.map(p => `  - ${p.message}`).join('\n')}`, {
+      file,
+      problems,
+    });
+  }
+  return config;
+}
+
+/**
+ * Identity helper for config files — gives editors the typings in
+ * src/config.d.mts. Validation happens when the file is loaded.
+ *
+ * @param {object} config
+ * @returns {object} config
+ */
+export function defineConfig(config) {
+  return config;
 }
 
 // ---------------------------------------------------------------------------
 // Config loading
 // ---------------------------------------------------------------------------
 
+/** Config filenames looked up in each directory, in priority order. */
+export const CONFIG_FILES = [
+  'drizzle-liquibase.config.mjs',
+  'drizzle-liquibase.config.js',
+  'drizzle-liquibase.config.cjs',
+  'drizzle-liquibase.config.ts',
+  'drizzle-liquibase.config.mts',
+];
+
+/** Import a config file — TypeScript through jiti, everything else natively. */
+async function importConfigFile(configPath) {
+  if (/\.m?ts$/.test(configPath)) {
+    const { createJiti } = await import('jiti');
+    const jiti = createJiti(import.meta.url, { interopDefault: true, moduleCache: false });
+    return jiti.import(configPath);
+  }
+  return import(pathToFileURL(configPath).href);
+}
+
+/** Plain-object check for mergeConfig — arrays and class instances are values. */
+function isPlainObject(value) {
+  return typeOf(value) === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Deep-merge `override` over `base`: nested objects merge key by key, arrays
+ * and other values replace, undefined leaves the base value alone.
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/** ConfigError for a name missing from a list of defined ones, with a did-you-mean. */
+function unknownName(kind, key, name, names, file) {
+  const where = file ? ` in ${file}` : '';
+  const defined = names.length ? `Defined ${kind}s: ${names.join(', ')}` : `No ${kind}s are defined`;
+  const guess = didYouMean(name, names);
+  return new ConfigError(
+    `Unknown ${kind} "${name}"${where}${guess ? ` (did you mean "${guess}"?)` : ''}. ${defined}`,
+    { file, problems: [{ key, message: `unknown ${kind} "${name}"`, expected: names }] }
+  );
+}
+
+/**
+ * Pick the named project out of a user config.
+ *
+ * @returns {object|null} the project entry, or null when none is selected
+ * @throws {ConfigError} when the project is not defined
+ */
+function selectProject(projects, name, file) {
+  if (!name) return null;
+  const names = (projects ?? []).map(p => p.name);
+  if (!names.includes(name)) throw unknownName('project', 'projects', name, names, file);
+  return projects.find(p => p.name === name);
+}
+
+/**
+ * Merge config layers in order (base config, then the selected project),
+ * each followed by its entry for the named environment.
+ *
+ * @returns {object} the merged config, without `environments`
+ * @throws {ConfigError} when no layer defines the environment
+ */
+function applyEnvironment(layers, env, file) {
+  const names = [...new Set(layers.flatMap(layer => Object.keys(layer.environments ?? {})))];
+  if (env && !names.includes(env)) throw unknownName('environment', 'environments', env, names, file);
+
+  let merged = {};
+  for (const { environments, ...layer } of layers) {
+    merged = mergeConfig(merged, layer);
+    if (env && environments?.[env]) merged = mergeConfig(merged, environments[env]);
+  }
+  return merged;
+}
+
+/**
+ * Load the project's drizzle-kit config and map it onto our keys.
+ *
+ * A detected drizzle.config.* that fails to load is skipped with a warning —
+ * it belongs to drizzle-kit, and may need what only drizzle-kit provides.
+ *
+ * @returns {Promise<{ file: string|null, mapped: object }>}
+ * @throws {ConfigError} when the `drizzleConfig` file is missing or fails to load
+ */
+async function loadDrizzleKitConfig(root, setting, configFile, logger) {
+  const file = findDrizzleConfig(root, setting);
+  if (!file) return { file: null, mapped: {} };
+  if (!existsSync(file)) {
+    throw new ConfigError(`drizzleConfig file not found: ${file}`, {
+      file: configFile,
+      problems: [{ key: 'drizzleConfig', message: `drizzleConfig file not found: ${file}` }],
+    });
+  }
+
+  let imported;
+  try {
+    imported = await importConfigFile(file);
+  } catch (error) {
+    const message = `Failed to load ${file}: ${error.message}. Set drizzleConfig: false in the drizzle-liquibase config to skip it.`;
+    if (typeof setting === 'string') throw new ConfigError(message, { cause: error, file });
+    logger.warn(`⚠️  ${message}`);
+    return { file: null, mapped: {} };
+  }
+  return { file, mapped: mapDrizzleConfig(imported.default || imported, { baseDir: dirname(file) }) };
+}
+
+/**
+ * The nearest config file: the first of CONFIG_FILES found in `startDir` or
+ * one of its parents.
+ *
+ * @param {string} startDir
+ * @returns {string|null} absolute path, or null
+ */
+export function findConfigFile(startDir) {
+  for (let dir = resolve(startDir); ; dir = dirname(dir)) {
+    const found = CONFIG_FILES.find(f => existsSync(join(dir, f)));
+    if (found) return join(dir, found);
+    if (dirname(dir) === dir) return null;
+  }
+}
+
 /**
  * Load and merge configuration.
  *
  * Resolution order:
- *   1. drizzle-liquibase.config.mjs  in the given projectRoot (or cwd)
- *   2. Defaults
- *   3. Environment variable DATABASE_URL (lowest priority for databaseUrl)
+ *   1. The config file — `opts.configFile` or DRIZZLE_LIQUIBASE_CONFIG, else
+ *      the nearest drizzle-liquibase.config.{mjs,js,cjs,ts,mts} in projectRoot
+ *      (or cwd) or a parent directory — validated with validateConfig().
+ *      Its directory becomes the project root relative paths resolve from.
+ *   2. The selected entry of its `environments` block, deep-merged over it
+ *   3. The selected entry of its `projects` array, then that project's own
+ *      entry for the environment, deep-merged in turn
+ *   4. Environment variables MIGRATION_DATABASE_URL, then DATABASE_URL, for
+ *      databaseUrl
+ *   5. drizzle.config.* (or the `drizzleConfig` file), for the keys it maps
+ *      — see drizzle-config.mjs
+ *   6. Defaults
  *
- * @param {string} [projectRoot] — directory to search for the config file
- * @returns {Promise<object>} merged configuration
+ * @param {string} [projectRoot] — directory to start the config search from
+ * @param {object} [opts]
+ * @param {string} [opts.env]        — environment name (default: $DRIZZLE_LIQUIBASE_ENV)
+ * @param {string} [opts.project]    — project name (default: $DRIZZLE_LIQUIBASE_PROJECT)
+ * @param {string} [opts.configFile] — config file to load instead of searching
+ *   (default: $DRIZZLE_LIQUIBASE_CONFIG), relative to projectRoot
+ * @param {object} [opts.logger]     — receives warnings (see logger.mjs); defaults to the console
+ * @returns {Promise<object>} merged configuration. Besides the config keys:
+ *   `env` and `project` name what was applied (or null), `projectNames` lists
+ *   every project, `configFile` and `drizzleConfig` the files read (or null)
+ * @throws {ConfigError} when a config file is missing, fails to load or is
+ *   invalid, or the requested environment or project is not defined
  */
-export async function loadConfig(projectRoot) {
-  const root = projectRoot ? resolve(projectRoot) : process.cwd();
+export async function loadConfig(projectRoot, { env, project, configFile, logger } = {}) {
+  const start = projectRoot ? resolve(projectRoot) : process.cwd();
+  const envName = env || process.env.DRIZZLE_LIQUIBASE_ENV || null;
+  const projectName = project || process.env.DRIZZLE_LIQUIBASE_PROJECT || null;
+  const explicitFile = configFile || process.env.DRIZZLE_LIQUIBASE_CONFIG || null;
+
+  let configPath = null;
+  if (explicitFile) {
+    configPath = resolve(start, explicitFile);
+    if (!existsSync(configPath)) {
+      throw new ConfigError(`Config file not found: ${configPath}`, { file: configPath });
+    }
+  } else {
+    configPath = findConfigFile(start);
+  }
+  const root = configPath ? dirname(configPath) : start;
 
   let userConfig = {};
-
-  const configCandidates = [
-    'drizzle-liquibase.config.mjs',
-    'drizzle-liquibase.config.js',
-    'drizzle-liquibase.config.cjs',
-  ];
-
-  for (const candidate of configCandidates) {
-    const configPath = join(root, candidate);
-    if (existsSync(configPath)) {
-      const imported = await import(pathToFileURL(configPath).href);
-      userConfig = imported.default || imported;
-      break;
+  if (configPath) {
+    let imported;
+    try {
+      imported = await importConfigFile(configPath);
+    } catch (error) {
+      throw new ConfigError(`Failed to load ${configPath}: ${error.message}`, { cause: error, file: configPath });
     }
+    userConfig = validateConfig(imported.default || imported, { file: configPath });
+  }
+
+  const { projects = [], ...base } = userConfig;
+  const layers = [base];
+  const selected = selectProject(projects, projectName, configPath);
+  if (selected) {
+    const { name, ...keys } = selected;
+    layers.push(keys);
+  }
+  userConfig = applyEnvironment(layers, envName, configPath);
+
+  // DATABASE_URL fallback from environment — ahead of drizzle.config's dbCredentials
+  if (!userConfig.databaseUrl) {
+    userConfig.databaseUrl =
+      process.env.MIGRATION_DATABASE_URL ||
+      process.env.DATABASE_URL;
+  }
+
+  // Fill what the config leaves unset from drizzle-kit's own config
+  const drizzleKit = await loadDrizzleKitConfig(root, userConfig.drizzleConfig, configPath, resolveLogger(logger));
+  const ownSchemaDir = userConfig.schemaDir;
+  for (const [key, value] of Object.entries(drizzleKit.mapped)) {
+    // An index file only makes sense inside the schema folder it came with
+    if (key === 'schemaIndexFile' && ownSchemaDir) continue;
+    if (userConfig[key] === undefined || userConfig[key] === null) userConfig[key] = value;
   }
 
   // Merge diff options
@@ -252,6 +694,11 @@ export async function loadConfig(projectRoot) {
     ...DEFAULTS,
     ...userConfig,
     diff,
+    env: envName,
+    project: projectName,
+    projectNames: (projects ?? []).map(p => p.name),
+    configFile: configPath,
+    drizzleConfig: drizzleKit.file,
     // Resolve paths relative to project root
     _projectRoot: root,
   };
@@ -263,14 +710,16 @@ export async function loadConfig(projectRoot) {
   config.migrationsDir = resolve(root, config.migrationsDir);
   config.masterChangelog = resolve(root, config.masterChangelog);
 
-  // DATABASE_URL fallback from environment
-  if (!config.databaseUrl) {
-    config.databaseUrl =
-      process.env.MIGRATION_DATABASE_URL ||
-      process.env.DATABASE_URL;
-  }
-
   return config;
 }
 
-export default { loadConfig, parseDatabaseUrl, rewriteJdbcForDocker, formatTimestamp, detectDialectFromUrl };
+export default {
+  loadConfig,
+  findConfigFile,
+  defineConfig,
+  validateConfig,
+  parseDatabaseUrl,
+  rewriteJdbcForDocker,
+  formatTimestamp,
+  detectDialectFromUrl,
+};
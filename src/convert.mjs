@@ -0,0 +1,277 @@
+/**
+ * drizzle-migrations-liquibase — Drizzle Kit migration converter
+ *
+ * Converts an existing drizzle-kit migrations folder (meta/_journal.json +
+ * numbered 0000_xxx.sql files) into Liquibase formatted SQL migrations and
+ * registers each one in the master changelog.
+ *
+ * Formatting and rollback inference are delegated to DrizzleKitEngine so the
+ * converted files are indistinguishable from freshly generated ones:
+ *   - PostgreSQL → splitStatements:false + endDelimiter:--> statement-breakpoint
+ *   - MySQL / SQLite / SingleStore → plain ';' splitting, no breakpoints
+ *   - rollbacks inferred by DrizzleKitEngine.generateRollback
+ *
+ * Filenames are derived from the journal's `when` timestamps, formatted in
+ * UTC, so the original order is preserved and re-running the conversion is
+ * idempotent on any machine.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { loadConfig, formatTimestamp, detectDialectFromUrl } from './config.mjs';
+import { DrizzleKitEngine } from './drizzle-kit-engine.mjs';
+import { splitSqlStatements } from './changelog.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * drizzle-kit journal dialect names → our dialect names.
+ * Older drizzle-kit versions wrote 'pg'; Turso/libsql migrations are SQLite.
+ */
+const JOURNAL_DIALECTS = {
+  postgresql: 'postgresql',
+  pg: 'postgresql',
+  mysql: 'mysql',
+  sqlite: 'sqlite',
+  turso: 'sqlite',
+  singlestore: 'singlestore',
+};
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+/**
+ * Split a drizzle-kit migration file into individual statements.
+ *
+ * drizzle-kit writes `--> statement-breakpoint` between statements by default
+ * (`breakpoints: true`). Without breakpoints, statements are split on `;`,
+ * ignoring semicolons inside quoted strings and `$$ ... $$` blocks.
+ */
+export function splitDrizzleStatements(sql) {
+  return /-->\s*statement-breakpoint/.test(sql)
+    ? splitSqlStatements(sql, '--> statement-breakpoint')
+    : splitSqlStatements(sql);
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class DrizzleKitConverter {
+  /**
+   * @param {object} opts
+   * @param {string}  [opts.sourceDir='./drizzle'] — drizzle-kit migrations folder (contains meta/_journal.json)
+   * @param {object}  [opts.config]                — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]           — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]                — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]               — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this._sourceDir = opts.sourceDir ?? './drizzle';
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.sourceDir = null;
+    this.migrationsDir = null;
+    this.dialect = null;
+    this.journal = null;
+    this.engine = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+    this.sourceDir = resolve(this._projectRoot || process.cwd(), this._sourceDir);
+    this.migrationsDir = this.config.migrationsDir;
+
+    this.journal = this.readJournal();
+
+    // Resolve dialect: CLI flag > journal > config > auto-detect from URL
+    const journalDialect = JOURNAL_DIALECTS[this.journal.dialect] ?? null;
+    this.dialect = this._cliDialect ?? journalDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    // The engine supplies rollback inference, file formatting and changelog
+    // handling — it only needs config + dialect, not a database connection.
+    this.engine = new DrizzleKitEngine({ config: this.config, dialect: this.dialect, logger: this.logger });
+    this.engine.config = this.config;
+    this.engine.migrationsDir = this.migrationsDir;
+    this.engine.dialect = this.dialect;
+  }
+
+  // ------------------------------------------------------------------
+  // Journal
+  // ------------------------------------------------------------------
+
+  /**
+   * Read and validate meta/_journal.json from the source folder.
+   * Entries are returned sorted by their `idx`.
+   */
+  readJournal() {
+    const journalPath = join(this.sourceDir, 'meta', '_journal.json');
+    if (!existsSync(journalPath)) {
+      throw new Error(
+        `drizzle-kit journal not found: ${journalPath}\n` +
+        'Point convert at the folder drizzle-kit generates into (the "out" option in drizzle.config.ts).'
+      );
+    }
+
+    let journal;
+    try {
+      journal = JSON.parse(readFileSync(journalPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Failed to parse ${journalPath}: ${err.message}`);
+    }
+
+    if (!Array.isArray(journal.entries)) {
+      throw new Error(`Invalid drizzle-kit journal (no "entries" array): ${journalPath}`);
+    }
+
+    return {
+      ...journal,
+      entries: [...journal.entries].sort((a, b) => (a.idx ?? 0) - (b.idx ?? 0)),
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Conversion
+  // ------------------------------------------------------------------
+
+  /**
+   * Convert a single journal entry into Liquibase formatted SQL.
+   *
+   * @param {object} entry — journal entry ({ idx, when, tag, breakpoints })
+   * @param {string} timestamp — filename timestamp prefix
+   * @returns {{ source: string, filename: string, changesetName: string, content: string,
+   *             statementCount: number, manualRollbacks: number }}
+   */
+  convertEntry(entry, timestamp) {
+    const sourceFile = `${entry.tag}.sql`;
+    const sourcePath = join(this.sourceDir, sourceFile);
+    if (!existsSync(sourcePath)) {
+      throw new Error(`Migration listed in journal is missing: ${sourcePath}`);
+    }
+
+    const sqlStatements = splitDrizzleStatements(readFileSync(sourcePath, 'utf-8'));
+    const { statements, rollbackStatements } = this.engine.buildLiquibaseStatements(sqlStatements);
+
+    const changesetName = entry.tag.replace(/^\d+_/, '') || entry.tag;
+    const content = this.engine.formatMigrationContent(statements, rollbackStatements, {
+      author: this.engine.getCurrentUser(),
+      changesetName,
+    });
+
+    return {
+      source: sourceFile,
+      filename: `${timestamp}_${changesetName}.sql`,
+      changesetName,
+      content,
+      statementCount: statements.length,
+      manualRollbacks: rollbackStatements.filter(r => r.startsWith('--')).length,
+    };
+  }
+
+  /**
+   * Convert every journal entry. Existing target files are left untouched,
+   * so running the conversion twice is a no-op.
+   *
+   * @returns {Array<object>} one result per journal entry (see convertEntry) with
+   *                          an extra `status` of 'converted' or 'skipped'
+   */
+  convertAll() {
+    const pattern = this.config.timestampFormat || 'YYYYMMDDHHmmss';
+    const usedTimestamps = new Set();
+    const results = [];
+
+    if (!existsSync(this.migrationsDir)) {
+      mkdirSync(this.migrationsDir, { recursive: true });
+    }
+
+    for (const entry of this.journal.entries) {
+      // Formatted in UTC so the names don't depend on the machine's TZ.
+      // Migrations generated within the same second would collide — nudge
+      // later ones forward so filenames stay unique and correctly ordered.
+      let when = entry.when ?? Date.now();
+      let timestamp = formatTimestamp(new Date(when), pattern, { utc: true });
+      while (usedTimestamps.has(timestamp)) {
+        when += 1000;
+        timestamp = formatTimestamp(new Date(when), pattern, { utc: true });
+      }
+      usedTimestamps.add(timestamp);
+
+      const result = this.convertEntry(entry, timestamp);
+      const filepath = join(this.migrationsDir, result.filename);
+
+      if (existsSync(filepath)) {
+        results.push({ ...result, filepath, status: 'skipped' });
+      } else {
+        writeFileSync(filepath, result.content);
+        results.push({ ...result, filepath, status: 'converted' });
+      }
+
+      try {
+        this.engine.addToMasterChangelog(result.filename);
+      } catch (err) {
+        this.logger.warn('Could not update master changelog:', err.message);
+      }
+    }
+
+    return results;
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  async run() {
+    this.logger.info('🔄 Converting drizzle-kit migrations to Liquibase format...');
+
+    try {
+      await this.init();
+
+      this.logger.info(`   Source: ${this.sourceDir}`);
+      this.logger.info(`   Dialect: ${this.dialect}`);
+      this.logger.info(`   Found ${this.journal.entries.length} migration(s) in journal\n`);
+
+      const results = this.convertAll();
+
+      for (const r of results) {
+        if (r.status === 'skipped') {
+          this.logger.info(`   ⏭️  ${r.source} → ${r.filename} (already exists)`);
+          continue;
+        }
+        const manual = r.manualRollbacks ? `, ${r.manualRollbacks} manual rollback(s)` : '';
+        this.logger.info(`   ✅ ${r.source} → ${r.filename} (${r.statementCount} statement(s)${manual})`);
+      }
+
+      const converted = results.filter(r => r.status === 'converted');
+      const needsReview = converted.filter(r => r.manualRollbacks > 0);
+      this.logger.info(`\n✅ Converted ${converted.length} migration(s) into ${this.migrationsDir}`);
+      if (needsReview.length) {
+        this.logger.info(`⚠️  ${needsReview.length} file(s) contain "-- Manual rollback required" lines — review them before relying on rollback.`);
+      }
+      this.logger.info('   These migrations are already applied — mark them as executed with: npx drizzle-liquibase baseline');
+
+      return results;
+    } catch (error) {
+      this.logger.error('❌ Error converting migrations:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default DrizzleKitConverter;
@@ -0,0 +1,361 @@
+/**
+ * drizzle-migrations-liquibase — Doctor (toolchain and config diagnostics)
+ *
+ * Runs the checks that otherwise fail deep inside runNode(),
+ * importDrizzleKitApi() or createDatabaseConnection(), and prints a
+ * pass/fail table with a fix hint for each failure:
+ *
+ *   config file, schemaDir + index file, dialect, Liquibase for the
+ *   configured liquibaseMode (Java + liquibase package / CLI / Docker; nothing for native),
+ *   drizzle-kit API variant, drizzle-kit patch, database driver, and
+ *   whether the database is reachable.
+ *
+ * Every check returns { name, status, detail, hint } with status
+ * 'pass' | 'fail' | 'skip'. Nothing is written anywhere.
+ * Exit code 0 when nothing failed, 1 otherwise.
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { join, relative, resolve } from 'path';
+import { loadConfig, detectDialectFromUrl, CONFIG_FILES } from './config.mjs';
+import { openDatabase } from './database.mjs';
+import { RENAME_HOOK } from './renames.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+const VALID_ENGINES = ['custom', 'drizzle-kit'];
+const VALID_MODES = ['node', 'cli', 'docker', 'native'];
+
+/** Driver package per dialect (see database.mjs). */
+const DIALECT_PACKAGES = {
+  postgresql: 'pg',
+  mysql: 'mysql2',
+  singlestore: 'mysql2',
+  sqlite: 'better-sqlite3',
+};
+
+const PATCH_SCRIPT = 'node node_modules/drizzle-migrations-liquibase/scripts/patch-drizzle-kit.mjs';
+
+const DB_TIMEOUT_MS = 10_000;
+
+function check(name, status, detail, hint = null) {
+  return { name, status, detail, hint };
+}
+
+/**
+ * Which of scripts/patch-drizzle-kit.mjs's patches a drizzle-kit/api.js
+ * source contains.
+ *
+ * @param {string} source
+ * @returns {{ renameHook: boolean, mysql: boolean|null }}
+ *   mysql is null when this drizzle-kit has no MySQL push code to patch
+ */
+export function detectPatches(source) {
+  const renameHook = source.includes(`globalThis.${RENAME_HOOK}`);
+  if (!source.includes('init_mysqlPushUtils')) return { renameHook, mysql: null };
+  return {
+    renameHook,
+    mysql: source.includes('fromJson([statement], "mysql", "push")') &&
+      source.includes('filterStatements: filterStatements4'),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class Doctor {
+  /**
+   * @param {object} opts
+   * @param {object}  [opts.config]       — pre-loaded config (skips config file lookup)
+   * @param {string}  [opts.projectRoot]  — project root (default: cwd)
+   * @param {object}  [opts.logger]       — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]      — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.root = resolve(this._projectRoot || process.cwd());
+    this.config = null;
+    this.dialect = null;
+    this.drizzleKitVersion = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Probes (overridable in tests)
+  // ------------------------------------------------------------------
+
+  /** Resolve a module from the project, or null. */
+  resolvePackage(name) {
+    try {
+      return createRequire(join(this.root, 'package.json')).resolve(name);
+    } catch {
+      return null;
+    }
+  }
+
+  /** Run a command; returns its first line of output, or null if it failed. */
+  runCommand(command, args) {
+    const res = spawnSync(command, args, { encoding: 'utf8', timeout: 15_000 });
+    if (res.error || res.status !== 0) return null;
+    return `${res.stdout || ''}${res.stderr || ''}`.trim().split('\n')[0] || '';
+  }
+
+  /** Open a connection, run a trivial query and close it. */
+  async pingDatabase() {
+    const db = await openDatabase(this.config.databaseUrl, { dialect: this.dialect, projectRoot: this.root, logger: this.logger });
+    try {
+      await db.query('SELECT 1');
+    } finally {
+      await db.close();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Checks
+  // ------------------------------------------------------------------
+
+  async checkConfig() {
+    const name = 'Config file';
+    let file = CONFIG_FILES.find(f => existsSync(join(this.root, f)));
+
+    try {
+      this.config = this._configOverride || (await loadConfig(this.root, { logger: this.logger }));
+    } catch (error) {
+      this.config = null;
+      const failed = error.file ? relative(this.root, error.file) : file;
+      if (error.problems?.length) {
+        const choice = error.problems.find(p => p.expected);
+        return check(
+          name,
+          'fail',
+          `${failed}: ${error.problems.map(p => p.message).join('; ')}`,
+          choice ? `Set ${choice.key} to one of: ${choice.expected.join(', ')}` : 'Fix the listed keys in the config file'
+        );
+      }
+      return check(name, 'fail', `${failed} could not be loaded: ${error.message}`, 'Fix the syntax error in the config file');
+    }
+
+    // The config may sit in a parent directory (monorepo root)
+    if (this.config.configFile) file = relative(this.root, this.config.configFile);
+    const drizzleConfig = this.config.drizzleConfig ? relative(this.root, this.config.drizzleConfig) : null;
+    if (!this._configOverride && !file && !drizzleConfig) {
+      return check(name, 'fail', `none of ${CONFIG_FILES.join(', ')} found`, 'Run `npx drizzle-liquibase init`');
+    }
+
+    const engine = this.config.engine ?? 'custom';
+    if (!VALID_ENGINES.includes(engine)) {
+      return check(name, 'fail', `invalid engine "${engine}"`, `Set engine to one of: ${VALID_ENGINES.join(', ')}`);
+    }
+    const mode = this.config.liquibaseMode ?? 'node';
+    if (!VALID_MODES.includes(mode)) {
+      return check(name, 'fail', `invalid liquibaseMode "${mode}"`, `Set liquibaseMode to one of: ${VALID_MODES.join(', ')}`);
+    }
+
+    if (!file && !drizzleConfig) return check(name, 'pass', 'provided programmatically');
+    if (!file) return check(name, 'pass', `${drizzleConfig} only (defaults for everything else)`);
+    return check(name, 'pass', drizzleConfig ? `${file} + ${drizzleConfig}` : file);
+  }
+
+  checkSchemaDir() {
+    const name = 'Schema directory';
+    const dir = this.config.schemaDir;
+    if (!dir) {
+      return check(name, 'fail', 'schemaDir is not set', 'Set schemaDir to the directory holding your Drizzle schema');
+    }
+    if (!existsSync(dir)) {
+      return check(name, 'fail', `${relative(this.root, dir) || dir} does not exist`, 'Point schemaDir at your Drizzle schema directory');
+    }
+    const indexFile = this.config.schemaIndexFile || 'index.ts';
+    if (!existsSync(join(dir, indexFile))) {
+      return check(name, 'fail', `${indexFile} not found in ${relative(this.root, dir) || dir}`,
+        `Add an ${indexFile} that re-exports every schema file, or set schemaIndexFile`);
+    }
+    return check(name, 'pass', `${relative(this.root, dir) || '.'} (${indexFile})`);
+  }
+
+  checkDialect() {
+    const name = 'Dialect';
+    const detected = detectDialectFromUrl(this.config.databaseUrl);
+    const source = this._cliDialect ? '--dialect' : this.config.dialect ? 'config' : detected ? 'database URL' : 'default';
+    this.dialect = this._cliDialect ?? this.config.dialect ?? detected ?? 'postgresql';
+
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      const invalid = this.dialect;
+      this.dialect = null;
+      return check(name, 'fail', `invalid dialect "${invalid}"`, `Use one of: ${VALID_DIALECTS.join(', ')}`);
+    }
+    if ((this.config.engine ?? 'custom') === 'custom' && this.dialect !== 'postgresql') {
+      return check(name, 'fail', `${this.dialect} (from ${source}) — the custom engine is PostgreSQL only`,
+        "Set engine: 'drizzle-kit' for MySQL, SQLite and SingleStore");
+    }
+    return check(name, 'pass', `${this.dialect} (from ${source})`);
+  }
+
+  /** Liquibase availability for the configured liquibaseMode. */
+  checkLiquibase() {
+    const mode = this.config.liquibaseMode ?? 'node';
+
+    if (mode === 'cli') {
+      const version = this.runCommand('liquibase', ['--version']);
+      return version !== null
+        ? [check('Liquibase CLI', 'pass', version || 'liquibase on PATH')]
+        : [check('Liquibase CLI', 'fail', 'liquibase not found on PATH', 'Install Liquibase (https://www.liquibase.com/download) or switch liquibaseMode')];
+    }
+
+    if (mode === 'native') {
+      return [check('Liquibase', 'pass', 'native mode — runs in Node, no Java needed')];
+    }
+
+    if (mode === 'docker') {
+      const version = this.runCommand('docker', ['info', '--format', '{{.ServerVersion}}']);
+      return version !== null
+        ? [check('Docker', 'pass', `daemon running (server ${version})`)]
+        : [check('Docker', 'fail', 'docker not found or the daemon is not running', 'Start Docker, or switch liquibaseMode')];
+    }
+
+    const results = [];
+    results.push(this.resolvePackage('liquibase')
+      ? check('liquibase package', 'pass', 'resolves from the project')
+      : check('liquibase package', 'fail', 'not installed', 'npm install -D liquibase'));
+
+    const java = this.runCommand('java', ['-version']);
+    results.push(java !== null
+      ? check('Java', 'pass', java)
+      : check('Java', 'fail', 'java not found on PATH', "Install a JRE (11+) — the liquibase package runs Liquibase on the JVM — or use liquibaseMode: 'docker' or 'native'"));
+    return results;
+  }
+
+  checkDrizzleKit() {
+    const name = 'drizzle-kit API';
+    const required = this.config.engine === 'drizzle-kit';
+    if (this.dialect === 'postgresql' && this.resolvePackage('drizzle-kit/api-postgres')) {
+      this.drizzleKitVersion = 'v1';
+      return check(name, 'pass', 'v1 (drizzle-kit/api-postgres)');
+    }
+    if (this.resolvePackage('drizzle-kit/api')) {
+      this.drizzleKitVersion = 'v0';
+      return check(name, 'pass', 'v0.31 (drizzle-kit/api)');
+    }
+    return required
+      ? check(name, 'fail', 'drizzle-kit is not installed', 'npm install -D drizzle-kit')
+      : check(name, 'skip', 'not installed — only needed for the drizzle-kit engine');
+  }
+
+  checkPatch() {
+    const name = 'drizzle-kit patch';
+    if (this.drizzleKitVersion !== 'v0') {
+      return check(name, 'skip', this.drizzleKitVersion === 'v1' ? 'not needed for the v1 API' : 'drizzle-kit not installed');
+    }
+
+    const patches = detectPatches(readFileSync(this.resolvePackage('drizzle-kit/api'), 'utf-8'));
+    const needsMysql = ['mysql', 'singlestore'].includes(this.dialect) && patches.mysql === false;
+    if (!patches.renameHook || needsMysql) {
+      const missing = [!patches.renameHook && 'rename hook', needsMysql && 'MySQL push fixes'].filter(Boolean);
+      return check(name, 'fail', `not applied (missing: ${missing.join(', ')})`, `Run ${PATCH_SCRIPT}`);
+    }
+    return check(name, 'pass', 'applied');
+  }
+
+  checkDriver() {
+    const name = 'Database driver';
+    if (!this.dialect) return check(name, 'skip', 'dialect unresolved');
+    const pkg = DIALECT_PACKAGES[this.dialect];
+    return this.resolvePackage(pkg)
+      ? check(name, 'pass', `${pkg} resolves`)
+      : check(name, 'fail', `${pkg} is not installed`, `npm install ${pkg}`);
+  }
+
+  async checkDatabase(driverOk) {
+    const name = 'Database connection';
+    if (!this.config.databaseUrl) {
+      return check(name, 'fail', 'no database URL configured', 'Set databaseUrl, DATABASE_URL or MIGRATION_DATABASE_URL');
+    }
+    if (!driverOk) return check(name, 'skip', 'driver missing');
+
+    let timer;
+    try {
+      await Promise.race([
+        this.pingDatabase(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${DB_TIMEOUT_MS / 1000}s`)), DB_TIMEOUT_MS);
+        }),
+      ]);
+      return check(name, 'pass', 'reachable');
+    } catch (error) {
+      return check(name, 'fail', error.message, 'Check the database URL and that the server is running and reachable');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run every check in order.
+   *
+   * @returns {Promise<Array<{ name, status, detail, hint }>>}
+   */
+  async diagnose() {
+    const results = [await this.checkConfig()];
+    if (!this.config) return results;
+
+    results.push(this.checkSchemaDir());
+    results.push(this.checkDialect());
+    results.push(...this.checkLiquibase());
+    results.push(this.checkDrizzleKit());
+    results.push(this.checkPatch());
+    const driver = this.checkDriver();
+    results.push(driver);
+    results.push(await this.checkDatabase(driver.status === 'pass'));
+    return results;
+  }
+
+  // ------------------------------------------------------------------
+  // Reporting
+  // ------------------------------------------------------------------
+
+  printReport(results) {
+    const icons = { pass: '✅', fail: '❌', skip: '⏭️ ' };
+    const width = Math.max(...results.map(r => r.name.length));
+    for (const r of results) {
+      console.log(`   ${icons[r.status]} ${r.name.padEnd(width)}  ${r.detail}`);
+      if (r.hint && r.status !== 'pass') console.log(`      ${' '.repeat(width)}  → ${r.hint}`);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<number>} exit code — 0 when no check failed, 1 otherwise
+   */
+  async run() {
+    console.log('🩺 Checking drizzle-migrations-liquibase setup...\n');
+
+    try {
+      const results = await this.diagnose();
+      this.printReport(results);
+
+      const failed = results.filter(r => r.status === 'fail').length;
+      console.log(failed
+        ? `\n❌ ${failed} check(s) failed`
+        : `\n✅ All checks passed`);
+      return failed ? 1 : 0;
+    } catch (error) {
+      this.logger.error('❌ Error running diagnostics:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default Doctor;
@@ -0,0 +1,120 @@
+/**
+ * drizzle-migrations-liquibase — drizzle.config.ts reuse
+ *
+ * Most projects already describe their schema and database in drizzle-kit's
+ * own config. loadConfig() reads it (through the same loader as our config
+ * file) and maps its keys onto ours, so drizzle-liquibase.config.* only has
+ * to hold what differs:
+ *
+ *   schema        → schemaDir (+ schemaIndexFile when it names a file; not globs or lists)
+ *   dialect       → dialect (postgresql, mysql, sqlite, singlestore)
+ *   dbCredentials → databaseUrl (`url`, or host / port / user / password / database)
+ *   schemaFilter  → schemas
+ *   tablesFilter  → excludeTables (the `!name` entries)
+ *
+ * `out`, `casing` and the other keys only concern drizzle-kit itself.
+ */
+
+import { existsSync } from 'fs';
+import { dirname, basename, extname, join, resolve } from 'path';
+
+/** drizzle-kit config filenames looked up in the project root, in priority order. */
+export const DRIZZLE_CONFIG_FILES = [
+  'drizzle.config.ts',
+  'drizzle.config.mts',
+  'drizzle.config.js',
+  'drizzle.config.mjs',
+  'drizzle.config.cjs',
+];
+
+const DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+const GLOB = /[*?[\]{}]/;
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * The drizzle-kit config to read for a project.
+ *
+ * @param {string} root
+ * @param {string|boolean|null} [setting] — the `drizzleConfig` config key:
+ *   a path (relative to root), false to disable, null / true to auto-detect
+ * @returns {string|null} absolute path, or null
+ */
+export function findDrizzleConfig(root, setting = null) {
+  if (setting === false) return null;
+  if (typeof setting === 'string') return resolve(root, setting);
+  const found = DRIZZLE_CONFIG_FILES.find(f => existsSync(join(root, f)));
+  return found ? join(root, found) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Mapping
+// ---------------------------------------------------------------------------
+
+/**
+ * schemaDir / schemaIndexFile from drizzle-kit's `schema`. A single file
+ * becomes the index file, which the generators also parse as a schema file;
+ * a folder becomes schemaDir with the default index file. Globs and lists of
+ * several entries are not mapped: no one file re-exports what they match, so
+ * schemaDir has to be set in the drizzle-liquibase config.
+ */
+function mapSchema(schema, baseDir) {
+  const entries = [schema].flat().filter(e => typeof e === 'string' && e);
+  if (entries.length !== 1 || GLOB.test(entries[0])) return {};
+
+  const [only] = entries;
+  if (extname(only)) {
+    return { schemaDir: resolve(baseDir, dirname(only)), schemaIndexFile: basename(only) };
+  }
+  return { schemaDir: resolve(baseDir, only) };
+}
+
+/** A connection URL from `dbCredentials`. */
+function mapCredentials(credentials, dialect) {
+  if (!credentials || typeof credentials !== 'object') return null;
+  if (typeof credentials.url === 'string') return credentials.url;
+
+  const { host, port, user, password, database } = credentials;
+  if (!host || !database || dialect === 'sqlite') return null;
+  const scheme = dialect === 'postgresql' || !dialect ? 'postgresql' : dialect;
+  const auth = user
+    ? `${encodeURIComponent(user)}${password ? `:${encodeURIComponent(password)}` : ''}@`
+    : '';
+  return `${scheme}://${auth}${host}${port ? `:${port}` : ''}/${encodeURIComponent(database)}`;
+}
+
+/**
+ * Map a drizzle-kit config onto drizzle-liquibase config keys. Keys that
+ * can't be mapped, or are unset, are left out.
+ *
+ * @param {object} kitConfig — the drizzle.config.* default export
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir] — directory relative paths are resolved from
+ * @returns {object} partial drizzle-liquibase config, paths absolute
+ */
+export function mapDrizzleConfig(kitConfig, { baseDir = process.cwd() } = {}) {
+  const mapped = {};
+  if (!kitConfig || typeof kitConfig !== 'object') return mapped;
+
+  Object.assign(mapped, mapSchema(kitConfig.schema, baseDir));
+
+  if (DIALECTS.includes(kitConfig.dialect)) mapped.dialect = kitConfig.dialect;
+
+  const url = mapCredentials(kitConfig.dbCredentials, mapped.dialect);
+  if (url) mapped.databaseUrl = url;
+
+  if (kitConfig.schemaFilter) mapped.schemas = [kitConfig.schemaFilter].flat();
+
+  // Only exact exclusions carry over — excludeTables has no globs or allow-lists
+  const excluded = [kitConfig.tablesFilter ?? []].flat()
+    .filter(f => typeof f === 'string' && f.startsWith('!') && !GLOB.test(f.slice(1)))
+    .map(f => f.slice(1));
+  if (excluded.length) mapped.excludeTables = excluded;
+
+  return mapped;
+}
+
+export default { DRIZZLE_CONFIG_FILES, findDrizzleConfig, mapDrizzleConfig };
@@ -0,0 +1,101 @@
+/**
+ * drizzle-migrations-liquibase — Error classes
+ *
+ * Typed errors thrown by the library so callers can tell a bad setup from
+ * an unreachable database or a schema that won't parse without matching
+ * on message text. Every class extends DrizzleLiquibaseError and carries a
+ * stable `code`; `cause` holds the underlying error when one was wrapped.
+ *
+ *   ConfigError      — CONFIG        missing or invalid configuration / options
+ *   ConnectionError  — CONNECTION    the database could not be reached
+ *   SchemaParseError — SCHEMA_PARSE  the Drizzle schema files could not be read or loaded
+ *   CommandError     — COMMAND       a Liquibase command failed
+ *   PluginError      — PLUGIN        a config plugin's hook threw or returned something invalid
+ */
+
+export class DrizzleLiquibaseError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {Error}  [opts.cause] — the underlying error
+   */
+  constructor(message, opts = {}) {
+    super(message, opts.cause ? { cause: opts.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = 'DRIZZLE_LIQUIBASE';
+  }
+}
+
+export class ConfigError extends DrizzleLiquibaseError {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {Error}  [opts.cause]
+   * @param {string} [opts.file]     — the config file at fault
+   * @param {Array<{key: string, message: string, expected?: string[]}>} [opts.problems]
+   *                                   — one entry per invalid key (see validateConfig)
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.code = 'CONFIG';
+    this.file = opts.file ?? null;
+    this.problems = opts.problems ?? [];
+  }
+}
+
+export class ConnectionError extends DrizzleLiquibaseError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.code = 'CONNECTION';
+  }
+}
+
+export class SchemaParseError extends DrizzleLiquibaseError {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {Error}  [opts.cause]
+   * @param {string} [opts.file] — the schema file that failed
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.code = 'SCHEMA_PARSE';
+    this.file = opts.file ?? null;
+  }
+}
+
+export class CommandError extends DrizzleLiquibaseError {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {Error}  [opts.cause]
+   * @param {string} [opts.command]  — the Liquibase command
+   * @param {number} [opts.exitCode] — process exit code (cli / docker modes)
+   * @param {string} [opts.output]   — captured output, when there is some
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.code = 'COMMAND';
+    this.command = opts.command ?? null;
+    this.exitCode = opts.exitCode ?? null;
+    this.output = opts.output ?? null;
+  }
+}
+
+export class PluginError extends DrizzleLiquibaseError {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {Error}  [opts.cause]
+   * @param {string} [opts.plugin] — the plugin's name
+   * @param {string} [opts.hook]   — the hook that failed (see plugins.mjs)
+   */
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.code = 'PLUGIN';
+    this.plugin = opts.plugin ?? null;
+    this.hook = opts.hook ?? null;
+  }
+}
+
+export default { DrizzleLiquibaseError, ConfigError, ConnectionError, SchemaParseError, CommandError, PluginError };
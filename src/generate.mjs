@@ -7,14 +7,25 @@
  * Supports two modes:
  *   normal  — "what's in the schema but not in DB" (schema → DB)
  *   reverse — "what's in the DB but not in the schema" (DB → schema)
+ *
+ * With `against`, the database side comes from a snapshot file written by
+ * `drizzle-liquibase snapshot` (see snapshot-file.mjs) and no connection
+ * is opened.
  */
 
 import { execSync } from 'child_process';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { dirname, join } from 'path';
+import { basename, dirname, join, resolve } from 'path';
 import { Client } from 'pg';
 import { loadConfig, formatTimestamp } from './config.mjs';
 import { ASTSchemaParser } from './ast-parser.mjs';
+import { buildChangeReport, writeReport } from './report.mjs';
+import { reviewStatements } from './review.mjs';
+import { readDatabaseSnapshot } from './snapshot-file.mjs';
+import { describeQuery } from './database.mjs';
+import { ConfigError, ConnectionError, SchemaParseError } from './errors.mjs';
+import { resolveLogger } from './logger.mjs';
+import { runHook, transformStatements } from './plugins.mjs';
 
 // ---------------------------------------------------------------------------
 // Main class
@@ -27,12 +38,25 @@ export class SchemaDiffGenerator {
    * @param {boolean} [opts.reverse=false] — reverse mode
    * @param {object}  [opts.config]        — pre-loaded config (skips loadConfig)
    * @param {string}  [opts.projectRoot]   — project root (for loadConfig fallback)
+   * @param {string}  [opts.output]        — render to this path ('-' = stdout) instead of
+   *                                         writing to migrationsDir and the changelog
+   * @param {string}  [opts.report]        — emit a change report in this format ('json')
+   * @param {string}  [opts.reportFile]    — write the report here instead of stdout
+   * @param {boolean} [opts.review]        — accept/skip/edit each statement before writing
+   * @param {string}  [opts.against]       — diff against this snapshot file instead of the database
+   * @param {object}  [opts.logger]        — progress output (see logger.mjs); defaults to the console
    */
   constructor(opts = {}) {
     this.customName = opts.name ?? null;
     this.reverse = opts.reverse ?? false;
+    this.against = opts.against ?? null;
+    this.output = opts.output ?? null;
+    this.reportFormat = opts.report ?? null;
+    this.reportFile = opts.reportFile ?? null;
+    this.review = opts.review ?? false;
     this._configOverride = opts.config ?? null;
     this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
 
     // Will be populated by init()
     this.config = null;
@@ -42,7 +66,7 @@ export class SchemaDiffGenerator {
     this.sqlClient = null;
 
     // AST-based schema parser (replaces regex-based parsing)
-    this.astParser = new ASTSchemaParser();
+    this.astParser = new ASTSchemaParser({ logger: this.logger });
 
     // Drizzle variable name → physical table name mapping
     this.varToPhysical = {};
@@ -55,10 +79,10 @@ export class SchemaDiffGenerator {
   // ------------------------------------------------------------------
 
   async init() {
-    this.config = this._configOverride || (await loadConfig(this._projectRoot));
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
 
     if (!this.config.schemaDir) {
-      throw new Error(
+      throw new ConfigError(
         'schemaDir is required in drizzle-liquibase.config.mjs (path to your Drizzle schema directory)'
       );
     }
@@ -69,21 +93,25 @@ export class SchemaDiffGenerator {
 
     this.options = { ...this.config.diff };
 
+    if (this.reportFormat !== null && this.reportFormat !== 'json') {
+      throw new ConfigError(`Unsupported report format "${this.reportFormat}". Supported: json`);
+    }
+
     // Validate custom name
     if (this.customName !== null) {
       if (typeof this.customName !== 'string' || this.customName.trim().length === 0) {
-        throw new Error('Custom name must be a non-empty string');
+        throw new ConfigError('Custom name must be a non-empty string');
       }
       if (!/^[a-zA-Z0-9_-]+$/.test(this.customName)) {
-        throw new Error('Custom name can only contain letters, numbers, underscores, and hyphens');
+        throw new ConfigError('Custom name can only contain letters, numbers, underscores, and hyphens');
       }
       if (this.customName.length > 80) {
-        throw new Error('Custom name must be 80 characters or less');
+        throw new ConfigError('Custom name must be 80 characters or less');
       }
     }
 
-    if (!this.databaseUrl) {
-      throw new Error(
+    if (!this.databaseUrl && !this.against) {
+      throw new ConfigError(
         'DATABASE_URL is not configured. Set it in drizzle-liquibase.config.mjs, ' +
         '.env, or as an environment variable.'
       );
@@ -114,7 +142,7 @@ export class SchemaDiffGenerator {
         );
       }
       const truncated = identifier.substring(0, 63);
-      console.warn(`⚠️  ${context} "${identifier}" exceeds 63 characters. Truncating to: "${truncated}"`);
+      this.logger.warn(`⚠️  ${context} "${identifier}" exceeds 63 characters. Truncating to: "${truncated}"`);
       return truncated;
     }
     if (identifier.includes('\0') || identifier.includes('\r') || identifier.includes('\n')) {
@@ -152,16 +180,33 @@ export class SchemaDiffGenerator {
 
   async initDb() {
     const client = new Client({ connectionString: this.databaseUrl });
-    await client.connect();
+    try {
+      await client.connect();
+    } catch (error) {
+      throw new ConnectionError(`Could not connect to the database: ${error.message}`, { cause: error });
+    }
     this.sqlClient = client;
   }
 
+  /**
+   * The database schema from the `against` snapshot file.
+   *
+   * @returns {Record<string, object>} same shape as getDatabaseSchema()
+   */
+  loadSnapshotSchema() {
+    const file = resolve(this._projectRoot || process.cwd(), this.against);
+    const snapshot = readDatabaseSnapshot(file);
+    const source = snapshot.database ? ` (${snapshot.database}, taken ${snapshot.takenAt})` : ` (taken ${snapshot.takenAt})`;
+    this.logger.info(`📸 Using database snapshot ${file}${source}`);
+    return snapshot.tables;
+  }
+
   async cleanup() {
     if (this.sqlClient && typeof this.sqlClient.end === 'function') {
       try {
         await this.sqlClient.end();
       } catch (error) {
-        console.warn('Warning: Error closing database connection:', error.message);
+        this.logger.warn('Warning: Error closing database connection:', error.message);
       } finally {
         this.sqlClient = null;
       }
@@ -172,10 +217,19 @@ export class SchemaDiffGenerator {
   // Database introspection
   // ------------------------------------------------------------------
 
+  /** Run an introspection query; --verbose shows it and its row count. */
+  async introspect(sql) {
+    this.logger.debug(describeQuery(sql));
+    const res = await this.sqlClient.query(sql);
+    this.logger.debug(`        → ${res.rows.length} row(s)`);
+    return res;
+  }
+
   async getDatabaseSchema() {
-    console.log('🔍 Introspecting current database schema...');
+    await this.runPluginHook('beforeIntrospect');
+    this.logger.info('🔍 Introspecting current database schema...');
 
-    const tablesRes = await this.sqlClient.query(`
+    const tablesRes = await this.introspect(`
       SELECT
         t.table_name,
         t.table_schema,
@@ -201,7 +255,7 @@ export class SchemaDiffGenerator {
       ORDER BY t.table_name, c.ordinal_position
     `);
 
-    const indexesRes = await this.sqlClient.query(`
+    const indexesRes = await this.introspect(`
       SELECT schemaname, tablename, indexname, indexdef
       FROM pg_indexes
       WHERE schemaname = 'public'
@@ -210,13 +264,13 @@ export class SchemaDiffGenerator {
         AND tablename NOT IN ('databasechangelog', 'databasechangeloglock')
     `);
 
-    const policiesRes = await this.sqlClient.query(`
+    const policiesRes = await this.introspect(`
       SELECT schemaname, tablename, policyname, permissive, roles, cmd, qual, with_check
       FROM pg_policies
       WHERE schemaname = 'public'
     `);
 
-    const foreignKeysRes = await this.sqlClient.query(`
+    const foreignKeysRes = await this.introspect(`
       SELECT
         con.conname as constraint_name,
         nsp.nspname as schema_name,
@@ -235,7 +289,7 @@ export class SchemaDiffGenerator {
       WHERE con.contype = 'f' AND nsp.nspname = 'public'
     `);
 
-    const uniqueConstraintsRes = await this.sqlClient.query(`
+    const uniqueConstraintsRes = await this.introspect(`
       SELECT
         con.conname as constraint_name,
         cls.relname as table_name,
@@ -249,13 +303,15 @@ export class SchemaDiffGenerator {
       ORDER BY con.conname, k.ord
     `);
 
-    return this.parseDatabaseResults(
+    const tables = this.parseDatabaseResults(
       tablesRes.rows,
       indexesRes.rows,
       policiesRes.rows,
       foreignKeysRes.rows,
       uniqueConstraintsRes.rows
     );
+    this.logger.debug(`   Introspected ${Object.keys(tables).length} table(s)`);
+    return tables;
   }
 
   // ------------------------------------------------------------------
@@ -440,22 +496,38 @@ export class SchemaDiffGenerator {
   // ------------------------------------------------------------------
 
   async getDrizzleSchema() {
-    console.log('📖 Parsing Drizzle schema files...');
+    this.logger.info('📖 Parsing Drizzle schema files...');
+
+    // Start from scratch so re-parsing (watch mode) drops renamed tables
+    this.varToPhysical = {};
+    this.columnLogicalToPhysical = {};
 
     const indexPath = join(this.schemaDir, this.config.schemaIndexFile || 'index.ts');
     if (!existsSync(indexPath)) {
-      throw new Error(`Schema index file not found: ${indexPath}`);
+      throw new SchemaParseError(`Schema index file not found: ${indexPath}`, { file: indexPath });
     }
 
     const indexContent = readFileSync(indexPath, 'utf-8');
     const schemaFiles = this.astParser.parseImports(indexContent);
+    this.logger.debug(`   ${indexPath} re-exports: ${schemaFiles.join(', ') || '(nothing)'}`);
+
+    // The index is parsed too: a single-file schema (drizzle.config.ts
+    // `schema: './src/db/schema.ts'`) defines its tables there
+    const indexName = basename(indexPath).replace(/\.[^.]+$/, '');
+    const entries = [
+      [indexName, indexPath],
+      ...schemaFiles.map(file => [file, join(this.schemaDir, `${file}.ts`)]),
+    ];
 
     const schemas = {};
-    for (const file of schemaFiles) {
-      const filePath = join(this.schemaDir, `${file}.ts`);
+    for (const [file, filePath] of entries) {
       if (existsSync(filePath)) {
-        const content = readFileSync(filePath, 'utf-8');
-        schemas[file] = this.astParser.parseFile(content, file);
+        const content = filePath === indexPath ? indexContent : readFileSync(filePath, 'utf-8');
+        try {
+          schemas[file] = this.astParser.parseFile(content, file);
+        } catch (error) {
+          throw new SchemaParseError(`Failed to parse ${filePath}: ${error.message}`, { cause: error, file: filePath });
+        }
         // Collect var → physical mapping
         Object.entries(schemas[file]).forEach(([varName, t]) => {
           if (t && t.name) {
@@ -952,7 +1024,8 @@ export class SchemaDiffGenerator {
       const withCheck = pol.policy.with_check ? ` WITH CHECK (${this.sanitizePolicyExpression(pol.policy.with_check)})` : '';
       const create = `CREATE POLICY ${this.escapeIdentifier(pol.policy.name)} ON ${this.escapeIdentifier(pol.table)} AS PERMISSIVE FOR ${cmd} TO ${roles}${using}${withCheck};`;
       statements.push(drop, create);
-      rollbackStatements.push(`-- WARNING: Policy modification for ${pol.policy.name} not fully reversible`);
+      // One warning for the pair; the empty rollback keeps the lists paired by index
+      rollbackStatements.push(`-- WARNING: Policy modification for ${pol.policy.name} not fully reversible`, '');
     });
 
     // DROP TABLE
@@ -1066,61 +1139,113 @@ export class SchemaDiffGenerator {
     return process.env.USER || process.env.USERNAME || process.env.LOGNAME || 'unknown';
   }
 
-  generateMigrationFile(statements, rollbackStatements) {
+  /**
+   * Render a Liquibase formatted SQL changeset.
+   *
+   * @param {string[]} statements         — forward SQL statements
+   * @param {string[]} rollbackStatements — one rollback per statement (forward order)
+   * @param {object}   meta
+   * @param {string}   meta.author        — changeset author
+   * @param {string}   meta.changesetName — changeset id
+   * @returns {string}
+   */
+  formatMigrationContent(statements, rollbackStatements, { author, changesetName }) {
+    const statementsWithDelimiter = statements.map((stmt) =>
+      stmt.replace(/\s*-->\s*statement-breakpoint\s*$/, '').trim() + '\n--> statement-breakpoint'
+    );
+
+    // Rollbacks must execute in reverse order: if forward creates tables then
+    // adds FKs then creates indexes, rollback must drop indexes, then FKs, then tables.
+    // Empty rollbacks only hold a statement's place and are left out.
+    const reversedRollbacks = rollbackStatements.filter(stmt => stmt.trim()).reverse();
+
+    const rollbackWithDelimiter = reversedRollbacks.map((stmt) => {
+      const clean = stmt.replace(/;\s*-->\s*statement-breakpoint\s*$/, '').replace(/;$/, '').trim();
+      return `--rollback ${clean};\n--rollback --> statement-breakpoint`;
+    });
+
+    return `--liquibase formatted sql
+
+--changeset ${author}:${changesetName} splitStatements:false endDelimiter:--> statement-breakpoint
+
+${statementsWithDelimiter.join('\n\n')}
+
+${rollbackWithDelimiter.join('\n')}
+`;
+  }
+
+  /**
+   * Work out the migration filename and content without touching disk.
+   *
+   * @returns {{ filename: string, content: string }}
+   */
+  renderMigration(statements, rollbackStatements) {
     const pattern = (this.config && this.config.timestampFormat) || 'YYYYMMDDHHmmss';
     const timestamp = formatTimestamp(new Date(), pattern);
     const baseName = this.customName || 'schema_diff_migration';
     const extMatch = baseName.match(/\.([a-zA-Z0-9]+)$/);
     const filename = extMatch ? `${timestamp}_${baseName}` : `${timestamp}_${baseName}.sql`;
 
+    const fileExt = filename.split('.').pop().toLowerCase();
+    if (fileExt !== 'sql') return { filename, content: '' };
+
+    const changesetName = filename.replace(/^\d+_/, '').replace(/\.sql$/, '');
+    const content = this.formatMigrationContent(statements, rollbackStatements, {
+      author: this.getCurrentUser(),
+      changesetName,
+    });
+    return { filename, content };
+  }
+
+  /**
+   * Write the migration into migrationsDir and add it to the master changelog.
+   *
+   * @param {string[]} statements
+   * @param {string[]} rollbackStatements
+   * @param {{ filename: string, content: string }} [rendered] — from prepareMigration();
+   *   rendered here, without plugins, when omitted
+   * @returns {string} the file written
+   */
+  generateMigrationFile(statements, rollbackStatements, rendered = this.renderMigration(statements, rollbackStatements)) {
+    const { filename, content } = rendered;
+
     // Ensure migrations directory exists
     if (!existsSync(this.migrationsDir)) {
       mkdirSync(this.migrationsDir, { recursive: true });
     }
 
     const filepath = join(this.migrationsDir, filename);
-
-    const fileExt = filename.split('.').pop().toLowerCase();
-    if (fileExt === 'sql') {
-      const changesetName = filename.replace(/^\d+_/, '').replace(/\.sql$/, '');
-      const author = this.getCurrentUser();
-
-      const statementsWithDelimiter = statements.map((stmt) =>
-        stmt.replace(/\s*-->\s*statement-breakpoint\s*$/, '').trim() + '\n--> statement-breakpoint'
-      );
-
-      // Rollbacks must execute in reverse order: if forward creates tables then
-      // adds FKs then creates indexes, rollback must drop indexes, then FKs, then tables.
-      const reversedRollbacks = [...rollbackStatements].reverse();
-
-      const rollbackWithDelimiter = reversedRollbacks.map((stmt) => {
-        const clean = stmt.replace(/;\s*-->\s*statement-breakpoint\s*$/, '').replace(/;$/, '').trim();
-        return `--rollback ${clean};\n--rollback --> statement-breakpoint`;
-      });
-
-      const content = `--liquibase formatted sql
-
---changeset ${author}:${changesetName} splitStatements:false endDelimiter:--> statement-breakpoint
-
-${statementsWithDelimiter.join('\n\n')}
-
-${rollbackWithDelimiter.join('\n')}
-`;
-      writeFileSync(filepath, content);
-    } else {
-      writeFileSync(filepath, '');
-    }
+    writeFileSync(filepath, content);
 
     // Update master changelog
     try {
       this.addToMasterChangelog(filename);
     } catch (err) {
-      console.warn('Could not update master changelog:', err.message);
+      this.logger.warn('Could not update master changelog:', err.message);
     }
 
     return filepath;
   }
 
+  /**
+   * Write the rendered migration to `this.output` ('-' = stdout) instead of
+   * the migrations directory. The master changelog is not touched.
+   *
+   * @param {{ filename: string, content: string }} [rendered] — from prepareMigration()
+   * @returns {string|null} the file written, or null for stdout
+   */
+  writeMigrationOutput(statements, rollbackStatements, rendered = this.renderMigration(statements, rollbackStatements)) {
+    const { content } = rendered;
+    if (this.output === '-') {
+      process.stdout.write(content);
+      return null;
+    }
+    const target = resolve(this._projectRoot || process.cwd(), this.output);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, content);
+    return target;
+  }
+
   addToMasterChangelog(filename) {
     const changelogPath = this.config.masterChangelog;
     if (!existsSync(changelogPath)) {
@@ -1139,7 +1264,7 @@ ${rollbackWithDelimiter.join('\n')}
 </databaseChangeLog>
 `;
       writeFileSync(changelogPath, template);
-      console.log('Created master changelog with first migration:', filename);
+      this.logger.info('Created master changelog with first migration:', filename);
       return;
     }
 
@@ -1176,62 +1301,191 @@ ${rollbackWithDelimiter.join('\n')}
         writeFileSync(changelogPath, before + (needNl ? '\n' : '') + includeLines + '\n' + after);
       }
     }
-    console.log('Updated master changelog with:', filename);
+    this.logger.info('Updated master changelog with:', filename);
+  }
+
+  // ------------------------------------------------------------------
+  // Diff
+  // ------------------------------------------------------------------
+
+  /**
+   * Introspect, compare and generate SQL without writing anything.
+   * Requires init() and initDb() unless a dbSchema is passed in.
+   *
+   * @param {object} [opts]
+   * @param {object} [opts.dbSchema] — previously introspected schema (see
+   *                                   getDatabaseSchema()) to compare against
+   *                                   instead of querying the database
+   * @returns {Promise<{ changes: object, statements: string[], rollbackStatements: string[] }>}
+   */
+  async computeDiff({ dbSchema } = {}) {
+    dbSchema ??= await this.getDatabaseSchema();
+    const drizzleSchema = await this.getDrizzleSchema();
+
+    this.logger.info('⚖️  Comparing schemas...');
+    let changes = this.reverse
+      ? this.compareSchemasReverse(drizzleSchema, dbSchema)
+      : this.compareSchemas(drizzleSchema, dbSchema);
+
+    ({ changes } = await this.runPluginHook('afterDiff', { changes }));
+
+    this.logger.info('🛠️  Generating SQL...');
+    const generated = this.generateSQL(changes);
+    const { statements, rollbackStatements } = await transformStatements(
+      this.config?.plugins, generated.statements, generated.rollbackStatements, this.pluginContext());
+
+    return { changes, statements, rollbackStatements };
+  }
+
+  // ------------------------------------------------------------------
+  // Plugins
+  // ------------------------------------------------------------------
+
+  /** What every plugin hook receives from this engine (see plugins.mjs). */
+  pluginContext() {
+    return { engine: 'custom', dialect: 'postgresql', config: this.config, logger: this.logger };
+  }
+
+  /** Call a plugin hook with pluginContext() plus `context`; resolves to the context. */
+  runPluginHook(hook, context = {}) {
+    return runHook(this.config?.plugins, hook, { ...this.pluginContext(), ...context });
+  }
+
+  /**
+   * renderMigration(), passed through the plugins' beforeWrite hooks. Pass
+   * the result to generateMigrationFile() or writeMigrationOutput().
+   *
+   * @returns {Promise<{ filename: string, content: string }>}
+   */
+  async prepareMigration(statements, rollbackStatements) {
+    const { filename, content } = this.renderMigration(statements, rollbackStatements);
+    const context = await this.runPluginHook('beforeWrite', {
+      filename, content, statements, rollbackStatements, output: this.output,
+    });
+    return { filename: context.filename, content: context.content };
+  }
+
+  // ------------------------------------------------------------------
+  // Interactive review
+  // ------------------------------------------------------------------
+
+  /**
+   * Let the user accept, skip or edit each statement and its rollback
+   * (`--review`). Prints a one-line summary of what changed.
+   *
+   * @returns {Promise<{statements: string[], rollbackStatements: string[], aborted: boolean}>}
+   */
+  async reviewChanges(statements, rollbackStatements) {
+    this.logger.info(`\n🔎 Reviewing ${statements.length} statement(s)...`);
+    const reviewed = await reviewStatements(statements, rollbackStatements);
+    if (reviewed.aborted) {
+      this.logger.info('\n🛑 Review cancelled — no migration written.');
+      return { statements: [], rollbackStatements: [], aborted: true };
+    }
+    this.logger.info(`\n🔎 Review complete: ${reviewed.statements.length} accepted (${reviewed.edited} edited), ${reviewed.skipped} skipped`);
+    if (!reviewed.statements.length) this.logger.info('   Nothing accepted — no migration written.');
+    return { statements: reviewed.statements, rollbackStatements: reviewed.rollbacks, aborted: false };
+  }
+
+  // ------------------------------------------------------------------
+  // Change report
+  // ------------------------------------------------------------------
+
+  /**
+   * Build the change report for this run and, with `report: 'json'`, emit
+   * it to stdout or `reportFile`.
+   *
+   * @returns {object} the report (see report.mjs)
+   */
+  reportChanges({ changes, statements, rollbackStatements, file }) {
+    const report = buildChangeReport({
+      engine: 'custom',
+      dialect: 'postgresql',
+      changes,
+      statements,
+      rollbacks: rollbackStatements,
+      file,
+    });
+    if (this.reportFormat === 'json') {
+      const target = writeReport(report, { file: this.reportFile, projectRoot: this._projectRoot });
+      if (target) this.logger.info(`📋 Change report written to ${target}`);
+    }
+    return report;
   }
 
   // ------------------------------------------------------------------
   // Main entry point
   // ------------------------------------------------------------------
 
-  async run() {
-    console.log(`🚀 Starting schema diff migration generation${this.reverse ? ' (REVERSE MODE)' : ''}...`);
+  /**
+   * Generate the migration. Throws on failure — see run() for the CLI wrapper.
+   *
+   * @returns {Promise<object>} the change report (see report.mjs)
+   */
+  async execute() {
+    this.logger.info(`🚀 Starting schema diff migration generation${this.reverse ? ' (REVERSE MODE)' : ''}...`);
 
     try {
       await this.init();
-      await this.initDb();
-
-      const dbSchema = await this.getDatabaseSchema();
-      const drizzleSchema = await this.getDrizzleSchema();
 
-      console.log('⚖️  Comparing schemas...');
-      const changes = this.reverse
-        ? this.compareSchemasReverse(drizzleSchema, dbSchema)
-        : this.compareSchemas(drizzleSchema, dbSchema);
+      let dbSchema;
+      if (this.against) dbSchema = this.loadSnapshotSchema();
+      else await this.initDb();
 
-      console.log('🛠️  Generating SQL...');
-      const { statements, rollbackStatements } = this.generateSQL(changes);
+      let { changes, statements, rollbackStatements } = await this.computeDiff({ dbSchema });
 
       if (statements.length === 0) {
-        console.log('✅ No changes detected between schema and database');
-        return;
+        this.logger.info(`✅ No changes detected between schema and ${this.against ? 'snapshot' : 'database'}`);
+        return this.reportChanges({ changes, statements, rollbackStatements, file: null });
       }
 
-      console.log('📝 Generating migration file...');
-      const filepath = this.generateMigrationFile(statements, rollbackStatements);
-
-      console.log(`✅ Migration generated: ${filepath}`);
-      console.log(`📊 Changes detected:`);
-      console.log(`   - Tables to create: ${changes.tablesToCreate.length}`);
-      console.log(`   - Tables to drop: ${changes.tablesToDrop.length}`);
-      console.log(`   - Columns to add: ${changes.columnsToAdd.length}`);
-      console.log(`   - Columns to drop: ${changes.columnsToDrop.length}`);
-      console.log(`   - Columns to modify: ${changes.columnsToModify.length}`);
-      console.log(`   - Indexes to add: ${changes.indexesToAdd.length}`);
-      console.log(`   - Indexes to drop: ${changes.indexesToDrop.length}`);
-      console.log(`   - Unique to add: ${changes.uniqueToAdd.length}`);
-      console.log(`   - Unique to drop: ${changes.uniqueToDrop.length}`);
-      console.log(`   - FKs to add: ${changes.foreignKeysToAdd.length}`);
-      console.log(`   - FKs to drop: ${changes.foreignKeysToDrop.length}`);
-      console.log(`   - Policies to add: ${changes.policiesToAdd.length}`);
-      console.log(`   - Policies to drop: ${changes.policiesToDrop.length}`);
-      console.log(`   - Policies to modify: ${changes.policiesToModify.length}`);
-    } catch (error) {
-      console.error('❌ Error generating migration:', error.message);
-      process.exit(1);
+      if (this.review) {
+        ({ statements, rollbackStatements } = await this.reviewChanges(statements, rollbackStatements));
+        if (!statements.length) return this.reportChanges({ changes, statements, rollbackStatements, file: null });
+      }
+
+      const rendered = await this.prepareMigration(statements, rollbackStatements);
+      if (this.output) {
+        const target = this.writeMigrationOutput(statements, rollbackStatements, rendered);
+        if (target) this.logger.info(`✅ Migration written to ${target} (master changelog not updated)`);
+        return this.reportChanges({ changes, statements, rollbackStatements, file: target });
+      }
+
+      this.logger.info('📝 Generating migration file...');
+      const filepath = this.generateMigrationFile(statements, rollbackStatements, rendered);
+
+      this.logger.info(`✅ Migration generated: ${filepath}`);
+      this.logger.info(`📊 Changes detected:`);
+      this.logger.info(`   - Tables to create: ${changes.tablesToCreate.length}`);
+      this.logger.info(`   - Tables to drop: ${changes.tablesToDrop.length}`);
+      this.logger.info(`   - Columns to add: ${changes.columnsToAdd.length}`);
+      this.logger.info(`   - Columns to drop: ${changes.columnsToDrop.length}`);
+      this.logger.info(`   - Columns to modify: ${changes.columnsToModify.length}`);
+      this.logger.info(`   - Indexes to add: ${changes.indexesToAdd.length}`);
+      this.logger.info(`   - Indexes to drop: ${changes.indexesToDrop.length}`);
+      this.logger.info(`   - Unique to add: ${changes.uniqueToAdd.length}`);
+      this.logger.info(`   - Unique to drop: ${changes.uniqueToDrop.length}`);
+      this.logger.info(`   - FKs to add: ${changes.foreignKeysToAdd.length}`);
+      this.logger.info(`   - FKs to drop: ${changes.foreignKeysToDrop.length}`);
+      this.logger.info(`   - Policies to add: ${changes.policiesToAdd.length}`);
+      this.logger.info(`   - Policies to drop: ${changes.policiesToDrop.length}`);
+      this.logger.info(`   - Policies to modify: ${changes.policiesToModify.length}`);
+
+      return this.reportChanges({ changes, statements, rollbackStatements, file: filepath });
     } finally {
       await this.cleanup();
     }
   }
+
+  async run() {
+    try {
+      return await this.execute();
+    } catch (error) {
+      this.logger.error('❌ Error generating migration:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
 }
 
 export default SchemaDiffGenerator;
@@ -0,0 +1,68 @@
+/**
+ * drizzle-migrations-liquibase — Git helpers
+ *
+ * Thin wrappers over the git CLI for the commands that read the schema as
+ * it was at some commit rather than from the working tree (verify-staged,
+ * generate --from-ref/--to-ref).
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, realpathSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+/**
+ * Run git in `cwd`.
+ *
+ * @returns {{ ok: boolean, stdout: string, stderr: string }}
+ */
+export function runGit(args, cwd = process.cwd()) {
+  const res = spawnSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (res.error) throw new Error(`git is not available: ${res.error.message}`);
+  return { ok: res.status === 0, stdout: res.stdout, stderr: res.stderr.trim() };
+}
+
+/** Top-level directory of the repository containing `cwd`, or null outside git. */
+export function gitRoot(cwd) {
+  const res = runGit(['rev-parse', '--show-toplevel'], cwd);
+  return res.ok ? resolve(res.stdout.trim()) : null;
+}
+
+/**
+ * Path of `dir` relative to the repository root, with forward slashes —
+ * the form git uses in `<ref>:<path>`. Symlinks are resolved first since
+ * git reports the resolved top-level (e.g. /tmp on macOS).
+ */
+export function repoRelative(repoRoot, dir) {
+  const real = existsSync(dir) ? realpathSync(dir) : resolve(dir);
+  return relative(repoRoot, real).split(sep).join('/');
+}
+
+/**
+ * Copy the files under `path` as they are at `ref` into `target`, keeping
+ * their layout relative to `path`.
+ *
+ * @param {string} ref      — any git revision
+ * @param {string} path     — repo-relative directory
+ * @param {string} target   — directory to write to
+ * @param {string} repoRoot
+ * @returns {string[]} the files written, relative to `path`
+ */
+export function checkoutDirectory(ref, path, target, repoRoot) {
+  const verified = runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoRoot);
+  if (!verified.ok) throw new Error(`Unknown git ref "${ref}"`);
+
+  const list = runGit(['ls-tree', '-r', '-z', '--name-only', ref, '--', `${path}/`], repoRoot);
+  if (!list.ok) throw new Error(`git ls-tree failed: ${list.stderr}`);
+
+  const files = list.stdout.split('\0').filter(Boolean).map(f => f.slice(path.length + 1));
+  for (const file of files) {
+    const res = spawnSync('git', ['show', `${ref}:${path}/${file}`], { cwd: repoRoot, maxBuffer: 64 * 1024 * 1024 });
+    if (res.status !== 0) throw new Error(`git show ${ref}:${path}/${file} failed: ${String(res.stderr).trim()}`);
+    const dest = join(target, file);
+    mkdirSync(dirname(dest), { recursive: true });
+    writeFileSync(dest, res.stdout);
+  }
+  return files;
+}
+
+export default { runGit, gitRoot, repoRelative, checkoutDirectory };
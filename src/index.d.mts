@@ -0,0 +1,335 @@
+/**
+ * drizzle-migrations-liquibase — Public API types
+ *
+ * Configuration is fully typed (see config.d.mts). The command classes take
+ * the options documented in their JSDoc and are typed loosely here.
+ */
+
+import type { Dialect, DrizzleLiquibaseConfig, Plugin, ResolvedConfig } from './config.mjs';
+
+export {
+  loadConfig,
+  findConfigFile,
+  defineConfig,
+  validateConfig,
+  parseDatabaseUrl,
+  rewriteJdbcForDocker,
+  formatTimestamp,
+} from './config.mjs';
+export type {
+  Dialect,
+  Engine,
+  LiquibaseMode,
+  DiffOptions,
+  LintRule,
+  LintSeverity,
+  LintOptions,
+  Renames,
+  EnvironmentConfig,
+  ProjectConfig,
+  Plugin,
+  PluginContext,
+  GenerationContext,
+  StatementPair,
+  DrizzleLiquibaseConfig,
+  ResolvedConfig,
+} from './config.mjs';
+
+export declare const DRIZZLE_CONFIG_FILES: string[];
+export declare function findDrizzleConfig(root: string, setting?: string | boolean | null): string | null;
+/** Map a drizzle.config.* export onto drizzle-liquibase config keys (paths made absolute). */
+export declare function mapDrizzleConfig(
+  kitConfig: Record<string, unknown>,
+  opts?: { baseDir?: string }
+): Pick<DrizzleLiquibaseConfig, 'schemaDir' | 'schemaIndexFile' | 'dialect' | 'databaseUrl' | 'schemas' | 'excludeTables'>;
+
+// ---------------------------------------------------------------------------
+// Logging
+// ---------------------------------------------------------------------------
+
+export interface Logger {
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+  debug(...args: unknown[]): void;
+}
+
+export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug';
+export type LogFormat = 'text' | 'json';
+
+export declare const LOG_LEVELS: LogLevel[];
+export declare const LOG_FORMATS: LogFormat[];
+
+/** The console logger's level and format, from DRIZZLE_LIQUIBASE_LOG_LEVEL / _LOG_FORMAT (and DEBUG). */
+export declare function getLogSettings(): { level: LogLevel; format: LogFormat };
+/** A console logger; level and format default to getLogSettings(), read on every call. */
+export declare function createConsoleLogger(opts?: { level?: LogLevel; format?: LogFormat }): Logger;
+
+export declare const consoleLogger: Logger;
+export declare const silentLogger: Logger;
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export declare class DrizzleLiquibaseError extends Error {
+  constructor(message: string, opts?: { cause?: unknown });
+  code: string;
+}
+
+export interface ConfigProblem {
+  key: string;
+  message: string;
+  expected?: string[];
+}
+
+export declare class ConfigError extends DrizzleLiquibaseError {
+  constructor(message: string, opts?: { cause?: unknown; file?: string; problems?: ConfigProblem[] });
+  code: 'CONFIG';
+  file: string | null;
+  problems: ConfigProblem[];
+}
+
+export declare class ConnectionError extends DrizzleLiquibaseError {
+  code: 'CONNECTION';
+}
+
+export declare class SchemaParseError extends DrizzleLiquibaseError {
+  constructor(message: string, opts?: { cause?: unknown; file?: string });
+  code: 'SCHEMA_PARSE';
+  file: string | null;
+}
+
+export declare class CommandError extends DrizzleLiquibaseError {
+  constructor(message: string, opts?: { cause?: unknown; command?: string; exitCode?: number; output?: string });
+  code: 'COMMAND';
+  command: string | null;
+  exitCode: number | null;
+  output: string | null;
+}
+
+export declare class PluginError extends DrizzleLiquibaseError {
+  constructor(message: string, opts?: { cause?: unknown; plugin?: string; hook?: PluginHook });
+  code: 'PLUGIN';
+  plugin: string | null;
+  hook: PluginHook | null;
+}
+
+// ---------------------------------------------------------------------------
+// Plugins
+// ---------------------------------------------------------------------------
+
+export type PluginHook = Exclude<keyof Plugin, 'name'>;
+
+export declare const PLUGIN_HOOKS: PluginHook[];
+
+// ---------------------------------------------------------------------------
+// Change reports and the programmatic API
+// ---------------------------------------------------------------------------
+
+export interface ChangeReport {
+  reportVersion: number;
+  engine: 'custom' | 'drizzle-kit';
+  dialect: Dialect;
+  generatedAt: string;
+  file: string | null;
+  changes: Record<string, unknown[]> | null;
+  tables: Record<string, unknown>;
+  statements: string[];
+  rollbacks: string[];
+  hasDataLoss: boolean;
+  destructive: string[];
+  warnings: string[];
+  hints: Array<{ hint: string; statement?: string }>;
+}
+
+export interface GenerateOptions {
+  projectRoot?: string;
+  config?: DrizzleLiquibaseConfig | ResolvedConfig;
+  env?: string;
+  project?: string;
+  configFile?: string;
+  engine?: 'custom' | 'drizzle-kit';
+  name?: string;
+  reverse?: boolean;
+  against?: string;
+  dialect?: Dialect;
+  excludeTables?: string[];
+  schemas?: string[];
+  renamesFile?: string;
+  logger?: Partial<Logger> | false | null;
+}
+
+export declare function generate(options?: GenerateOptions & { output?: string }): Promise<ChangeReport>;
+
+export declare function diff(options?: GenerateOptions): Promise<ChangeReport>;
+
+export declare function runCommand(
+  name: string,
+  options?: {
+    args?: string[];
+    projectRoot?: string;
+    config?: DrizzleLiquibaseConfig | ResolvedConfig;
+    env?: string;
+    project?: string;
+    configFile?: string;
+    yes?: boolean;
+    confirm?: ConfirmCallback;
+    logger?: Partial<Logger> | false | null;
+  }
+): Promise<{ command: string; mode: string; output: string | null; result: unknown }>;
+
+export declare function runLiquibase(
+  command: string,
+  args?: string[],
+  options?: {
+    projectRoot?: string;
+    config?: DrizzleLiquibaseConfig | ResolvedConfig;
+    logger?: Partial<Logger> | false | null;
+    capture?: boolean;
+    yes?: boolean;
+    confirm?: ConfirmCallback;
+  }
+): Promise<unknown>;
+
+/** Replaces the requireConfirm prompt; resolve true to run the command. */
+export type ConfirmCallback = (request: { command: string; env: string | null }) => boolean | Promise<boolean>;
+
+/** Whether a Liquibase command changes the database (the ones readOnly / requireConfirm guard). */
+export declare function isWriteCommand(command: string): boolean;
+
+export declare function buildChangeReport(input: Record<string, unknown>): ChangeReport;
+export declare function findDestructiveStatements(statements: string[]): string[];
+
+// ---------------------------------------------------------------------------
+// Command classes
+// ---------------------------------------------------------------------------
+
+type CommandOptions = Record<string, unknown> & {
+  config?: DrizzleLiquibaseConfig | ResolvedConfig;
+  projectRoot?: string;
+  logger?: Partial<Logger> | false | null;
+};
+
+declare class Command {
+  constructor(opts?: CommandOptions);
+  init(): Promise<void>;
+  run(...args: unknown[]): Promise<any>;
+  [member: string]: any;
+}
+
+export declare class SchemaDiffGenerator extends Command {
+  execute(): Promise<ChangeReport>;
+}
+export declare class DrizzleKitEngine extends Command {
+  execute(): Promise<ChangeReport>;
+}
+export declare class SchemaWatcher extends Command {}
+export declare class SnapshotDiff extends Command {}
+export declare class DatabaseSnapshot extends Command {}
+export declare class DrizzleKitConverter extends Command {}
+export declare class SchemaDriftCheck extends Command {}
+export declare class MigrationLint extends Command {}
+export declare class StagedMigrationVerify extends Command {}
+export declare class Doctor extends Command {}
+export declare class MigrationBaseline extends Command {}
+export declare class MigrationSquash extends Command {}
+export declare class MigrationRebase extends Command {}
+export declare class MigrationStatus extends Command {}
+export declare class MigrationScaffold extends Command {}
+export declare class NativeLiquibase extends Command {}
+
+export declare const CHECK_EXIT_CODES: { NO_DRIFT: 0; ERROR: 1; DRIFT: 2 };
+export declare const LINT_EXIT_CODES: { CLEAN: 0; ERROR: 1; FINDINGS: 2 };
+export declare const VERIFY_EXIT_CODES: { OK: 0; ERROR: 1; UNCOVERED: 2 };
+
+export declare function lintMigration(...args: unknown[]): any;
+export declare function buildStatus(changesets: object[], applied: object[]): any;
+
+// ---------------------------------------------------------------------------
+// Schema parsing
+// ---------------------------------------------------------------------------
+
+/** A column as ASTSchemaParser reads it from the Drizzle schema source. */
+export interface ParsedColumn {
+  name: string;
+  logicalName: string;
+  type: string;
+  args: string;
+  fullType: string;
+  nullable: boolean;
+  primaryKey: boolean;
+  unique: boolean;
+  hasDefault: boolean;
+  isArray: boolean;
+  enumName: string | null;
+  references: { table: string; column: string } | null;
+}
+
+/** A pgTable() definition, keyed by its exported variable name in parseFile(). */
+export interface ParsedTable {
+  name: string;
+  columns: Record<string, ParsedColumn>;
+  constraints: Array<{ type: 'PRIMARY KEY' | 'FOREIGN KEY'; references?: string }>;
+  indexes: Array<{ name: string; method: string | null; columns: string[] }>;
+  policies: Array<{
+    name: string;
+    command: string;
+    roles: string[];
+    using: string | null;
+    with_check: string | null;
+    permissive: boolean;
+  }>;
+  foreignKeys: Record<string, unknown>;
+  uniqueConstraints: Array<{ name: string; columns: string[] }>;
+}
+
+export declare class ASTSchemaParser {
+  constructor(opts?: { logger?: Partial<Logger> | false | null });
+  /** Module names re-exported by an index file (`export * from './users'` → 'users'). */
+  parseImports(content: string): string[];
+  /** The exported pgTable() definitions in a schema file; `filename` is used for logging. */
+  parseFile(content: string, filename: string): Record<string, ParsedTable>;
+}
+
+// ---------------------------------------------------------------------------
+// Snapshots, changelogs and database access
+// ---------------------------------------------------------------------------
+
+export declare function readDatabaseSnapshot(file: string): any;
+export declare function writeDatabaseSnapshot(file: string, snapshot: object): string;
+export declare function readChangelogIncludes(changelogPath: string): Array<{ file: string; path: string }>;
+/** One changeset of a Liquibase formatted SQL file. */
+export interface Changeset {
+  author: string;
+  id: string;
+  attributes: Record<string, string>;
+  body: string;
+  rollback: string;
+  preconditions: string[];
+  comment: string | null;
+  /** Changelog-relative filename, or null when none was given. */
+  file: string | null;
+  /** 1-based line of the `--changeset` header. */
+  line: number;
+}
+
+export declare function parseFormattedSql(
+  content: string,
+  file?: string | null
+): { formatted: boolean; changesets: Changeset[] };
+export declare function loadChangesets(changelogPath: string): any[];
+
+export interface DatabaseHandle {
+  dialect: Dialect;
+  client: unknown;
+  databaseName: string | null;
+  query(sql: string, params?: unknown[]): Promise<Record<string, unknown>[]>;
+  close(): Promise<void>;
+}
+
+export declare function openDatabase(
+  databaseUrl: string,
+  opts: { dialect: Dialect; projectRoot?: string; logger?: Partial<Logger> }
+): Promise<DatabaseHandle>;
+export declare function readAppliedChangesets(db: DatabaseHandle): Promise<Record<string, unknown>[]>;
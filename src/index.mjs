@@ -4,7 +4,39 @@
  * Re-exports all public functions for programmatic use.
  */
 
-export { loadConfig, parseDatabaseUrl, rewriteJdbcForDocker, formatTimestamp } from './config.mjs';
-export { runLiquibase } from './runner.mjs';
+export { generate, diff, runCommand } from './api.mjs';
+export {
+  DrizzleLiquibaseError, ConfigError, ConnectionError, SchemaParseError, CommandError, PluginError,
+} from './errors.mjs';
+export { PLUGIN_HOOKS } from './plugins.mjs';
+export { consoleLogger, silentLogger, createConsoleLogger, getLogSettings, LOG_LEVELS, LOG_FORMATS } from './logger.mjs';
+export {
+  loadConfig,
+  findConfigFile,
+  defineConfig,
+  validateConfig,
+  parseDatabaseUrl,
+  rewriteJdbcForDocker,
+  formatTimestamp,
+} from './config.mjs';
+export { DRIZZLE_CONFIG_FILES, findDrizzleConfig, mapDrizzleConfig } from './drizzle-config.mjs';
+export { runLiquibase, isWriteCommand } from './runner.mjs';
+export { NativeLiquibase } from './native.mjs';
 export { SchemaDiffGenerator } from './generate.mjs';
+export { SchemaWatcher } from './watch.mjs';
+export { SnapshotDiff, DatabaseSnapshot } from './snapshot.mjs';
+export { readDatabaseSnapshot, writeDatabaseSnapshot } from './snapshot-file.mjs';
 export { ASTSchemaParser } from './ast-parser.mjs';
+export { DrizzleKitConverter } from './convert.mjs';
+export { SchemaDriftCheck, CHECK_EXIT_CODES } from './check.mjs';
+export { MigrationLint, LINT_EXIT_CODES, lintMigration } from './lint.mjs';
+export { StagedMigrationVerify, VERIFY_EXIT_CODES } from './verify.mjs';
+export { Doctor } from './doctor.mjs';
+export { buildChangeReport, findDestructiveStatements } from './report.mjs';
+export { MigrationBaseline } from './baseline.mjs';
+export { MigrationSquash } from './squash.mjs';
+export { MigrationRebase } from './rebase.mjs';
+export { MigrationStatus, buildStatus } from './status.mjs';
+export { MigrationScaffold } from './scaffold.mjs';
+export { readChangelogIncludes, parseFormattedSql, loadChangesets } from './changelog.mjs';
+export { openDatabase, readAppliedChangesets } from './database.mjs';
@@ -0,0 +1,297 @@
+/**
+ * drizzle-migrations-liquibase — Migration linter
+ *
+ * Statically checks the formatted SQL files in migrationsDir (or the files
+ * given on the command line) for changesets that are unsafe or that
+ * Liquibase will mis-handle. Nothing is executed and no database is needed.
+ *
+ * Rules (default severity):
+ *   not-formatted           error   missing `--liquibase formatted sql` or no changesets
+ *   missing-rollback        error   changeset has no `--rollback` lines
+ *   manual-rollback         warning rollback is (partly) a "Manual rollback required" comment
+ *   missing-end-delimiter   error   PostgreSQL changeset without endDelimiter:--> statement-breakpoint
+ *   unexpected-delimiter    error   MySQL / SQLite / SingleStore changeset using --> statement-breakpoint
+ *   destructive-statement   warning DROP TABLE / DROP COLUMN / TRUNCATE / DELETE FROM
+ *   do-block-rollback       warning `DO $$` block in a rollback (see README: rollback quirk)
+ *
+ * Severities can be changed per rule with `lint.rules` in the config
+ * ('error' | 'warning' | 'off'). Exit codes follow `check`:
+ *
+ *   0 — no errors (warnings allowed unless --strict)
+ *   2 — findings that should block the migration
+ *   1 — the lint itself failed (config, unreadable files)
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { loadConfig, detectDialectFromUrl } from './config.mjs';
+import { parseFormattedSql, changesetStatements, isCommentOnly } from './changelog.mjs';
+import { findDestructiveStatements } from './report.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+export const LINT_EXIT_CODES = {
+  CLEAN: 0,
+  ERROR: 1,
+  FINDINGS: 2,
+};
+
+/** Rule name → default severity. */
+export const LINT_RULES = {
+  'not-formatted': 'error',
+  'missing-rollback': 'error',
+  'manual-rollback': 'warning',
+  'missing-end-delimiter': 'error',
+  'unexpected-delimiter': 'error',
+  'destructive-statement': 'warning',
+  'do-block-rollback': 'warning',
+};
+
+const SEVERITIES = ['error', 'warning', 'off'];
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+const BREAKPOINT = '--> statement-breakpoint';
+const BREAKPOINT_RE = /-->\s*statement-breakpoint/;
+/** Placeholder rollbacks written by both engines for changes they can't reverse. */
+const MANUAL_ROLLBACK_RE = /^\s*--\s*(?:manual rollback required|warning:.*\b(?:cannot|manual)\b|.*cannot be rolled back)/im;
+const DO_BLOCK_RE = /\bDO\s+\$\w*\$/i;
+
+function preview(sql) {
+  const s = sql.replace(/\s+/g, ' ').trim();
+  return s.length > 70 ? s.slice(0, 70) + '...' : s;
+}
+
+/**
+ * Lint one formatted SQL file.
+ *
+ * @param {string} content
+ * @param {object} opts
+ * @param {string} opts.file    — name reported on each finding
+ * @param {string} opts.dialect — postgresql | mysql | sqlite | singlestore
+ * @returns {Array<{ file, line, changeset, rule, severity, message }>}
+ *          findings with their default severity
+ */
+export function lintMigration(content, { file, dialect }) {
+  const findings = [];
+  const add = (rule, line, changeset, message) =>
+    findings.push({ file, line, changeset, rule, severity: LINT_RULES[rule], message });
+
+  const { formatted, changesets } = parseFormattedSql(content, file);
+  if (!formatted) {
+    add('not-formatted', 1, null, 'first line must be "--liquibase formatted sql"');
+    return findings;
+  }
+  if (!changesets.length) {
+    add('not-formatted', 1, null, 'no --changeset found');
+    return findings;
+  }
+
+  for (const cs of changesets) {
+    const id = `${cs.author}:${cs.id}`;
+    const { endDelimiter } = cs.attributes;
+
+    // ── Rollbacks ──
+    if (!cs.rollback) {
+      add('missing-rollback', cs.line, id, `${id} has no --rollback lines`);
+    } else if (isCommentOnly(cs.rollback)) {
+      add('manual-rollback', cs.line, id, `${id} rollback is only a comment — rolling back will do nothing`);
+    } else if (MANUAL_ROLLBACK_RE.test(cs.rollback)) {
+      add('manual-rollback', cs.line, id, `${id} rollback is incomplete — part of it must be done by hand`);
+    }
+
+    if (DO_BLOCK_RE.test(cs.rollback)) {
+      add('do-block-rollback', cs.line, id,
+        `${id} rollback contains a DO $$ block, which the formatted SQL parser can mis-split — ` +
+        'use simpler SQL or an external rollback file');
+    }
+
+    // ── Delimiters ──
+    if (dialect === 'postgresql') {
+      if (!endDelimiter || !BREAKPOINT_RE.test(endDelimiter)) {
+        add('missing-end-delimiter', cs.line, id,
+          `${id} is missing "splitStatements:false endDelimiter:${BREAKPOINT}" in its header`);
+      }
+    } else if ((endDelimiter && BREAKPOINT_RE.test(endDelimiter)) || BREAKPOINT_RE.test(cs.body) || BREAKPOINT_RE.test(cs.rollback)) {
+      add('unexpected-delimiter', cs.line, id,
+        `${id} uses "${BREAKPOINT}", which ${dialect} changesets split on ';' and would send as SQL`);
+    }
+
+    // ── Statements ──
+    for (const stmt of findDestructiveStatements(changesetStatements(cs))) {
+      add('destructive-statement', cs.line, id, `${id} destroys data: ${preview(stmt)}`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Apply per-rule severity overrides, dropping rules turned 'off'.
+ *
+ * @param {Array<object>} findings
+ * @param {object} [rules] — { ruleName: 'error' | 'warning' | 'off' }
+ * @returns {Array<object>}
+ */
+export function applyRuleSeverities(findings, rules = {}) {
+  for (const [rule, severity] of Object.entries(rules)) {
+    if (!(rule in LINT_RULES)) {
+      throw new Error(`Unknown lint rule "${rule}". Known rules: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${rule}". Must be one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+  return findings
+    .map(f => ({ ...f, severity: rules[f.rule] ?? f.severity }))
+    .filter(f => f.severity !== 'off');
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationLint {
+  /**
+   * @param {object} opts
+   * @param {string[]} [opts.files]          — files to lint (default: every .sql file in migrationsDir)
+   * @param {string}   [opts.format='text']  — 'text' or 'json'
+   * @param {boolean}  [opts.strict=false]   — warnings fail the lint too
+   * @param {object}   [opts.config]         — pre-loaded config (skips loadConfig)
+   * @param {string}   [opts.projectRoot]    — project root (for loadConfig fallback)
+   * @param {object}   [opts.logger]         — progress output (see logger.mjs); defaults to the console
+   * @param {string}   [opts.dialect]        — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.files = opts.files ?? [];
+    this.format = opts.format ?? 'text';
+    this.strict = opts.strict ?? false;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+    this.rules = {};
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!['text', 'json'].includes(this.format)) {
+      throw new Error(`Unsupported format "${this.format}". Supported: text, json`);
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    this.rules = this.config.lint?.rules ?? {};
+    applyRuleSeverities([], this.rules); // validate up front
+  }
+
+  // ------------------------------------------------------------------
+  // Linting
+  // ------------------------------------------------------------------
+
+  /** Absolute paths of the files to lint. */
+  resolveFiles() {
+    if (this.files.length) {
+      return this.files.map((f) => {
+        const path = resolve(this._projectRoot || process.cwd(), f);
+        if (!existsSync(path)) throw new Error(`Migration file not found: ${path}`);
+        return path;
+      });
+    }
+    const dir = this.config.migrationsDir;
+    if (!existsSync(dir)) throw new Error(`Migrations directory not found: ${dir}`);
+    return readdirSync(dir)
+      .filter(f => f.endsWith('.sql'))
+      .sort()
+      .map(f => join(dir, f));
+  }
+
+  /**
+   * Lint every file and summarise.
+   *
+   * @returns {{ dialect: string, files: number, errors: number, warnings: number,
+   *             findings: Array<{ file, line, changeset, rule, severity, message }> }}
+   */
+  lint() {
+    const paths = this.resolveFiles();
+    const findings = [];
+    for (const path of paths) {
+      const raw = lintMigration(readFileSync(path, 'utf-8'), { file: basename(path), dialect: this.dialect });
+      findings.push(...applyRuleSeverities(raw, this.rules));
+    }
+    return {
+      dialect: this.dialect,
+      files: paths.length,
+      errors: findings.filter(f => f.severity === 'error').length,
+      warnings: findings.filter(f => f.severity === 'warning').length,
+      findings,
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Reporting
+  // ------------------------------------------------------------------
+
+  printReport(result) {
+    const icons = { error: '❌', warning: '⚠️ ' };
+    let currentFile = null;
+
+    for (const f of result.findings) {
+      if (f.file !== currentFile) {
+        currentFile = f.file;
+        console.log(`\n   ${f.file}`);
+      }
+      console.log(`     ${icons[f.severity]} ${String(f.line).padStart(4)}  ${f.rule.padEnd(22)} ${f.message}`);
+    }
+
+    const counts = `${result.errors} error(s), ${result.warnings} warning(s) in ${result.files} file(s)`;
+    console.log(result.findings.length ? `\n${result.errors ? '❌' : '⚠️ '} ${counts}` : `\n✅ ${counts}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<number>} exit code — LINT_EXIT_CODES.CLEAN or .FINDINGS
+   */
+  async run() {
+    try {
+      await this.init();
+      const result = this.lint();
+      const failed = result.errors > 0 || (this.strict && result.warnings > 0);
+
+      if (this.format === 'json') {
+        process.stdout.write(JSON.stringify({ ...result, strict: this.strict, failed }, null, 2) + '\n');
+      } else {
+        this.logger.info('🧹 Linting migrations...');
+        this.logger.info(`   Dialect: ${this.dialect}`);
+        this.printReport(result);
+      }
+
+      return failed ? LINT_EXIT_CODES.FINDINGS : LINT_EXIT_CODES.CLEAN;
+    } catch (error) {
+      this.logger.error('❌ Error linting migrations:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(LINT_EXIT_CODES.ERROR);
+    }
+  }
+}
+
+export default MigrationLint;
@@ -0,0 +1,134 @@
+/**
+ * drizzle-migrations-liquibase — Loggers
+ *
+ * Progress output goes through a logger object rather than straight to the
+ * console, so the programmatic API can run silently or hand messages to the
+ * host application. A logger has four methods, each taking console.log-style
+ * arguments:
+ *
+ *   { info(...args), warn(...args), error(...args), debug(...args) }
+ *
+ * `console` itself is a valid logger. Missing methods are filled with no-ops.
+ *
+ * The console logger filters by level and can write JSON lines instead of
+ * text. Both settings come from the environment so every command — and
+ * every project under `--all` — picks up the CLI's --quiet / --verbose /
+ * --log-format flags:
+ *
+ *   DRIZZLE_LIQUIBASE_LOG_LEVEL   silent | error | warn | info (default) | debug
+ *   DRIZZLE_LIQUIBASE_LOG_FORMAT  text (default) | json
+ *   DEBUG                         any value → debug, when no level is set
+ *
+ * Command results (status tables, lint findings, --json output) are not log
+ * messages: they are printed directly and unaffected by the level.
+ */
+
+import { format as formatArgs } from 'util';
+
+/** Levels from least to most output. */
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+export const LOG_FORMATS = ['text', 'json'];
+
+// Leading blank lines, indentation and emoji — decoration that only makes
+// sense on a terminal
+const DECORATION = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+/**
+ * The level and format the console logger uses, read from the environment.
+ * Unknown values fall back to the defaults.
+ *
+ * @returns {{ level: string, format: string }}
+ */
+export function getLogSettings() {
+  const level = process.env.DRIZZLE_LIQUIBASE_LOG_LEVEL;
+  const format = process.env.DRIZZLE_LIQUIBASE_LOG_FORMAT;
+  return {
+    level: LOG_LEVELS.includes(level) ? level : process.env.DEBUG ? 'debug' : 'info',
+    format: LOG_FORMATS.includes(format) ? format : 'text',
+  };
+}
+
+/**
+ * One JSON log line: time, level and the message without terminal
+ * decoration, plus the config environment / project when one is selected.
+ * Null for messages that are only spacing.
+ */
+export function formatJsonLine(level, args, time = new Date()) {
+  const msg = formatArgs(...args).replace(DECORATION, '').trimEnd();
+  if (!msg) return null;
+  const entry = { time: time.toISOString(), level, msg };
+  if (process.env.DRIZZLE_LIQUIBASE_ENV) entry.env = process.env.DRIZZLE_LIQUIBASE_ENV;
+  if (process.env.DRIZZLE_LIQUIBASE_PROJECT) entry.project = process.env.DRIZZLE_LIQUIBASE_PROJECT;
+  return JSON.stringify(entry);
+}
+
+/**
+ * A logger writing to the console. Level and format default to
+ * getLogSettings(), read on every call; console is looked up at call time.
+ *
+ * Text: info → stdout, warn / error / debug → stderr.
+ * JSON: every line → stderr, keeping stdout free for command output.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.level]  — one of LOG_LEVELS
+ * @param {string} [opts.format] — text | json
+ */
+export function createConsoleLogger({ level, format } = {}) {
+  const write = (method, args) => {
+    const settings = getLogSettings();
+    if (LOG_LEVELS.indexOf(method) > LOG_LEVELS.indexOf(level ?? settings.level)) return;
+    if ((format ?? settings.format) === 'json') {
+      const line = formatJsonLine(method, args);
+      if (line) console.error(line);
+      return;
+    }
+    if (method === 'info') console.log(...args);
+    else if (method === 'warn') console.warn(...args);
+    else console.error(...args);
+  };
+  return {
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    debug: (...args) => write('debug', args),
+  };
+}
+
+/** Default for CLI commands — the console, at the configured level and format. */
+export const consoleLogger = createConsoleLogger();
+
+/** Discards everything. Default for the programmatic API. */
+export const silentLogger = {
+  info() {},
+  warn() {},
+  error() {},
+  debug() {},
+};
+
+/**
+ * Normalise a caller-supplied logger.
+ *
+ * @param {object|false|null} [logger] — undefined → consoleLogger; false/null → silentLogger
+ * @returns {{ info: Function, warn: Function, error: Function, debug: Function }}
+ */
+export function resolveLogger(logger) {
+  if (logger === undefined) return consoleLogger;
+  if (!logger) return silentLogger;
+  const out = {};
+  for (const level of ['info', 'warn', 'error', 'debug']) {
+    out[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {};
+  }
+  return out;
+}
+
+export default {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  getLogSettings,
+  formatJsonLine,
+  createConsoleLogger,
+  consoleLogger,
+  silentLogger,
+  resolveLogger,
+};
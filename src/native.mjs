@@ -0,0 +1,423 @@
+/**
+ * drizzle-migrations-liquibase — Native executor
+ *
+ * `liquibaseMode: 'native'` — applies and rolls back Liquibase formatted SQL
+ * changelogs in Node, through the project's own driver, with no Java. Rows
+ * in DATABASECHANGELOG and DATABASECHANGELOGLOCK are written the way
+ * Liquibase writes them, so a project can switch between native and the
+ * JVM modes at any point.
+ *
+ * Covers the subset of the format this tool generates:
+ *   - <include file="..."/> entries in the master changelog, in order
+ *   - --changeset author:id with splitStatements / endDelimiter / runInTransaction
+ *   - --rollback blocks
+ *   - --preconditions onFail:... with --precondition-sql-check
+ *
+ * MD5SUM is written as NULL: Liquibase computes and stores the checksum on
+ * its next run, and native mode does not validate checksums.
+ *
+ * Commands: update, rollbackCount <n>, releaseLocks.
+ */
+
+import { hostname } from 'os';
+import { loadConfig, detectDialectFromUrl } from './config.mjs';
+import { loadChangesets, changesetStatements, isCommentOnly } from './changelog.mjs';
+import {
+  openDatabase,
+  ensureTrackingTables,
+  readAppliedChangesets,
+  insertChangelogRows,
+  deleteChangelogRow,
+  acquireChangelogLock,
+  releaseChangelogLock,
+  newDeploymentId,
+} from './database.mjs';
+import { ConfigError, CommandError } from './errors.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+/** Liquibase commands native mode implements. */
+export const NATIVE_COMMANDS = ['update', 'rollbackCount', 'releaseLocks'];
+
+/**
+ * Dialects whose connection handle is a single session, so BEGIN / COMMIT
+ * wrap the statements that follow. mysql2 hands out a pool — and MySQL
+ * commits DDL implicitly anyway.
+ */
+const TRANSACTIONAL_DIALECTS = ['postgresql', 'sqlite'];
+
+/** Changeset attributes whose behaviour native mode doesn't implement. */
+const UNSUPPORTED_ATTRIBUTES = ['runAlways', 'runOnChange'];
+
+const PRECONDITION_FAIL_ACTIONS = ['HALT', 'CONTINUE', 'MARK_RAN', 'WARN'];
+
+const rowKey = (id, author, file) => `${id}::${author}::${file}`;
+
+/**
+ * Parse a changeset's precondition lines.
+ *
+ *   --preconditions onFail:MARK_RAN onError:HALT
+ *   --precondition-sql-check expectedResult:0 SELECT COUNT(*) FROM ...
+ *
+ * @param {object} changeset — from parseFormattedSql()
+ * @returns {{ onFail: string, onError: string, checks: Array<{ expectedResult: string, sql: string }> } | null}
+ */
+export function parsePreconditions(changeset) {
+  if (!changeset.preconditions.length) return null;
+  const label = `${changeset.author}:${changeset.id}`;
+  const result = { onFail: 'HALT', onError: 'HALT', checks: [] };
+
+  for (const line of changeset.preconditions) {
+    const header = line.match(/^--\s*preconditions\b(.*)$/i);
+    if (header) {
+      for (const [, key, value] of header[1].matchAll(/(\w+):(\S+)/g)) {
+        if (key === 'onFail' || key === 'onError') result[key] = value.toUpperCase();
+      }
+      continue;
+    }
+    const sqlCheck = line.match(/^--\s*precondition-sql-check\s+expectedResult:(\S+)\s+(.+)$/i);
+    if (sqlCheck) {
+      result.checks.push({ expectedResult: sqlCheck[1], sql: sqlCheck[2].trim() });
+      continue;
+    }
+    throw new Error(`${label}: unsupported precondition "${line}" — native mode only evaluates precondition-sql-check`);
+  }
+
+  for (const key of ['onFail', 'onError']) {
+    if (!PRECONDITION_FAIL_ACTIONS.includes(result[key])) {
+      throw new Error(`${label}: unsupported ${key}:${result[key]} — expected one of ${PRECONDITION_FAIL_ACTIONS.join(', ')}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Changesets the database hasn't run, in changelog order.
+ *
+ * @param {Array<object>} changesets — from loadChangesets()
+ * @param {Array<object>} applied    — from readAppliedChangesets()
+ */
+export function pendingChangesets(changesets, applied) {
+  const done = new Set(applied.map(r => rowKey(r.id, r.author, r.filename)));
+  return changesets.filter(cs => !done.has(rowKey(cs.id, cs.author, cs.file)));
+}
+
+/**
+ * The last `count` applied rows, newest first, each paired with its
+ * changeset. Throws before anything runs if a row's changeset is no longer
+ * in the changelog or has no rollback.
+ *
+ * @returns {Array<{ row: object, changeset: object }>}
+ */
+export function planRollback(changesets, applied, count) {
+  const byKey = new Map(changesets.map(cs => [rowKey(cs.id, cs.author, cs.file), cs]));
+
+  return applied.slice(-count).reverse().map((row) => {
+    const label = `${row.author}:${row.id} (${row.filename})`;
+    const changeset = byKey.get(rowKey(row.id, row.author, row.filename));
+    if (!changeset) {
+      throw new Error(`Cannot roll back ${label}: it is no longer in the changelog`);
+    }
+    if (!changeset.rollback && row.exectype !== 'MARK_RAN') {
+      throw new Error(`Cannot roll back ${label}: the changeset has no --rollback`);
+    }
+    return { row, changeset };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class NativeLiquibase {
+  /**
+   * @param {object} opts
+   * @param {object} [opts.config]      — pre-loaded config (skips loadConfig)
+   * @param {string} [opts.projectRoot] — project root (for loadConfig fallback and drivers)
+   * @param {string} [opts.dialect]     — dialect override (postgresql|mysql|sqlite|singlestore)
+   * @param {object} [opts.logger]      — progress output (see logger.mjs); defaults to the console
+   */
+  constructor(opts = {}) {
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this._cliDialect = opts.dialect ?? null;
+    this.logger = resolveLogger(opts.logger);
+
+    this.config = null;
+    this.dialect = null;
+    this.db = null;
+    this.lockedBy = `${hostname()} (drizzle-liquibase native, pid ${process.pid})`;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!this.config.databaseUrl) {
+      throw new ConfigError(
+        'DATABASE_URL is not configured. Set it in drizzle-liquibase.config.mjs or as an environment variable.'
+      );
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new ConfigError(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+  }
+
+  /** Open the driver connection. */
+  async connect() {
+    return openDatabase(this.config.databaseUrl, {
+      dialect: this.dialect,
+      projectRoot: this._projectRoot,
+      logger: this.logger,
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Execution
+  // ------------------------------------------------------------------
+
+  /**
+   * Run `fn` in a transaction where the dialect allows it and the changeset
+   * doesn't opt out with runInTransaction:false.
+   */
+  async inTransaction(changeset, fn) {
+    const transactional = TRANSACTIONAL_DIALECTS.includes(this.dialect) &&
+      changeset.attributes.runInTransaction !== 'false';
+    if (!transactional) return fn();
+
+    await this.db.query('BEGIN');
+    try {
+      const result = await fn();
+      await this.db.query('COMMIT');
+      return result;
+    } catch (error) {
+      await this.db.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async execute(statements, label) {
+    for (const sql of statements) {
+      try {
+        await this.db.query(sql);
+      } catch (error) {
+        throw new CommandError(`${label} failed: ${error.message}\n   ${sql.split('\n')[0]}`, { cause: error });
+      }
+    }
+  }
+
+  /**
+   * Evaluate a changeset's preconditions.
+   *
+   * @returns {Promise<'run'|'skip'|'markRan'>}
+   */
+  async checkPreconditions(changeset) {
+    const preconditions = parsePreconditions(changeset);
+    if (!preconditions) return 'run';
+    const label = `${changeset.author}:${changeset.id}`;
+
+    let failure = null;
+    let action = preconditions.onFail;
+    for (const check of preconditions.checks) {
+      let value;
+      try {
+        const [row] = await this.db.query(check.sql);
+        value = row ? Object.values(row)[0] : null;
+      } catch (error) {
+        failure = `precondition query failed: ${error.message}`;
+        action = preconditions.onError;
+        break;
+      }
+      if (String(value) !== check.expectedResult) {
+        failure = `precondition expected ${check.expectedResult}, got ${value}`;
+        break;
+      }
+    }
+    if (!failure) return 'run';
+
+    switch (action) {
+      case 'MARK_RAN': return 'markRan';
+      case 'CONTINUE': return 'skip';
+      case 'WARN':
+        this.logger.warn(`   ⚠️  ${label}: ${failure} — running anyway (WARN)`);
+        return 'run';
+      default:
+        throw new Error(`${label}: ${failure} (HALT)`);
+    }
+  }
+
+  /**
+   * Apply every pending changeset in changelog order.
+   *
+   * @returns {Promise<{ applied: string[], markedRan: string[], skipped: string[] }>}
+   *   changeset labels (author:id)
+   */
+  async update() {
+    const changesets = loadChangesets(this.config.masterChangelog);
+    for (const cs of changesets) {
+      const unsupported = UNSUPPORTED_ATTRIBUTES.filter(a => cs.attributes[a] === 'true');
+      if (unsupported.length) {
+        throw new Error(`${cs.author}:${cs.id} uses ${unsupported.join(', ')}, which native mode does not support`);
+      }
+    }
+
+    const pending = pendingChangesets(changesets, await readAppliedChangesets(this.db));
+    const result = { applied: [], markedRan: [], skipped: [] };
+    if (!pending.length) {
+      this.logger.info('✅ Database is up to date, no changesets to execute');
+      return result;
+    }
+
+    this.logger.info(`🚀 Applying ${pending.length} pending changeset(s)...`);
+    const deploymentId = newDeploymentId();
+
+    for (const cs of pending) {
+      const label = `${cs.author}:${cs.id}`;
+      const row = { id: cs.id, author: cs.author, filename: cs.file, comments: cs.comment ?? '' };
+
+      const decision = await this.checkPreconditions(cs);
+      if (decision === 'skip') {
+        this.logger.info(`   ⏭️  ${label} — precondition failed, skipped (CONTINUE)`);
+        result.skipped.push(label);
+        continue;
+      }
+      if (decision === 'markRan') {
+        await insertChangelogRows(this.db, [row], { exectype: 'MARK_RAN', deploymentId });
+        this.logger.info(`   ⏭️  ${label} — precondition failed, marked as ran`);
+        result.markedRan.push(label);
+        continue;
+      }
+
+      await this.inTransaction(cs, async () => {
+        await this.execute(changesetStatements(cs), `Changeset ${cs.file}::${cs.id}::${cs.author}`);
+        await insertChangelogRows(this.db, [row], { deploymentId });
+      });
+      this.logger.info(`   ✅ ${label}  (${cs.file})`);
+      result.applied.push(label);
+    }
+
+    const marked = result.markedRan.length ? `, ${result.markedRan.length} marked as ran` : '';
+    this.logger.info(`\n✅ Update complete — ${result.applied.length} changeset(s) applied${marked}`);
+    return result;
+  }
+
+  /**
+   * Roll back the last `count` changesets, newest first.
+   *
+   * @param {number|string} count
+   * @returns {Promise<string[]>} rolled-back changeset labels (author:id)
+   */
+  async rollbackCount(count) {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`rollbackCount needs a positive number of changesets, got "${count ?? ''}"`);
+    }
+
+    const applied = await readAppliedChangesets(this.db);
+    if (!applied.length) {
+      this.logger.info('✅ Nothing to roll back — no changesets have been applied');
+      return [];
+    }
+
+    const plan = planRollback(loadChangesets(this.config.masterChangelog), applied, n);
+    this.logger.info(`⏪ Rolling back ${plan.length} changeset(s)...`);
+
+    const rolledBack = [];
+    for (const { row, changeset: cs } of plan) {
+      const label = `${cs.author}:${cs.id}`;
+      // MARK_RAN changesets never ran their SQL, so there is nothing to undo
+      const statements = row.exectype === 'MARK_RAN'
+        ? []
+        : changesetStatements({ ...cs, body: cs.rollback });
+
+      await this.inTransaction(cs, async () => {
+        await this.execute(statements, `Rollback of ${cs.file}::${cs.id}::${cs.author}`);
+        await deleteChangelogRow(this.db, row);
+      });
+
+      if (row.exectype !== 'MARK_RAN' && isCommentOnly(cs.rollback)) {
+        this.logger.info(`   ⚠️  ${label} — rollback is comment-only; row removed, no SQL run`);
+      } else {
+        this.logger.info(`   ✅ ${label}  (${cs.file})`);
+      }
+      rolledBack.push(label);
+    }
+
+    this.logger.info(`\n✅ Rollback complete — ${rolledBack.length} changeset(s) rolled back`);
+    return rolledBack;
+  }
+
+  async releaseLocks() {
+    await releaseChangelogLock(this.db);
+    this.logger.info('🔓 Released the change log lock');
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * Run a Liquibase command natively. Errors are thrown, as with the
+   * other runLiquibase() modes.
+   *
+   * @param {string}   command — one of NATIVE_COMMANDS
+   * @param {string[]} [args]
+   */
+  async run(command, args = []) {
+    if (!NATIVE_COMMANDS.includes(command)) {
+      throw new CommandError(
+        `Liquibase command "${command}" is not available in native mode (supported: ${NATIVE_COMMANDS.join(', ')}). ` +
+        'Use liquibaseMode "node", "cli" or "docker" for it.',
+        { command }
+      );
+    }
+
+    await this.init();
+    this.db = await this.connect();
+    try {
+      await ensureTrackingTables(this.db);
+      if (command === 'releaseLocks') return await this.releaseLocks();
+
+      await acquireChangelogLock(this.db, this.lockedBy);
+      try {
+        return command === 'update'
+          ? await this.update()
+          : await this.rollbackCount(args[0]);
+      } finally {
+        await releaseChangelogLock(this.db);
+      }
+    } finally {
+      await this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * runLiquibase() entry point for liquibaseMode 'native'.
+ *
+ * @param {object}   config
+ * @param {string}   command
+ * @param {string[]} args
+ * @param {object}   [opts]
+ * @param {string}   [opts.projectRoot]
+ * @param {object}   [opts.logger]
+ */
+export function runNative(config, command, args, { projectRoot, logger } = {}) {
+  return new NativeLiquibase({ config, projectRoot, logger }).run(command, args);
+}
+
+export default NativeLiquibase;
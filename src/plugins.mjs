@@ -0,0 +1,135 @@
+/**
+ * drizzle-migrations-liquibase — Config plugins
+ *
+ * The config's `plugins` array lets a project add its own rules to
+ * generation and execution without forking the engines. A plugin is an
+ * object with a `name` and any of these hooks, each called with a context
+ * object and awaited in array order:
+ *
+ *   beforeIntrospect  before the database side of a diff is read
+ *   afterDiff         once the diff is known — mutate `changes` (custom
+ *                     engine) or `sqlStatements` (drizzle-kit engine)
+ *   transformStatement for each statement / rollback pair — return a
+ *                     replacement (see transformStatements())
+ *   beforeWrite       before a migration is written — set `filename` or
+ *                     `content` on the context
+ *   beforeRun         before runLiquibase() runs a command — `args` may be
+ *                     changed in place
+ *   afterRun          after it, with `result` or `error`; also on failure
+ *
+ * Every context carries `config` and `logger`. An exception from a hook
+ * stops the command with a PluginError naming the plugin and the hook.
+ */
+
+import { PluginError } from './errors.mjs';
+
+/** Hook names a plugin may define, in the order a generate + update run calls them. */
+export const PLUGIN_HOOKS = [
+  'beforeIntrospect',
+  'afterDiff',
+  'transformStatement',
+  'beforeWrite',
+  'beforeRun',
+  'afterRun',
+];
+
+/** Call one plugin's hook, wrapping what it throws in a PluginError. */
+async function callHook(plugin, hook, context) {
+  try {
+    return await plugin[hook](context);
+  } catch (error) {
+    if (error instanceof PluginError) throw error;
+    throw new PluginError(`Plugin "${plugin.name}" failed in ${hook}: ${error.message}`, {
+      cause: error,
+      plugin: plugin.name,
+      hook,
+    });
+  }
+}
+
+/**
+ * Call `hook` on every plugin that defines it, one after the other.
+ *
+ * @param {object[]} [plugins] — the config's `plugins`
+ * @param {string}   hook      — one of PLUGIN_HOOKS
+ * @param {object}   context   — passed to each hook; plugins may mutate it
+ * @returns {Promise<object>} the context
+ * @throws {PluginError}
+ */
+export async function runHook(plugins, hook, context) {
+  for (const plugin of plugins ?? []) {
+    if (typeof plugin[hook] === 'function') await callHook(plugin, hook, context);
+  }
+  return context;
+}
+
+/** A transformStatement return value as a list of pairs. */
+function toPairs(result, pair, plugin) {
+  if (result === undefined) return [pair];
+  if (result === null || result === false) return [];
+  if (typeof result === 'string') return [{ sql: result, rollback: pair.rollback }];
+  if (Array.isArray(result)) {
+    return result.map((item, i) => {
+      if (typeof item?.sql !== 'string' || typeof item?.rollback !== 'string') {
+        throw new PluginError(
+          `Plugin "${plugin.name}" returned an invalid pair from transformStatement: item ${i} needs a string sql and rollback`,
+          { plugin: plugin.name, hook: 'transformStatement' }
+        );
+      }
+      return { sql: item.sql, rollback: item.rollback };
+    });
+  }
+  if (typeof result === 'object') {
+    return [{ sql: result.sql ?? pair.sql, rollback: result.rollback ?? pair.rollback }];
+  }
+  throw new PluginError(
+    `Plugin "${plugin.name}" returned ${typeof result} from transformStatement — expected an object, an array, a string or null`,
+    { plugin: plugin.name, hook: 'transformStatement' }
+  );
+}
+
+/**
+ * Pass each statement and its rollback through the plugins'
+ * transformStatement hooks. A hook is called as
+ * `transformStatement({ sql, rollback, index, ...context })` and returns:
+ *
+ *   undefined            — keep the pair
+ *   { sql?, rollback? }  — replace either side
+ *   'SQL'                — replace the statement, keep the rollback
+ *   [{ sql, rollback }]  — replace the pair with several (or none)
+ *   null / false         — drop the pair
+ *
+ * Later plugins see the pairs earlier ones produced. `index` is the
+ * position of the original statement.
+ *
+ * @param {object[]} [plugins]
+ * @param {string[]} statements
+ * @param {string[]} rollbackStatements — paired by index with `statements`
+ * @param {object}   context            — extra context (config, logger, engine, dialect)
+ * @returns {Promise<{ statements: string[], rollbackStatements: string[] }>}
+ * @throws {PluginError}
+ */
+export async function transformStatements(plugins, statements, rollbackStatements, context) {
+  const hooked = (plugins ?? []).filter(p => typeof p.transformStatement === 'function');
+  if (!hooked.length) return { statements, rollbackStatements };
+
+  const out = { statements: [], rollbackStatements: [] };
+  for (const [index, sql] of statements.entries()) {
+    let pairs = [{ sql, rollback: rollbackStatements[index] }];
+    for (const plugin of hooked) {
+      const next = [];
+      for (const pair of pairs) {
+        const result = await callHook(plugin, 'transformStatement', { ...context, ...pair, index });
+        next.push(...toPairs(result, pair, plugin));
+      }
+      pairs = next;
+    }
+    for (const pair of pairs) {
+      out.statements.push(pair.sql);
+      out.rollbackStatements.push(pair.rollback);
+    }
+  }
+  return out;
+}
+
+export default { PLUGIN_HOOKS, runHook, transformStatements };
@@ -0,0 +1,376 @@
+/**
+ * drizzle-migrations-liquibase — Rebase (fix up migrations after a merge)
+ *
+ * When two branches each add migrations, the merged changelog can end up
+ * with:
+ *
+ *   out-of-order files — not yet applied to the target database, but sorted
+ *                        before migrations it has already run (the branch
+ *                        generated them first, main deployed first)
+ *   duplicate ids      — the same author:id in more than one changeset,
+ *                        typically two `schema_diff_migration`s
+ *
+ * `rebase` compares the master changelog with the target database's
+ * DATABASECHANGELOG, gives out-of-order files new timestamps after the
+ * newest migration (keeping their relative order), moves their includes to
+ * the end of the changelog, and gives unapplied duplicates a unique id.
+ * Files tracked by git are moved with `git mv` so history follows them.
+ *
+ * Only changesets the target database has not run are touched. Databases
+ * that ran a renamed changeset under its old filename or id (a developer's
+ * local database, say) will see it as new — baseline them afterwards.
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { loadConfig, formatTimestamp, detectDialectFromUrl } from './config.mjs';
+import { readChangelogIncludes, loadChangesets } from './changelog.mjs';
+import { openDatabase, readAppliedChangesets } from './database.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+const changesetKey = cs => `${cs.author}:${cs.id}`;
+
+function timestampOf(file) {
+  return basename(file).match(/^(\d+)_/)?.[1] ?? null;
+}
+
+/**
+ * Work out what needs fixing. Pure — no filesystem or database access.
+ *
+ * @param {Array<{file, path}>} includes   — from readChangelogIncludes()
+ * @param {Array<object>}       changesets — every changeset, in changelog order
+ * @param {Array<object>}       applied    — rows from DATABASECHANGELOG
+ * @returns {{ outOfOrder: Array<{file, path}>,
+ *             duplicates: Array<{ changeset: object, newId: string }>,
+ *             warnings: string[] }}
+ */
+export function planRebase(includes, changesets, applied) {
+  const appliedKeys = new Set(applied.map(r => `${r.id}::${r.author}::${r.filename}`));
+  const isApplied = cs => appliedKeys.has(`${cs.id}::${cs.author}::${cs.file}`);
+
+  // ── Out-of-order files ──
+  const byFile = new Map(includes.map(i => [i.file, []]));
+  for (const cs of changesets) byFile.get(cs.file)?.push(cs);
+
+  let lastApplied = -1;
+  includes.forEach((include, i) => {
+    if (byFile.get(include.file).some(isApplied)) lastApplied = i;
+  });
+
+  const outOfOrder = [];
+  includes.slice(0, Math.max(lastApplied, 0)).forEach((include) => {
+    const inFile = byFile.get(include.file);
+    if (!include.file.endsWith('.sql') || !inFile.length || inFile.every(isApplied)) return;
+    if (inFile.some(isApplied)) {
+      const pending = inFile.filter(cs => !isApplied(cs)).map(changesetKey);
+      throw new Error(
+        `${include.file} is partly applied and sorts before newer applied migrations — ` +
+        `move ${pending.join(', ')} into a new migration by hand`
+      );
+    }
+    outOfOrder.push(include);
+  });
+
+  // ── Duplicate ids ──
+  // The copy the database has run keeps its id; otherwise the first one does.
+  const taken = new Set(changesets.map(changesetKey));
+  const groups = new Map();
+  for (const cs of changesets) {
+    const key = changesetKey(cs);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(cs);
+  }
+
+  const duplicates = [];
+  const warnings = [];
+  for (const [key, group] of groups) {
+    if (group.length < 2) continue;
+    const keeper = group.find(isApplied) ?? group[0];
+    const appliedCopies = group.filter(isApplied);
+    if (appliedCopies.length > 1) {
+      warnings.push(`${key} is applied from ${appliedCopies.map(cs => cs.file).join(' and ')} — left as is`);
+    }
+    for (const cs of group) {
+      if (cs === keeper || isApplied(cs)) continue;
+      let n = 2;
+      while (taken.has(`${cs.author}:${cs.id}_${n}`)) n++;
+      const newId = `${cs.id}_${n}`;
+      taken.add(`${cs.author}:${newId}`);
+      duplicates.push({ changeset: cs, newId });
+    }
+  }
+
+  return { outOfOrder, duplicates, warnings };
+}
+
+/**
+ * New filenames for the out-of-order files: timestamps after the newest
+ * one in the changelog, in their original order.
+ *
+ * @param {Array<{file}>} moving   — includes to renumber
+ * @param {Array<{file}>} includes — every include
+ * @param {object} [opts]
+ * @param {Date}   [opts.now]
+ * @param {string} [opts.pattern='YYYYMMDDHHmmss'] — timestampFormat
+ * @returns {Map<string, string>} old include path → new include path
+ */
+export function renumberFiles(moving, includes, { now = new Date(), pattern = 'YYYYMMDDHHmmss' } = {}) {
+  const renames = new Map();
+  let previous = includes
+    .map(i => timestampOf(i.file))
+    .filter(Boolean)
+    .reduce((max, ts) => (BigInt(ts) > BigInt(max) ? ts : max), '0');
+
+  moving.forEach((include, i) => {
+    let ts = formatTimestamp(new Date(now.getTime() + i * 1000), pattern);
+    // Clock behind the newest migration — just count up from it
+    if (BigInt(ts) <= BigInt(previous)) ts = String(BigInt(previous) + 1n);
+    previous = ts;
+
+    const name = basename(include.file).replace(/^\d+_/, '');
+    const dir = dirname(include.file);
+    renames.set(include.file, dir === '.' ? `${ts}_${name}` : `${dir}/${ts}_${name}`);
+  });
+  return renames;
+}
+
+/**
+ * Rename includes and move them, in the given order, after the last
+ * include in the changelog.
+ *
+ * @param {string}              xml     — master changelog content
+ * @param {Map<string, string>} renames — old include path → new include path
+ * @returns {string}
+ */
+export function moveChangelogIncludes(xml, renames) {
+  const lineRe = file => new RegExp(
+    `^([ \\t]*)<include\\s+[^>]*?file="${file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*\\/>[ \\t]*(?:\\r?\\n)?`, 'm'
+  );
+
+  let indent = '    ';
+  for (const file of renames.keys()) {
+    const re = lineRe(file);
+    const match = xml.match(re);
+    if (!match) throw new Error(`Include for ${file} not found in the master changelog`);
+    indent = match[1];
+    xml = xml.replace(re, '');
+  }
+
+  const lines = [...renames.values()].map(file => `${indent}<include file="${file}"/>\n`).join('');
+  const includes = [...xml.matchAll(/^[ \t]*<include\s+[^>]*\/>[ \t]*(?:\r?\n)?/gm)];
+  const last = includes[includes.length - 1];
+  if (last) {
+    const end = last.index + last[0].length;
+    const sep = last[0].endsWith('\n') ? '' : '\n';
+    return xml.slice(0, end) + sep + lines + xml.slice(end);
+  }
+  const close = xml.indexOf('</databaseChangeLog>');
+  if (close === -1) throw new Error('Master changelog has no closing </databaseChangeLog> tag');
+  return xml.slice(0, close) + lines + xml.slice(close);
+}
+
+/**
+ * Change a changeset's id in its `--changeset author:id` header line.
+ *
+ * @param {string} content — formatted SQL
+ * @param {object} changeset — { author, id, line }
+ * @param {string} newId
+ * @returns {string}
+ */
+export function renameChangesetId(content, changeset, newId) {
+  const lines = content.split('\n');
+  const i = changeset.line - 1;
+  const updated = lines[i].replace(/^(--\s*changeset\s+(?:"[^"]+"|[^:]+):\s*)("[^"]+"|\S+)/i,
+    (_, head, id) => head + (id.startsWith('"') ? `"${newId}"` : newId));
+  if (updated === lines[i]) {
+    throw new Error(`Could not find the --changeset header for ${changesetKey(changeset)} on line ${changeset.line}`);
+  }
+  lines[i] = updated;
+  return lines.join('\n');
+}
+
+/** `git mv` when the file is tracked, a plain rename otherwise. */
+function moveFile(from, to) {
+  const cwd = dirname(from);
+  const tracked = spawnSync('git', ['ls-files', '--error-unmatch', basename(from)], { cwd, stdio: 'ignore' });
+  if (!tracked.error && tracked.status === 0) {
+    const mv = spawnSync('git', ['mv', basename(from), basename(to)], { cwd, encoding: 'utf8' });
+    if (mv.status === 0) return;
+  }
+  renameSync(from, to);
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationRebase {
+  /**
+   * @param {object} opts
+   * @param {boolean} [opts.dryRun=false]   — print the plan without changing anything
+   * @param {object}  [opts.config]         — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]    — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]         — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]        — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.dryRun = opts.dryRun ?? false;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!this.config.databaseUrl) {
+      throw new Error(
+        'DATABASE_URL is not configured — rebase compares the changelog with the target database. ' +
+        'Set it in drizzle-liquibase.config.mjs or as an environment variable.'
+      );
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+  }
+
+  async readApplied() {
+    const db = await openDatabase(this.config.databaseUrl, {
+      dialect: this.dialect,
+      projectRoot: this._projectRoot,
+      logger: this.logger,
+    });
+    try {
+      return await readAppliedChangesets(db);
+    } finally {
+      await db.close();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Applying
+  // ------------------------------------------------------------------
+
+  /**
+   * Rewrite files and the changelog.
+   *
+   * @param {Array<{file, path}>} includes
+   * @param {Map<string, string>} renames    — from renumberFiles()
+   * @param {Array<object>}       duplicates — from planRebase()
+   */
+  apply(includes, renames, duplicates) {
+    const changelogPath = this.config.masterChangelog;
+    const pathOf = new Map(includes.map(i => [i.file, i.path]));
+
+    // Id fixes first, while every file is still at its old path
+    for (const { changeset, newId } of duplicates) {
+      const content = readFileSync(changeset.path, 'utf-8');
+      writeFileSync(changeset.path, renameChangesetId(content, changeset, newId));
+    }
+
+    for (const [from, to] of renames) {
+      const source = pathOf.get(from);
+      const target = join(dirname(source), basename(to));
+      if (existsSync(target)) throw new Error(`${target} already exists`);
+      moveFile(source, target);
+    }
+
+    if (renames.size) {
+      writeFileSync(changelogPath, moveChangelogIncludes(readFileSync(changelogPath, 'utf-8'), renames));
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<{ moved: Array<{ from: string, to: string }>,
+   *                     renamedIds: Array<{ file: string, from: string, to: string }>,
+   *                     warnings: string[] }>}
+   */
+  async run() {
+    this.logger.info('🔀 Rebasing migrations onto the target database...');
+
+    try {
+      await this.init();
+
+      const changelogPath = this.config.masterChangelog;
+      const includes = readChangelogIncludes(changelogPath);
+      const changesets = loadChangesets(changelogPath);
+      const applied = await this.readApplied();
+
+      this.logger.info(`   Changelog: ${changelogPath}`);
+      this.logger.info(`   ${applied.length} changeset(s) applied to the target database\n`);
+
+      const { outOfOrder, duplicates, warnings } = planRebase(includes, changesets, applied);
+      const renames = renumberFiles(outOfOrder, includes, {
+        pattern: this.config.timestampFormat || 'YYYYMMDDHHmmss',
+      });
+
+      const result = {
+        moved: [...renames].map(([from, to]) => ({ from, to })),
+        renamedIds: duplicates.map(({ changeset, newId }) => ({
+          file: renames.get(changeset.file) ?? changeset.file,
+          from: changesetKey(changeset),
+          to: `${changeset.author}:${newId}`,
+        })),
+        warnings,
+      };
+
+      for (const warning of warnings) this.logger.warn(`   ⚠️  ${warning}`);
+
+      if (!renames.size && !duplicates.length) {
+        this.logger.info('✅ Nothing to rebase — every pending migration sorts after the applied ones and all ids are unique');
+        return result;
+      }
+
+      if (renames.size) {
+        this.logger.info(`   Out of order (not applied, sorted before applied migrations):`);
+        for (const { from, to } of result.moved) this.logger.info(`     ${from}\n       → ${to}`);
+      }
+      if (duplicates.length) {
+        this.logger.info(`   Duplicate changeset ids:`);
+        for (const { file, from, to } of result.renamedIds) this.logger.info(`     ${from} → ${to}  (${file})`);
+      }
+
+      if (this.dryRun) {
+        this.logger.info('\n🔍 Dry run — nothing changed');
+        return result;
+      }
+
+      this.apply(includes, renames, duplicates);
+
+      this.logger.info(`\n✅ Renumbered ${renames.size} file(s), renamed ${duplicates.length} changeset id(s)`);
+      this.logger.info('   Databases that already ran one of these under its old name will see it as new —');
+      this.logger.info('   mark it there with: npx drizzle-liquibase baseline --to <file>');
+      return result;
+    } catch (error) {
+      this.logger.error('❌ Error rebasing migrations:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default MigrationRebase;
@@ -0,0 +1,174 @@
+/**
+ * drizzle-migrations-liquibase — Rename resolution (drizzle-kit engine)
+ *
+ * When a table gains a column and loses another (or a schema gains a table
+ * and loses another), drizzle-kit can't tell a rename from a drop + create
+ * and asks interactively. That hangs CI and scripted runs.
+ *
+ * A `renames` map answers those prompts up front:
+ *
+ *   renames: {
+ *     'users.full_name': 'users.display_name',   // column rename (table.column)
+ *     'customers': 'clients',                    // table rename
+ *     'app.orders': 'billing.orders',            // move between schemas (schema.table)
+ *     'users.fax': null,                         // dropped, not renamed
+ *   }
+ *
+ * The array form `['users.full_name -> users.display_name', 'users.fax -> null']`
+ * is also accepted (handy in `--renames file.json`). Whether a key names a
+ * column or a table is decided by the prompt it answers: column prompts
+ * match `table.column`, everything else matches `name` or `schema.name`.
+ *
+ * Prompts are intercepted through a hook that scripts/patch-drizzle-kit.mjs
+ * installs in drizzle-kit/api.js and api.mjs. With a map configured, any
+ * prompt the map doesn't settle fails the run instead of waiting for input.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { resolveFromProject } from './database.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Global function name the patched drizzle-kit calls instead of prompting. */
+export const RENAME_HOOK = '__drizzleLiquibaseResolveRename';
+
+/**
+ * Normalise a renames map (object or array form) into `[{ from, to }]`.
+ * `to` is null for objects declared dropped.
+ *
+ * @param {object|string[]|null} input
+ * @returns {Array<{from: string, to: string|null}>}
+ */
+export function normaliseRenames(input) {
+  if (input === null || input === undefined) return [];
+
+  const entries = Array.isArray(input)
+    ? input.map((entry) => {
+      if (typeof entry === 'string') {
+        const match = entry.match(/^\s*(.+?)\s*->\s*(.+?)\s*$/);
+        if (!match) throw new Error(`Invalid rename "${entry}" — expected "from -> to"`);
+        return [match[1], match[2] === 'null' ? null : match[2]];
+      }
+      if (entry && typeof entry === 'object') return [entry.from, entry.to ?? null];
+      throw new Error(`Invalid rename ${JSON.stringify(entry)} — expected "from -> to"`);
+    })
+    : typeof input === 'object'
+      ? Object.entries(input)
+      : null;
+
+  if (!entries) {
+    throw new Error('renames must be an object ({ "from": "to" }) or an array of "from -> to" strings');
+  }
+
+  return entries.map(([from, to]) => {
+    if (typeof from !== 'string' || !from.trim()) {
+      throw new Error(`Invalid rename source ${JSON.stringify(from)}`);
+    }
+    if (to !== null && (typeof to !== 'string' || !to.trim())) {
+      throw new Error(`Invalid rename target for "${from}" — use a name, or null if it was dropped`);
+    }
+    return { from: from.trim(), to: to === null ? null : to.trim() };
+  });
+}
+
+/**
+ * Read a renames file (JSON, either form accepted by normaliseRenames).
+ *
+ * @returns {Array<{from: string, to: string|null}>}
+ */
+export function loadRenamesFile(file, projectRoot) {
+  const path = resolve(projectRoot || process.cwd(), file);
+  if (!existsSync(path)) throw new Error(`Renames file not found: ${path}`);
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not parse renames file ${path}: ${e.message}`);
+  }
+  return normaliseRenames(parsed);
+}
+
+/** Keys an object answers to in a prompt for `entity`. */
+function keysFor(entity, table, item) {
+  if (entity === 'column') return [`${table}.${item.name}`];
+  if (entity === 'schema' || !('schema' in item)) return [item.name];
+  return [item.name, `${item.schema || 'public'}.${item.name}`];
+}
+
+function label(entity, table, item) {
+  return keysFor(entity, table, item).at(-1);
+}
+
+// ---------------------------------------------------------------------------
+// Resolver
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a resolver that answers drizzle-kit rename prompts from `rules`.
+ *
+ * The patched drizzle-kit calls it with
+ * `{ entity, table?, created, choices }` where `choices[0]` is `created`
+ * (answer: create) and the rest are `{ from, to }` rename candidates.
+ * It returns the chosen item in hanji's `{ status, data }` shape, or throws
+ * when the map doesn't decide.
+ */
+export function createRenameResolver(rules) {
+  return ({ entity, table, created, choices }) => {
+    const createdKeys = keysFor(entity, table, created);
+    const candidates = choices.filter(c => c && c.from && c.to);
+
+    // 1. An explicit rename onto this object
+    for (const candidate of candidates) {
+      const fromKeys = keysFor(entity, table, candidate.from);
+      const rule = rules.find(r => r.to !== null && fromKeys.includes(r.from) && createdKeys.includes(r.to));
+      if (rule) return { status: 'submitted', data: candidate };
+    }
+
+    // 2. A new object — only if every candidate is accounted for elsewhere
+    //    (declared dropped, or renamed to something else)
+    const unresolved = candidates.filter((candidate) => {
+      const fromKeys = keysFor(entity, table, candidate.from);
+      return !rules.some(r => fromKeys.includes(r.from));
+    });
+    if (!unresolved.length) return { status: 'submitted', data: created };
+
+    const name = label(entity, table, created);
+    const missing = unresolved.map(c => label(entity, table, c.from));
+    throw new Error(
+      `Unresolved ${entity} rename: "${name}" is new and ${missing.map(m => `"${m}"`).join(', ')} ` +
+      `${missing.length === 1 ? 'is' : 'are'} gone. Add ${missing.map(m => `"${m}": "${name}"`).join(' or ')} ` +
+      `to renames if it was renamed, or ${missing.map(m => `"${m}": null`).join(', ')} if it was dropped.`
+    );
+  };
+}
+
+/**
+ * Install `resolver` as the drizzle-kit rename hook.
+ *
+ * @returns {Function} restores the previous hook
+ */
+export function installRenameResolver(resolver) {
+  const previous = globalThis[RENAME_HOOK];
+  globalThis[RENAME_HOOK] = resolver;
+  return () => {
+    if (previous === undefined) delete globalThis[RENAME_HOOK];
+    else globalThis[RENAME_HOOK] = previous;
+  };
+}
+
+/**
+ * Whether the drizzle-kit/api the engine loads for `projectRoot` — the file
+ * importFromProject() resolves — has the rename hook patch applied.
+ */
+export function isRenameHookInstalled(projectRoot) {
+  try {
+    return readFileSync(resolveFromProject('drizzle-kit/api', projectRoot), 'utf-8').includes(RENAME_HOOK);
+  } catch {
+    return false;
+  }
+}
+
+export default { normaliseRenames, loadRenamesFile, createRenameResolver, installRenameResolver, isRenameHookInstalled };
@@ -0,0 +1,109 @@
+/**
+ * drizzle-migrations-liquibase — Change reports
+ *
+ * Builds the machine-readable report emitted by `generate --report json`.
+ * Both engines produce the same shape so release tooling can consume either:
+ *
+ *   {
+ *     reportVersion: 1,
+ *     engine:       'custom' | 'drizzle-kit',
+ *     dialect:      'postgresql' | 'mysql' | 'sqlite' | 'singlestore',
+ *     generatedAt:  ISO timestamp,
+ *     file:         path of the written migration, or null,
+ *     changes:      compareSchemas() change set (custom engine) or null,
+ *     tables:       [{ table, items }] — per-table summary (see check.mjs),
+ *     statements:   forward SQL statements,
+ *     rollbacks:    rollback statements, paired by index with `statements`,
+ *     hasDataLoss:  boolean,
+ *     destructive:  statements that drop or truncate data,
+ *     warnings:     string[],
+ *     hints:        [{ hint, statement? }]
+ *   }
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { summariseChanges, summariseStatements } from './check.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+export const REPORT_VERSION = 1;
+
+/** Statements that remove data: dropped tables/columns/schemas, truncation, deletes. */
+const DESTRUCTIVE_RE = /^\s*(?:DROP\s+(?:TABLE|SCHEMA|DATABASE)\b|TRUNCATE\b|DELETE\s+FROM\b|ALTER\s+TABLE\s+[\s\S]*?\bDROP\s+(?:COLUMN\s+)?(?!CONSTRAINT\b|INDEX\b|KEY\b|FOREIGN\b|PRIMARY\b|DEFAULT\b|NOT\b|CHECK\b|POLICY\b|IDENTITY\b|EXPRESSION\b)["`\w])/i;
+
+/**
+ * Return the statements that would destroy data if executed.
+ *
+ * @param {string[]} statements
+ * @returns {string[]}
+ */
+export function findDestructiveStatements(statements) {
+  return statements.filter(stmt => DESTRUCTIVE_RE.test(stmt));
+}
+
+/**
+ * Build a change report.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.engine
+ * @param {string}   opts.dialect
+ * @param {string[]} opts.statements
+ * @param {string[]} opts.rollbacks
+ * @param {object}   [opts.changes]     — compareSchemas() result (custom engine)
+ * @param {boolean}  [opts.hasDataLoss] — engine-reported data loss (drizzle-kit)
+ * @param {string[]} [opts.warnings]
+ * @param {Array}    [opts.hints]
+ * @param {string}   [opts.file]        — path of the written migration
+ * @returns {object}
+ */
+export function buildChangeReport({
+  engine,
+  dialect,
+  statements,
+  rollbacks,
+  changes = null,
+  hasDataLoss = false,
+  warnings = [],
+  hints = [],
+  file = null,
+}) {
+  const destructive = findDestructiveStatements(statements);
+
+  return {
+    reportVersion: REPORT_VERSION,
+    engine,
+    dialect,
+    generatedAt: new Date().toISOString(),
+    file,
+    changes,
+    tables: changes ? summariseChanges(changes) : summariseStatements(statements),
+    statements,
+    rollbacks,
+    hasDataLoss: Boolean(hasDataLoss) || destructive.length > 0,
+    destructive,
+    warnings,
+    hints,
+  };
+}
+
+/**
+ * Emit a report as JSON — to `file` if given, otherwise to stdout.
+ *
+ * @returns {string|null} the file written, or null for stdout
+ */
+export function writeReport(report, { file = null, projectRoot = null } = {}) {
+  const json = JSON.stringify(report, null, 2) + '\n';
+  if (!file) {
+    process.stdout.write(json);
+    return null;
+  }
+  const target = resolve(projectRoot || process.cwd(), file);
+  mkdirSync(dirname(target), { recursive: true });
+  writeFileSync(target, json);
+  return target;
+}
+
+export default { buildChangeReport, writeReport, findDestructiveStatements };
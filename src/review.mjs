@@ -0,0 +1,151 @@
+/**
+ * drizzle-migrations-liquibase — Interactive statement review
+ *
+ * Backs `generate --review`: walks the statement/rollback pairs produced by
+ * either engine and lets the user accept, skip or edit each one before the
+ * migration file is written. Skipping a statement drops its rollback too, so
+ * the formatted SQL never ends up with orphaned `--rollback` lines.
+ *
+ * Edits open $VISUAL / $EDITOR on a temp file when one is set, otherwise the
+ * replacement is read as a single line at the prompt.
+ */
+
+import { spawnSync } from 'child_process';
+import { readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createInterface } from 'readline/promises';
+
+// ---------------------------------------------------------------------------
+// Terminal I/O
+// ---------------------------------------------------------------------------
+
+const CHOICES = '(a)ccept, (s)kip, (e)dit statement, (r) edit rollback, (A)ccept all remaining, (q)uit';
+
+/**
+ * Line prompter on stdin. Prompts go to stderr so `--review --stdout` still
+ * leaves only the migration on stdout.
+ */
+function terminalPrompter() {
+  if (!process.stdin.isTTY) {
+    throw new Error('--review needs an interactive terminal (stdin is not a TTY)');
+  }
+  let rl = null;
+  return {
+    async ask(question) {
+      rl ??= createInterface({ input: process.stdin, output: process.stderr });
+      return rl.question(question);
+    },
+    // Release the terminal (before launching an editor, and when done)
+    close() {
+      rl?.close();
+      rl = null;
+    },
+  };
+}
+
+/**
+ * Open `text` in the user's editor and return the saved contents, or null
+ * if no editor is configured or it exited with an error.
+ */
+function editInEditor(text, label) {
+  const editor = process.env.VISUAL || process.env.EDITOR;
+  if (!editor) return null;
+
+  const file = join(tmpdir(), `drizzle-liquibase-review-${process.pid}-${label}.sql`);
+  writeFileSync(file, text + '\n');
+  try {
+    // shell: true so EDITOR="code --wait" works
+    const res = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    if (res.status !== 0) return null;
+    return readFileSync(file, 'utf-8');
+  } finally {
+    rmSync(file, { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Review loop
+// ---------------------------------------------------------------------------
+
+/**
+ * Review statement/rollback pairs interactively.
+ *
+ * @param {string[]} statements — forward statements
+ * @param {string[]} rollbacks  — one rollback per statement (same order)
+ * @param {object}   [io]       — injectable I/O (tests)
+ * @param {Function} [io.ask]   — async (question) => answer
+ * @param {Function} [io.edit]  — (text, label) => edited text, or null to fall back to the prompt
+ * @param {Function} [io.log]   — line output (default console.error)
+ * @returns {Promise<{statements: string[], rollbacks: string[], skipped: number, edited: number, aborted: boolean}>}
+ */
+export async function reviewStatements(statements, rollbacks, io = {}) {
+  if (statements.length !== rollbacks.length) {
+    throw new Error(`Cannot review: ${statements.length} statement(s) but ${rollbacks.length} rollback(s)`);
+  }
+
+  const prompter = io.ask ? null : terminalPrompter();
+  const ask = io.ask ?? (q => prompter.ask(q));
+  const log = io.log ?? console.error;
+  const edit = io.edit ?? ((text, label) => {
+    prompter.close();
+    return editInEditor(text, label);
+  });
+
+  const result = { statements: [], rollbacks: [], skipped: 0, edited: 0, aborted: false };
+  const total = statements.length;
+
+  const editText = async (text, what, label) => {
+    const edited = edit(text, label);
+    const next = edited !== null && edited !== undefined
+      ? edited
+      : await ask(`   New ${what} (single line, blank keeps current): `);
+    const trimmed = String(next).trim();
+    return trimmed || text;
+  };
+
+  try {
+    let acceptAll = false;
+    for (let i = 0; i < total; i++) {
+      let statement = statements[i];
+      let rollback = rollbacks[i];
+      let wasEdited = false;
+
+      while (!acceptAll) {
+        log(`\n[${i + 1}/${total}] ${statement}`);
+        log(`   ↩ rollback: ${rollback}`);
+        const answer = (await ask(`   ${CHOICES} [a]: `)).trim();
+
+        if (answer === '' || answer === 'a') break;
+        if (answer === 'A') { acceptAll = true; break; }
+        if (answer === 's') { statement = null; break; }
+        if (answer === 'q') {
+          result.aborted = true;
+          return result;
+        }
+        if (answer === 'e' || answer === 'r') {
+          const isStatement = answer === 'e';
+          const before = isStatement ? statement : rollback;
+          const after = await editText(before, isStatement ? 'statement' : 'rollback', `${i + 1}-${answer}`);
+          if (after !== before) wasEdited = true;
+          if (isStatement) statement = after; else rollback = after;
+          continue;
+        }
+        log(`   Unknown choice "${answer}"`);
+      }
+
+      if (statement === null) {
+        result.skipped++;
+        continue;
+      }
+      if (wasEdited) result.edited++;
+      result.statements.push(statement);
+      result.rollbacks.push(rollback);
+    }
+    return result;
+  } finally {
+    prompter?.close();
+  }
+}
+
+export default { reviewStatements };
@@ -1,18 +1,26 @@
 /**
  * drizzle-migrations-liquibase — Liquibase runner
  *
- * Thin wrapper that executes Liquibase commands via one of three modes:
+ * Thin wrapper that executes Liquibase commands via one of four modes:
  *   node   — the `liquibase` npm package (default)
  *   cli    — a system-installed `liquibase` binary
  *   docker — the official liquibase/liquibase Docker image
+ *   native — this package's own executor, no Java (update / rollbackCount / releaseLocks)
  *
  * Configuration is loaded from drizzle-liquibase.config.mjs via loadConfig().
+ * Commands that change the database honour the config's readOnly and
+ * requireConfirm flags (usually set per environment). The config's plugins
+ * get beforeRun / afterRun around every command (see plugins.mjs).
  */
 
 import { spawnSync } from 'child_process';
 import { existsSync } from 'fs';
 import { dirname, resolve } from 'path';
+import { createInterface } from 'readline/promises';
 import { loadConfig, parseDatabaseUrl, rewriteJdbcForDocker, detectDialectFromUrl } from './config.mjs';
+import { ConfigError, CommandError } from './errors.mjs';
+import { resolveLogger } from './logger.mjs';
+import { runHook } from './plugins.mjs';
 
 // ---------------------------------------------------------------------------
 // JDBC driver mapping per dialect
@@ -25,6 +33,75 @@ const DIALECT_DRIVER = {
   sqlite: 'org.sqlite.JDBC',
 };
 
+// ---------------------------------------------------------------------------
+// Safety guards
+// ---------------------------------------------------------------------------
+
+// Matched against the normalised name (see isWriteCommand)
+const WRITE_COMMAND = /^(update|rollback|dropall|changelogsync|marknextchangesetran|clearchecksums|tag$|releaselocks|executesql$)/;
+
+/**
+ * Whether a Liquibase command changes the database. camelCase and
+ * kebab-case names are the same command (dropAll, drop-all). The *SQL
+ * preview variants (updateSQL, rollback-count-sql, ...) only print what
+ * would run.
+ *
+ * @param {string} command
+ * @returns {boolean}
+ */
+export function isWriteCommand(command) {
+  const name = command.replace(/-/g, '').toLowerCase();
+  if (name !== 'executesql' && name.endsWith('sql')) return false;
+  return WRITE_COMMAND.test(name);
+}
+
+/**
+ * Ask on the terminal to type the environment name (or "yes") before going
+ * on. Prompts go to stderr so captured output stays clean.
+ */
+async function confirmOnTerminal({ command, env }) {
+  if (!process.stdin.isTTY) {
+    throw new CommandError(
+      `"${command}" needs confirmation${env ? ` in environment "${env}"` : ''} but stdin is not a TTY — pass --yes to run it`,
+      { command }
+    );
+  }
+  const expected = env || 'yes';
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(`⚠️  Run "${command}"${env ? ` against "${env}"` : ''}? Type "${expected}" to continue: `);
+    return answer.trim() === expected;
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Enforce readOnly / requireConfirm for commands that change the database.
+ * Also used by commands of our own that write the tracking tables (baseline).
+ *
+ * @param {object} config
+ * @param {string} command            — Liquibase command name the write corresponds to
+ * @param {object} options
+ * @param {boolean}  [options.yes]     — skip the requireConfirm prompt
+ * @param {Function} [options.confirm] — replaces the prompt: `({ command, env }) => boolean | Promise<boolean>`
+ * @throws {CommandError} when the command is refused or not confirmed
+ */
+export async function guardWrite(config, command, options = {}) {
+  if (!isWriteCommand(command)) return;
+  const where = config.env ? `environment "${config.env}"` : 'this config';
+
+  if (config.readOnly) {
+    throw new CommandError(`"${command}" is not allowed: ${where} is readOnly`, { command });
+  }
+  if (config.requireConfirm && !options.yes) {
+    const confirm = options.confirm ?? confirmOnTerminal;
+    if (!(await confirm({ command, env: config.env ?? null }))) {
+      throw new CommandError(`"${command}" was not confirmed — nothing ran`, { command });
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Core runner
 // ---------------------------------------------------------------------------
@@ -37,20 +114,62 @@ const DIALECT_DRIVER = {
  * @param {object}   [options={}]   — overrides / extras
  * @param {string}   [options.projectRoot] — project root directory
  * @param {object}   [options.config]      — pre-loaded config (skips loadConfig)
+ * @param {object}   [options.logger]      — progress output (see logger.mjs); defaults to the console
+ * @param {boolean}  [options.capture]     — cli / docker: collect Liquibase's output instead of
+ *                                           streaming it to the terminal
+ * @param {boolean}  [options.yes]         — skip the requireConfirm prompt
+ * @param {Function} [options.confirm]     — replaces the requireConfirm prompt:
+ *                                           `({ command, env }) => boolean | Promise<boolean>`
+ * @returns {Promise<string|object|null>} node mode: Liquibase's output; cli / docker: the
+ *   output with `capture`, otherwise null; native: the command result (see native.mjs)
+ * @throws {ConfigError}  when the database URL or liquibaseMode is invalid
+ * @throws {CommandError} when Liquibase fails, or readOnly / requireConfirm stops the command
+ * @throws {PluginError}  when a plugin's beforeRun or afterRun hook fails
  */
 export async function runLiquibase(command, args = [], options = {}) {
-  const config = options.config || (await loadConfig(options.projectRoot));
+  const logger = resolveLogger(options.logger);
+  const config = options.config || (await loadConfig(options.projectRoot, { logger }));
 
   const databaseUrl = config.databaseUrl;
   if (!databaseUrl) {
-    throw new Error(
+    throw new ConfigError(
       'DATABASE_URL is not configured. Set it in drizzle-liquibase.config.mjs or as an environment variable.'
     );
   }
 
+  const mode = config.liquibaseMode || 'node';
+
+  if (config.env) logger.info(`🌍 Using environment "${config.env}"`);
+  logger.debug(`   Running "${command}" in ${mode} mode (changelog: ${config.masterChangelog})`);
+  await guardWrite(config, command, options);
+
+  // beforeRun may edit the arguments in place; afterRun sees the outcome either way
+  const context = { command, args: [...args], mode, config, logger, result: null, error: null };
+  await runHook(config.plugins, 'beforeRun', context);
+  try {
+    context.result = await runMode(config, mode, command, context.args, options, logger);
+  } catch (error) {
+    context.error = error;
+    await runHook(config.plugins, 'afterRun', context);
+    throw error;
+  }
+  await runHook(config.plugins, 'afterRun', context);
+  return context.result;
+}
+
+/** Dispatch a guarded command to the configured liquibaseMode. */
+async function runMode(config, mode, command, args, options, logger) {
+  const databaseUrl = config.databaseUrl;
+
+  // Native mode talks to the database through the Node driver — no JDBC URL
+  if (mode === 'native') {
+    const { runNative } = await import('./native.mjs');
+    return runNative(config, command, args, { projectRoot: options.projectRoot, logger });
+  }
+
   const parsed = parseDatabaseUrl(databaseUrl);
   if (!parsed) {
-    throw new Error(`Failed to parse DATABASE_URL: ${databaseUrl}`);
+    throw new ConfigError(`Failed to parse DATABASE_URL: ${databaseUrl}`);
   }
 
   // Resolve dialect for driver and schema defaults
@@ -58,8 +177,6 @@ export async function runLiquibase(command, args = [], options = {}) {
   const driver = DIALECT_DRIVER[dialect] || DIALECT_DRIVER.postgresql;
   const defaultSchemaName = dialect === 'postgresql' ? 'public' : undefined;
 
-  const mode = config.liquibaseMode || 'node';
-
   // Determine the searchPath (directory containing master-changelog.xml)
   const searchPath = dirname(config.masterChangelog);
 
@@ -78,15 +195,16 @@ export async function runLiquibase(command, args = [], options = {}) {
     searchPath,
   };
 
+  const io = { logger, capture: options.capture ?? false };
   switch (mode) {
     case 'node':
       return runNode(lbConfig, command, args);
     case 'cli':
-      return runCli(lbConfig, command, args);
+      return runCli(lbConfig, command, args, io);
     case 'docker':
-      return runDocker(lbConfig, command, args, searchPath);
+      return runDocker(lbConfig, command, args, searchPath, io);
     default:
-      throw new Error(`Invalid liquibaseMode: "${mode}". Must be "node", "cli", or "docker".`);
+      throw new ConfigError(`Invalid liquibaseMode: "${mode}". Must be "node", "cli", "docker", or "native".`);
   }
 }
 
@@ -110,16 +228,17 @@ async function runNode(lbConfig, command, extraArgs) {
   const lb = new Liquibase(lbOpts);
 
   if (typeof lb[command] !== 'function') {
-    throw new Error(
+    throw new CommandError(
       `Liquibase command "${command}" is not available via the node-liquibase package. ` +
-      `Try using cli or docker mode instead.`
+      `Try using cli or docker mode instead.`,
+      { command }
     );
   }
 
-  if (extraArgs.length > 0) {
-    await lb[command](extraArgs);
-  } else {
-    await lb[command]();
+  try {
+    return extraArgs.length > 0 ? await lb[command](extraArgs) : await lb[command]();
+  } catch (error) {
+    throw new CommandError(`Liquibase ${command} failed: ${error.message}`, { cause: error, command });
   }
 }
 
@@ -127,7 +246,7 @@ async function runNode(lbConfig, command, extraArgs) {
 // Mode: cli (system-installed liquibase binary)
 // ---------------------------------------------------------------------------
 
-function runCli(lbConfig, command, extraArgs) {
+function runCli(lbConfig, command, extraArgs, io) {
   const args = buildCliArgs(lbConfig);
   args.push(command, ...extraArgs);
 
@@ -135,19 +254,16 @@ function runCli(lbConfig, command, extraArgs) {
   const loggedArgs = args.map((a) =>
     a.startsWith('--password=') ? '--password=****' : a
   );
-  console.log('Using CLI: liquibase', loggedArgs.join(' '));
+  io.logger.info('Using CLI: liquibase', loggedArgs.join(' '));
 
-  const res = spawnSync('liquibase', args, { stdio: 'inherit' });
-  if (res.status !== 0) {
-    throw new Error(`Liquibase CLI exited with code ${res.status}`);
-  }
+  return spawnLiquibase('liquibase', args, command, 'Liquibase CLI', io);
 }
 
 // ---------------------------------------------------------------------------
 // Mode: docker (official liquibase Docker image)
 // ---------------------------------------------------------------------------
 
-function runDocker(lbConfig, command, extraArgs, searchPath) {
+function runDocker(lbConfig, command, extraArgs, searchPath, io) {
   const dockerArgs = ['run', '--rm'];
 
   // Mount the liquibase directory as volume
@@ -164,18 +280,37 @@ function runDocker(lbConfig, command, extraArgs, searchPath) {
   const loggedArgs = dockerArgs.map((a) =>
     a.startsWith('--password=') ? '--password=****' : a
   );
-  console.log('Using Docker: docker', loggedArgs.join(' '));
+  io.logger.info('Using Docker: docker', loggedArgs.join(' '));
 
-  const res = spawnSync('docker', dockerArgs, { stdio: 'inherit' });
-  if (res.status !== 0) {
-    throw new Error(`Liquibase Docker exited with code ${res.status}`);
-  }
+  return spawnLiquibase('docker', dockerArgs, command, 'Liquibase Docker', io);
 }
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Run the binary synchronously. Output streams to the terminal unless
+ * `capture` is set, in which case stdout is returned (and included in the
+ * CommandError on failure).
+ */
+function spawnLiquibase(bin, args, command, label, { capture }) {
+  const res = spawnSync(bin, args, capture
+    ? { stdio: ['inherit', 'pipe', 'pipe'], encoding: 'utf-8' }
+    : { stdio: 'inherit' });
+  if (res.error) {
+    throw new CommandError(`${label} could not start: ${res.error.message}`, { cause: res.error, command });
+  }
+  if (res.status !== 0) {
+    throw new CommandError(`${label} exited with code ${res.status}`, {
+      command,
+      exitCode: res.status,
+      output: capture ? `${res.stdout}${res.stderr}` : null,
+    });
+  }
+  return capture ? res.stdout : null;
+}
+
 function buildCliArgs(lbConfig) {
   const args = [];
   if (lbConfig.changeLogFile) args.push(`--changeLogFile=${lbConfig.changeLogFile}`);
@@ -188,4 +323,4 @@ function buildCliArgs(lbConfig) {
   return args;
 }
 
-export default { runLiquibase };
+export default { runLiquibase, isWriteCommand, guardWrite };
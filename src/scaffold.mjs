@@ -0,0 +1,169 @@
+/**
+ * drizzle-migrations-liquibase — Empty migration scaffold
+ *
+ * Backs `drizzle-liquibase new <name>`: writes a correctly named, timestamped
+ * formatted SQL file for hand-written changes (data backfills, functions,
+ * anything a schema diff can't produce) and registers it in the master
+ * changelog. No database or schema access is needed.
+ *
+ * Naming, author detection and changelog handling are delegated to
+ * DrizzleKitEngine so the file sits alongside generated migrations exactly
+ * like one of them.
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadConfig, formatTimestamp, detectDialectFromUrl } from './config.mjs';
+import { DrizzleKitEngine } from './drizzle-kit-engine.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+/**
+ * Render an empty changeset with the dialect's header and delimiter
+ * conventions and a placeholder rollback.
+ *
+ * @param {object} meta
+ * @param {string} meta.dialect
+ * @param {string} meta.author        — changeset author
+ * @param {string} meta.changesetName — changeset id
+ * @returns {string}
+ */
+export function renderEmptyMigration({ dialect, author, changesetName }) {
+  // Same split as formatMigrationContent: PostgreSQL uses a custom
+  // endDelimiter, the other dialects split on ';'.
+  if (dialect === 'postgresql') {
+    return `--liquibase formatted sql
+
+--changeset ${author}:${changesetName} splitStatements:false endDelimiter:--> statement-breakpoint
+
+-- Write the migration SQL here. Follow each statement with a line containing
+-- only the statement-breakpoint delimiter from the header above.
+
+--rollback -- Manual rollback required: replace with SQL that undoes this changeset
+`;
+  }
+
+  return `--liquibase formatted sql
+
+--changeset ${author}:${changesetName}
+
+-- Write the migration SQL here. Statements are split on ';'.
+
+--rollback -- Manual rollback required: replace with SQL that undoes this changeset
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationScaffold {
+  /**
+   * @param {object} opts
+   * @param {string}  opts.name           — migration name (changeset id and filename suffix)
+   * @param {object}  [opts.config]       — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]  — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]       — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]      — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.name = opts.name ?? null;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.migrationsDir = null;
+    this.dialect = null;
+    this.engine = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+    this.migrationsDir = this.config.migrationsDir;
+
+    if (!this.name) {
+      throw new Error('Migration name is required, e.g. drizzle-liquibase new backfill_user_slugs');
+    }
+    if (!/^[\w-]+$/.test(this.name)) {
+      throw new Error(`Invalid migration name "${this.name}" — use letters, digits, _ and -`);
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    this.engine = new DrizzleKitEngine({ config: this.config, dialect: this.dialect, logger: this.logger });
+    this.engine.config = this.config;
+    this.engine.migrationsDir = this.migrationsDir;
+    this.engine.dialect = this.dialect;
+  }
+
+  // ------------------------------------------------------------------
+  // File generation
+  // ------------------------------------------------------------------
+
+  /**
+   * Work out the filename and content without touching disk.
+   *
+   * @returns {{ filename: string, content: string }}
+   */
+  renderMigration() {
+    const pattern = this.config.timestampFormat || 'YYYYMMDDHHmmss';
+    const filename = `${formatTimestamp(new Date(), pattern)}_${this.name}.sql`;
+    const content = renderEmptyMigration({
+      dialect: this.dialect,
+      author: this.engine.getCurrentUser(),
+      changesetName: this.name,
+    });
+    return { filename, content };
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  async run() {
+    this.logger.info('📝 Creating empty migration...');
+
+    try {
+      await this.init();
+
+      const { filename, content } = this.renderMigration();
+      const filepath = join(this.migrationsDir, filename);
+      if (existsSync(filepath)) {
+        throw new Error(`${filepath} already exists`);
+      }
+
+      if (!existsSync(this.migrationsDir)) {
+        mkdirSync(this.migrationsDir, { recursive: true });
+      }
+      writeFileSync(filepath, content);
+      this.engine.addToMasterChangelog(filename);
+
+      this.logger.info(`✅ Created ${filepath}`);
+      this.logger.info('   Add your SQL and replace the placeholder --rollback before running update.');
+      return filepath;
+    } catch (error) {
+      this.logger.error('❌ Error creating migration:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default MigrationScaffold;
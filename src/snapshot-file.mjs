@@ -0,0 +1,92 @@
+/**
+ * drizzle-migrations-liquibase — Database snapshot files
+ *
+ * Reads and writes the JSON files produced by `drizzle-liquibase snapshot`:
+ * the table map SchemaDiffGenerator.getDatabaseSchema() builds from a live
+ * database, wrapped with enough metadata to reject files this version
+ * can't compare against. `generate --against <file>` diffs the Drizzle
+ * schema against one instead of a connection.
+ *
+ *   {
+ *     "snapshotVersion": 1,
+ *     "engine": "custom",
+ *     "dialect": "postgresql",
+ *     "database": "app",
+ *     "takenAt": "2025-01-01T12:00:00.000Z",
+ *     "tables": { "users": { "name": "users", "columns": { ... }, ... } }
+ *   }
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+/** Bumped when the table map produced by getDatabaseSchema() changes shape. */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Wrap a table map in the snapshot envelope.
+ *
+ * @param {Record<string, object>} tables — from SchemaDiffGenerator.getDatabaseSchema()
+ * @param {object} [meta]
+ * @param {string} [meta.database] — database name, for the reader's benefit
+ * @param {Date}   [meta.now]
+ * @returns {object}
+ */
+export function buildDatabaseSnapshot(tables, { database = null, now = new Date() } = {}) {
+  return {
+    snapshotVersion: SNAPSHOT_VERSION,
+    engine: 'custom',
+    dialect: 'postgresql',
+    database,
+    takenAt: now.toISOString(),
+    tables,
+  };
+}
+
+/**
+ * Write a snapshot as JSON — to `file`, or stdout for '-'.
+ *
+ * @returns {string|null} the file written, or null for stdout
+ */
+export function writeDatabaseSnapshot(file, snapshot) {
+  const json = JSON.stringify(snapshot, null, 2) + '\n';
+  if (file === '-') {
+    process.stdout.write(json);
+    return null;
+  }
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, json);
+  return file;
+}
+
+/**
+ * Read and validate a snapshot file.
+ *
+ * @param {string} file — absolute path
+ * @returns {object} the snapshot (see buildDatabaseSnapshot)
+ */
+export function readDatabaseSnapshot(file) {
+  if (!existsSync(file)) throw new Error(`Snapshot file not found: ${file}`);
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Snapshot file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  if (!snapshot || typeof snapshot !== 'object' || !snapshot.tables || typeof snapshot.tables !== 'object') {
+    throw new Error(`${file} is not a drizzle-liquibase snapshot (no "tables") — create one with: drizzle-liquibase snapshot --out ${file}`);
+  }
+  if (snapshot.snapshotVersion !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Snapshot ${file} has version ${snapshot.snapshotVersion ?? 'unknown'}, this version reads ${SNAPSHOT_VERSION} — take a new snapshot`
+    );
+  }
+  if (snapshot.dialect !== 'postgresql') {
+    throw new Error(`Snapshot ${file} is for ${snapshot.dialect}; only PostgreSQL snapshots are supported`);
+  }
+  return snapshot;
+}
+
+export default { SNAPSHOT_VERSION, buildDatabaseSnapshot, writeDatabaseSnapshot, readDatabaseSnapshot };
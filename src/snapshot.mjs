@@ -0,0 +1,358 @@
+/**
+ * drizzle-migrations-liquibase — Schema snapshots
+ *
+ * Generating a migration without a live database, two ways:
+ *
+ * DatabaseSnapshot backs `drizzle-liquibase snapshot --out <file>`: it saves
+ * the custom engine's introspection of a database (getDatabaseSchema()) to
+ * JSON, so `generate --against <file>` can later diff the Drizzle schema
+ * against that file without credentials (see snapshot-file.mjs).
+ *
+ * SnapshotDiff backs `generate --from-ref <ref> [--to-ref <ref>]`: it
+ * generates a migration by comparing two versions of the Drizzle schema
+ * instead of the schema and a live database. Useful without an up-to-date
+ * local database, and in CI where there is none.
+ *
+ *   1. the files under schemaDir are copied out of git at each ref (the
+ *      working tree is used when no --to-ref is given)
+ *   2. each copy is loaded with jiti and serialised with drizzle-kit's
+ *      snapshot API (generateDrizzleJson and the per-dialect variants)
+ *   3. generateMigration() diffs the two snapshots, and the statements go
+ *      through the drizzle-kit engine's rollback inference and file writing
+ *
+ * The copies are written to a temporary directory inside the project root
+ * so package imports (drizzle-orm, ...) resolve from its node_modules.
+ * Schema files may import packages and each other, but not files outside
+ * schemaDir — those don't exist at the copied ref.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { loadConfig, detectDialectFromUrl } from './config.mjs';
+import { importFromProject } from './database.mjs';
+import { DrizzleKitEngine } from './drizzle-kit-engine.mjs';
+import { SchemaDiffGenerator } from './generate.mjs';
+import { buildDatabaseSnapshot, writeDatabaseSnapshot } from './snapshot-file.mjs';
+import { installRenameResolver } from './renames.mjs';
+import { gitRoot, repoRelative, checkoutDirectory } from './git.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Snapshot API
+// ---------------------------------------------------------------------------
+
+/** drizzle-kit/api functions that serialise a schema and diff two snapshots, per dialect. */
+const SNAPSHOT_API = {
+  postgresql: ['generateDrizzleJson', 'generateMigration'],
+  mysql: ['generateMySQLDrizzleJson', 'generateMySQLMigration'],
+  sqlite: ['generateSQLiteDrizzleJson', 'generateSQLiteMigration'],
+  singlestore: ['generateSingleStoreDrizzleJson', 'generateSingleStoreMigration'],
+};
+
+/**
+ * Import drizzle-kit's snapshot functions for a dialect.
+ *
+ * @returns {Promise<{ serialize: Function, diff: Function }>}
+ *   serialize(imports, { schemas }) → snapshot; diff(prev, cur) → string[]
+ */
+export async function importSnapshotApi(dialect, projectRoot) {
+  const [serializeName, diffName] = SNAPSHOT_API[dialect] ?? [];
+  if (!serializeName) throw new Error(`Unsupported dialect: ${dialect}`);
+
+  let api;
+  try {
+    api = await importFromProject('drizzle-kit/api', projectRoot);
+  } catch (e) {
+    throw new Error(
+      'drizzle-kit v0.31+ is required for schema snapshot diffs.\n' +
+      'Install it: npm install -D drizzle-kit\n' +
+      `Error: ${e.message}`
+    );
+  }
+  if (!api[serializeName] || !api[diffName]) {
+    throw new Error(`drizzle-kit/api does not export ${serializeName}/${diffName}. You may need drizzle-kit v0.31+.`);
+  }
+
+  return {
+    serialize: (imports, { schemas } = {}) => dialect === 'postgresql'
+      ? api[serializeName](imports, undefined, schemas)
+      : api[serializeName](imports),
+    diff: (prev, cur) => api[diffName](prev, cur),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Database snapshots
+// ---------------------------------------------------------------------------
+
+export class DatabaseSnapshot {
+  /**
+   * @param {object} opts
+   * @param {string}  [opts.out='-']      — file to write ('-' = stdout)
+   * @param {object}  [opts.config]       — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]  — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]       — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]      — dialect override; only postgresql is supported
+   */
+  constructor(opts = {}) {
+    this.out = opts.out ?? '-';
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+    this.generator = null;
+  }
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (this.dialect !== 'postgresql') {
+      throw new Error(
+        `snapshot records the custom engine's introspection, which is PostgreSQL only (dialect: ${this.dialect})`
+      );
+    }
+
+    this.generator = new SchemaDiffGenerator({ config: this.config, projectRoot: this._projectRoot, logger: this.logger });
+    await this.generator.init();
+  }
+
+  /** Database name from the connection URL, recorded in the snapshot. */
+  databaseName() {
+    try {
+      return decodeURIComponent(new URL(this.config.databaseUrl).pathname.slice(1)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Introspect the database and write the snapshot.
+   *
+   * @returns {Promise<{ file: string|null, snapshot: object }>} file is null for stdout
+   */
+  async take() {
+    const g = this.generator;
+    await g.initDb();
+    try {
+      const snapshot = buildDatabaseSnapshot(await g.getDatabaseSchema(), { database: this.databaseName() });
+      const target = this.out === '-' ? '-' : resolve(this._projectRoot || process.cwd(), this.out);
+      return { file: writeDatabaseSnapshot(target, snapshot), snapshot };
+    } finally {
+      await g.cleanup();
+    }
+  }
+
+  async run() {
+    this.logger.info('📸 Taking database snapshot...');
+
+    try {
+      await this.init();
+      const { file, snapshot } = await this.take();
+      const count = Object.keys(snapshot.tables).length;
+      if (file) this.logger.info(`✅ Snapshot of ${count} table(s) written to ${file}`);
+      this.logger.info(`   Generate against it with: npx drizzle-liquibase generate <name> --against ${this.out === '-' ? '<file>' : this.out}`);
+      return file;
+    } catch (error) {
+      this.logger.error('❌ Error taking snapshot:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schema-to-schema diffs
+// ---------------------------------------------------------------------------
+
+export class SnapshotDiff {
+  /**
+   * @param {object} opts
+   * @param {string}    opts.fromRef         — git ref holding the "before" schema
+   * @param {string}    [opts.toRef]         — git ref holding the "after" schema
+   *                                           (default: the working tree)
+   * @param {string}    [opts.name]          — custom migration name
+   * @param {object}    [opts.config]        — pre-loaded config (skips loadConfig)
+   * @param {string}    [opts.projectRoot]   — project root (for loadConfig fallback)
+   * @param {object}    [opts.logger]        — progress output (see logger.mjs); defaults to the console
+   * @param {string}    [opts.dialect]       — dialect override (postgresql|mysql|sqlite|singlestore)
+   * @param {string[]}  [opts.excludeTables] — extra tables to exclude (merged with config)
+   * @param {string[]}  [opts.schemas]       — schemas to include (PostgreSQL)
+   * @param {string}    [opts.output]        — render to this path ('-' = stdout) instead of
+   *                                           writing to migrationsDir and the changelog
+   * @param {string}    [opts.report]        — emit a change report in this format ('json')
+   * @param {string}    [opts.reportFile]    — write the report here instead of stdout
+   * @param {boolean}   [opts.review]        — accept/skip/edit each statement before writing
+   * @param {string}    [opts.renamesFile]   — JSON renames file (merged after config.renames)
+   */
+  constructor(opts = {}) {
+    this.fromRef = opts.fromRef ?? null;
+    this.toRef = opts.toRef ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+
+    // The engine does the config handling, rollback inference and writing
+    this.engine = new DrizzleKitEngine({
+      name: opts.name,
+      config: opts.config,
+      projectRoot: opts.projectRoot,
+      dialect: opts.dialect,
+      excludeTables: opts.excludeTables,
+      schemas: opts.schemas,
+      output: opts.output,
+      report: opts.report,
+      reportFile: opts.reportFile,
+      review: opts.review,
+      renamesFile: opts.renamesFile,
+      logger: opts.logger,
+      offline: true,
+    });
+
+    this.repoRoot = null;
+    this.schemaPath = null;
+    this.api = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    if (!this.fromRef) throw new Error('--from-ref is required for a schema-to-schema diff');
+
+    await this.engine.init();
+
+    this.repoRoot = gitRoot(this.projectRoot);
+    if (!this.repoRoot) throw new Error('--from-ref/--to-ref need the project to be inside a git repository');
+    this.schemaPath = repoRelative(this.repoRoot, this.engine.schemaDir);
+    if (this.schemaPath.startsWith('..')) {
+      throw new Error(`schemaDir ${this.engine.schemaDir} is outside the git repository at ${this.repoRoot}`);
+    }
+
+    this.api = await importSnapshotApi(this.engine.dialect, this._projectRoot);
+  }
+
+  get projectRoot() {
+    return resolve(this._projectRoot || process.cwd());
+  }
+
+  // ------------------------------------------------------------------
+  // Snapshots
+  // ------------------------------------------------------------------
+
+  /**
+   * Load the schema at `ref` (null = working tree) and serialise it. A ref
+   * where schemaDir doesn't exist yet gives an empty snapshot.
+   */
+  async snapshotAt(ref) {
+    const engine = this.engine;
+    const schemas = engine.config.schemas;
+    if (ref === null) {
+      return this.api.serialize(await engine.loadSchemaExports(), { schemas });
+    }
+
+    this.logger.info(`📦 Reading ${this.schemaPath} at ${ref}...`);
+    const tmp = mkdtempSync(join(this.projectRoot, '.drizzle-liquibase-ref-'));
+    const workingSchemaDir = engine.schemaDir;
+    try {
+      const dir = join(tmp, 'schema');
+      const files = checkoutDirectory(ref, this.schemaPath, dir, this.repoRoot);
+      if (!files.length) {
+        this.logger.info(`   ${this.schemaPath} does not exist at ${ref} — treating it as empty`);
+        return this.api.serialize({}, { schemas });
+      }
+      engine.schemaDir = dir;
+      return this.api.serialize(await engine.loadSchemaExports(), { schemas });
+    } finally {
+      engine.schemaDir = workingSchemaDir;
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Diff the schema at fromRef against toRef (or the working tree).
+   *
+   * @returns {Promise<{ sqlStatements: string[], removedCount: number }>}
+   */
+  async computeDiff() {
+    const engine = this.engine;
+    const prev = await this.snapshotAt(this.fromRef);
+    const cur = await this.snapshotAt(this.toRef);
+
+    this.logger.info(`🔍 Comparing ${this.fromRef} → ${this.toRef ?? 'working tree'}...`);
+    this.logger.info(`   Dialect: ${engine.dialect}`);
+
+    const resolver = engine.renames ? engine.createRenameResolver('v0') : null;
+    const restoreHook = resolver ? installRenameResolver(resolver) : null;
+    try {
+      const raw = [...new Set(await this.api.diff(prev, cur))];
+      const { filtered, removedCount } = engine.filterExcludedStatements(raw);
+      const { sqlStatements } = await engine.runPluginHook('afterDiff', { changes: null, sqlStatements: filtered });
+      return { sqlStatements, removedCount };
+    } finally {
+      restoreHook?.();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  async run() {
+    this.logger.info(`🚀 Starting migration generation (schema ${this.fromRef} → ${this.toRef ?? 'working tree'}, no database)...`);
+    const engine = this.engine;
+
+    try {
+      await this.init();
+
+      const { sqlStatements, removedCount } = await this.computeDiff();
+      const report = (statements, rollbackStatements, file) => engine.reportChanges({
+        statements, rollbackStatements, hasDataLoss: false, warnings: [], hints: [], file,
+      });
+
+      if (removedCount > 0) {
+        this.logger.info(`   Excluded ${removedCount} statement(s) referencing excluded tables`);
+      }
+
+      if (!sqlStatements.length) {
+        this.logger.info('✅ No schema changes detected.');
+        return report([], [], null);
+      }
+
+      this.logger.info(`\n📝 Found ${sqlStatements.length} statement(s):`);
+      sqlStatements.forEach((sql, i) => {
+        const preview = sql.length > 100 ? sql.substring(0, 100) + '...' : sql;
+        this.logger.info(`   ${i + 1}. ${preview}`);
+      });
+
+      let { statements, rollbackStatements } = await engine.buildStatements(sqlStatements);
+
+      if (engine.review) {
+        ({ statements, rollbackStatements } = await engine.reviewChanges(statements, rollbackStatements));
+        if (!statements.length) return report([], [], null);
+      }
+
+      const rendered = await engine.prepareMigration(statements, rollbackStatements);
+      if (engine.output) {
+        const target = engine.writeMigrationOutput(statements, rollbackStatements, rendered);
+        if (target) this.logger.info(`\n✅ Migration written to ${target} (master changelog not updated)`);
+        return report(statements, rollbackStatements, target);
+      }
+
+      const filepath = engine.generateMigrationFile(statements, rollbackStatements, rendered);
+      this.logger.info(`\n✅ Migration generated: ${filepath}`);
+      this.logger.info(`   ${statements.length} SQL statement(s) with rollback blocks`);
+      return report(statements, rollbackStatements, filepath);
+    } catch (error) {
+      this.logger.error('❌ Error generating migration:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default SnapshotDiff;
@@ -0,0 +1,366 @@
+/**
+ * drizzle-migrations-liquibase — Squash (consolidate old migrations)
+ *
+ * Collapses the migrations from the start of the master changelog up to a
+ * given file, changeset or DATABASECHANGELOG tag into one baseline
+ * changeset, and rewrites master-changelog.xml so the new file replaces the
+ * range.
+ *
+ * Databases that already ran the old files must not run the baseline again.
+ * By default the baseline carries a precondition that checks
+ * DATABASECHANGELOG for the last squashed changeset and marks the baseline
+ * as ran (onFail:MARK_RAN) when it is there. With --no-precondition the
+ * changeset is left plain and changelogSync guidance is printed instead.
+ *
+ * Old migration files are left on disk — they are simply no longer
+ * included. Only formatted SQL includes can be squashed.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { loadConfig, formatTimestamp, detectDialectFromUrl } from './config.mjs';
+import { readChangelogIncludes, loadChangesets, changesetStatements, splitSqlStatements, isCommentOnly } from './changelog.mjs';
+import { openDatabase, readAppliedChangesets, trackingTableNames } from './database.mjs';
+import { selectChangesets } from './baseline.mjs';
+import { DrizzleKitEngine } from './drizzle-kit-engine.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+/** Attributes that change how or when a changeset runs — lost when squashed. */
+const RUN_ATTRIBUTES = ['runAlways', 'runOnChange', 'context', 'contextFilter', 'labels', 'dbms', 'runInTransaction', 'failOnError'];
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Work out which includes a squash up to `selected` covers.
+ *
+ * The range always starts at the first include and ends with the file that
+ * holds the last selected changeset. Whole files only: the target must be
+ * the last changeset in its file.
+ *
+ * @param {Array<{file, path}>} includes   — from readChangelogIncludes()
+ * @param {Array<object>}       changesets — every changeset, in changelog order
+ * @param {Array<object>}       selected   — changesets up to the target (selectChangesets)
+ * @returns {{ includes: Array<{file, path}>, changesets: Array<object>, warnings: string[] }}
+ */
+export function planSquash(includes, changesets, selected) {
+  const last = selected[selected.length - 1];
+  const end = includes.findIndex(i => i.file === last.file);
+  const range = includes.slice(0, end + 1);
+
+  const nonSql = range.filter(i => !i.file.endsWith('.sql'));
+  if (nonSql.length) {
+    throw new Error(
+      `Only formatted SQL migrations can be squashed — the range includes ${nonSql.map(i => i.file).join(', ')}`
+    );
+  }
+
+  const inFile = changesets.filter(cs => cs.file === last.file);
+  if (inFile[inFile.length - 1] !== last) {
+    throw new Error(
+      `${last.author}:${last.id} is not the last changeset in ${last.file} — squash whole files only ` +
+      `(pass --to ${basename(last.file)}).`
+    );
+  }
+
+  if (range.length < 2) {
+    throw new Error(`Nothing to squash — ${last.file} is the first migration in the changelog`);
+  }
+
+  const files = new Set(range.map(i => i.file));
+  const squashed = changesets.filter(cs => files.has(cs.file));
+
+  const warnings = [];
+  for (const cs of squashed) {
+    const dropped = RUN_ATTRIBUTES.filter(a => a in cs.attributes);
+    if (dropped.length) warnings.push(`${cs.author}:${cs.id} — ${dropped.join(', ')} no longer applies`);
+    if (cs.preconditions.length) warnings.push(`${cs.author}:${cs.id} — its preconditions are dropped`);
+  }
+
+  return { includes: range, changesets: squashed, warnings };
+}
+
+/**
+ * Forward statements and rollbacks for the squashed changesets.
+ *
+ * Rollbacks are returned in forward order (the formatter reverses them), so
+ * the baseline rolls back the last changeset first. Changesets without an
+ * executable rollback get a "Manual rollback required" marker.
+ *
+ * @returns {{ statements: string[], rollbackStatements: string[] }}
+ */
+export function collectSquashStatements(changesets) {
+  const statements = [];
+  const rollbackStatements = [];
+
+  for (const cs of changesets) {
+    statements.push(...changesetStatements(cs));
+
+    const rollback = cs.rollback.trim() === 'empty' ? '' : cs.rollback;
+    const rollbacks = splitSqlStatements(rollback, cs.attributes.endDelimiter)
+      // The formatter writes one --rollback line per statement
+      .map(s => s.replace(/\s*\n\s*/g, ' '));
+    if (rollbacks.length) {
+      rollbackStatements.push(...rollbacks.reverse());
+    } else if (rollback && isCommentOnly(rollback)) {
+      rollbackStatements.push(`-- Manual rollback required: ${cs.author}:${cs.id}`);
+    }
+  }
+
+  return { statements, rollbackStatements };
+}
+
+/**
+ * Header lines that mark the baseline as ran on databases where the last
+ * squashed changeset is already recorded in DATABASECHANGELOG.
+ */
+export function markRanPrecondition(last, dialect) {
+  const { changelog } = trackingTableNames(dialect);
+  return [
+    '--preconditions onFail:MARK_RAN',
+    `--precondition-sql-check expectedResult:0 SELECT COUNT(*) FROM ${changelog} ` +
+      `WHERE ID = ${sqlString(last.id)} AND AUTHOR = ${sqlString(last.author)}`,
+  ].join('\n');
+}
+
+/**
+ * Replace the includes for `files` with a single include of `newFile`,
+ * placed where the first of them was.
+ *
+ * @param {string}   xml     — master changelog content
+ * @param {string[]} files   — include paths to remove (as written in the XML)
+ * @param {string}   newFile — include path for the squashed migration
+ * @returns {string}
+ */
+export function rewriteChangelogIncludes(xml, files, newFile) {
+  let replaced = false;
+  for (const file of files) {
+    const escaped = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(`^([ \\t]*)<include\\s+[^>]*?file="${escaped}"[^>]*\\/>[ \\t]*(?:\\r?\\n)?`, 'm');
+    if (!re.test(xml)) throw new Error(`Include for ${file} not found in the master changelog`);
+    xml = xml.replace(re, (_, indent) => {
+      if (replaced) return '';
+      replaced = true;
+      return `${indent}<include file="${newFile}"/>\n`;
+    });
+  }
+  return xml;
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationSquash {
+  /**
+   * @param {object} opts
+   * @param {string}  opts.to                     — last file / changeset id / author:id / DATABASECHANGELOG tag to squash
+   * @param {string}  [opts.name]                 — changeset id and filename suffix (default: squashed_baseline)
+   * @param {boolean} [opts.precondition=true]    — add the onFail:MARK_RAN precondition
+   * @param {boolean} [opts.dryRun=false]         — print the plan without writing anything
+   * @param {object}  [opts.config]               — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]          — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]               — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]              — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.to = opts.to ?? null;
+    this.name = opts.name ?? 'squashed_baseline';
+    this.precondition = opts.precondition ?? true;
+    this.dryRun = opts.dryRun ?? false;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+    this.engine = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!this.to) {
+      throw new Error('squash needs --to <file|id|author:id|tag> — the last migration to fold into the baseline');
+    }
+    if (!/^[\w-]+$/.test(this.name)) {
+      throw new Error(`Invalid name "${this.name}" — use letters, digits, _ and -`);
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    // Formatting matches generated migrations exactly — the engine only
+    // needs config + dialect, not a database connection.
+    this.engine = new DrizzleKitEngine({ config: this.config, dialect: this.dialect, logger: this.logger });
+    this.engine.config = this.config;
+    this.engine.dialect = this.dialect;
+  }
+
+  // ------------------------------------------------------------------
+  // Target resolution
+  // ------------------------------------------------------------------
+
+  /**
+   * Select changesets up to `this.to`. When it names no file or changeset it
+   * is looked up as a tag in DATABASECHANGELOG.
+   */
+  async selectTarget(changesets) {
+    try {
+      return selectChangesets(changesets, this.to);
+    } catch (error) {
+      if (!/^No (changeset|migration file)/.test(error.message)) throw error;
+      if (!this.config.databaseUrl) {
+        throw new Error(`${error.message}, and there is no database configured to look it up as a tag`);
+      }
+    }
+
+    const tagged = await this.findTaggedChangeset();
+    if (!tagged) {
+      throw new Error(`"${this.to}" is not a migration file, changeset or tag in DATABASECHANGELOG`);
+    }
+    const index = changesets.findIndex(cs =>
+      cs.id === tagged.id && cs.author === tagged.author && cs.file === tagged.filename
+    );
+    if (index === -1) {
+      throw new Error(
+        `Tag "${this.to}" is on ${tagged.author}:${tagged.id} (${tagged.filename}), ` +
+        'which is not in the master changelog'
+      );
+    }
+    return changesets.slice(0, index + 1);
+  }
+
+  /** The DATABASECHANGELOG row carrying tag `this.to`, or null. */
+  async findTaggedChangeset() {
+    const db = await openDatabase(this.config.databaseUrl, {
+      dialect: this.dialect,
+      projectRoot: this._projectRoot,
+      logger: this.logger,
+    });
+    try {
+      const applied = await readAppliedChangesets(db);
+      return applied.filter(row => row.tag === this.to).pop() ?? null;
+    } finally {
+      await db.close();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------------
+
+  /**
+   * Build the squashed migration without touching disk.
+   *
+   * @returns {{ filename: string, filepath: string, include: string, content: string, plan: object }}
+   */
+  buildSquash(includes, changesets, selected) {
+    const plan = planSquash(includes, changesets, selected);
+    const lastInclude = plan.includes[plan.includes.length - 1];
+    const last = plan.changesets[plan.changesets.length - 1];
+
+    // Reuse the last squashed file's timestamp so the baseline keeps its
+    // place when addToMasterChangelog re-sorts the includes.
+    const timestamp = basename(lastInclude.file).match(/^(\d+)_/)?.[1] ??
+      formatTimestamp(new Date(), this.config.timestampFormat || 'YYYYMMDDHHmmss');
+    const filename = `${timestamp}_${this.name}.sql`;
+    const includeDir = dirname(lastInclude.file);
+    const include = includeDir === '.' ? filename : `${includeDir}/${filename}`;
+
+    const { statements, rollbackStatements } = collectSquashStatements(plan.changesets);
+    let content = this.engine.formatMigrationContent(statements, rollbackStatements, {
+      author: this.engine.getCurrentUser(),
+      changesetName: this.name,
+    });
+
+    const comment = `--comment: Squashed ${plan.changesets.length} changeset(s) from ` +
+      `${basename(plan.includes[0].file)} to ${basename(lastInclude.file)}`;
+    const header = [comment];
+    if (this.precondition) header.push(markRanPrecondition(last, this.dialect));
+    content = content.replace(/^(--changeset .*)$/m, `$1\n${header.join('\n')}`);
+
+    const filepath = join(dirname(lastInclude.path), filename);
+
+    return { filename, filepath, include, content, plan };
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  async run() {
+    this.logger.info('🗜️  Squashing migrations...');
+
+    try {
+      await this.init();
+
+      const changelogPath = this.config.masterChangelog;
+      const includes = readChangelogIncludes(changelogPath);
+      const changesets = loadChangesets(changelogPath);
+      const selected = await this.selectTarget(changesets);
+
+      const { filename, filepath, include, content, plan } = this.buildSquash(includes, changesets, selected);
+      const last = plan.changesets[plan.changesets.length - 1];
+
+      this.logger.info(`   Changelog: ${changelogPath}`);
+      this.logger.info(`   Squashing ${plan.includes.length} file(s), ${plan.changesets.length} changeset(s) up to ${this.to}`);
+      this.logger.info(`   → ${include}\n`);
+      for (const warning of plan.warnings) this.logger.warn(`   ⚠️  ${warning}`);
+
+      if (existsSync(filepath)) {
+        throw new Error(`${filepath} already exists — pick another --name`);
+      }
+
+      if (this.dryRun) {
+        this.logger.info('🔍 Dry run — squashed migration (nothing written):\n');
+        console.log(content);
+        return { file: null, include, content, squashed: plan.includes.map(i => i.file) };
+      }
+
+      writeFileSync(filepath, content);
+      const xml = readFileSync(changelogPath, 'utf-8');
+      writeFileSync(changelogPath, rewriteChangelogIncludes(xml, plan.includes.map(i => i.file), include));
+
+      this.logger.info(`✅ Wrote ${filepath}`);
+      this.logger.info(`✅ Replaced ${plan.includes.length} include(s) in ${changelogPath}`);
+      this.logger.info('\n   The old files are still on disk but no longer included — delete them once every');
+      this.logger.info(`   environment has applied ${last.author}:${last.id}.`);
+
+      if (this.precondition) {
+        this.logger.info('\n   Databases that already ran the squashed changesets will record the baseline');
+        this.logger.info('   as MARK_RAN on their next update; new databases run it in full.');
+      } else {
+        this.logger.info('\n   No precondition was added. On every database that already ran the squashed');
+        this.logger.info('   changesets, record the baseline as applied before the next update:');
+        this.logger.info(`     npx drizzle-liquibase baseline --to ${filename}   (or: liquibase changelogSync)`);
+      }
+      this.logger.info(`   Databases that have not reached ${last.author}:${last.id} must be brought up to it first.`);
+
+      return { file: filepath, include, content, squashed: plan.includes.map(i => i.file) };
+    } catch (error) {
+      this.logger.error('❌ Error squashing migrations:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default MigrationSquash;
@@ -0,0 +1,295 @@
+/**
+ * drizzle-migrations-liquibase — Native status and history
+ *
+ * Backs `drizzle-liquibase status` and `history` without a JVM: the master
+ * changelog and the formatted-SQL changeset headers are parsed locally and
+ * matched against DATABASECHANGELOG, read through the project's own driver
+ * (pg, mysql2 or better-sqlite3).
+ *
+ * Every changeset ends up in one of three states:
+ *   applied — in the changelog and in DATABASECHANGELOG
+ *   pending — in the changelog, not yet run
+ *   unknown — in DATABASECHANGELOG but no longer in the changelog (renamed,
+ *             deleted, or applied from another branch)
+ *
+ * Changesets are matched the way Liquibase matches them: id, author and the
+ * include path recorded as FILENAME.
+ */
+
+import { loadConfig, detectDialectFromUrl, formatTimestamp } from './config.mjs';
+import { loadChangesets } from './changelog.mjs';
+import { openDatabase, readAppliedChangesets } from './database.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+const rowKey = (id, author, file) => `${id}::${author}::${file}`;
+
+/** DATEEXECUTED as `YYYY-MM-DD HH:mm:ss` — drivers return Dates or strings. */
+function formatDate(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return formatTimestamp(value, 'YYYY-MM-DD HH:mm:ss');
+  return String(value).replace('T', ' ').replace(/(\.\d+)?Z?$/, '');
+}
+
+/** One output entry for a changeset and/or its DATABASECHANGELOG row. */
+function entry(state, { id, author, file }, row = null) {
+  return {
+    state,
+    id,
+    author,
+    file,
+    dateExecuted: formatDate(row?.dateexecuted),
+    orderExecuted: row?.orderexecuted != null ? Number(row.orderexecuted) : null,
+    execType: row?.exectype ?? null,
+    tag: row?.tag ?? null,
+    md5sum: row?.md5sum ?? null,
+    deploymentId: row?.deployment_id ?? null,
+  };
+}
+
+/**
+ * Match changelog changesets against DATABASECHANGELOG rows. Pure — no
+ * filesystem or database access.
+ *
+ * @param {Array<object>} changesets — from loadChangesets(), in changelog order
+ * @param {Array<object>} applied    — from readAppliedChangesets(), in execution order
+ * @returns {{ changesets: object[], history: object[],
+ *             summary: { applied: number, pending: number, unknown: number } }}
+ *   changesets — changelog order, unknown rows last
+ *   history    — DATABASECHANGELOG rows in execution order, applied or unknown
+ */
+export function buildStatus(changesets, applied) {
+  const rows = new Map(applied.map(r => [rowKey(r.id, r.author, r.filename), r]));
+  const known = new Set();
+
+  const listed = changesets.map((cs) => {
+    const key = rowKey(cs.id, cs.author, cs.file);
+    const row = rows.get(key);
+    if (!row) return entry('pending', cs);
+    known.add(key);
+    return entry('applied', cs, row);
+  });
+
+  const history = applied.map((r) => {
+    const key = rowKey(r.id, r.author, r.filename);
+    return entry(known.has(key) ? 'applied' : 'unknown', { id: r.id, author: r.author, file: r.filename }, r);
+  });
+  const unknown = history.filter(e => e.state === 'unknown');
+  const all = [...listed, ...unknown];
+
+  return {
+    changesets: all,
+    history,
+    summary: {
+      applied: all.filter(e => e.state === 'applied').length,
+      pending: all.filter(e => e.state === 'pending').length,
+      unknown: unknown.length,
+    },
+  };
+}
+
+/**
+ * Render rows as a plain-text table.
+ *
+ * @param {object[]} rows
+ * @param {Array<[string, Function]>} columns — [heading, row => cell]
+ * @returns {string[]} lines
+ */
+export function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([, get]) => String(get(row) ?? '')));
+  const widths = columns.map(([heading], i) => Math.max(heading.length, ...cells.map(c => c[i].length)));
+  const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(([heading]) => heading)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...cells.map(line),
+  ];
+}
+
+const STATE_ICONS = { applied: '✅', pending: '⏳', unknown: '❓' };
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class MigrationStatus {
+  /**
+   * @param {object} opts
+   * @param {string}  [opts.view='status'] — 'status' (changelog vs database) or 'history'
+   *                                          (DATABASECHANGELOG in execution order)
+   * @param {string}  [opts.format='text'] — 'text' or 'json'
+   * @param {boolean} [opts.verbose]       — status: list applied changesets too
+   * @param {object}  [opts.config]        — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]   — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]        — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]       — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.view = opts.view ?? 'status';
+    this.format = opts.format ?? 'text';
+    this.verbose = opts.verbose ?? false;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!['status', 'history'].includes(this.view)) {
+      throw new Error(`Unknown view "${this.view}". Must be one of: status, history`);
+    }
+    if (!['text', 'json'].includes(this.format)) {
+      throw new Error(`Unsupported format "${this.format}". Supported: text, json`);
+    }
+
+    if (!this.config.databaseUrl) {
+      throw new Error(
+        'DATABASE_URL is required. Set it in drizzle-liquibase.config.mjs, .env.local, or environment.'
+      );
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Data
+  // ------------------------------------------------------------------
+
+  /** Rows from DATABASECHANGELOG, in execution order. */
+  async readApplied() {
+    const db = await openDatabase(this.config.databaseUrl, {
+      dialect: this.dialect,
+      projectRoot: this._projectRoot,
+      logger: this.logger,
+    });
+    try {
+      return await readAppliedChangesets(db);
+    } finally {
+      await db.close();
+    }
+  }
+
+  /**
+   * @returns {Promise<object>} the JSON document — see buildStatus()
+   */
+  async collect() {
+    const changesets = this.view === 'status' ? loadChangesets(this.config.masterChangelog) : [];
+    const applied = await this.readApplied();
+    const { changesets: listed, history, summary } = buildStatus(changesets, applied);
+
+    if (this.view === 'history') {
+      return { dialect: this.dialect, history };
+    }
+    return {
+      dialect: this.dialect,
+      changelog: this.config.masterChangelog,
+      summary,
+      changesets: listed,
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Reporting
+  // ------------------------------------------------------------------
+
+  printStatus({ summary, changesets }) {
+    console.log(`   ${summary.applied} applied, ${summary.pending} pending, ${summary.unknown} unknown\n`);
+
+    const shown = this.verbose ? changesets : changesets.filter(e => e.state !== 'applied');
+    if (!shown.length) {
+      console.log('✅ Database is up to date');
+      return;
+    }
+
+    const [heading, rule, ...rows] = formatTable(shown, [
+      ['STATE', e => e.state],
+      ['CHANGESET', e => `${e.author}:${e.id}`],
+      ['FILE', e => e.file],
+      ['EXECUTED', e => e.dateExecuted],
+      ['TAG', e => e.tag],
+    ]);
+    // Icons sit outside the table: emoji width varies by terminal
+    console.log(`      ${heading}`);
+    console.log(`      ${rule}`);
+    rows.forEach((line, i) => console.log(`   ${STATE_ICONS[shown[i].state]} ${line}`));
+
+    if (summary.unknown) {
+      console.log('\n⚠️  Unknown changesets are recorded in DATABASECHANGELOG but missing from the changelog');
+    }
+    if (summary.pending) {
+      console.log(`\n   Apply the ${summary.pending} pending changeset(s) with: npx drizzle-liquibase update`);
+    }
+  }
+
+  printHistory({ history }) {
+    if (!history.length) {
+      console.log('   No changesets have been applied');
+      return;
+    }
+    const lines = formatTable(history, [
+      ['#', e => e.orderExecuted],
+      ['EXECUTED', e => e.dateExecuted],
+      ['CHANGESET', e => `${e.author}:${e.id}${e.state === 'unknown' ? ' ❓' : ''}`],
+      ['FILE', e => e.file],
+      ['TYPE', e => e.execType],
+      ['TAG', e => e.tag],
+      ['MD5SUM', e => e.md5sum],
+    ]);
+    lines.forEach(line => console.log(`   ${line}`));
+    console.log(`\n   ${history.length} changeset(s) applied`);
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<object>} the status or history document
+   */
+  async run() {
+    try {
+      await this.init();
+      const result = await this.collect();
+
+      if (this.format === 'json') {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        return result;
+      }
+
+      if (this.view === 'history') {
+        console.log(`📜 Migration history (${this.dialect})\n`);
+        this.printHistory(result);
+      } else {
+        console.log(`📋 Migration status (${this.dialect})`);
+        this.printStatus(result);
+      }
+      return result;
+    } catch (error) {
+      this.logger.error(`❌ Error reading migration ${this.view}:`, error.message);
+      this.logger.debug(error.stack);
+      process.exit(1);
+    }
+  }
+}
+
+export default MigrationStatus;
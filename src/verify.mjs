@@ -0,0 +1,393 @@
+/**
+ * drizzle-migrations-liquibase — Staged migration check
+ *
+ * Backs `drizzle-liquibase verify-staged`, meant for a git pre-commit hook
+ * (or CI with --base). When the commit changes files under schemaDir it
+ * checks that a migration added in the same commit covers the change:
+ *
+ *   1. the old and new schema are read from git (`git show`) and parsed
+ *      with ASTSchemaParser
+ *   2. the two are compared table by table — tables, columns, indexes,
+ *      unique constraints and policies added, dropped or changed
+ *   3. each change must be matched by a statement in one of the migration
+ *      files added under migrationsDir
+ *
+ * The AST parser understands pgTable only. For other dialects any schema
+ * change simply requires a new migration file.
+ *
+ *   0 — no schema change, or every change is covered
+ *   2 — a schema change has no matching migration
+ *   1 — the check itself failed (not a git repository, config errors)
+ */
+
+import { resolve } from 'path';
+import { loadConfig, detectDialectFromUrl } from './config.mjs';
+import { ASTSchemaParser } from './ast-parser.mjs';
+import { parseFormattedSql, changesetStatements } from './changelog.mjs';
+import { runGit, repoRelative } from './git.mjs';
+import { resolveLogger } from './logger.mjs';
+
+// ---------------------------------------------------------------------------
+// Exit codes
+// ---------------------------------------------------------------------------
+
+export const VERIFY_EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  UNCOVERED: 2,
+};
+
+const VALID_DIALECTS = ['postgresql', 'mysql', 'sqlite', 'singlestore'];
+
+// ---------------------------------------------------------------------------
+// Schema comparison
+// ---------------------------------------------------------------------------
+
+/** Column properties that, when changed, need an ALTER. */
+const COLUMN_PROPS = ['type', 'fullType', 'args', 'nullable', 'hasDefault', 'isArray', 'unique', 'primaryKey', 'references'];
+
+/**
+ * Parse a schema as it exists at some version, keyed by physical table name.
+ *
+ * @param {Function} readFile  — (name relative to schemaDir) => content, or null if missing
+ * @param {string}   indexFile — schema index file name
+ * @param {ASTSchemaParser} [parser]
+ * @returns {Record<string, object>} table name → table definition (ASTSchemaParser shape)
+ */
+export function parseSchemaSource(readFile, indexFile, parser = new ASTSchemaParser()) {
+  const index = readFile(indexFile);
+  if (index === null) return {};
+
+  // The index is parsed too: a single-file schema defines its tables there
+  const tables = {};
+  const sources = [
+    [indexFile.replace(/\.[^.]+$/, ''), index],
+    ...parser.parseImports(index).map(file => [file, readFile(`${file}.ts`)]),
+  ];
+  for (const [file, content] of sources) {
+    if (content === null) continue;
+    for (const table of Object.values(parser.parseFile(content, file))) {
+      if (table && table.name) tables[table.name] = table;
+    }
+  }
+  return tables;
+}
+
+const pick = (obj, keys) => JSON.stringify(keys.map(k => obj[k] ?? null));
+
+/**
+ * Compare two parsed schemas.
+ *
+ * @param {Record<string, object>} before — from parseSchemaSource()
+ * @param {Record<string, object>} after
+ * @returns {Array<{ kind: 'table'|'column'|'index'|'unique'|'policy',
+ *                   action: 'add'|'drop'|'modify', table: string, name: string }>}
+ */
+export function diffSchemas(before, after) {
+  const changes = [];
+  const push = (kind, action, table, name) => changes.push({ kind, action, table, name });
+
+  for (const name of Object.keys(after)) {
+    if (!before[name]) push('table', 'add', name, name);
+  }
+  for (const name of Object.keys(before)) {
+    if (!after[name]) push('table', 'drop', name, name);
+  }
+
+  for (const [table, next] of Object.entries(after)) {
+    const prev = before[table];
+    if (!prev) continue;
+
+    for (const [col, def] of Object.entries(next.columns)) {
+      if (!prev.columns[col]) push('column', 'add', table, col);
+      else if (pick(prev.columns[col], COLUMN_PROPS) !== pick(def, COLUMN_PROPS)) push('column', 'modify', table, col);
+    }
+    for (const col of Object.keys(prev.columns)) {
+      if (!next.columns[col]) push('column', 'drop', table, col);
+    }
+
+    const named = [
+      ['index', 'indexes', ['method', 'columns']],
+      ['unique', 'uniqueConstraints', ['columns']],
+      ['policy', 'policies', ['command', 'roles', 'using', 'with_check', 'permissive']],
+    ];
+    for (const [kind, key, props] of named) {
+      const prevByName = new Map((prev[key] || []).filter(x => x.name).map(x => [x.name, x]));
+      const nextByName = new Map((next[key] || []).filter(x => x.name).map(x => [x.name, x]));
+      for (const [name, def] of nextByName) {
+        if (!prevByName.has(name)) push(kind, 'add', table, name);
+        else if (pick(prevByName.get(name), props) !== pick(def, props)) push(kind, 'modify', table, name);
+      }
+      for (const name of prevByName.keys()) {
+        if (!nextByName.has(name)) push(kind, 'drop', table, name);
+      }
+    }
+  }
+
+  return changes;
+}
+
+// ---------------------------------------------------------------------------
+// Coverage
+// ---------------------------------------------------------------------------
+
+/** Does `sql` mention identifier `name` (quoted with "" or ``, or bare)? */
+function mentions(sql, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w$])["\`]?${escaped}["\`]?(?![\\w$])`, 'i').test(sql);
+}
+
+const RULES = {
+  'table:add': (s, c) => /\bCREATE\s+TABLE\b/i.test(s) && mentions(s, c.table) ||
+    /\bRENAME\s+TO\b/i.test(s) && mentions(s, c.table),
+  'table:drop': (s, c) => /\bDROP\s+TABLE\b/i.test(s) && mentions(s, c.table) ||
+    /\bRENAME\s+TO\b/i.test(s) && mentions(s, c.table),
+  'column:add': (s, c) => /\bALTER\s+TABLE\b/i.test(s) && mentions(s, c.table) && /\b(ADD|RENAME)\b/i.test(s) && mentions(s, c.name),
+  'column:drop': (s, c) => /\bALTER\s+TABLE\b/i.test(s) && mentions(s, c.table) && /\b(DROP|RENAME)\b/i.test(s) && mentions(s, c.name),
+  'column:modify': (s, c) => /\bALTER\s+TABLE\b/i.test(s) && mentions(s, c.table) && mentions(s, c.name),
+  'index:add': (s, c) => /\bCREATE\s+(UNIQUE\s+)?INDEX\b/i.test(s) && mentions(s, c.name),
+  'index:drop': (s, c) => /\bDROP\s+INDEX\b/i.test(s) && mentions(s, c.name),
+  'index:modify': (s, c) => /\b(CREATE|DROP)\s+(UNIQUE\s+)?INDEX\b/i.test(s) && mentions(s, c.name),
+  'unique:add': (s, c) => /\bUNIQUE\b/i.test(s) && mentions(s, c.name),
+  'unique:drop': (s, c) => /\bDROP\b/i.test(s) && mentions(s, c.name),
+  'unique:modify': (s, c) => mentions(s, c.name),
+  'policy:add': (s, c) => /\bCREATE\s+POLICY\b/i.test(s) && mentions(s, c.name),
+  'policy:drop': (s, c) => /\bDROP\s+POLICY\b/i.test(s) && mentions(s, c.name),
+  'policy:modify': (s, c) => /\b(ALTER|CREATE)\s+POLICY\b/i.test(s) && mentions(s, c.name),
+};
+
+/**
+ * The first statement that covers a schema change, or null.
+ *
+ * @param {{ kind, action, table, name }} change — from diffSchemas()
+ * @param {string[]} statements
+ * @returns {string|null}
+ */
+export function findCoveringStatement(change, statements) {
+  const rule = RULES[`${change.kind}:${change.action}`];
+  return statements.find(s => rule(s, change)) ?? null;
+}
+
+/** One-line description of a schema change. */
+export function describeChange({ kind, action, table, name }) {
+  const sign = { add: '+', drop: '-', modify: '~' }[action];
+  return kind === 'table' ? `${sign} table ${table}` : `${sign} ${kind} ${table}.${name}`;
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class StagedMigrationVerify {
+  /**
+   * @param {object} opts
+   * @param {string}  [opts.base]         — compare HEAD with its merge base with this ref
+   *                                        (CI) instead of the index with HEAD (pre-commit)
+   * @param {object}  [opts.config]       — pre-loaded config (skips loadConfig)
+   * @param {string}  [opts.projectRoot]  — project root (for loadConfig fallback)
+   * @param {object}  [opts.logger]       — progress output (see logger.mjs); defaults to the console
+   * @param {string}  [opts.dialect]      — dialect override (postgresql|mysql|sqlite|singlestore)
+   */
+  constructor(opts = {}) {
+    this.base = opts.base ?? null;
+    this._configOverride = opts.config ?? null;
+    this._projectRoot = opts.projectRoot ?? null;
+    this.logger = resolveLogger(opts.logger);
+    this._cliDialect = opts.dialect ?? null;
+
+    this.config = null;
+    this.dialect = null;
+    this.repoRoot = null;
+    this.oldRef = null;
+    this.newRef = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Git
+  // ------------------------------------------------------------------
+
+  /**
+   * Run git in the project root.
+   *
+   * @returns {{ ok: boolean, stdout: string, stderr: string }}
+   */
+  git(args) {
+    return runGit(args, this._projectRoot || process.cwd());
+  }
+
+  /** File content at `ref` ('' = the index), or null if it doesn't exist there. */
+  readAt(ref, path) {
+    if (ref === null) return null;
+    const res = this.git(['show', `${ref}:${path}`]);
+    return res.ok ? res.stdout : null;
+  }
+
+  /** Repo-relative path of a directory, with forward slashes. */
+  repoPath(dir) {
+    return repoRelative(this.repoRoot, dir);
+  }
+
+  // ------------------------------------------------------------------
+  // Initialisation
+  // ------------------------------------------------------------------
+
+  async init() {
+    this.config = this._configOverride || (await loadConfig(this._projectRoot, { logger: this.logger }));
+
+    if (!this.config.schemaDir) {
+      throw new Error('schemaDir is required in drizzle-liquibase.config.mjs (path to your Drizzle schema directory)');
+    }
+
+    this.dialect = this._cliDialect ?? this.config.dialect ??
+      detectDialectFromUrl(this.config.databaseUrl) ?? 'postgresql';
+    if (!VALID_DIALECTS.includes(this.dialect)) {
+      throw new Error(
+        `Invalid dialect "${this.dialect}". Must be one of: ${VALID_DIALECTS.join(', ')}`
+      );
+    }
+
+    const top = this.git(['rev-parse', '--show-toplevel']);
+    if (!top.ok) throw new Error('verify-staged must run inside a git repository');
+    this.repoRoot = resolve(top.stdout.trim());
+
+    // Old side: HEAD (or the merge base with --base); null before the first commit.
+    // New side: the index ('') or HEAD.
+    if (this.base) {
+      const mergeBase = this.git(['merge-base', this.base, 'HEAD']);
+      if (!mergeBase.ok) throw new Error(`Cannot find a merge base with "${this.base}": ${mergeBase.stderr}`);
+      this.oldRef = mergeBase.stdout.trim();
+      this.newRef = 'HEAD';
+    } else {
+      this.oldRef = this.git(['rev-parse', '--verify', '--quiet', 'HEAD']).ok ? 'HEAD' : null;
+      this.newRef = '';
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Verification
+  // ------------------------------------------------------------------
+
+  /**
+   * Files changed in the commit, as { status, path } with repo-relative paths.
+   */
+  changedFiles() {
+    const args = this.base
+      ? ['diff', '--name-status', '--no-renames', this.oldRef, 'HEAD']
+      : ['diff', '--cached', '--name-status', '--no-renames'];
+    const res = this.git(args);
+    if (!res.ok) throw new Error(`git diff failed: ${res.stderr}`);
+    return res.stdout.split('\n').filter(Boolean).map((line) => {
+      const [status, path] = line.split('\t');
+      return { status: status[0], path };
+    });
+  }
+
+  /**
+   * Compare the schema before and after the commit and match each change
+   * against the added migrations.
+   *
+   * @returns {{ schemaFiles: string[], migrations: string[], structural: boolean,
+   *             changes: Array<{ kind, action, table, name, statement: string|null }>,
+   *             uncovered: number }}
+   */
+  verify() {
+    const schemaPrefix = this.repoPath(this.config.schemaDir) + '/';
+    const migrationsPrefix = this.repoPath(this.config.migrationsDir) + '/';
+    const changed = this.changedFiles();
+
+    const schemaFiles = changed.filter(f => f.path.startsWith(schemaPrefix)).map(f => f.path);
+    const migrations = changed
+      .filter(f => f.status === 'A' && f.path.startsWith(migrationsPrefix) && f.path.endsWith('.sql'))
+      .map(f => f.path);
+    const structural = this.dialect === 'postgresql';
+    const result = { schemaFiles, migrations, structural, changes: [], uncovered: 0 };
+
+    if (!schemaFiles.length) return result;
+
+    if (!structural) {
+      result.uncovered = migrations.length ? 0 : 1;
+      return result;
+    }
+
+    const indexFile = this.config.schemaIndexFile || 'index.ts';
+    const parser = new ASTSchemaParser({ logger: this.logger });
+    const before = parseSchemaSource(name => this.readAt(this.oldRef, schemaPrefix + name), indexFile, parser);
+    const after = parseSchemaSource(name => this.readAt(this.newRef, schemaPrefix + name), indexFile, parser);
+
+    const statements = migrations.flatMap((path) => {
+      const { changesets } = parseFormattedSql(this.readAt(this.newRef, path) ?? '', path);
+      return changesets.flatMap(changesetStatements);
+    });
+
+    result.changes = diffSchemas(before, after).map(change => ({
+      ...change,
+      statement: findCoveringStatement(change, statements),
+    }));
+    result.uncovered = result.changes.filter(c => !c.statement).length;
+    return result;
+  }
+
+  // ------------------------------------------------------------------
+  // Reporting
+  // ------------------------------------------------------------------
+
+  printReport(result) {
+    const where = this.base ? `since ${this.base}` : 'staged';
+    console.log(`   Schema files ${where}: ${result.schemaFiles.length}`);
+    console.log(`   New migrations: ${result.migrations.length ? result.migrations.join(', ') : 'none'}`);
+
+    if (!result.structural) {
+      console.log(`   (${this.dialect}: statement matching needs pgTable schemas — checking for a new migration only)`);
+      return;
+    }
+
+    if (result.changes.length) console.log('');
+    for (const change of result.changes) {
+      const icon = change.statement ? '✅' : '❌';
+      const preview = change.statement ? `  ← ${change.statement.replace(/\s+/g, ' ').slice(0, 60)}` : '';
+      console.log(`   ${icon} ${describeChange(change)}${preview}`);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<number>} exit code — VERIFY_EXIT_CODES.OK or .UNCOVERED
+   */
+  async run() {
+    this.logger.info('🔒 Verifying schema changes have a migration...');
+
+    try {
+      await this.init();
+      const result = this.verify();
+
+      if (!result.schemaFiles.length) {
+        this.logger.info('✅ No schema files changed');
+        return VERIFY_EXIT_CODES.OK;
+      }
+
+      this.printReport(result);
+
+      if (!result.uncovered) {
+        console.log(result.changes.length || !result.structural
+          ? '\n✅ Schema changes are covered by the new migration(s)'
+          : '\n✅ Schema files changed, but not the tables they define');
+        return VERIFY_EXIT_CODES.OK;
+      }
+
+      console.log(result.structural
+        ? `\n❌ ${result.uncovered} schema change(s) have no matching statement in a new migration`
+        : '\n❌ Schema files changed but no migration was added');
+      console.log('   Generate one and stage it: npx drizzle-liquibase generate <name>');
+      return VERIFY_EXIT_CODES.UNCOVERED;
+    } catch (error) {
+      this.logger.error('❌ Error verifying staged changes:', error.message);
+      this.logger.debug(error.stack);
+      process.exit(VERIFY_EXIT_CODES.ERROR);
+    }
+  }
+}
+
+export default StagedMigrationVerify;
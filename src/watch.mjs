@@ -0,0 +1,293 @@
+/**
+ * drizzle-migrations-liquibase — Watch mode
+ *
+ * Backs `generate --watch`: watches schemaDir and, after every save,
+ * re-parses the Drizzle schema and prints the statements (and rollbacks)
+ * that a migration would contain right now. Nothing is written until the
+ * user asks for it, at which point the migration is generated exactly as a
+ * plain `generate` would.
+ *
+ *   custom engine      — the database is introspected once and the cached
+ *                        result is compared against each re-parse (`r`
+ *                        re-introspects, e.g. after running update)
+ *   drizzle-kit engine — the drizzle-kit API and the connection are kept
+ *                        open; pushSchema still introspects on each run
+ */
+
+import { readdirSync, watch } from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { findDestructiveStatements } from './report.mjs';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const COMMANDS = '(w)rite migration, (r)e-introspect database, (q)uit';
+
+/**
+ * Watch a directory tree, calling onChange(filename) for every change.
+ * Falls back to one watcher per directory where recursive fs.watch is
+ * unavailable (Linux on Node < 20).
+ *
+ * @returns {Function} close — stops watching
+ */
+export function watchDirectory(dir, onChange) {
+  const listener = (_event, filename) => onChange(filename ? String(filename) : null);
+  try {
+    const watcher = watch(dir, { recursive: true }, listener);
+    return () => watcher.close();
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+  }
+
+  const watchers = [];
+  const walk = (d) => {
+    watchers.push(watch(d, listener));
+    for (const entry of readdirSync(d, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules') walk(join(d, entry.name));
+    }
+  };
+  walk(dir);
+  return () => watchers.forEach(w => w.close());
+}
+
+/**
+ * Run fn with the generator's info messages and console.log silenced — keeps
+ * progress lines (ours, and drizzle-kit's own) out of the preview. Warnings,
+ * errors and --verbose output still come through.
+ */
+async function quietly(generator, fn) {
+  const { logger } = generator;
+  const originalLog = console.log;
+  generator.logger = { ...logger, info() {} };
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    generator.logger = logger;
+    console.log = originalLog;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main class
+// ---------------------------------------------------------------------------
+
+export class SchemaWatcher {
+  /**
+   * @param {SchemaDiffGenerator|DrizzleKitEngine} generator — generator built with
+   *        the usual generate options; init() is called by start()
+   * @param {object}   [opts]
+   * @param {number}   [opts.debounce=200] — ms to wait after the last change before re-diffing
+   * @param {Function} [opts.log]          — line output (default console.log)
+   */
+  constructor(generator, opts = {}) {
+    this.generator = generator;
+    this.debounce = opts.debounce ?? 200;
+    this.log = opts.log ?? ((line) => console.log(line));
+
+    this.isDrizzleKit = typeof generator.openSession === 'function';
+    this.dbSchema = null;
+    this.pending = { statements: [], rollbackStatements: [] };
+
+    // Refreshes, introspection and writes run one at a time, in order
+    this._queue = Promise.resolve();
+    this._timer = null;
+  }
+
+  // ------------------------------------------------------------------
+  // Diffing
+  // ------------------------------------------------------------------
+
+  /** Initialise the generator and take the (cached) database snapshot. */
+  async start() {
+    await this.generator.init();
+    await this.introspect();
+  }
+
+  /** (Re-)read the database side of the diff. */
+  async introspect() {
+    const g = this.generator;
+    if (this.isDrizzleKit) {
+      await g.closeSession();
+      await quietly(g, () => g.openSession());
+      return;
+    }
+    if (!g.sqlClient) await g.initDb();
+    this.dbSchema = await quietly(g, () => g.getDatabaseSchema());
+  }
+
+  /**
+   * Diff the current schema files against the database snapshot.
+   *
+   * @returns {Promise<{ statements: string[], rollbackStatements: string[] }>}
+   */
+  async diff() {
+    const g = this.generator;
+    if (this.isDrizzleKit) {
+      const { sqlStatements } = await quietly(g, () => g.computeDiff());
+      return g.buildStatements(sqlStatements);
+    }
+    // The comparison annotates the schemas it is given — diff a copy
+    const { statements, rollbackStatements } = await quietly(g, () =>
+      g.computeDiff({ dbSchema: structuredClone(this.dbSchema) }));
+    return { statements, rollbackStatements };
+  }
+
+  /**
+   * Re-diff and print the pending statements. Errors (typically a
+   * half-saved schema file) are printed and the previous result is kept.
+   */
+  async refresh() {
+    const time = new Date().toTimeString().slice(0, 8);
+    try {
+      this.pending = await this.diff();
+    } catch (error) {
+      this.log(`\n[${time}] ❌ ${error.message}`);
+      this.log('   Watching for the next change...');
+      return;
+    }
+    this.printPending(time);
+  }
+
+  printPending(time) {
+    const { statements, rollbackStatements } = this.pending;
+    if (!statements.length) {
+      this.log(`\n[${time}] ✅ Schema and database are in sync — nothing to write`);
+      return;
+    }
+
+    this.log(`\n[${time}] 📝 ${statements.length} pending statement(s):`);
+    statements.forEach((sql, i) => {
+      this.log(`\n   ${i + 1}. ${sql}`);
+      this.log(`      ↩ ${rollbackStatements[i]}`);
+    });
+    const destructive = findDestructiveStatements(statements);
+    if (destructive.length) {
+      this.log(`\n⚠️  ${destructive.length} statement(s) may cause data loss`);
+    }
+    this.log(`\n   ${COMMANDS}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Writing
+  // ------------------------------------------------------------------
+
+  /**
+   * Write the pending statements as a migration, the same way `generate`
+   * does (honouring --output).
+   *
+   * @returns {Promise<string|null>} the file written, or null when nothing was pending
+   */
+  async write() {
+    const g = this.generator;
+    const { statements, rollbackStatements } = this.pending;
+    if (!statements.length) {
+      this.log('   Nothing to write — schema and database are in sync');
+      return null;
+    }
+    const rendered = await g.prepareMigration(statements, rollbackStatements);
+    if (g.output) {
+      const target = g.writeMigrationOutput(statements, rollbackStatements, rendered);
+      this.log(`\n✅ Migration written to ${target} (master changelog not updated)`);
+      return target;
+    }
+    const filepath = g.generateMigrationFile(statements, rollbackStatements, rendered);
+    this.log(`\n✅ Migration generated: ${filepath}`);
+    this.log(`   ${statements.length} SQL statement(s) with rollback blocks`);
+    return filepath;
+  }
+
+  // ------------------------------------------------------------------
+  // Event handling
+  // ------------------------------------------------------------------
+
+  /** Queue an operation behind any in-flight refresh or write. */
+  enqueue(fn) {
+    this._queue = this._queue.then(fn, fn);
+    return this._queue;
+  }
+
+  /** Debounced refresh — editors often save in several writes. */
+  scheduleRefresh() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.enqueue(() => this.refresh()), this.debounce);
+  }
+
+  /**
+   * Handle one line typed by the user.
+   *
+   * @returns {Promise<{ done: boolean, file?: string|null }>}
+   */
+  handleCommand(line) {
+    return this.enqueue(async () => {
+      const cmd = line.trim();
+      if (cmd === 'w') {
+        const file = await this.write();
+        return file ? { done: true, file } : { done: false };
+      }
+      if (cmd === 'r') {
+        if (this.isDrizzleKit) {
+          this.log('   drizzle-kit introspects on every change — nothing to refresh');
+        } else {
+          this.log('🔍 Re-introspecting database...');
+          await this.introspect();
+        }
+        await this.refresh();
+        return { done: false };
+      }
+      if (cmd === 'q') return { done: true, file: null };
+      if (cmd) this.log(`   Unknown command "${cmd}" — ${COMMANDS}`);
+      return { done: false };
+    });
+  }
+
+  async close() {
+    clearTimeout(this._timer);
+    await this._queue.catch(() => {});
+    if (this.isDrizzleKit) await this.generator.closeSession();
+    else await this.generator.cleanup();
+  }
+
+  // ------------------------------------------------------------------
+  // Main entry point
+  // ------------------------------------------------------------------
+
+  /**
+   * Watch until the user writes the migration or quits.
+   *
+   * @returns {Promise<string|null>} the migration written, or null
+   */
+  async run() {
+    if (!process.stdin.isTTY) {
+      throw new Error('--watch needs an interactive terminal (stdin is not a TTY)');
+    }
+
+    this.log('👀 Starting watch mode...');
+    await this.start();
+    this.log(`   Watching ${this.generator.schemaDir}`);
+    await this.enqueue(() => this.refresh());
+
+    const stopWatching = watchDirectory(this.generator.schemaDir, () => this.scheduleRefresh());
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+
+    try {
+      return await new Promise((resolvePromise, reject) => {
+        rl.on('line', (line) => {
+          this.handleCommand(line).then(({ done, file }) => {
+            if (done) resolvePromise(file);
+          }, reject);
+        });
+        rl.on('SIGINT', () => resolvePromise(null));
+        rl.on('close', () => resolvePromise(null));
+      });
+    } finally {
+      stopWatching();
+      rl.close();
+      await this.close();
+    }
+  }
+}
+
+export default SchemaWatcher;
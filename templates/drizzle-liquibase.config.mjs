@@ -82,6 +82,7 @@ export default {
   //   'node'   — via the `liquibase` npm package (default, zero system deps)
   //   'cli'    — via a system-installed `liquibase` binary
   //   'docker' — via the official liquibase/liquibase Docker image
+  //   'native' — no Java: update / rollbackCount run in Node with your DB driver
   liquibaseMode: 'node',
 
   // =========================================================================
@@ -118,6 +119,34 @@ export default {
   //
   // schemas: ['public'],
 
+  // =========================================================================
+  // Rename resolution (drizzle-kit engine)
+  // =========================================================================
+
+  // drizzle-kit asks interactively whether a new column/table is a rename of
+  // one that disappeared. Answer those prompts up front so generate/check can
+  // run unattended — any prompt the map doesn't settle fails the run.
+  // Can also be given per run with --renames renames.json.
+  //
+  //   renames: {
+  //     'users.full_name': 'users.display_name',  // column: table.column
+  //     'customers': 'clients',                   // table (or schema.table)
+  //     'users.fax': null,                        // dropped, not renamed
+  //   },
+
+  // =========================================================================
+  // Lint (drizzle-liquibase lint)
+  // =========================================================================
+
+  // Change a rule's severity: 'error' fails the lint (exit 2), 'warning' is
+  // reported only (unless --strict), 'off' disables it. Rules: not-formatted,
+  // missing-rollback, manual-rollback, missing-end-delimiter,
+  // unexpected-delimiter, destructive-statement, do-block-rollback.
+  //
+  //   lint: {
+  //     rules: { 'destructive-statement': 'error', 'manual-rollback': 'off' },
+  //   },
+
   // =========================================================================
   // Schema diff options
   // =========================================================================
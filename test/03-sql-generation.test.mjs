@@ -270,12 +270,23 @@ suite('generateSQL — MODIFY POLICY (drop + recreate)');
       with_check: 'old_expr()',
     },
   });
-  const { statements } = gen.generateSQL(changes);
+  const { statements, rollbackStatements } = gen.generateSQL(changes);
   // Should be DROP then CREATE
   eq(statements.length, 2, 'drop + create = 2 statements');
   includes(statements[0], 'DROP POLICY IF EXISTS "users_update_policy"', 'drops first');
   includes(statements[1], 'CREATE POLICY "users_update_policy"', 'creates second');
   includes(statements[1], 'auth.uid() = public_id', 'new expression');
+  eq(rollbackStatements, [
+    '-- WARNING: Policy modification for users_update_policy not fully reversible',
+    '',
+  ], 'one warning, paired with the DROP; nothing for the CREATE');
+
+  const content = gen.formatMigrationContent(statements, rollbackStatements, { author: 'jane', changesetName: 'x' });
+  const rollbackLines = content.split('\n').filter(line => line.startsWith('--rollback'));
+  eq(rollbackLines, [
+    '--rollback -- WARNING: Policy modification for users_update_policy not fully reversible;',
+    '--rollback --> statement-breakpoint',
+  ], 'the file\'s rollback is the warning alone');
 }
 
 // ─── DROP TABLE ─────────────────────────────────────────────────
@@ -9,6 +9,7 @@
  *   - addToMasterChangelog() creates the XML if missing
  *   - addToMasterChangelog() appends new includes sorted by timestamp
  *   - addToMasterChangelog() skips duplicates
+ *   - renderMigration() / output option — render without touching the changelog
  */
 
 import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
@@ -139,6 +140,53 @@ suite('addToMasterChangelog — deduplicates');
   eq(count, 1, 'no duplicates');
 }
 
+// ─── Rendering without writing ──────────────────────────────────
+
+suite('renderMigration — same content as generateMigrationFile, no I/O');
+{
+  const gen = makeGenerator('carol');
+  gen.customName = 'preview_only';
+  const { filename, content } = gen.renderMigration(
+    ['CREATE TABLE IF NOT EXISTS "gadgets" ("id" SERIAL);'],
+    ['DROP TABLE IF EXISTS "gadgets";']
+  );
+  assert(/^\d{14}_preview_only\.sql$/.test(filename), 'filename has timestamp + name');
+  includes(content, '--changeset carol:preview_only splitStatements:false', 'changeset header');
+  includes(content, '--rollback DROP TABLE IF EXISTS "gadgets";', 'rollback block');
+  assert(!existsSync(join(migrationsDir, filename)), 'no file written');
+  assert(!readFileSync(changelogPath, 'utf-8').includes('preview_only'), 'changelog untouched');
+}
+
+suite('writeMigrationOutput — --output path');
+{
+  const gen = makeGenerator();
+  gen.customName = 'to_path';
+  gen.output = join(tmpBase, 'out', 'preview.sql');
+  const target = gen.writeMigrationOutput(['SELECT 1;'], ['SELECT 2;']);
+  eq(target, gen.output, 'returns the written path');
+  includes(readFileSync(target, 'utf-8'), '--liquibase formatted sql', 'formatted SQL written');
+  assert(!readFileSync(changelogPath, 'utf-8').includes('to_path'), 'changelog untouched');
+}
+
+suite('writeMigrationOutput — stdout');
+{
+  const gen = makeGenerator();
+  gen.customName = 'to_stdout';
+  gen.output = '-';
+  let captured = '';
+  const originalWrite = process.stdout.write;
+  process.stdout.write = (chunk) => { captured += chunk; return true; };
+  let target;
+  try {
+    target = gen.writeMigrationOutput(['SELECT 1;'], ['SELECT 2;']);
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+  eq(target, null, 'returns null for stdout');
+  includes(captured, '--changeset test-user:to_stdout', 'migration printed to stdout');
+  includes(captured, '--rollback SELECT 2;', 'rollback printed');
+}
+
 // ─── Cleanup ────────────────────────────────────────────────────
 
 suite('cleanup temp files');
@@ -6,21 +6,48 @@
  *   - parseDatabaseUrl() — postgresql:// → JDBC conversion
  *   - rewriteJdbcForDocker() — localhost → host.docker.internal
  *   - formatTimestamp() — date formatting tokens
+ *   - validateConfig() / defineConfig() — unknown keys, types, enum values
+ *   - loadConfig() — drizzle-liquibase.config.ts / .mts through jiti
  */
 
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
 import { join, dirname, resolve } from 'path';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import {
   loadConfig,
+  defineConfig,
+  validateConfig,
   parseDatabaseUrl,
   rewriteJdbcForDocker,
   formatTimestamp,
   detectDialectFromUrl,
 } from '../src/config.mjs';
+import { ConfigError } from '../src/errors.mjs';
 import { suite, assert, eq, includes, summary } from './helpers.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixturesRoot = join(__dirname, 'fixtures');
+const tmpBase = join(tmpdir(), `dml-test05-${Date.now()}`);
+const configModule = join(__dirname, '..', 'src', 'config.mjs');
+
+/** A project directory holding only `file` with `source`. */
+function project(name, file, source) {
+  const root = join(tmpBase, name);
+  mkdirSync(root, { recursive: true });
+  writeFileSync(join(root, file), source);
+  return root;
+}
+
+/** The ConfigError thrown by fn(), or null. */
+async function configError(fn) {
+  try {
+    await fn();
+  } catch (error) {
+    return error instanceof ConfigError ? error : null;
+  }
+  return null;
+}
 
 // ─── parseDatabaseUrl ───────────────────────────────────────────
 
@@ -173,6 +200,109 @@ suite('loadConfig — defaults applied for missing keys');
   eq(config.diff.dropOrphanPolicies, false, 'default dropOrphanPolicies');
 }
 
+suite('validateConfig — valid configs');
+{
+  const full = {
+    schemaDir: './src/schema',
+    schemaIndexFile: 'index.ts',
+    dialect: 'postgresql',
+    engine: 'drizzle-kit',
+    migrationsDir: './liquibase/migrations',
+    masterChangelog: './liquibase/master-changelog.xml',
+    databaseUrl: undefined,
+    timestampFormat: 'YYYYMMDDHHmmss',
+    liquibaseMode: 'native',
+    author: null,
+    excludeTables: ['audit_log'],
+    schemas: ['public'],
+    renames: ['users.fax -> null'],
+    lint: { rules: { 'manual-rollback': 'off' } },
+    diff: { includePolicies: false, dropOrphanIndexes: true },
+  };
+  eq(validateConfig(full), full, 'every documented key accepted');
+  eq(validateConfig({}), {}, 'empty config accepted');
+  eq(validateConfig({ dialect: null, schemaDir: null }), { dialect: null, schemaDir: null }, 'null means unset');
+  eq(defineConfig(full), full, 'defineConfig returns its argument');
+}
+
+suite('validateConfig — problems name the key');
+{
+  const error = await configError(() => validateConfig({
+    liquibaseMode: 'dokcer',
+    schemaDirectory: './src/schema',
+    timestampFormat: 20250101,
+    excludeTables: 'audit_log',
+    diff: { dropOrphanIndex: true, modifyPolicies: 'yes' },
+  }, { file: '/app/drizzle-liquibase.config.ts' }));
+
+  assert(error !== null, 'ConfigError thrown');
+  eq(error.file, '/app/drizzle-liquibase.config.ts', 'file recorded');
+  includes(error.message, 'Invalid config in /app/drizzle-liquibase.config.ts', 'file named in the message');
+  eq(error.problems.map(p => p.key), [
+    'liquibaseMode', 'schemaDirectory', 'timestampFormat', 'excludeTables', 'diff.dropOrphanIndex', 'diff.modifyPolicies',
+  ], 'every problem reported');
+  includes(error.message, 'invalid liquibaseMode "dokcer" — must be one of: node, cli, docker, native (did you mean "docker"?)', 'enum typo');
+  eq(error.problems[0].expected, ['node', 'cli', 'docker', 'native'], 'allowed values recorded');
+  includes(error.message, 'unknown key "schemaDirectory" (did you mean "schemaDir"?)', 'unknown key');
+  includes(error.message, 'timestampFormat must be a string, got number', 'wrong type');
+  includes(error.message, 'excludeTables must be an array of strings, got string', 'array of strings');
+  includes(error.message, 'unknown key "diff.dropOrphanIndex" (did you mean "diff.dropOrphanIndexes"?)', 'unknown diff option');
+  includes(error.message, 'diff.modifyPolicies must be a boolean, got string', 'diff option type');
+
+  const unrelated = await configError(() => validateConfig({ verbose: true }));
+  eq(unrelated.problems[0].message, 'unknown key "verbose"', 'no suggestion when nothing is close');
+
+  const notObject = await configError(() => validateConfig(['schemaDir']));
+  includes(notObject.message, 'expected an object as the default export, got array', 'non-object export');
+}
+
+suite('loadConfig — rejects an invalid config file');
+{
+  const root = project('typo', 'drizzle-liquibase.config.mjs', "export default { schemaDir: './schema', engine: 'drizle-kit' };\n");
+  const error = await configError(() => loadConfig(root));
+  assert(error !== null, 'ConfigError thrown');
+  eq(error.file, join(root, 'drizzle-liquibase.config.mjs'), 'file recorded');
+  includes(error.message, `Invalid config in ${join(root, 'drizzle-liquibase.config.mjs')}`, 'file named');
+  includes(error.message, 'did you mean "drizzle-kit"?', 'typo suggested');
+}
+
+suite('loadConfig — drizzle-liquibase.config.ts');
+{
+  const root = project('ts', 'drizzle-liquibase.config.ts', `import { defineConfig } from ${JSON.stringify(configModule)};
+
+interface Team { lead: string }
+const team: Team = { lead: 'ts-user' };
+
+export default defineConfig({
+  schemaDir: './src/schema',
+  author: team.lead,
+  liquibaseMode: 'native',
+  diff: { dropOrphanIndexes: true },
+});
+`);
+  const config = await loadConfig(root);
+  eq(config.schemaDir, join(root, 'src', 'schema'), 'schemaDir resolved');
+  eq(config.author, 'ts-user', 'TypeScript evaluated');
+  eq(config.liquibaseMode, 'native', 'value kept');
+  eq(config.diff.dropOrphanIndexes, true, 'diff merged');
+  eq(config.diff.includePolicies, true, 'diff defaults kept');
+}
+
+suite('loadConfig — drizzle-liquibase.config.mts, validated');
+{
+  const ok = project('mts', 'drizzle-liquibase.config.mts', "const mode: string = 'docker';\nexport default { schemaDir: './schema', liquibaseMode: mode };\n");
+  eq((await loadConfig(ok)).liquibaseMode, 'docker', '.mts loaded');
+
+  const bad = project('mts-bad', 'drizzle-liquibase.config.mts', "export default { schemaDir: './schema', liquibaseMode: 'dokcer' };\n");
+  const error = await configError(() => loadConfig(bad));
+  includes(error?.message, 'drizzle-liquibase.config.mts', 'file named');
+  eq(error?.problems.map(p => p.key), ['liquibaseMode'], 'key named');
+
+  const broken = project('ts-broken', 'drizzle-liquibase.config.ts', 'export default {\n');
+  const load = await configError(() => loadConfig(broken));
+  includes(load?.message, `Failed to load ${join(broken, 'drizzle-liquibase.config.ts')}`, 'syntax error reported with the file');
+}
+
 // ─── parseDatabaseUrl — MySQL URLs ──────────────────────────────
 
 suite('parseDatabaseUrl — standard MySQL URL');
@@ -236,6 +366,12 @@ suite('detectDialectFromUrl — null and unknown');
   eq(detectDialectFromUrl('redis://localhost:6379'), null, 'unknown scheme');
 }
 
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
 // ─── Summary ────────────────────────────────────────────────────
 
 summary();
@@ -6,7 +6,9 @@
  *   - buildLiquibaseStatements() — statement/rollback pairing
  *   - generateMigrationFile() — Liquibase formatted SQL output
  *   - addToMasterChangelog() — XML changelog management
+ *   - renderMigration() / output option — render without writing
  *   - init() — config validation
+ *   - importDrizzleKitApi() — ConfigError for an unsupported dialect or API
  *   - CLI engine flag — config resolution
  *
  * These tests do NOT require a database connection — they test the
@@ -17,6 +19,7 @@ import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { ConfigError } from '../src/errors.mjs';
 import { suite, assert, eq, includes, summary } from './helpers.mjs';
 
 // ─── Helper to create a testable engine instance ────────────────
@@ -517,6 +520,41 @@ suite('addToMasterChangelog — deduplicates');
   eq(count, 1, 'no duplicate entries');
 }
 
+suite('renderMigration — MySQL content, no I/O');
+{
+  const e = makeEngine({ dialect: 'mysql' });
+  e.customName = 'preview_only';
+  const { statements, rollbackStatements } = e.buildLiquibaseStatements(['CREATE TABLE `gadgets` (`id` int)']);
+  const { filename, content } = e.renderMigration(statements, rollbackStatements);
+  assert(/^\d{14}_preview_only\.sql$/.test(filename), 'filename has timestamp + name');
+  includes(content, '--changeset test-user:preview_only\n', 'MySQL header without endDelimiter');
+  includes(content, '--rollback DROP TABLE IF EXISTS `gadgets`;', 'rollback block');
+  assert(!existsSync(join(migrationsDir, filename)), 'no file written');
+  assert(!readFileSync(changelogPath, 'utf-8').includes('preview_only'), 'changelog untouched');
+}
+
+suite('writeMigrationOutput — --output path and stdout');
+{
+  const e = makeEngine();
+  e.customName = 'to_path';
+  e.output = join(tmpBase, 'out', 'preview.sql');
+  const target = e.writeMigrationOutput(['SELECT 1;'], ['SELECT 2;']);
+  eq(target, e.output, 'returns the written path');
+  includes(readFileSync(target, 'utf-8'), 'endDelimiter:--> statement-breakpoint', 'PostgreSQL formatted SQL written');
+
+  e.output = '-';
+  let captured = '';
+  const originalWrite = process.stdout.write;
+  process.stdout.write = (chunk) => { captured += chunk; return true; };
+  try {
+    eq(e.writeMigrationOutput(['SELECT 1;'], ['SELECT 2;']), null, 'returns null for stdout');
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+  includes(captured, '--changeset test-user:to_path', 'migration printed to stdout');
+  assert(!readFileSync(changelogPath, 'utf-8').includes('to_path'), 'changelog untouched');
+}
+
 // ═══════════════════════════════════════════════════════════════
 // init() — validation
 // ═══════════════════════════════════════════════════════════════
@@ -623,6 +661,31 @@ suite('loadSchemaExports — rejects missing schema file');
   assert(threw, 'loadSchemaExports() threw for missing file');
 }
 
+// ═══════════════════════════════════════════════════════════════
+// importDrizzleKitApi — error handling
+// ═══════════════════════════════════════════════════════════════
+
+suite('importDrizzleKitApi — ConfigError for what the project must fix');
+{
+  let error = null;
+  try { await makeEngine({ dialect: 'oracle' }).importDrizzleKitApi(); } catch (err) { error = err; }
+  assert(error instanceof ConfigError, 'unsupported dialect is a ConfigError');
+  includes(error?.message, 'Unsupported dialect: oracle', 'dialect named');
+
+  // A project whose drizzle-kit/api lacks the MySQL push
+  const project = join(tmpBase, 'old-kit');
+  const kitDir = join(project, 'node_modules', 'drizzle-kit');
+  mkdirSync(kitDir, { recursive: true });
+  writeFileSync(join(kitDir, 'package.json'), JSON.stringify({ name: 'drizzle-kit', exports: { './api': './api.js' } }));
+  writeFileSync(join(kitDir, 'api.js'), 'exports.pushSchema = async () => ({});\n');
+  const e = makeEngine({ dialect: 'mysql' });
+  e._projectRoot = project;
+  error = null;
+  try { await e.importDrizzleKitApi(); } catch (err) { error = err; }
+  assert(error instanceof ConfigError, 'missing push function is a ConfigError');
+  includes(error?.message, 'does not export pushMySQLSchema', 'function named');
+}
+
 // ═══════════════════════════════════════════════════════════════
 // Config engine option
 // ═══════════════════════════════════════════════════════════════
@@ -0,0 +1,350 @@
+/**
+ * Test 08 — Drizzle Kit Migration Converter
+ *
+ * Unit tests for DrizzleKitConverter covering:
+ *   - splitDrizzleStatements() — breakpoint and ';' splitting
+ *   - readJournal() — journal validation and ordering
+ *   - dialect resolution — CLI flag > journal > config
+ *   - convertAll() — Liquibase formatted output per dialect
+ *   - master changelog registration and idempotent re-runs
+ *   - filenames from the journal's `when` in UTC, whatever the TZ
+ *
+ * These tests do NOT require a database connection.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DrizzleKitConverter, splitDrizzleStatements } from '../src/convert.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test08-${Date.now()}`);
+mkdirSync(tmpBase, { recursive: true });
+
+let workspaceCounter = 0;
+
+/**
+ * Create a fake drizzle-kit output folder plus an empty Liquibase target.
+ * `files` maps tag → SQL content; journal entries are created in order.
+ */
+function makeWorkspace({ dialect = 'postgresql', files = {}, breakpoints = true } = {}) {
+  const root = join(tmpBase, `ws${++workspaceCounter}`);
+  const drizzleDir = join(root, 'drizzle');
+  mkdirSync(join(drizzleDir, 'meta'), { recursive: true });
+
+  const base = Date.UTC(2024, 0, 15, 10, 0, 0);
+  const entries = Object.entries(files).map(([tag, sql], idx) => {
+    writeFileSync(join(drizzleDir, `${tag}.sql`), sql);
+    return { idx, version: '7', when: base + idx * 60_000, tag, breakpoints };
+  });
+  writeFileSync(
+    join(drizzleDir, 'meta', '_journal.json'),
+    JSON.stringify({ version: '7', dialect, entries }, null, 2)
+  );
+
+  return {
+    root,
+    drizzleDir,
+    migrationsDir: join(root, 'liquibase', 'migrations'),
+    changelogPath: join(root, 'liquibase', 'master-changelog.xml'),
+  };
+}
+
+function makeConverter(ws, overrides = {}) {
+  return new DrizzleKitConverter({
+    sourceDir: ws.drizzleDir,
+    dialect: overrides.dialect,
+    config: {
+      migrationsDir: ws.migrationsDir,
+      masterChangelog: ws.changelogPath,
+      timestampFormat: 'YYYYMMDDHHmmss',
+      author: 'test-user',
+      databaseUrl: null,
+      diff: {},
+      ...overrides.config,
+    },
+  });
+}
+
+const PG_INITIAL = `CREATE TABLE "users" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"email" varchar(255) NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "users_email_idx" ON "users" USING btree ("email");`;
+
+const PG_SECOND = `ALTER TABLE "users" ADD COLUMN "phone" varchar(20);--> statement-breakpoint
+ALTER TABLE "users" DROP COLUMN "legacy";`;
+
+// ═══════════════════════════════════════════════════════════════
+// splitDrizzleStatements
+// ═══════════════════════════════════════════════════════════════
+
+suite('splitDrizzleStatements — statement-breakpoint separators');
+{
+  const parts = splitDrizzleStatements(PG_INITIAL);
+  eq(parts.length, 2, 'two statements');
+  assert(parts[0].startsWith('CREATE TABLE "users"'), 'first is CREATE TABLE');
+  assert(!parts[0].includes('statement-breakpoint'), 'breakpoint removed');
+  eq(parts[1], 'CREATE INDEX "users_email_idx" ON "users" USING btree ("email");', 'second is CREATE INDEX');
+}
+
+suite('splitDrizzleStatements — inline breakpoint after semicolon');
+{
+  const parts = splitDrizzleStatements(PG_SECOND);
+  eq(parts.length, 2, 'two statements');
+  eq(parts[0], 'ALTER TABLE "users" ADD COLUMN "phone" varchar(20);', 'first statement intact');
+}
+
+suite('splitDrizzleStatements — no breakpoints splits on semicolons');
+{
+  const parts = splitDrizzleStatements(
+    'CREATE TABLE `a` (`id` int);\nCREATE TABLE `b` (`note` text DEFAULT \'x;y\');\n'
+  );
+  eq(parts.length, 2, 'two statements');
+  includes(parts[1], "'x;y'", 'semicolon inside string literal preserved');
+}
+
+suite('splitDrizzleStatements — DO $$ blocks stay whole');
+{
+  const sql = `DO $$ BEGIN
+ ALTER TABLE "orders" ADD CONSTRAINT "orders_user_fk" FOREIGN KEY ("user_id") REFERENCES "users"("id");
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+CREATE INDEX "orders_user_idx" ON "orders" ("user_id");`;
+  const parts = splitDrizzleStatements(sql);
+  eq(parts.length, 2, 'DO block + index');
+  assert(parts[0].startsWith('DO $$') && parts[0].endsWith('END $$;'), 'DO block kept together');
+}
+
+suite('splitDrizzleStatements — comment-only chunks dropped');
+{
+  const parts = splitDrizzleStatements(
+    '/* Unfortunately in current drizzle-kit version we cannot rename PKs */\n--> statement-breakpoint\nALTER TABLE "a" ADD COLUMN "b" int;'
+  );
+  eq(parts.length, 1, 'comment chunk removed');
+  eq(splitDrizzleStatements('').length, 0, 'empty file yields no statements');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// readJournal / init
+// ═══════════════════════════════════════════════════════════════
+
+suite('init — missing journal throws');
+{
+  const ws = makeWorkspace();
+  rmSync(join(ws.drizzleDir, 'meta'), { recursive: true, force: true });
+  let threw = false;
+  try { await makeConverter(ws).init(); } catch (err) {
+    threw = true;
+    includes(err.message, '_journal.json', 'error mentions the journal');
+  }
+  assert(threw, 'init() threw');
+}
+
+suite('init — journal entries sorted by idx');
+{
+  const ws = makeWorkspace({ files: { '0000_first': PG_INITIAL, '0001_second': PG_SECOND } });
+  const journalPath = join(ws.drizzleDir, 'meta', '_journal.json');
+  const journal = JSON.parse(readFileSync(journalPath, 'utf-8'));
+  journal.entries.reverse();
+  writeFileSync(journalPath, JSON.stringify(journal));
+
+  const c = makeConverter(ws);
+  await c.init();
+  eq(c.journal.entries.map(e => e.tag), ['0000_first', '0001_second'], 'sorted ascending');
+}
+
+suite('init — dialect resolution');
+{
+  const ws = makeWorkspace({ dialect: 'mysql' });
+  const c1 = makeConverter(ws);
+  await c1.init();
+  eq(c1.dialect, 'mysql', 'dialect read from journal');
+  eq(c1.engine.dialect, 'mysql', 'engine uses the same dialect');
+
+  const c2 = makeConverter(ws, { dialect: 'singlestore' });
+  await c2.init();
+  eq(c2.dialect, 'singlestore', 'CLI dialect overrides journal');
+
+  const legacy = makeWorkspace({ dialect: 'pg' });
+  const c3 = makeConverter(legacy);
+  await c3.init();
+  eq(c3.dialect, 'postgresql', 'legacy "pg" journal dialect mapped');
+
+  const c4 = makeConverter(ws, { dialect: 'oracle' });
+  let threw = false;
+  try { await c4.init(); } catch (err) {
+    threw = true;
+    includes(err.message, 'Invalid dialect', 'invalid dialect message');
+  }
+  assert(threw, 'invalid dialect throws');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// convertAll — PostgreSQL
+// ═══════════════════════════════════════════════════════════════
+
+suite('convertAll — PostgreSQL output');
+{
+  const ws = makeWorkspace({ files: { '0000_cool_name': PG_INITIAL, '0001_mighty_blob': PG_SECOND } });
+  const c = makeConverter(ws);
+  await c.init();
+  const results = c.convertAll();
+
+  eq(results.length, 2, 'two results');
+  eq(results.map(r => r.status), ['converted', 'converted'], 'both converted');
+  eq(results[0].filename, '20240115100000_cool_name.sql', 'timestamp from journal "when"');
+  eq(results[1].filename, '20240115100100_mighty_blob.sql', 'second file one minute later');
+  eq(results[1].manualRollbacks, 1, 'DROP COLUMN needs manual rollback');
+
+  const content = readFileSync(join(ws.migrationsDir, results[0].filename), 'utf-8');
+  assert(content.startsWith('--liquibase formatted sql\n'), 'liquibase header first');
+  includes(content, '--changeset test-user:cool_name splitStatements:false endDelimiter:--> statement-breakpoint', 'PG changeset header');
+  includes(content, 'CREATE INDEX "users_email_idx" ON "users" USING btree ("email");\n--> statement-breakpoint', 'statement with breakpoint');
+  includes(content, '--rollback DROP INDEX IF EXISTS "users_email_idx";\n--rollback --> statement-breakpoint\n--rollback DROP TABLE IF EXISTS "users";', 'rollbacks reversed');
+
+  const second = readFileSync(join(ws.migrationsDir, results[1].filename), 'utf-8');
+  includes(second, '--rollback ALTER TABLE "users" DROP COLUMN "phone";', 'ADD COLUMN rollback inferred');
+  includes(second, '--rollback -- Manual rollback required: recreate dropped column;', 'manual rollback marker');
+}
+
+suite('convertAll — registers files in master changelog');
+{
+  const ws = makeWorkspace({ files: { '0000_cool_name': PG_INITIAL, '0001_mighty_blob': PG_SECOND } });
+  const c = makeConverter(ws);
+  await c.init();
+  c.convertAll();
+
+  assert(existsSync(ws.changelogPath), 'changelog created');
+  const xml = readFileSync(ws.changelogPath, 'utf-8');
+  includes(xml, '<include file="migrations/20240115100000_cool_name.sql"/>', 'first include');
+  includes(xml, '<include file="migrations/20240115100100_mighty_blob.sql"/>', 'second include');
+  assert(xml.indexOf('cool_name') < xml.indexOf('mighty_blob'), 'chronological order');
+}
+
+suite('convertAll — re-run is idempotent');
+{
+  const ws = makeWorkspace({ files: { '0000_cool_name': PG_INITIAL } });
+  const c1 = makeConverter(ws);
+  await c1.init();
+  c1.convertAll();
+  const edited = join(ws.migrationsDir, '20240115100000_cool_name.sql');
+  writeFileSync(edited, readFileSync(edited, 'utf-8') + '\n-- hand edit\n');
+
+  const c2 = makeConverter(ws);
+  await c2.init();
+  const results = c2.convertAll();
+  eq(results[0].status, 'skipped', 'existing file skipped');
+  includes(readFileSync(edited, 'utf-8'), '-- hand edit', 'existing file not overwritten');
+  eq(readdirSync(ws.migrationsDir).length, 1, 'no duplicate files');
+
+  const xml = readFileSync(ws.changelogPath, 'utf-8');
+  eq(xml.split('cool_name.sql').length - 1, 1, 'changelog include not duplicated');
+}
+
+suite('convertAll — same-second entries get unique timestamps');
+{
+  const ws = makeWorkspace({ files: { '0000_a': PG_INITIAL, '0001_b': PG_SECOND } });
+  const journalPath = join(ws.drizzleDir, 'meta', '_journal.json');
+  const journal = JSON.parse(readFileSync(journalPath, 'utf-8'));
+  journal.entries[1].when = journal.entries[0].when + 200;
+  writeFileSync(journalPath, JSON.stringify(journal));
+
+  const c = makeConverter(ws);
+  await c.init();
+  const results = c.convertAll();
+  eq(results.map(r => r.filename), ['20240115100000_a.sql', '20240115100001_b.sql'], 'second bumped by one second');
+}
+
+suite('convertAll — filenames do not depend on TZ');
+{
+  const savedTz = process.env.TZ;
+  const names = {};
+  try {
+    for (const tz of ['UTC', 'America/New_York', 'Asia/Kolkata']) {
+      process.env.TZ = tz;
+      const ws = makeWorkspace({ files: { '0000_cool_name': PG_INITIAL } });
+      const c = makeConverter(ws);
+      await c.init();
+      names[tz] = c.convertAll()[0].filename;
+    }
+  } finally {
+    if (savedTz === undefined) delete process.env.TZ;
+    else process.env.TZ = savedTz;
+  }
+  eq(names['America/New_York'], '20240115100000_cool_name.sql', 'UTC-5 names from the UTC time');
+  eq(names['Asia/Kolkata'], '20240115100000_cool_name.sql', 'UTC+5:30 names from the UTC time');
+  eq(names.UTC, names['America/New_York'], 'same name in every TZ');
+}
+
+suite('convertAll — missing SQL file throws');
+{
+  const ws = makeWorkspace({ files: { '0000_cool_name': PG_INITIAL } });
+  rmSync(join(ws.drizzleDir, '0000_cool_name.sql'));
+  const c = makeConverter(ws);
+  await c.init();
+  let threw = false;
+  try { c.convertAll(); } catch (err) {
+    threw = true;
+    includes(err.message, '0000_cool_name.sql', 'error names the file');
+  }
+  assert(threw, 'convertAll() threw');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// convertAll — MySQL / SQLite
+// ═══════════════════════════════════════════════════════════════
+
+suite('convertAll — MySQL output has no breakpoints');
+{
+  const ws = makeWorkspace({
+    dialect: 'mysql',
+    files: {
+      '0000_init': 'CREATE TABLE `users` (\n\t`id` int AUTO_INCREMENT NOT NULL,\n\tCONSTRAINT `users_id` PRIMARY KEY(`id`)\n);\n--> statement-breakpoint\nCREATE INDEX `users_id_idx` ON `users` (`id`);',
+    },
+  });
+  const c = makeConverter(ws);
+  await c.init();
+  const [result] = c.convertAll();
+  const content = readFileSync(result.filepath, 'utf-8');
+
+  includes(content, '--changeset test-user:init\n', 'plain changeset header');
+  assert(!content.includes('statement-breakpoint'), 'no statement-breakpoint anywhere');
+  assert(!content.includes('splitStatements'), 'no splitStatements attribute');
+  includes(content, '--rollback DROP INDEX `users_id_idx` ON `users`;', 'MySQL index rollback');
+  includes(content, '--rollback DROP TABLE IF EXISTS `users`;', 'MySQL table rollback');
+}
+
+suite('convertAll — SQLite without breakpoints');
+{
+  const ws = makeWorkspace({
+    dialect: 'sqlite',
+    breakpoints: false,
+    files: {
+      '0000_init': 'CREATE TABLE `users` (\n\t`id` integer PRIMARY KEY NOT NULL\n);\nCREATE TABLE `posts` (\n\t`id` integer PRIMARY KEY NOT NULL\n);\n',
+    },
+  });
+  const c = makeConverter(ws);
+  await c.init();
+  const [result] = c.convertAll();
+  eq(result.statementCount, 2, 'split on semicolons');
+  includes(result.content, '--rollback DROP TABLE IF EXISTS "posts";\n--rollback DROP TABLE IF EXISTS "users";', 'SQLite rollbacks reversed');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Cleanup
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+try {
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(true, 'cleaned up');
+} catch {
+  assert(true, 'cleanup skipped (non-fatal)');
+}
+
+summary();
@@ -0,0 +1,192 @@
+/**
+ * Test 09 — Changelog Reader
+ *
+ * Unit tests for src/changelog.mjs covering:
+ *   - readChangelogIncludes() — include order, commented-out includes
+ *   - parseChangesetAttributes() — values containing spaces
+ *   - parseFormattedSql() — headers, rollbacks, comments, preconditions
+ *   - splitSqlStatements() / changesetStatements() — delimiter handling
+ *   - loadChangesets() — files generated by DrizzleKitEngine round-trip
+ *
+ * These tests do NOT require a database connection.
+ */
+
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  readChangelogIncludes,
+  parseChangesetAttributes,
+  parseFormattedSql,
+  loadChangesets,
+  splitSqlStatements,
+  changesetStatements,
+  isCommentOnly,
+} from '../src/changelog.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test09-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+mkdirSync(migrationsDir, { recursive: true });
+const changelogPath = join(tmpBase, 'master-changelog.xml');
+
+function writeChangelog(files, extra = '') {
+  const lines = files.map(f => `    <include file="migrations/${f}"/>`).join('\n');
+  writeFileSync(changelogPath, `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+${lines}
+${extra}
+</databaseChangeLog>
+`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('readChangelogIncludes');
+{
+  writeChangelog(['20240101000000_a.sql', '20240102000000_b.sql'], '    <!-- <include file="migrations/old.sql"/> -->');
+  const includes_ = readChangelogIncludes(changelogPath);
+  eq(includes_.map(i => i.file), ['migrations/20240101000000_a.sql', 'migrations/20240102000000_b.sql'], 'returns includes in order');
+  eq(includes_[0].path, join(migrationsDir, '20240101000000_a.sql'), 'resolves path relative to changelog');
+  assert(!includes_.some(i => i.file.includes('old.sql')), 'ignores commented-out includes');
+
+  let threw = false;
+  try {
+    readChangelogIncludes(join(tmpBase, 'missing.xml'));
+  } catch (e) {
+    threw = e.message.includes('Master changelog not found');
+  }
+  assert(threw, 'throws for a missing changelog');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('parseChangesetAttributes');
+{
+  eq(parseChangesetAttributes(' splitStatements:false endDelimiter:--> statement-breakpoint'),
+    { splitStatements: 'false', endDelimiter: '--> statement-breakpoint' },
+    'endDelimiter value keeps its space');
+  eq(parseChangesetAttributes(' runOnChange:true context:prod'), { runOnChange: 'true', context: 'prod' }, 'multiple simple attributes');
+  eq(parseChangesetAttributes(''), {}, 'empty attribute string');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('parseFormattedSql');
+{
+  const content = `--liquibase formatted sql
+
+--changeset jane:create_users splitStatements:false endDelimiter:--> statement-breakpoint
+--comment: create users
+--preconditions onFail:MARK_RAN
+--precondition-sql-check expectedResult:0 SELECT count(*) FROM users
+CREATE TABLE "users" ("id" serial);
+--> statement-breakpoint
+CREATE INDEX "users_id_idx" ON "users" ("id");
+
+--rollback DROP INDEX IF EXISTS "users_id_idx";
+--rollback DROP TABLE IF EXISTS "users";
+
+--changeset "John Smith":second
+ALTER TABLE users ADD COLUMN email text;
+--rollback ALTER TABLE users DROP COLUMN email;
+`;
+  const { formatted, changesets } = parseFormattedSql(content, 'migrations/x.sql');
+  assert(formatted, 'detects formatted sql header');
+  eq(changesets.length, 2, 'two changesets');
+  eq(changesets[0].author, 'jane', 'author');
+  eq(changesets[0].id, 'create_users', 'id');
+  eq(changesets[0].attributes.splitStatements, 'false', 'splitStatements attribute');
+  eq(changesets[0].comment, 'create users', 'comment');
+  eq(changesets[0].preconditions.length, 2, 'preconditions collected');
+  eq(changesets[0].rollback, 'DROP INDEX IF EXISTS "users_id_idx";\nDROP TABLE IF EXISTS "users";', 'rollback lines joined');
+  assert(!changesets[0].body.includes('--rollback'), 'rollback lines excluded from body');
+  eq(changesets[0].file, 'migrations/x.sql', 'file recorded');
+  eq(changesets[0].line, 3, 'line number of header');
+  eq(changesets[1].author, 'John Smith', 'quoted author with space');
+  eq(changesets[1].id, 'second', 'second id');
+
+  assert(!parseFormattedSql('CREATE TABLE x (id int);').formatted, 'plain SQL is not formatted');
+  eq(parseFormattedSql('CREATE TABLE x (id int);').changesets.length, 0, 'plain SQL has no changesets');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('splitSqlStatements');
+{
+  eq(splitSqlStatements('CREATE TABLE a (id int);\nCREATE TABLE b (id int);'),
+    ['CREATE TABLE a (id int);', 'CREATE TABLE b (id int);'], 'splits on semicolons');
+  eq(splitSqlStatements("INSERT INTO t VALUES ('a;b');").length, 1, 'ignores semicolons in quotes');
+  eq(splitSqlStatements('DO $$ BEGIN PERFORM 1; END $$;\nSELECT 1;').length, 2, 'ignores semicolons in $$ blocks');
+  eq(splitSqlStatements("-- it's a comment; really\nSELECT 1;"), ["-- it's a comment; really\nSELECT 1;"], 'line comments copied verbatim');
+  eq(splitSqlStatements('SELECT 1;\n-->  statement-breakpoint\nSELECT 2;', '--> statement-breakpoint'),
+    ['SELECT 1;', 'SELECT 2;'], 'endDelimiter split is whitespace-lenient');
+  eq(splitSqlStatements('-- only a comment\n'), [], 'comment-only chunks dropped');
+  assert(isCommentOnly('/* x */\n-- y'), 'isCommentOnly handles block and line comments');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('changesetStatements');
+{
+  eq(changesetStatements({ attributes: { splitStatements: 'false' }, body: 'DO $$ BEGIN END $$;\nSELECT 1;' }).length, 1,
+    'splitStatements:false keeps body whole');
+  eq(changesetStatements({ attributes: {}, body: 'SELECT 1;\nSELECT 2;' }).length, 2, 'default splits on ;');
+  eq(changesetStatements({
+    attributes: { splitStatements: 'false', endDelimiter: '--> statement-breakpoint' },
+    body: 'SELECT 1;\n--> statement-breakpoint\nSELECT 2;',
+  }).length, 2, 'endDelimiter wins over splitStatements:false');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('loadChangesets — generated files round-trip');
+{
+  const engine = new DrizzleKitEngine({ dialect: 'postgresql' });
+  engine.dialect = 'postgresql';
+  const { statements, rollbackStatements } = engine.buildLiquibaseStatements([
+    'CREATE TABLE "users" (\n\t"id" serial PRIMARY KEY NOT NULL\n);',
+    'ALTER TABLE "users" ADD COLUMN "email" text;',
+  ]);
+  writeFileSync(join(migrationsDir, '20240101000000_a.sql'),
+    engine.formatMigrationContent(statements, rollbackStatements, { author: 'jane', changesetName: 'a' }));
+
+  engine.dialect = 'mysql';
+  const mysql = engine.buildLiquibaseStatements(['CREATE TABLE `posts` (\n\t`id` int NOT NULL\n);']);
+  writeFileSync(join(migrationsDir, '20240102000000_b.sql'),
+    engine.formatMigrationContent(mysql.statements, mysql.rollbackStatements, { author: 'jane', changesetName: 'b' }));
+
+  writeChangelog(['20240101000000_a.sql', '20240102000000_b.sql']);
+  const changesets = loadChangesets(changelogPath);
+  eq(changesets.map(c => c.id), ['a', 'b'], 'changesets in include order');
+  eq(changesets[0].file, 'migrations/20240101000000_a.sql', 'file is the include path');
+  eq(changesetStatements(changesets[0]).length, 2, 'PostgreSQL file splits on breakpoints');
+  eq(changesetStatements(changesets[1]).length, 1, 'MySQL file splits on ;');
+  includes(changesets[0].rollback, 'DROP TABLE', 'rollback parsed');
+
+  writeChangelog(['20240101000000_a.sql', 'nope.sql']);
+  let threw = false;
+  try {
+    loadChangesets(changelogPath);
+  } catch (e) {
+    threw = e.message.includes('not found');
+  }
+  assert(threw, 'throws for a missing included file');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Cleanup
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+try {
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(true, 'cleaned up');
+} catch {
+  assert(true, 'cleanup skipped (non-fatal)');
+}
+
+summary();
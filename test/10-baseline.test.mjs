@@ -0,0 +1,400 @@
+/**
+ * Test 10 — Baseline (mark migrations as applied)
+ *
+ * Unit tests for src/baseline.mjs and the tracking-table helpers in
+ * src/database.mjs covering:
+ *   - extractSchemaOperations() — DDL recognised per dialect
+ *   - expectedObjects() — drops and renames in later changesets
+ *   - verifyObjects() — against an introspected table map
+ *   - selectChangesets() — --to by file, id and author:id
+ *   - planBaseline() — per-changeset statuses
+ *   - MigrationBaseline.init() — dialect / verification guards, readOnly / requireConfirm
+ *   - MigrationBaseline.run() — rows written under the change log lock
+ *   - ensureTrackingTables() / insertChangelogRows() — SQL written
+ *   - readAppliedChangesets() — missing table vs other errors
+ *
+ * These tests do NOT require a database connection — the tracking-table
+ * helpers run against a fake connection that records queries.
+ */
+
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  extractSchemaOperations,
+  expectedObjects,
+  verifyObjects,
+  selectChangesets,
+  planBaseline,
+  describeObject,
+  MigrationBaseline,
+} from '../src/baseline.mjs';
+import {
+  ensureTrackingTables,
+  insertChangelogRows,
+  readAppliedChangesets,
+  trackingTableNames,
+} from '../src/database.mjs';
+import { ConfigError, ConnectionError } from '../src/errors.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test10-${Date.now()}`);
+
+function cs(file, id, body, attributes = {}) {
+  return { file: `migrations/${file}`, author: 'jane', id, body, attributes, rollback: '' };
+}
+
+/** Fake openDatabase() handle — records queries, answers from `responses`. */
+function fakeDb(dialect, responses = []) {
+  const queries = [];
+  return {
+    dialect,
+    queries,
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      const match = responses.find(r => r.match.test(sql));
+      if (match?.error) {
+        const { message, ...fields } = typeof match.error === 'string' ? { message: match.error } : match.error;
+        throw Object.assign(new Error(message), fields);
+      }
+      return match ? match.rows : [];
+    },
+  };
+}
+
+const PG = { splitStatements: 'false', endDelimiter: '--> statement-breakpoint' };
+
+const TABLE_MAP = {
+  users: {
+    name: 'users',
+    columns: { id: {}, email: {} },
+    indexes: [{ name: 'users_email_idx' }],
+  },
+};
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('extractSchemaOperations');
+{
+  eq(extractSchemaOperations('CREATE TABLE "users" (\n\t"id" serial PRIMARY KEY NOT NULL,\n\t"email" varchar(255),\n\tCONSTRAINT "users_email_unique" UNIQUE("email")\n);'), [
+    { op: 'create', kind: 'table', schema: null, name: 'users' },
+    { op: 'create', kind: 'column', schema: null, table: 'users', name: 'id' },
+    { op: 'create', kind: 'column', schema: null, table: 'users', name: 'email' },
+  ], 'CREATE TABLE with columns, skipping constraints');
+
+  eq(extractSchemaOperations('CREATE TABLE IF NOT EXISTS "app"."items" ("id" int, "price" numeric(10, 2));').map(o => o.name),
+    ['items', 'id', 'price'], 'schema-qualified IF NOT EXISTS, commas inside types');
+  eq(extractSchemaOperations('CREATE TABLE IF NOT EXISTS "app"."items" ("id" int);')[0].schema, 'app', 'schema captured');
+
+  eq(extractSchemaOperations('CREATE TABLE `posts` (\n\t`id` int NOT NULL,\n\tPRIMARY KEY(`id`)\n);').length, 2, 'MySQL backticks');
+
+  eq(extractSchemaOperations('CREATE UNIQUE INDEX IF NOT EXISTS "users_email_idx" ON "users" USING btree ("email");'),
+    [{ op: 'create', kind: 'index', schema: null, table: 'users', name: 'users_email_idx' }], 'CREATE UNIQUE INDEX');
+  eq(extractSchemaOperations('DROP INDEX IF EXISTS "users_email_idx";'),
+    [{ op: 'drop', kind: 'index', schema: null, name: 'users_email_idx' }], 'DROP INDEX');
+
+  eq(extractSchemaOperations('ALTER TABLE "users" ADD COLUMN "phone" varchar(20);'),
+    [{ op: 'create', kind: 'column', schema: null, table: 'users', name: 'phone' }], 'ADD COLUMN');
+  eq(extractSchemaOperations('ALTER TABLE `users` ADD `phone` varchar(20);')[0].name, 'phone', 'MySQL ADD without COLUMN');
+  eq(extractSchemaOperations('ALTER TABLE "users" ADD CONSTRAINT "fk" FOREIGN KEY ("a") REFERENCES "b"("id");'), [], 'ADD CONSTRAINT ignored');
+  eq(extractSchemaOperations('ALTER TABLE "users" DROP COLUMN IF EXISTS "legacy";'),
+    [{ op: 'drop', kind: 'column', schema: null, table: 'users', name: 'legacy' }], 'DROP COLUMN');
+  eq(extractSchemaOperations('ALTER TABLE "users" DROP CONSTRAINT "fk";'), [], 'DROP CONSTRAINT ignored');
+  eq(extractSchemaOperations('ALTER TABLE "users" RENAME COLUMN "name" TO "full_name";'),
+    [{ op: 'rename', kind: 'column', schema: null, table: 'users', name: 'name', to: 'full_name' }], 'RENAME COLUMN');
+  eq(extractSchemaOperations('ALTER TABLE "users" RENAME TO "accounts";'),
+    [{ op: 'rename', kind: 'table', schema: null, name: 'users', to: 'accounts' }], 'RENAME TO');
+  eq(extractSchemaOperations('DROP TABLE IF EXISTS "a", "b" CASCADE;').map(o => o.name), ['a', 'b'], 'DROP TABLE list');
+
+  eq(extractSchemaOperations('-- note\nCREATE TABLE "x" ("id" int);')[0].name, 'x', 'leading comments ignored');
+  eq(extractSchemaOperations('INSERT INTO users VALUES (1);'), [], 'DML yields nothing');
+  eq(extractSchemaOperations('DO $$ BEGIN ALTER TABLE "a" ADD CONSTRAINT x; END $$;'), [], 'DO blocks yield nothing');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('expectedObjects');
+{
+  const changesets = [
+    cs('1_init.sql', 'init', 'CREATE TABLE "users" ("id" int, "name" text, "legacy" text);\n--> statement-breakpoint\nCREATE INDEX "users_name_idx" ON "users" ("name");\n--> statement-breakpoint\nCREATE TABLE "tmp" ("id" int);', PG),
+    cs('2_change.sql', 'change', 'ALTER TABLE "users" DROP COLUMN "legacy";\n--> statement-breakpoint\nALTER TABLE "users" RENAME COLUMN "name" TO "full_name";\n--> statement-breakpoint\nDROP INDEX "users_name_idx";\n--> statement-breakpoint\nDROP TABLE "tmp";', PG),
+    cs('3_rename.sql', 'rename', 'ALTER TABLE "users" RENAME TO "accounts";\nALTER TABLE "accounts" ADD COLUMN "email" text;'),
+  ];
+  const expected = expectedObjects(changesets);
+  eq(expected[0].map(describeObject).sort(), ['column accounts.full_name', 'column accounts.id', 'table accounts'],
+    'first changeset owns surviving, renamed objects');
+  eq(expected[1], [], 'changeset that only drops/renames owns nothing');
+  eq(expected[2].map(describeObject), ['column accounts.email'], 'later ADD COLUMN on renamed table');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('verifyObjects');
+{
+  const { missing, unchecked } = verifyObjects([
+    { kind: 'table', schema: null, name: 'users' },
+    { kind: 'column', schema: null, table: 'users', name: 'email' },
+    { kind: 'column', schema: 'public', table: 'users', name: 'phone' },
+    { kind: 'index', schema: null, name: 'users_email_idx' },
+    { kind: 'index', schema: null, name: 'nope_idx' },
+    { kind: 'table', schema: null, name: 'posts' },
+    { kind: 'table', schema: 'audit', name: 'log' },
+  ], TABLE_MAP);
+  eq(missing.map(describeObject), ['column public.users.phone', 'index nope_idx', 'table posts'], 'reports missing objects');
+  eq(unchecked.map(describeObject), ['table audit.log'], 'non-public schemas are unchecked');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('selectChangesets');
+{
+  const all = [
+    cs('20240101000000_a.sql', 'a', ''),
+    cs('20240102000000_b.sql', 'b', ''),
+    { ...cs('20240102000000_b.sql', 'b2', ''), author: 'bob' },
+    cs('20240103000000_c.sql', 'dup', ''),
+    cs('20240104000000_d.sql', 'dup', ''),
+  ];
+  eq(selectChangesets(all).length, 5, 'no --to selects everything');
+  eq(selectChangesets(all, '20240102000000_b.sql').length, 3, 'filename includes every changeset in the file');
+  eq(selectChangesets(all, 'liquibase/migrations/20240101000000_a.sql').length, 1, 'path is reduced to its basename');
+  eq(selectChangesets(all, 'b').length, 2, 'changeset id');
+  eq(selectChangesets(all, 'bob:b2').length, 3, 'author:id');
+}
+
+suite('selectChangesets — errors');
+{
+  const all = [cs('1_a.sql', 'dup', ''), cs('2_b.sql', 'dup', '')];
+  let msg = '';
+  let error = null;
+  try { selectChangesets(all, 'dup'); } catch (e) { error = e; msg = e.message; }
+  includes(msg, 'ambiguous', 'duplicate id is ambiguous');
+  assert(error instanceof ConfigError, 'a bad --to is a ConfigError');
+  includes(msg, 'migrations/1_a.sql, migrations/2_b.sql', 'lists the files');
+
+  msg = '';
+  try { selectChangesets(all, 'missing'); } catch (e) { msg = e.message; }
+  includes(msg, 'No changeset "missing"', 'unknown id');
+
+  msg = '';
+  try { selectChangesets(all, '3_c.sql'); } catch (e) { msg = e.message; }
+  includes(msg, 'No migration file named "3_c.sql"', 'unknown file');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('planBaseline');
+{
+  const changesets = [
+    cs('1_users.sql', 'users', 'CREATE TABLE "users" ("id" int, "email" text);\n--> statement-breakpoint\nCREATE INDEX "users_email_idx" ON "users" ("email");', PG),
+    cs('2_posts.sql', 'posts', 'CREATE TABLE "posts" ("id" int);', PG),
+    cs('3_seed.sql', 'seed', 'INSERT INTO users VALUES (1, \'a\');'),
+    cs('0_old.sql', 'old', 'CREATE TABLE "gone" ("id" int);'),
+  ];
+  const applied = [{ id: 'old', author: 'jane', filename: 'migrations/0_old.sql' }];
+
+  const plan = planBaseline(changesets, applied, TABLE_MAP);
+  eq(plan.map(p => p.status), ['ok', 'missing', 'ok', 'applied'], 'statuses per changeset');
+  eq(plan[0].objects.length, 4, 'table, columns and index checked');
+  eq(plan[1].missing.map(describeObject), ['table posts', 'column posts.id'], 'missing objects listed');
+  eq(plan[2].objects.length, 0, 'data-only changeset has nothing to verify');
+
+  const unverified = planBaseline(changesets, [], null);
+  assert(unverified.every(p => p.status === 'unverified'), 'no table map → unverified');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('MigrationBaseline.init — guards');
+{
+  const base = { masterChangelog: '/tmp/x.xml', diff: {} };
+
+  let msg = '';
+  let error = null;
+  try {
+    await new MigrationBaseline({ config: { ...base, databaseUrl: null } }).init();
+  } catch (e) { error = e; msg = e.message; }
+  includes(msg, 'DATABASE_URL is not configured', 'requires a database URL');
+  assert(error instanceof ConfigError, 'missing URL is a ConfigError');
+
+  error = null;
+  try {
+    await new MigrationBaseline({ config: { ...base, databaseUrl: 'postgresql://localhost/app' }, dialect: 'oracle' }).init();
+  } catch (e) { error = e; }
+  assert(error instanceof ConfigError, 'bad dialect is a ConfigError');
+
+  msg = '';
+  try {
+    await new MigrationBaseline({ config: { ...base, databaseUrl: 'mysql://u:p@localhost/app' } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, '--skip-verify', 'non-PostgreSQL requires --skip-verify');
+
+  const b = new MigrationBaseline({ config: { ...base, databaseUrl: 'mysql://u:p@localhost/app' }, skipVerify: true });
+  await b.init();
+  eq(b.dialect, 'mysql', 'dialect detected from URL');
+
+  const pg = new MigrationBaseline({ config: { ...base, databaseUrl: 'postgresql://localhost/app' } });
+  await pg.init();
+  eq(pg.dialect, 'postgresql', 'PostgreSQL verifies by default');
+}
+
+suite('MigrationBaseline.init — readOnly / requireConfirm');
+{
+  const base = { masterChangelog: '/tmp/x.xml', diff: {}, databaseUrl: 'postgresql://localhost/app', env: 'prod' };
+
+  let msg = '';
+  try {
+    await new MigrationBaseline({ config: { ...base, readOnly: true } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, '"changelogSync" is not allowed: environment "prod" is readOnly', 'refused under readOnly');
+
+  const dry = new MigrationBaseline({ config: { ...base, readOnly: true }, dryRun: true });
+  await dry.init();
+  eq(dry.dialect, 'postgresql', '--dry-run still allowed under readOnly');
+
+  const asked = [];
+  const confirm = (answer) => (req) => { asked.push(req); return answer; };
+  msg = '';
+  try {
+    await new MigrationBaseline({ config: { ...base, requireConfirm: true }, confirm: confirm(false) }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'was not confirmed', 'declined confirmation stops it');
+  eq(asked, [{ command: 'changelogSync', env: 'prod' }], 'confirm asked for changelogSync in the environment');
+
+  await new MigrationBaseline({ config: { ...base, requireConfirm: true }, confirm: confirm(true) }).init();
+  await new MigrationBaseline({ config: { ...base, requireConfirm: true }, yes: true, confirm: confirm(false) }).init();
+  eq(asked.length, 2, '--yes skips the prompt');
+}
+
+suite('MigrationBaseline.run — rows written under the change log lock');
+{
+  mkdirSync(join(tmpBase, 'migrations'), { recursive: true });
+  const changeset = (id) => `--liquibase formatted sql\n\n--changeset jane:${id}\n\nCREATE TABLE ${id} (id int);\n`;
+  writeFileSync(join(tmpBase, 'migrations', '1_a.sql'), changeset('a'));
+  writeFileSync(join(tmpBase, 'migrations', '2_b.sql'), changeset('b'));
+  const masterChangelog = join(tmpBase, 'master-changelog.xml');
+  writeFileSync(masterChangelog, `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+    <include file="migrations/1_a.sql"/>
+    <include file="migrations/2_b.sql"/>
+</databaseChangeLog>
+`);
+
+  const b = new MigrationBaseline({
+    config: { masterChangelog, databaseUrl: 'mysql://u:p@localhost/app', diff: {} },
+    skipVerify: true,
+    logger: false,
+  });
+  // Nothing is applied when the plan is made; jane:a is by the time the lock is held
+  let reads = 0;
+  const db = fakeDb('mysql', [
+    { match: /SELECT LOCKED/, rows: [{ LOCKED: 1, LOCKEDBY: b.lockedBy }] },
+    { match: /MAX\(ORDEREXECUTED\)/, rows: [{ MAXORDER: 1 }] },
+  ]);
+  const query = db.query;
+  db.query = async (sql, params) => {
+    if (/^SELECT \* FROM/.test(sql) && reads++) {
+      db.queries.push({ sql, params });
+      return [{ ID: 'a', AUTHOR: 'jane', FILENAME: 'migrations/1_a.sql' }];
+    }
+    return query(sql, params);
+  };
+  db.close = async () => {};
+  b.connect = async () => db;
+
+  await b.run();
+  const order = db.queries.map(q => q.sql.split(' ').slice(0, 2).join(' '));
+  const locked = order.indexOf('UPDATE DATABASECHANGELOGLOCK');
+  const inserted = db.queries.findIndex(q => q.sql.startsWith('INSERT INTO DATABASECHANGELOG '));
+  assert(locked !== -1 && locked < inserted, 'lock taken before the insert');
+  eq(db.queries[locked].params[1], b.lockedBy, 'LOCKEDBY names this process');
+  const released = order.lastIndexOf('UPDATE DATABASECHANGELOGLOCK');
+  assert(released > inserted, 'lock released after the insert');
+  includes(db.queries[released].sql, 'SET LOCKED = FALSE', 'released, not retaken');
+  const inserts = db.queries.filter(q => q.sql.startsWith('INSERT INTO DATABASECHANGELOG '));
+  eq(inserts.map(q => q.params[0]), ['b'], 'changeset applied meanwhile is skipped');
+  eq(inserts[0].params[4], 2, 'ORDEREXECUTED read under the lock');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('tracking tables');
+{
+  eq(trackingTableNames('postgresql').changelog, 'databasechangelog', 'PostgreSQL uses lower case');
+  eq(trackingTableNames('mysql').changelog, 'DATABASECHANGELOG', 'MySQL uses upper case');
+
+  const db = fakeDb('mysql');
+  await ensureTrackingTables(db);
+  includes(db.queries[0].sql, 'CREATE TABLE IF NOT EXISTS DATABASECHANGELOG', 'creates changelog table');
+  includes(db.queries[0].sql, 'DATEEXECUTED DATETIME', 'MySQL uses DATETIME');
+  includes(db.queries[1].sql, 'CREATE TABLE IF NOT EXISTS DATABASECHANGELOGLOCK', 'creates lock table');
+  includes(db.queries[3].sql, 'INSERT INTO DATABASECHANGELOGLOCK', 'seeds lock row when missing');
+
+  const seeded = fakeDb('postgresql', [{ match: /SELECT ID FROM/, rows: [{ id: 1 }] }]);
+  await ensureTrackingTables(seeded);
+  includes(seeded.queries[0].sql, 'DATEEXECUTED TIMESTAMP', 'PostgreSQL uses TIMESTAMP');
+  eq(seeded.queries.length, 3, 'existing lock row is left alone');
+}
+
+suite('insertChangelogRows');
+{
+  const db = fakeDb('postgresql', [{ match: /MAX\(ORDEREXECUTED\)/, rows: [{ maxorder: 7 }] }]);
+  const written = await insertChangelogRows(db, [
+    { id: 'a', author: 'jane', filename: 'migrations/1_a.sql' },
+    { id: 'b', author: 'jane', filename: 'migrations/2_b.sql' },
+  ]);
+  eq(written, 2, 'returns rows written');
+  const inserts = db.queries.filter(q => q.sql.startsWith('INSERT'));
+  eq(inserts.length, 2, 'one INSERT per changeset');
+  includes(inserts[0].sql, 'INSERT INTO databasechangelog', 'targets lower-case table on PostgreSQL');
+  eq(inserts[0].params.slice(0, 3), ['a', 'jane', 'migrations/1_a.sql'], 'id, author, filename');
+  eq([inserts[0].params[4], inserts[1].params[4]], [8, 9], 'ORDEREXECUTED continues after MAX');
+  eq(inserts[0].params[5], 'EXECUTED', 'EXECTYPE');
+  assert(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(inserts[0].params[3]), 'DATEEXECUTED timestamp');
+  eq(inserts[0].params[9], inserts[1].params[9], 'shared DEPLOYMENT_ID');
+
+  const empty = fakeDb('sqlite', [{ match: /MAX/, rows: [{ MAXORDER: null }] }]);
+  await insertChangelogRows(empty, [{ id: 'a', author: 'jane', filename: 'x.sql' }]);
+  eq(empty.queries[1].params[4], 1, 'first row gets ORDEREXECUTED 1');
+  eq(await insertChangelogRows(empty, []), 0, 'no changesets → no queries');
+}
+
+suite('readAppliedChangesets');
+{
+  const db = fakeDb('mysql', [{ match: /SELECT \*/, rows: [{ ID: 'a', AUTHOR: 'jane', FILENAME: 'migrations/1_a.sql' }] }]);
+  eq(await readAppliedChangesets(db), [{ id: 'a', author: 'jane', filename: 'migrations/1_a.sql' }], 'column names normalised');
+
+  const missing = (dialect, error) => fakeDb(dialect, [{ match: /SELECT \*/, error }]);
+  eq(await readAppliedChangesets(missing('postgresql', { message: 'relation "databasechangelog" does not exist', code: '42P01' })),
+    [], 'missing table → no rows (PostgreSQL)');
+  eq(await readAppliedChangesets(missing('mysql', { message: "Table 'app.DATABASECHANGELOG' doesn't exist", code: 'ER_NO_SUCH_TABLE', errno: 1146 })),
+    [], 'missing table → no rows (MySQL)');
+  eq(await readAppliedChangesets(missing('sqlite', 'no such table: DATABASECHANGELOG')),
+    [], 'missing table → no rows (SQLite)');
+
+  let error = null;
+  try {
+    await readAppliedChangesets(missing('postgresql', { message: 'permission denied for table databasechangelog', code: '42501' }));
+  } catch (e) { error = e; }
+  assert(error instanceof ConnectionError, 'other errors rethrown as ConnectionError');
+  includes(error?.message, 'Could not read databasechangelog: permission denied', 'table and driver message named');
+  eq(error?.cause?.code, '42501', 'driver error kept as cause');
+
+  error = null;
+  try {
+    await readAppliedChangesets(missing('mysql', { message: 'Connection lost: The server closed the connection.', code: 'PROTOCOL_CONNECTION_LOST' }));
+  } catch (e) { error = e; }
+  assert(error instanceof ConnectionError, 'a dropped connection is not an empty changelog');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
@@ -0,0 +1,144 @@
+/**
+ * Test 11 — Drift Check
+ *
+ * Unit tests for src/check.mjs covering:
+ *   - summariseChanges() — custom engine change sets grouped per table
+ *   - describeStatement() / summariseStatements() — drizzle-kit SQL per table
+ *   - SchemaDriftCheck.init() — engine resolution
+ *   - SchemaDiffGenerator.computeDiff() — compares without writing files
+ *
+ * These tests do NOT require a database connection.
+ */
+
+import { SchemaDriftCheck, CHECK_EXIT_CODES, summariseChanges, summariseStatements, describeStatement } from '../src/check.mjs';
+import { SchemaDiffGenerator } from '../src/generate.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const gen = new SchemaDiffGenerator({ config: { diff: {} } });
+gen.config = gen._configOverride;
+gen.options = {};
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('CHECK_EXIT_CODES');
+{
+  eq(CHECK_EXIT_CODES, { NO_DRIFT: 0, ERROR: 1, DRIFT: 2 }, 'distinct exit codes');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('summariseChanges');
+{
+  const changes = gen._emptyChanges();
+  changes.tablesToCreate.push({ name: 'posts', definition: {} });
+  changes.tablesToDrop.push({ name: 'legacy' });
+  changes.columnsToAdd.push({ table: 'users', column: 'phone', definition: {} });
+  changes.columnsToDrop.push({ table: 'users', column: 'fax' });
+  changes.columnsToModify.push({ kind: 'nullability', table: 'users', column: 'email' });
+  changes.indexesToAdd.push({ table: 'users', index: { name: 'users_phone_idx' } });
+  changes.uniqueToDrop.push({ table: 'users', unique: { name: 'users_fax_unique' } });
+  changes.foreignKeysToAdd.push({ table: 'posts', column: 'user_id', references: { table: 'users', column: 'id' } });
+  changes.policiesToModify.push({ table: 'posts', policy: { name: 'own_posts' } });
+
+  const tables = summariseChanges(changes);
+  eq(tables.map(t => t.table), ['posts', 'legacy', 'users'], 'tables in first-seen order');
+  eq(tables[0].items, ['+ table', '+ foreign key user_id → users.id', '~ policy own_posts'], 'posts items');
+  eq(tables[1].items, ['- table'], 'dropped table');
+  eq(tables[2].items, [
+    '+ column phone',
+    '- column fax',
+    '~ column email (nullability)',
+    '+ index users_phone_idx',
+    '- unique users_fax_unique',
+  ], 'users items');
+  eq(summariseChanges(gen._emptyChanges()), [], 'no changes → empty summary');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('describeStatement');
+{
+  eq(describeStatement('CREATE TABLE "users" ("id" serial);'), { table: 'users', item: '+ table' }, 'CREATE TABLE');
+  eq(describeStatement('CREATE TABLE IF NOT EXISTS "app"."items" ("id" int);'), { table: 'items', item: '+ table' }, 'schema-qualified');
+  eq(describeStatement('DROP TABLE `legacy`;'), { table: 'legacy', item: '- table' }, 'DROP TABLE (MySQL)');
+  eq(describeStatement('ALTER TABLE "users" ADD COLUMN "phone" varchar(20);'), { table: 'users', item: '+ column phone' }, 'ADD COLUMN');
+  eq(describeStatement('ALTER TABLE `users` ADD `phone` varchar(20);'), { table: 'users', item: '+ column phone' }, 'MySQL ADD');
+  eq(describeStatement('ALTER TABLE "users" DROP COLUMN "fax";'), { table: 'users', item: '- column fax' }, 'DROP COLUMN');
+  eq(describeStatement('ALTER TABLE "users" ALTER COLUMN "email" SET NOT NULL;'), { table: 'users', item: '~ column email' }, 'ALTER COLUMN');
+  eq(describeStatement('ALTER TABLE `users` MODIFY COLUMN `email` text NOT NULL;'), { table: 'users', item: '~ column email' }, 'MODIFY COLUMN');
+  eq(describeStatement('ALTER TABLE "users" RENAME COLUMN "name" TO "full_name";'), { table: 'users', item: '~ column name renamed to full_name' }, 'RENAME COLUMN');
+  eq(describeStatement('ALTER TABLE "users" RENAME TO "accounts";'), { table: 'users', item: '~ table renamed to accounts' }, 'RENAME TO');
+  eq(describeStatement('ALTER TABLE "posts" ADD CONSTRAINT "posts_user_fk" FOREIGN KEY ("user_id") REFERENCES "users"("id");'),
+    { table: 'posts', item: '+ foreign key posts_user_fk' }, 'ADD CONSTRAINT FOREIGN KEY');
+  eq(describeStatement('ALTER TABLE "users" ADD CONSTRAINT "users_email_unique" UNIQUE("email");'),
+    { table: 'users', item: '+ unique users_email_unique' }, 'ADD CONSTRAINT UNIQUE');
+  eq(describeStatement('ALTER TABLE "posts" DROP CONSTRAINT "posts_user_fk";'), { table: 'posts', item: '- constraint posts_user_fk' }, 'DROP CONSTRAINT');
+  eq(describeStatement('ALTER TABLE `posts` DROP FOREIGN KEY `posts_user_fk`;'), { table: 'posts', item: '- constraint posts_user_fk' }, 'DROP FOREIGN KEY');
+  eq(describeStatement('CREATE UNIQUE INDEX "users_email_idx" ON "users" USING btree ("email");'), { table: 'users', item: '+ index users_email_idx' }, 'CREATE INDEX');
+  eq(describeStatement('DROP INDEX "users_email_idx";'), { table: '(indexes)', item: '- index users_email_idx' }, 'DROP INDEX without table');
+  eq(describeStatement('DROP INDEX `users_email_idx` ON `users`;'), { table: 'users', item: '- index users_email_idx' }, 'DROP INDEX ON table');
+  eq(describeStatement('CREATE POLICY "own_posts" ON "posts" AS PERMISSIVE FOR SELECT;'), { table: 'posts', item: '+ policy own_posts' }, 'CREATE POLICY');
+  eq(describeStatement("CREATE TYPE \"public\".\"status\" AS ENUM('a', 'b');"), { table: '(types)', item: '+ type status' }, 'CREATE TYPE');
+  eq(describeStatement('CREATE SEQUENCE "s";').table, '(other)', 'unrecognised statement');
+}
+
+suite('summariseStatements');
+{
+  const tables = summariseStatements([
+    'ALTER TABLE "users" ADD COLUMN "phone" text;',
+    'CREATE TABLE "posts" ("id" int);',
+    'CREATE INDEX "users_phone_idx" ON "users" ("phone");',
+  ]);
+  eq(tables, [
+    { table: 'users', items: ['+ column phone', '+ index users_phone_idx'] },
+    { table: 'posts', items: ['+ table'] },
+  ], 'grouped per table');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('SchemaDriftCheck.init — engine resolution');
+{
+  const c1 = new SchemaDriftCheck({ config: { diff: {} } });
+  await c1.init();
+  eq(c1.engine, 'custom', 'defaults to custom');
+
+  const c2 = new SchemaDriftCheck({ config: { engine: 'drizzle-kit', diff: {} } });
+  await c2.init();
+  eq(c2.engine, 'drizzle-kit', 'uses config.engine');
+
+  const c3 = new SchemaDriftCheck({ engine: 'custom', config: { engine: 'drizzle-kit', diff: {} } });
+  await c3.init();
+  eq(c3.engine, 'custom', 'CLI flag overrides config');
+
+  let msg = '';
+  try {
+    await new SchemaDriftCheck({ engine: 'prisma', config: { diff: {} } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid engine "prisma"', 'rejects unknown engine');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('SchemaDiffGenerator.computeDiff');
+{
+  const g = new SchemaDiffGenerator({ config: { diff: {} } });
+  g.config = g._configOverride;
+  g.options = {};
+  let wrote = false;
+  g.getDatabaseSchema = async () => ({});
+  g.getDrizzleSchema = async () => ({
+    users: { users: { name: 'users', columns: { id: { name: 'id', type: 'serial', primaryKey: true } }, indexes: [], uniqueConstraints: [], policies: [] } },
+  });
+  g.generateMigrationFile = () => { wrote = true; };
+
+  const { changes, statements, rollbackStatements } = await g.computeDiff();
+  eq(changes.tablesToCreate.map(t => t.name), ['users'], 'detects missing table');
+  assert(statements.some(s => s.includes('CREATE TABLE')), 'generates SQL');
+  assert(rollbackStatements.some(s => s.includes('DROP TABLE')), 'generates rollbacks');
+  assert(!wrote, 'does not write a migration file');
+}
+
+summary();
@@ -0,0 +1,235 @@
+/**
+ * Test 12 — Change Reports
+ *
+ * Unit tests for src/report.mjs and `generate --report json` covering:
+ *   - findDestructiveStatements() — data-destroying statement detection
+ *   - buildChangeReport() — report shape for both engines
+ *   - writeReport() — stdout and file output
+ *   - SchemaDiffGenerator / DrizzleKitEngine run() — returned reports
+ *   - init() — report format validation
+ *
+ * These tests do NOT require a database connection.
+ */
+
+import { existsSync, mkdirSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { buildChangeReport, writeReport, findDestructiveStatements, REPORT_VERSION } from '../src/report.mjs';
+import { SchemaDiffGenerator } from '../src/generate.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test12-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+const changelogPath = join(tmpBase, 'master-changelog.xml');
+mkdirSync(migrationsDir, { recursive: true });
+
+const baseConfig = {
+  schemaDir: '/tmp/fake-schema',
+  schemaIndexFile: 'index.ts',
+  migrationsDir,
+  masterChangelog: changelogPath,
+  timestampFormat: 'YYYYMMDDHHmmss',
+  author: 'test-user',
+  databaseUrl: 'postgresql://localhost:5432/test',
+  diff: {},
+};
+
+function captureStdout(fn) {
+  let captured = '';
+  const originalWrite = process.stdout.write;
+  process.stdout.write = (chunk) => { captured += chunk; return true; };
+  try {
+    return { result: fn(), captured };
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('findDestructiveStatements');
+{
+  const destructive = [
+    'DROP TABLE "legacy";',
+    'DROP TABLE IF EXISTS `legacy`;',
+    'DROP SCHEMA "old" CASCADE;',
+    'TRUNCATE "events";',
+    'DELETE FROM "events" WHERE 1=1;',
+    'ALTER TABLE "users" DROP COLUMN "fax";',
+    'ALTER TABLE `users` DROP `fax`;',
+  ];
+  const safe = [
+    'CREATE TABLE "users" ("id" serial);',
+    'ALTER TABLE "users" ADD COLUMN "phone" text;',
+    'ALTER TABLE "posts" DROP CONSTRAINT "posts_user_fk";',
+    'ALTER TABLE `posts` DROP FOREIGN KEY `posts_user_fk`;',
+    'ALTER TABLE `posts` DROP INDEX `posts_idx`;',
+    'ALTER TABLE "users" ALTER COLUMN "email" DROP NOT NULL;',
+    'ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT;',
+    'DROP INDEX "users_email_idx";',
+    'DROP POLICY "own_posts" ON "posts";',
+  ];
+  for (const sql of destructive) {
+    eq(findDestructiveStatements([sql]), [sql], `destructive: ${sql}`);
+  }
+  for (const sql of safe) {
+    eq(findDestructiveStatements([sql]), [], `safe: ${sql}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('buildChangeReport — drizzle-kit engine');
+{
+  const statements = ['CREATE TABLE "posts" ("id" int);', 'ALTER TABLE "users" DROP COLUMN "fax";'];
+  const rollbacks = ['DROP TABLE IF EXISTS "posts";', '-- manual rollback required'];
+  const report = buildChangeReport({
+    engine: 'drizzle-kit',
+    dialect: 'postgresql',
+    statements,
+    rollbacks,
+    warnings: ['column fax will be dropped'],
+    file: '/tmp/x.sql',
+  });
+
+  eq(report.reportVersion, REPORT_VERSION, 'reportVersion');
+  eq(report.engine, 'drizzle-kit', 'engine');
+  eq(report.dialect, 'postgresql', 'dialect');
+  assert(!Number.isNaN(Date.parse(report.generatedAt)), 'generatedAt is an ISO timestamp');
+  eq(report.file, '/tmp/x.sql', 'file');
+  eq(report.changes, null, 'no change set for drizzle-kit');
+  eq(report.tables, [
+    { table: 'posts', items: ['+ table'] },
+    { table: 'users', items: ['- column fax'] },
+  ], 'tables summarised from SQL');
+  eq(report.statements, statements, 'statements');
+  eq(report.rollbacks, rollbacks, 'rollbacks');
+  eq(report.destructive, [statements[1]], 'destructive statements listed');
+  eq(report.hasDataLoss, true, 'destructive statement implies data loss');
+  eq(report.warnings, ['column fax will be dropped'], 'warnings');
+  eq(report.hints, [], 'hints default to empty');
+  eq(Object.keys(JSON.parse(JSON.stringify(report))), [
+    'reportVersion', 'engine', 'dialect', 'generatedAt', 'file', 'changes', 'tables',
+    'statements', 'rollbacks', 'hasDataLoss', 'destructive', 'warnings', 'hints',
+  ], 'stable key order');
+}
+
+suite('buildChangeReport — custom engine');
+{
+  const gen = new SchemaDiffGenerator({ config: { diff: {} } });
+  const changes = gen._emptyChanges();
+  changes.columnsToAdd.push({ table: 'users', column: 'phone', definition: {} });
+
+  const report = buildChangeReport({
+    engine: 'custom',
+    dialect: 'postgresql',
+    statements: ['ALTER TABLE "users" ADD COLUMN "phone" text;'],
+    rollbacks: ['ALTER TABLE "users" DROP COLUMN IF EXISTS "phone";'],
+    changes,
+  });
+  eq(report.changes, changes, 'change set included');
+  eq(report.tables, [{ table: 'users', items: ['+ column phone'] }], 'tables summarised from change set');
+  eq(report.destructive, [], 'rollbacks are not counted as destructive');
+  eq(report.hasDataLoss, false, 'no data loss');
+  eq(report.file, null, 'file defaults to null');
+
+  eq(buildChangeReport({ engine: 'drizzle-kit', dialect: 'mysql', statements: [], rollbacks: [], hasDataLoss: true }).hasDataLoss,
+    true, 'engine-reported data loss is kept');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('writeReport — stdout and file');
+{
+  const report = buildChangeReport({ engine: 'custom', dialect: 'postgresql', statements: [], rollbacks: [] });
+
+  const { result, captured } = captureStdout(() => writeReport(report));
+  eq(result, null, 'returns null for stdout');
+  eq(JSON.parse(captured), report, 'JSON printed to stdout');
+
+  const target = writeReport(report, { file: 'reports/changes.json', projectRoot: tmpBase });
+  eq(target, join(tmpBase, 'reports', 'changes.json'), 'resolves relative to projectRoot');
+  eq(JSON.parse(readFileSync(target, 'utf-8')), report, 'JSON written to file');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('init — report format validation');
+{
+  let msg = '';
+  try {
+    await new SchemaDiffGenerator({ report: 'yaml', config: { ...baseConfig } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'Unsupported report format "yaml"', 'custom engine rejects unknown format');
+
+  msg = '';
+  try {
+    await new DrizzleKitEngine({ report: 'yaml', config: { ...baseConfig } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'Unsupported report format "yaml"', 'drizzle-kit engine rejects unknown format');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('SchemaDiffGenerator.run — returns and writes the report');
+{
+  const reportFile = join(tmpBase, 'custom-report.json');
+  const g = new SchemaDiffGenerator({ name: 'add_users', report: 'json', reportFile, config: { ...baseConfig } });
+  g.init = async function () { this.config = this._configOverride; this.options = {}; this.migrationsDir = migrationsDir; };
+  g.initDb = async () => {};
+  g.close = async () => {};
+  g.getDatabaseSchema = async () => ({});
+  g.getDrizzleSchema = async () => ({
+    users: { users: { name: 'users', columns: { id: { name: 'id', type: 'serial', primaryKey: true } }, indexes: [], uniqueConstraints: [], policies: [] } },
+  });
+  g.generateMigrationFile = () => join(migrationsDir, 'add_users.sql');
+
+  const report = await g.run();
+  eq(report.engine, 'custom', 'engine');
+  eq(report.file, join(migrationsDir, 'add_users.sql'), 'file of the generated migration');
+  eq(report.tables, [{ table: 'users', items: ['+ table'] }], 'tables');
+  assert(report.statements.some(s => s.includes('CREATE TABLE')), 'statements');
+  assert(existsSync(reportFile), 'report file written');
+  eq(JSON.parse(readFileSync(reportFile, 'utf-8')).file, report.file, 'file matches returned report');
+}
+
+suite('DrizzleKitEngine.run — returns the report');
+{
+  const e = new DrizzleKitEngine({ name: 'drop_fax', report: 'json', reportFile: join(tmpBase, 'dk-report.json'), config: { ...baseConfig } });
+  e.init = async function () { this.config = this._configOverride; this.migrationsDir = migrationsDir; this.dialect = 'postgresql'; };
+  e.computeDiff = async () => ({
+    sqlStatements: ['ALTER TABLE "users" DROP COLUMN "fax";'],
+    removedCount: 0,
+    hasDataLoss: true,
+    warnings: [],
+    hints: [{ hint: 'column fax contains data' }],
+    drizzleKitVersion: 'v1',
+  });
+  e.generateMigrationFile = () => join(migrationsDir, 'drop_fax.sql');
+
+  const report = await e.run();
+  eq(report.engine, 'drizzle-kit', 'engine');
+  eq(report.dialect, 'postgresql', 'dialect');
+  eq(report.file, join(migrationsDir, 'drop_fax.sql'), 'file');
+  eq(report.hasDataLoss, true, 'data loss flagged');
+  eq(report.hints, [{ hint: 'column fax contains data' }], 'hints passed through');
+  eq(report.rollbacks.length, 1, 'rollback paired with statement');
+
+  e.computeDiff = async () => ({ sqlStatements: [], removedCount: 0, hasDataLoss: false, warnings: [], hints: [], drizzleKitVersion: 'v1' });
+  const empty = await e.run();
+  eq(empty.statements, [], 'no changes → empty statements');
+  eq(empty.file, null, 'no changes → no file');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
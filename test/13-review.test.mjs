@@ -0,0 +1,171 @@
+/**
+ * Test 13 — Interactive Review
+ *
+ * Unit tests for src/review.mjs and `generate --review` covering:
+ *   - reviewStatements() — accept / skip / edit / accept all / quit
+ *   - edit fallback to a single-line prompt when no editor is configured
+ *   - SchemaDiffGenerator / DrizzleKitEngine run() — reviewed statements
+ *     are what gets written
+ *
+ * Prompts are scripted through the injectable `ask` / `edit` / `log`
+ * functions. These tests do NOT require a database connection.
+ */
+
+import { reviewStatements } from '../src/review.mjs';
+import { SchemaDiffGenerator } from '../src/generate.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const STATEMENTS = [
+  'CREATE TABLE "posts" ("id" int);',
+  'ALTER TABLE "users" DROP COLUMN "fax";',
+  'CREATE INDEX "posts_idx" ON "posts" ("id");',
+];
+const ROLLBACKS = [
+  'DROP TABLE IF EXISTS "posts";',
+  '-- WARNING: Cannot rollback DROP COLUMN for users.fax',
+  'DROP INDEX IF EXISTS "posts_idx";',
+];
+
+/** Scripted I/O: answers are consumed in order, edits come from `edits`. */
+function scripted(answers, edits = []) {
+  const asked = [];
+  const logged = [];
+  return {
+    asked,
+    logged,
+    io: {
+      ask: async (q) => { asked.push(q); return answers.shift() ?? ''; },
+      edit: () => (edits.length ? edits.shift() : null),
+      log: (line) => logged.push(line),
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('reviewStatements — accept all by default');
+{
+  const { io, logged } = scripted(['', 'a', '']);
+  const r = await reviewStatements(STATEMENTS, ROLLBACKS, io);
+  eq(r.statements, STATEMENTS, 'statements kept');
+  eq(r.rollbacks, ROLLBACKS, 'rollbacks kept');
+  eq(r.skipped, 0, 'none skipped');
+  eq(r.aborted, false, 'not aborted');
+  includes(logged.join('\n'), '[2/3] ALTER TABLE "users" DROP COLUMN "fax";', 'shows position and statement');
+  includes(logged.join('\n'), '↩ rollback: DROP TABLE IF EXISTS "posts";', 'shows paired rollback');
+}
+
+suite('reviewStatements — skip removes the paired rollback');
+{
+  const { io } = scripted(['a', 's', 'a']);
+  const r = await reviewStatements(STATEMENTS, ROLLBACKS, io);
+  eq(r.statements, [STATEMENTS[0], STATEMENTS[2]], 'skipped statement removed');
+  eq(r.rollbacks, [ROLLBACKS[0], ROLLBACKS[2]], 'its rollback removed too');
+  eq(r.skipped, 1, 'skip counted');
+}
+
+suite('reviewStatements — edit statement and rollback');
+{
+  const { io, asked } = scripted(['e', 'r', 'a', 's', 's'], [
+    'CREATE TABLE "posts" ("id" bigint);\n',
+    'DROP TABLE "posts";',
+  ]);
+  const r = await reviewStatements(STATEMENTS, ROLLBACKS, io);
+  eq(r.statements, ['CREATE TABLE "posts" ("id" bigint);'], 'edited statement trimmed');
+  eq(r.rollbacks, ['DROP TABLE "posts";'], 'edited rollback');
+  eq(r.edited, 1, 'edited counted once per pair');
+  eq(r.skipped, 2, 'rest skipped');
+  eq(asked.length, 5, 're-prompts after each edit');
+}
+
+suite('reviewStatements — edit falls back to the prompt without an editor');
+{
+  const { io } = scripted(['e', 'CREATE TABLE "p" ("id" int);', 'a', 'r', '', 'a', 'A']);
+  const r = await reviewStatements(STATEMENTS, ROLLBACKS, io);
+  eq(r.statements[0], 'CREATE TABLE "p" ("id" int);', 'single-line replacement');
+  eq(r.rollbacks[1], ROLLBACKS[1], 'blank keeps current');
+  eq(r.edited, 1, 'unchanged edit not counted');
+  eq(r.statements.length, 3, 'A accepts the remaining statements');
+}
+
+suite('reviewStatements — quit and unknown choices');
+{
+  const { io, logged } = scripted(['a', 'x', 'q']);
+  const r = await reviewStatements(STATEMENTS, ROLLBACKS, io);
+  eq(r.aborted, true, 'q aborts');
+  includes(logged.join('\n'), 'Unknown choice "x"', 'unknown choice reported');
+
+  let msg = '';
+  try {
+    await reviewStatements(['SELECT 1;'], [], scripted([]).io);
+  } catch (e) { msg = e.message; }
+  includes(msg, '1 statement(s) but 0 rollback(s)', 'rejects unpaired input');
+}
+
+suite('reviewStatements — requires a terminal');
+{
+  if (!process.stdin.isTTY) {
+    let msg = '';
+    try {
+      await reviewStatements(STATEMENTS, ROLLBACKS);
+    } catch (e) { msg = e.message; }
+    includes(msg, 'interactive terminal', 'non-TTY stdin rejected');
+  } else {
+    assert(true, 'skipped — running in a terminal');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('SchemaDiffGenerator.run — writes reviewed statements');
+{
+  const g = new SchemaDiffGenerator({ review: true, config: { diff: {} } });
+  g.init = async function () { this.config = this._configOverride; this.options = {}; };
+  g.initDb = async () => {};
+  g.computeDiff = async () => ({ changes: g._emptyChanges(), statements: [...STATEMENTS], rollbackStatements: [...ROLLBACKS] });
+  g.reviewChanges = async (s, rb) => ({ statements: [s[0]], rollbackStatements: [rb[0]], aborted: false });
+  let written = null;
+  g.generateMigrationFile = (s, rb) => { written = { s, rb }; return '/tmp/reviewed.sql'; };
+
+  const report = await g.run();
+  eq(written, { s: [STATEMENTS[0]], rb: [ROLLBACKS[0]] }, 'only accepted pairs written');
+  eq(report.statements, [STATEMENTS[0]], 'report reflects the review');
+
+  written = null;
+  g.reviewChanges = async () => ({ statements: [], rollbackStatements: [], aborted: true });
+  const empty = await g.run();
+  eq(written, null, 'nothing written when review is cancelled');
+  eq(empty.file, null, 'no file');
+}
+
+suite('DrizzleKitEngine.run — writes reviewed statements');
+{
+  const e = new DrizzleKitEngine({ review: true, config: { diff: {} } });
+  e.init = async function () { this.config = this._configOverride; this.dialect = 'postgresql'; };
+  e.computeDiff = async () => ({
+    sqlStatements: [...STATEMENTS], removedCount: 0, hasDataLoss: false, warnings: [], hints: [], drizzleKitVersion: 'v1',
+  });
+  let reviewedInput = null;
+  e.reviewChanges = async (s, rb) => {
+    reviewedInput = { s, rb };
+    return { statements: s.slice(1), rollbackStatements: rb.slice(1), aborted: false };
+  };
+  let written = null;
+  e.generateMigrationFile = (s, rb) => { written = { s, rb }; return '/tmp/reviewed.sql'; };
+
+  await e.run();
+  eq(reviewedInput.s, STATEMENTS, 'reviews buildLiquibaseStatements output');
+  eq(reviewedInput.rb.length, STATEMENTS.length, 'with paired rollbacks');
+  eq(written.s, STATEMENTS.slice(1), 'accepted statements written');
+  eq(written.rb, reviewedInput.rb.slice(1), 'matching rollbacks written');
+
+  written = null;
+  e.reviewChanges = async () => ({ statements: [], rollbackStatements: [], aborted: false });
+  await e.run();
+  eq(written, null, 'nothing written when every statement is skipped');
+}
+
+summary();
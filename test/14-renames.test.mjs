@@ -0,0 +1,290 @@
+/**
+ * Test 14 — Rename Resolution
+ *
+ * Unit tests for src/renames.mjs and the drizzle-kit engine's `renames`
+ * option covering:
+ *   - normaliseRenames() — object / array forms and validation
+ *   - loadRenamesFile() — JSON renames files
+ *   - createRenameResolver() — answering column, table and schema prompts
+ *   - installRenameResolver() — hook install / restore
+ *   - DrizzleKitEngine.init() / createRenameResolver() — config + --renames
+ *   - isRenameHookInstalled() — checks the drizzle-kit/api build that is loaded
+ *   - diff() without projectRoot — a column rename answered from the map by
+ *     the ESM drizzle-kit/api, against a fake introspection
+ *
+ * Prompts are built in the shape the patched drizzle-kit passes to the hook
+ * (`{ entity, table?, created, choices: [created, ...{ from, to }] }`).
+ * These tests do NOT require a database connection.
+ */
+
+import { existsSync, mkdirSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import {
+  RENAME_HOOK,
+  normaliseRenames,
+  loadRenamesFile,
+  createRenameResolver,
+  installRenameResolver,
+  isRenameHookInstalled,
+} from '../src/renames.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { diff } from '../src/api.mjs';
+import { ConfigError } from '../src/errors.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test14-${Date.now()}`);
+mkdirSync(tmpBase, { recursive: true });
+
+const baseConfig = {
+  schemaDir: '/tmp/fake-schema',
+  migrationsDir: join(tmpBase, 'migrations'),
+  masterChangelog: join(tmpBase, 'master-changelog.xml'),
+  databaseUrl: 'postgresql://localhost:5432/test',
+  diff: {},
+};
+
+/** Build a prompt the way drizzle-kit does: created first, then one rename per missing item. */
+function prompt(entity, created, missing, table) {
+  return { entity, table, created, choices: [created, ...missing.map(from => ({ from, to: created }))] };
+}
+
+const col = name => ({ name, type: 'text', primaryKey: false, notNull: false });
+const table = (name, schema = '') => ({ name, schema, columns: {} });
+
+function errorOf(fn) {
+  try { fn(); } catch (e) { return e.message; }
+  return '';
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('normaliseRenames — object and array forms');
+{
+  eq(normaliseRenames(null), [], 'null → no rules');
+  eq(normaliseRenames({ 'users.full_name': 'users.display_name', 'users.fax': null }), [
+    { from: 'users.full_name', to: 'users.display_name' },
+    { from: 'users.fax', to: null },
+  ], 'object form');
+  eq(normaliseRenames(['customers -> clients', ' users.fax->null ', { from: 'a', to: 'b' }]), [
+    { from: 'customers', to: 'clients' },
+    { from: 'users.fax', to: null },
+    { from: 'a', to: 'b' },
+  ], 'array form (strings and objects)');
+}
+
+suite('normaliseRenames — validation');
+{
+  includes(errorOf(() => normaliseRenames(['customers clients'])), 'expected "from -> to"', 'missing arrow');
+  includes(errorOf(() => normaliseRenames({ customers: 42 })), 'Invalid rename target for "customers"', 'non-string target');
+  includes(errorOf(() => normaliseRenames({ customers: '' })), 'Invalid rename target', 'empty target');
+  includes(errorOf(() => normaliseRenames('customers -> clients')), 'renames must be an object', 'bare string');
+  includes(errorOf(() => normaliseRenames([{ to: 'x' }])), 'Invalid rename source', 'missing source');
+}
+
+suite('loadRenamesFile');
+{
+  writeFileSync(join(tmpBase, 'renames.json'), JSON.stringify({ customers: 'clients' }));
+  eq(loadRenamesFile('renames.json', tmpBase), [{ from: 'customers', to: 'clients' }], 'relative to projectRoot');
+
+  includes(errorOf(() => loadRenamesFile('missing.json', tmpBase)), 'Renames file not found', 'missing file');
+  writeFileSync(join(tmpBase, 'broken.json'), '{ customers: ');
+  includes(errorOf(() => loadRenamesFile('broken.json', tmpBase)), 'Could not parse renames file', 'invalid JSON');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('createRenameResolver — columns');
+{
+  const resolve = createRenameResolver(normaliseRenames({
+    'users.full_name': 'users.display_name',
+    'users.fax': null,
+  }));
+  const fullName = col('full_name');
+  const fax = col('fax');
+
+  const renamed = resolve(prompt('column', col('display_name'), [fullName, fax], 'users'));
+  eq(renamed.status, 'submitted', 'hanji result shape');
+  eq(renamed.data.from, fullName, 'declared rename chosen');
+
+  const created = resolve(prompt('column', col('phone'), [fax], 'users'));
+  eq(created.data.name, 'phone', 'dropped candidate → created');
+
+  const elsewhere = resolve(prompt('column', col('nickname'), [fullName], 'users'));
+  eq(elsewhere.data.name, 'nickname', 'candidate renamed to something else → created');
+
+  const msg = errorOf(() => resolve(prompt('column', col('phone'), [col('mobile')], 'users')));
+  includes(msg, 'Unresolved column rename: "users.phone" is new and "users.mobile" is gone', 'unresolved ambiguity');
+  includes(msg, '"users.mobile": "users.phone"', 'suggests the rename entry');
+  includes(msg, '"users.mobile": null', 'suggests the dropped entry');
+
+  includes(errorOf(() => resolve(prompt('column', col('display_name'), [fullName], 'accounts'))),
+    'accounts.display_name', 'rules are scoped to their table');
+}
+
+suite('createRenameResolver — tables and schemas');
+{
+  const resolve = createRenameResolver(normaliseRenames([
+    'customers -> clients',
+    'public.orders -> billing.orders',
+  ]));
+
+  const customers = table('customers');
+  eq(resolve(prompt('table', table('clients'), [customers])).data.from, customers, 'unqualified table rename');
+
+  const orders = table('orders');
+  eq(resolve(prompt('table', table('orders', 'billing'), [orders])).data.from, orders, 'schema move (public → billing)');
+
+  includes(errorOf(() => resolve(prompt('table', table('invoices'), [table('bills')]))),
+    'Unresolved table rename: "public.invoices" is new and "public.bills" is gone', 'unresolved table');
+
+  const schemaResolve = createRenameResolver(normaliseRenames({ app: 'core' }));
+  const app = { name: 'app' };
+  eq(schemaResolve(prompt('schema', { name: 'core' }, [app])).data.from, app, 'schema rename');
+}
+
+suite('installRenameResolver — install and restore');
+{
+  const first = () => 'first';
+  const restoreFirst = installRenameResolver(first);
+  eq(globalThis[RENAME_HOOK], first, 'hook installed');
+
+  const restoreSecond = installRenameResolver(() => 'second');
+  restoreSecond();
+  eq(globalThis[RENAME_HOOK], first, 'nested install restores the previous hook');
+
+  restoreFirst();
+  assert(!(RENAME_HOOK in globalThis), 'hook removed');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('DrizzleKitEngine.init — renames from config and --renames');
+{
+  const none = new DrizzleKitEngine({ config: { ...baseConfig } });
+  await none.init();
+  eq(none.renames, null, 'no map → interactive prompts as before');
+
+  const merged = new DrizzleKitEngine({
+    projectRoot: tmpBase,
+    renamesFile: 'renames.json',
+    config: { ...baseConfig, renames: { 'users.fax': null } },
+  });
+  await merged.init();
+  eq(merged.renames, [
+    { from: 'users.fax', to: null },
+    { from: 'customers', to: 'clients' },
+  ], 'config entries then file entries');
+
+  const empty = new DrizzleKitEngine({ config: { ...baseConfig, renames: {} } });
+  await empty.init();
+  eq(empty.renames, [], 'empty map still disables prompting');
+
+  let msg = '';
+  try {
+    await new DrizzleKitEngine({ config: { ...baseConfig, renames: { customers: 1 } } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid rename target', 'invalid config map rejected');
+}
+
+suite('DrizzleKitEngine.createRenameResolver — prerequisites');
+{
+  const e = new DrizzleKitEngine({ projectRoot: tmpBase, config: { ...baseConfig, renames: { customers: 'clients' } } });
+  await e.init();
+
+  let msg = '';
+  let error = null;
+  try { e.createRenameResolver('v1'); } catch (err) { error = err; msg = err.message; }
+  includes(msg, 'not supported with the drizzle-kit v1 API', 'v1 API rejected');
+  assert(error instanceof ConfigError, 'as a ConfigError');
+
+  // tmpBase gets an unpatched drizzle-kit of its own
+  const kitDir = join(tmpBase, 'node_modules', 'drizzle-kit');
+  mkdirSync(kitDir, { recursive: true });
+  writeFileSync(join(kitDir, 'package.json'), JSON.stringify({ name: 'drizzle-kit', exports: { './api': './api.js' } }));
+  writeFileSync(join(kitDir, 'api.js'), 'exports.pushSchema = async () => ({});\n');
+  msg = '';
+  error = null;
+  try { e.createRenameResolver('v0'); } catch (err) { error = err; msg = err.message; }
+  includes(msg, 'rename hook, which is not installed', 'missing patch reported');
+  assert(error instanceof ConfigError, 'as a ConfigError');
+  includes(msg, 'scripts/patch-drizzle-kit.mjs', 'tells how to install it');
+  rmSync(join(tmpBase, 'node_modules'), { recursive: true, force: true });
+}
+
+suite('isRenameHookInstalled — the build that is loaded');
+{
+  // Without a project drizzle-kit, import() loads this package's api.mjs
+  assert(isRenameHookInstalled(null), 'api.mjs patched (see scripts/patch-drizzle-kit.mjs)');
+  assert(isRenameHookInstalled(tmpBase), 'project without drizzle-kit falls back the same way');
+}
+
+suite('diff() — renames through the ESM drizzle-kit/api, no projectRoot');
+{
+  // The schema imports drizzle-orm, so give its folder the package's node_modules
+  const packageRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+  const projectDir = join(tmpBase, 'kit-project');
+  mkdirSync(join(projectDir, 'schema'), { recursive: true });
+  symlinkSync(join(packageRoot, 'node_modules'), join(projectDir, 'node_modules'), 'dir');
+  writeFileSync(join(projectDir, 'schema', 'index.ts'), `import { pgTable, integer, text } from 'drizzle-orm/pg-core'
+
+export const users = pgTable('users', {
+  id: integer('id').primaryKey(),
+  phone: text('phone'),
+})
+`);
+
+  // The database holds users(id, fax); every other introspection query is empty
+  const columns = [
+    { table_name: 'users', column_name: 'id', data_type: 'integer', is_nullable: 'NO', additional_dt: 'integer' },
+    { table_name: 'users', column_name: 'fax', data_type: 'text', is_nullable: 'YES', additional_dt: 'text' },
+  ];
+  const fakeDb = {
+    execute: async (query) => {
+      const text = query.queryChunks.flatMap(chunk => chunk.value ?? []).join('');
+      if (text.includes('AS rls_enabled')) return { rows: [{ table_schema: 'public', table_name: 'users', type: 'table', rls_enabled: false }] };
+      if (text.includes('a.attname AS column_name')) return { rows: columns };
+      return { rows: [] };
+    },
+  };
+  const { createDatabaseConnection } = DrizzleKitEngine.prototype;
+  DrizzleKitEngine.prototype.createDatabaseConnection = async () => ({ db: fakeDb, cleanup: async () => {}, databaseName: 'test' });
+
+  let timer;
+  const prompted = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('drizzle-kit prompted instead of using the rename hook')), 20000);
+  });
+  let report = null;
+  let msg = '';
+  try {
+    report = await Promise.race([
+      diff({
+        engine: 'drizzle-kit',
+        config: { ...baseConfig, schemaDir: join(projectDir, 'schema'), renames: { 'users.fax': 'users.phone' } },
+      }),
+      prompted,
+    ]);
+  } catch (err) {
+    msg = err.message;
+  } finally {
+    clearTimeout(timer);
+    DrizzleKitEngine.prototype.createDatabaseConnection = createDatabaseConnection;
+  }
+  eq(msg, '', 'no prompt, no error');
+  const statements = report?.statements ?? [];
+  assert(statements.includes('ALTER TABLE "users" RENAME COLUMN "fax" TO "phone";'), 'answered as a rename from the map');
+  assert(!statements.some(s => /DROP COLUMN|ADD COLUMN/.test(s)), 'no drop + add');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
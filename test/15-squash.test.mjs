@@ -0,0 +1,307 @@
+/**
+ * Test 15 — Squash
+ *
+ * Unit tests for src/squash.mjs covering:
+ *   - planSquash() — range selection, whole-file and SQL-only guards
+ *   - collectSquashStatements() — statement order and reversed rollbacks
+ *   - markRanPrecondition() — tracking table per dialect, quoting
+ *   - rewriteChangelogIncludes() — includes replaced in place
+ *   - MigrationSquash — --to by file and by tag, --dry-run, --no-precondition
+ *
+ * Migrations live in a temp directory. These tests do NOT require a
+ * database connection — tag lookup is stubbed.
+ */
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  planSquash,
+  collectSquashStatements,
+  markRanPrecondition,
+  rewriteChangelogIncludes,
+  MigrationSquash,
+} from '../src/squash.mjs';
+import { readChangelogIncludes, loadChangesets, parseFormattedSql } from '../src/changelog.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test15-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+const masterChangelog = join(tmpBase, 'master-changelog.xml');
+
+const BREAK = 'splitStatements:false endDelimiter:--> statement-breakpoint';
+
+const FILES = {
+  '20250101090000_create_users.sql': `--liquibase formatted sql
+
+--changeset jane:create_users ${BREAK}
+
+CREATE TABLE "users" ("id" serial PRIMARY KEY, "name" text);
+--> statement-breakpoint
+
+CREATE INDEX "users_name_idx" ON "users" ("name");
+--> statement-breakpoint
+
+--rollback DROP INDEX IF EXISTS "users_name_idx";
+--rollback --> statement-breakpoint
+--rollback DROP TABLE IF EXISTS "users";
+--rollback --> statement-breakpoint
+`,
+  '20250102090000_add_posts.sql': `--liquibase formatted sql
+
+--changeset jane:add_posts ${BREAK}
+
+CREATE TABLE "posts" ("id" serial PRIMARY KEY);
+--> statement-breakpoint
+
+--rollback DROP TABLE IF EXISTS "posts";
+--rollback --> statement-breakpoint
+
+--changeset jane:seed_posts runAlways:true
+
+INSERT INTO "posts" DEFAULT VALUES;
+
+--rollback -- Manual rollback required
+`,
+  '20250103090000_drop_name.sql': `--liquibase formatted sql
+
+--changeset o'neil:drop_name ${BREAK}
+
+ALTER TABLE "users" DROP COLUMN "name";
+--> statement-breakpoint
+
+--rollback -- Manual rollback required
+`,
+};
+
+function changelogXml(files) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+    xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+
+    <!-- Include all SQL migration files in chronological order -->
+${files.map(f => `    <include file="migrations/${f}"/>`).join('\n')}
+</databaseChangeLog>
+`;
+}
+
+function resetFixture() {
+  rmSync(tmpBase, { recursive: true, force: true });
+  mkdirSync(migrationsDir, { recursive: true });
+  for (const [file, content] of Object.entries(FILES)) writeFileSync(join(migrationsDir, file), content);
+  writeFileSync(masterChangelog, changelogXml(Object.keys(FILES)));
+}
+
+const config = {
+  migrationsDir,
+  masterChangelog,
+  databaseUrl: 'postgresql://localhost:5432/test',
+  author: 'squasher',
+  timestampFormat: 'YYYYMMDDHHmmss',
+};
+
+/** Run with console.log / warn captured; returns { result, output }. */
+async function captured(fn) {
+  const lines = [];
+  const original = { log: console.log, warn: console.warn };
+  console.log = (...args) => lines.push(args.join(' '));
+  console.warn = (...args) => lines.push(args.join(' '));
+  try {
+    const result = await fn();
+    return { result, output: lines.join('\n') };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+function errorOf(fn) {
+  try { fn(); } catch (e) { return e.message; }
+  return '';
+}
+
+resetFixture();
+const allIncludes = readChangelogIncludes(masterChangelog);
+const allChangesets = loadChangesets(masterChangelog);
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('planSquash — range');
+{
+  const plan = planSquash(allIncludes, allChangesets, allChangesets.slice(0, 3));
+  eq(plan.includes.map(i => i.file), [
+    'migrations/20250101090000_create_users.sql',
+    'migrations/20250102090000_add_posts.sql',
+  ], 'first include through the target file');
+  eq(plan.changesets.map(cs => cs.id), ['create_users', 'add_posts', 'seed_posts'], 'every changeset in range');
+  eq(plan.warnings.length, 1, 'one warning');
+  includes(plan.warnings[0], 'jane:seed_posts — runAlways no longer applies', 'dropped attribute reported');
+}
+
+suite('planSquash — guards');
+{
+  includes(errorOf(() => planSquash(allIncludes, allChangesets, allChangesets.slice(0, 2))),
+    'jane:add_posts is not the last changeset in migrations/20250102090000_add_posts.sql', 'mid-file target rejected');
+  includes(errorOf(() => planSquash(allIncludes, allChangesets, allChangesets.slice(0, 1))),
+    'Nothing to squash', 'single file rejected');
+
+  const withXml = [{ file: 'migrations/legacy.xml', path: '/x/legacy.xml' }, ...allIncludes];
+  includes(errorOf(() => planSquash(withXml, allChangesets, allChangesets.slice(0, 1))),
+    'range includes migrations/legacy.xml', 'non-SQL include rejected');
+}
+
+suite('collectSquashStatements');
+{
+  const { statements, rollbackStatements } = collectSquashStatements(allChangesets);
+  eq(statements, [
+    'CREATE TABLE "users" ("id" serial PRIMARY KEY, "name" text);',
+    'CREATE INDEX "users_name_idx" ON "users" ("name");',
+    'CREATE TABLE "posts" ("id" serial PRIMARY KEY);',
+    'INSERT INTO "posts" DEFAULT VALUES;',
+    'ALTER TABLE "users" DROP COLUMN "name";',
+  ], 'forward statements in changelog order');
+  eq(rollbackStatements, [
+    'DROP TABLE IF EXISTS "users";',
+    'DROP INDEX IF EXISTS "users_name_idx";',
+    'DROP TABLE IF EXISTS "posts";',
+    '-- Manual rollback required: jane:seed_posts',
+    "-- Manual rollback required: o'neil:drop_name",
+  ], 'rollbacks in forward order, manual ones marked');
+
+  const multiLine = parseFormattedSql(`--liquibase formatted sql
+--changeset a:b
+CREATE TABLE t (id int);
+--rollback DROP TABLE
+--rollback   t;
+--changeset a:c
+SELECT 1;
+--rollback empty
+`).changesets;
+  const collected = collectSquashStatements(multiLine);
+  eq(collected.rollbackStatements, ['DROP TABLE t;'], 'multi-line rollback joined, "empty" skipped');
+}
+
+suite('markRanPrecondition');
+{
+  const pg = markRanPrecondition({ id: 'drop_name', author: "o'neil" }, 'postgresql');
+  includes(pg, '--preconditions onFail:MARK_RAN', 'MARK_RAN');
+  includes(pg, "FROM databasechangelog WHERE ID = 'drop_name' AND AUTHOR = 'o''neil'", 'lower-case table, quoted author');
+  includes(markRanPrecondition({ id: 'x', author: 'y' }, 'mysql'), 'FROM DATABASECHANGELOG', 'upper-case table on MySQL');
+}
+
+suite('rewriteChangelogIncludes');
+{
+  const xml = changelogXml(['a.sql', 'b.sql', 'c.sql']);
+  const out = rewriteChangelogIncludes(xml, ['migrations/a.sql', 'migrations/b.sql'], 'migrations/base.sql');
+  includes(out, '    <include file="migrations/base.sql"/>\n    <include file="migrations/c.sql"/>\n</databaseChangeLog>',
+    'replaced in place, later includes kept');
+  assert(!out.includes('a.sql') && !out.includes('b.sql'), 'squashed includes removed');
+  includes(out, '<!-- Include all SQL migration files', 'rest of the file untouched');
+
+  includes(errorOf(() => rewriteChangelogIncludes(xml, ['migrations/zzz.sql'], 'x.sql')),
+    'Include for migrations/zzz.sql not found', 'missing include reported');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('MigrationSquash.init — guards');
+{
+  let msg = '';
+  try { await new MigrationSquash({ config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'squash needs --to', '--to required');
+
+  msg = '';
+  try { await new MigrationSquash({ to: 'x', name: 'bad name', config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid name "bad name"', 'name validated');
+
+  msg = '';
+  try { await new MigrationSquash({ to: 'x', dialect: 'oracle', config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid dialect "oracle"', 'dialect validated');
+}
+
+suite('MigrationSquash.run — --dry-run writes nothing');
+{
+  resetFixture();
+  const before = readFileSync(masterChangelog, 'utf-8');
+  const { result, output } = await captured(() =>
+    new MigrationSquash({ to: '20250102090000_add_posts.sql', dryRun: true, config }).run()
+  );
+  eq(result.file, null, 'no file');
+  eq(result.include, 'migrations/20250102090000_squashed_baseline.sql', 'named after the last squashed file');
+  includes(output, 'Squashing 2 file(s), 3 changeset(s)', 'plan summary');
+  includes(output, 'runAlways no longer applies', 'warning printed');
+  eq(readFileSync(masterChangelog, 'utf-8'), before, 'changelog untouched');
+  assert(!existsSync(join(migrationsDir, '20250102090000_squashed_baseline.sql')), 'baseline not written');
+}
+
+suite('MigrationSquash.run — writes baseline and rewrites changelog');
+{
+  resetFixture();
+  const { result, output } = await captured(() =>
+    new MigrationSquash({ to: 'drop_name', config }).run()
+  );
+  const content = readFileSync(result.file, 'utf-8');
+  includes(content, `--changeset squasher:squashed_baseline ${BREAK}\n--comment: Squashed 4 changeset(s)`, 'header with comment');
+  includes(content, "--preconditions onFail:MARK_RAN\n--precondition-sql-check expectedResult:0 SELECT COUNT(*) FROM databasechangelog WHERE ID = 'drop_name'",
+    'MARK_RAN precondition on the last changeset');
+  includes(content, 'CREATE TABLE "users" ("id" serial PRIMARY KEY, "name" text);\n--> statement-breakpoint', 'PG delimiter kept');
+  assert(content.indexOf('--rollback DROP TABLE IF EXISTS "posts"') < content.indexOf('--rollback DROP TABLE IF EXISTS "users"'),
+    'later changesets roll back first');
+
+  const parsed = parseFormattedSql(content).changesets;
+  eq(parsed.length, 1, 'a single changeset');
+  eq(parsed[0].preconditions.length, 2, 'precondition lines parse');
+
+  eq(readChangelogIncludes(masterChangelog).map(i => i.file), ['migrations/20250103090000_squashed_baseline.sql'],
+    'changelog includes only the baseline');
+  assert(existsSync(join(migrationsDir, '20250101090000_create_users.sql')), 'old files left on disk');
+  includes(output, 'MARK_RAN on their next update', 'precondition guidance');
+}
+
+suite('MigrationSquash.run — --no-precondition prints changelogSync guidance');
+{
+  resetFixture();
+  const { result, output } = await captured(() =>
+    new MigrationSquash({ to: 'jane:seed_posts', name: 'v2_baseline', precondition: false, config }).run()
+  );
+  const content = readFileSync(result.file, 'utf-8');
+  assert(!content.includes('--precondition'), 'no precondition');
+  includes(output, 'baseline --to 20250102090000_v2_baseline.sql', 'baseline step suggested');
+  includes(output, 'changelogSync', 'changelogSync mentioned');
+  eq(readChangelogIncludes(masterChangelog).map(i => i.file), [
+    'migrations/20250102090000_v2_baseline.sql',
+    'migrations/20250103090000_drop_name.sql',
+  ], 'later migrations still included after the baseline');
+}
+
+suite('MigrationSquash.selectTarget — tags');
+{
+  resetFixture();
+  const squash = new MigrationSquash({ to: 'release-1', config });
+  await squash.init();
+  squash.findTaggedChangeset = async () => ({ id: 'seed_posts', author: 'jane', filename: 'migrations/20250102090000_add_posts.sql' });
+  const selected = await squash.selectTarget(allChangesets);
+  eq(selected.map(cs => cs.id), ['create_users', 'add_posts', 'seed_posts'], 'tag resolved through DATABASECHANGELOG');
+
+  squash.findTaggedChangeset = async () => null;
+  let msg = '';
+  try { await squash.selectTarget(allChangesets); } catch (e) { msg = e.message; }
+  includes(msg, '"release-1" is not a migration file, changeset or tag', 'unknown tag');
+
+  const offline = new MigrationSquash({ to: 'release-1', config: { ...config, databaseUrl: null } });
+  await offline.init();
+  msg = '';
+  try { await offline.selectTarget(allChangesets); } catch (e) { msg = e.message; }
+  includes(msg, 'no database configured to look it up as a tag', 'tag lookup needs a database');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
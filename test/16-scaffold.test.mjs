@@ -0,0 +1,137 @@
+/**
+ * Test 16 — Empty Migration Scaffold
+ *
+ * Unit tests for src/scaffold.mjs covering:
+ *   - renderEmptyMigration() — header and delimiter per dialect
+ *   - MigrationScaffold.init() — name / dialect validation
+ *   - MigrationScaffold.run() — filename, author, changelog registration
+ *
+ * Files are written to a temp directory. These tests do NOT require a
+ * database connection.
+ */
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { renderEmptyMigration, MigrationScaffold } from '../src/scaffold.mjs';
+import { parseFormattedSql, readChangelogIncludes } from '../src/changelog.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test16-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+const masterChangelog = join(tmpBase, 'master-changelog.xml');
+mkdirSync(tmpBase, { recursive: true });
+
+const config = {
+  migrationsDir,
+  masterChangelog,
+  databaseUrl: 'postgresql://localhost:5432/test',
+  author: 'jane',
+  timestampFormat: 'YYYYMMDDHHmmss',
+};
+
+/** Run with console.log captured; returns { result, output }. */
+async function captured(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    const result = await fn();
+    return { result, output: lines.join('\n') };
+  } finally {
+    console.log = original;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('renderEmptyMigration — PostgreSQL');
+{
+  const content = renderEmptyMigration({ dialect: 'postgresql', author: 'jane', changesetName: 'backfill_user_slugs' });
+  includes(content, '--changeset jane:backfill_user_slugs splitStatements:false endDelimiter:--> statement-breakpoint', 'custom delimiter header');
+  includes(content, '--rollback -- Manual rollback required', 'placeholder rollback');
+
+  const { formatted, changesets } = parseFormattedSql(content);
+  assert(formatted, 'formatted SQL marker');
+  eq(changesets.length, 1, 'one changeset');
+  eq(changesets[0].attributes.endDelimiter, '--> statement-breakpoint', 'endDelimiter parses');
+  assert(!/-->\s*statement-breakpoint/.test(changesets[0].body), 'no stray delimiter in the body');
+}
+
+suite('renderEmptyMigration — MySQL / SQLite / SingleStore');
+{
+  for (const dialect of ['mysql', 'sqlite', 'singlestore']) {
+    const content = renderEmptyMigration({ dialect, author: 'jane', changesetName: 'seed' });
+    const [cs] = parseFormattedSql(content).changesets;
+    eq(cs.attributes, {}, `${dialect}: plain header`);
+    assert(!content.includes('statement-breakpoint'), `${dialect}: no breakpoints`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('MigrationScaffold.init — guards');
+{
+  let msg = '';
+  try { await new MigrationScaffold({ config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Migration name is required', 'name required');
+
+  msg = '';
+  try { await new MigrationScaffold({ name: 'fix slugs', config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid migration name "fix slugs"', 'name validated');
+
+  msg = '';
+  try { await new MigrationScaffold({ name: 'x', dialect: 'oracle', config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid dialect "oracle"', 'dialect validated');
+
+  const s = new MigrationScaffold({ name: 'x', config: { ...config, databaseUrl: 'mysql://localhost/app' } });
+  await s.init();
+  eq(s.dialect, 'mysql', 'dialect detected from the URL');
+}
+
+suite('MigrationScaffold.run — writes and registers the file');
+{
+  const { result: filepath, output } = await captured(() =>
+    new MigrationScaffold({ name: 'backfill_user_slugs', config }).run()
+  );
+  assert(/[\\/]\d{14}_backfill_user_slugs\.sql$/.test(filepath), 'named with timestampFormat');
+  assert(existsSync(filepath), 'file written (migrations dir created)');
+  includes(readFileSync(filepath, 'utf-8'), '--changeset jane:backfill_user_slugs splitStatements:false', 'configured author');
+  includes(output, 'Created master changelog', 'master changelog created');
+
+  const filename = filepath.split(/[\\/]/).pop();
+  eq(readChangelogIncludes(masterChangelog).map(i => i.file), [`migrations/${filename}`], 'included in the changelog');
+}
+
+suite('MigrationScaffold.run — custom timestampFormat, existing changelog');
+{
+  writeFileSync(masterChangelog, `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog>
+    <include file="migrations/20200101000000_init.sql"/>
+</databaseChangeLog>
+`);
+  const { result: filepath } = await captured(() =>
+    new MigrationScaffold({
+      name: 'seed_roles',
+      dialect: 'sqlite',
+      config: { ...config, timestampFormat: 'YYYYMMDDHHmmssSSS' },
+    }).run()
+  );
+  assert(/[\\/]\d{17}_seed_roles\.sql$/.test(filepath), 'millisecond timestamp');
+  const files = readChangelogIncludes(masterChangelog).map(i => i.file);
+  eq(files.length, 2, 'appended to the existing includes');
+  eq(files[0], 'migrations/20200101000000_init.sql', 'sorted after older migrations');
+  assert(!readFileSync(filepath, 'utf-8').includes('endDelimiter'), 'SQLite header');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
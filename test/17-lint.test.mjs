@@ -0,0 +1,244 @@
+/**
+ * Test 17 — Migration Lint
+ *
+ * Unit tests for src/lint.mjs covering:
+ *   - lintMigration() — each rule, per dialect
+ *   - applyRuleSeverities() — overrides, 'off', validation
+ *   - MigrationLint — migrationsDir vs explicit files, text / JSON output,
+ *     exit codes and --strict
+ *
+ * Files are written to a temp directory. These tests do NOT require a
+ * database connection.
+ */
+
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { lintMigration, applyRuleSeverities, MigrationLint, LINT_EXIT_CODES, LINT_RULES } from '../src/lint.mjs';
+import { renderEmptyMigration } from '../src/scaffold.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test17-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+mkdirSync(migrationsDir, { recursive: true });
+
+const BREAK = 'splitStatements:false endDelimiter:--> statement-breakpoint';
+
+const GOOD_PG = `--liquibase formatted sql
+
+--changeset jane:add_posts ${BREAK}
+
+CREATE TABLE "posts" ("id" serial PRIMARY KEY);
+--> statement-breakpoint
+
+--rollback DROP TABLE IF EXISTS "posts";
+--rollback --> statement-breakpoint
+`;
+
+const config = {
+  migrationsDir,
+  masterChangelog: join(tmpBase, 'master-changelog.xml'),
+  databaseUrl: 'postgresql://localhost:5432/test',
+};
+
+const rulesOf = findings => findings.map(f => f.rule);
+
+/** Run with stdout / console.log captured; returns { result, output }. */
+async function captured(fn) {
+  let output = '';
+  const originalWrite = process.stdout.write;
+  const originalLog = console.log;
+  process.stdout.write = (chunk) => { output += chunk; return true; };
+  console.log = (...args) => { output += args.join(' ') + '\n'; };
+  try {
+    return { result: await fn(), output };
+  } finally {
+    process.stdout.write = originalWrite;
+    console.log = originalLog;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('lintMigration — clean files');
+{
+  eq(lintMigration(GOOD_PG, { file: 'a.sql', dialect: 'postgresql' }), [], 'generated PostgreSQL file is clean');
+
+  const engine = new DrizzleKitEngine({ config: {} });
+  engine.dialect = 'mysql';
+  const mysql = engine.formatMigrationContent(['CREATE TABLE `t` (`id` int);'], ['DROP TABLE `t`;'], {
+    author: 'jane', changesetName: 't',
+  });
+  eq(lintMigration(mysql, { file: 'b.sql', dialect: 'mysql' }), [], 'generated MySQL file is clean');
+
+  const empty = `--liquibase formatted sql\n--changeset jane:noop ${BREAK}\nSELECT 1;\n--rollback empty\n`;
+  eq(lintMigration(empty, { file: 'c.sql', dialect: 'postgresql' }), [], '--rollback empty accepted');
+}
+
+suite('lintMigration — not-formatted');
+{
+  const plain = lintMigration('CREATE TABLE t (id int);', { file: 'x.sql', dialect: 'postgresql' });
+  eq(rulesOf(plain), ['not-formatted'], 'missing marker');
+  includes(plain[0].message, '--liquibase formatted sql', 'says what is missing');
+
+  const none = lintMigration('--liquibase formatted sql\n\nSELECT 1;', { file: 'x.sql', dialect: 'postgresql' });
+  includes(none[0].message, 'no --changeset', 'no changesets');
+}
+
+suite('lintMigration — rollbacks');
+{
+  const missing = lintMigration(GOOD_PG.replace(/--rollback.*\n/g, ''), { file: 'a.sql', dialect: 'postgresql' });
+  eq(rulesOf(missing), ['missing-rollback'], 'no --rollback lines');
+  eq(missing[0].line, 3, 'reported on the changeset header');
+  eq(missing[0].changeset, 'jane:add_posts', 'changeset id');
+  eq(missing[0].severity, 'error', 'error by default');
+
+  const scaffolded = renderEmptyMigration({ dialect: 'postgresql', author: 'jane', changesetName: 'backfill' });
+  const manual = lintMigration(scaffolded, { file: 'b.sql', dialect: 'postgresql' });
+  eq(rulesOf(manual), ['manual-rollback'], '`new` placeholder flagged');
+  includes(manual[0].message, 'only a comment', 'comment-only rollback');
+
+  const partial = GOOD_PG.replace('--rollback --> statement-breakpoint',
+    '--rollback --> statement-breakpoint\n--rollback -- WARNING: Cannot rollback DROP COLUMN for users.fax');
+  const partialFindings = lintMigration(partial, { file: 'c.sql', dialect: 'postgresql' });
+  eq(rulesOf(partialFindings), ['manual-rollback'], 'engine placeholder among real rollbacks');
+  includes(partialFindings[0].message, 'incomplete', 'partial rollback');
+}
+
+suite('lintMigration — DO $$ blocks in rollbacks');
+{
+  // Function replacements — '$$' in a replacement string collapses to '$'
+  const doBlock = GOOD_PG.replace('--rollback DROP TABLE IF EXISTS "posts";', () => [
+    '--rollback DO $$ BEGIN',
+    '--rollback  ALTER TABLE "posts" DROP CONSTRAINT IF EXISTS "posts_fk";',
+    '--rollback EXCEPTION WHEN undefined_object THEN null;',
+    '--rollback END $$;',
+  ].join('\n'));
+  eq(rulesOf(lintMigration(doBlock, { file: 'a.sql', dialect: 'postgresql' })), ['do-block-rollback'], 'rollback DO block');
+
+  const forward = GOOD_PG.replace('CREATE TABLE', () => 'DO $$ BEGIN NULL; END $$;\n--> statement-breakpoint\nCREATE TABLE');
+  eq(lintMigration(forward, { file: 'b.sql', dialect: 'postgresql' }), [], 'forward DO block is fine');
+}
+
+suite('lintMigration — delimiters per dialect');
+{
+  const plainHeader = GOOD_PG.replace(` ${BREAK}`, '');
+  const pg = lintMigration(plainHeader, { file: 'a.sql', dialect: 'postgresql' });
+  eq(rulesOf(pg), ['missing-end-delimiter'], 'PostgreSQL without endDelimiter');
+  includes(pg[0].message, BREAK, 'names the expected header');
+
+  for (const dialect of ['mysql', 'sqlite', 'singlestore']) {
+    eq(rulesOf(lintMigration(GOOD_PG, { file: 'b.sql', dialect })), ['unexpected-delimiter'], `${dialect} with PG delimiter`);
+  }
+  const bodyOnly = `--liquibase formatted sql\n--changeset jane:t\nCREATE TABLE t (id int);\n--> statement-breakpoint\n--rollback DROP TABLE t;\n`;
+  eq(rulesOf(lintMigration(bodyOnly, { file: 'c.sql', dialect: 'sqlite' })), ['unexpected-delimiter'], 'breakpoint in the body only');
+}
+
+suite('lintMigration — destructive statements');
+{
+  const drop = GOOD_PG
+    .replace('CREATE TABLE "posts" ("id" serial PRIMARY KEY);', 'ALTER TABLE "users" DROP COLUMN "fax";\n--> statement-breakpoint\nDROP TABLE "legacy";')
+    .replace('DROP TABLE IF EXISTS "posts";', '-- Manual rollback required: recreate dropped table');
+  const findings = lintMigration(drop, { file: 'a.sql', dialect: 'postgresql' });
+  eq(rulesOf(findings), ['manual-rollback', 'destructive-statement', 'destructive-statement'], 'one finding per statement');
+  includes(findings[1].message, 'DROP COLUMN "fax"', 'statement previewed');
+  eq(findings[1].severity, 'warning', 'warning by default');
+
+  const index = GOOD_PG.replace('CREATE TABLE "posts" ("id" serial PRIMARY KEY);', 'ALTER TABLE "posts" DROP CONSTRAINT "posts_fk";');
+  eq(lintMigration(index, { file: 'b.sql', dialect: 'postgresql' }), [], 'DROP CONSTRAINT is not destructive');
+}
+
+suite('applyRuleSeverities');
+{
+  const findings = [
+    { rule: 'destructive-statement', severity: 'warning' },
+    { rule: 'manual-rollback', severity: 'warning' },
+  ];
+  eq(applyRuleSeverities(findings, { 'destructive-statement': 'error', 'manual-rollback': 'off' }),
+    [{ rule: 'destructive-statement', severity: 'error' }], 'raised and disabled');
+  eq(applyRuleSeverities(findings), findings, 'defaults kept');
+
+  let msg = '';
+  try { applyRuleSeverities([], { 'no-such-rule': 'error' }); } catch (e) { msg = e.message; }
+  includes(msg, 'Unknown lint rule "no-such-rule"', 'unknown rule');
+  msg = '';
+  try { applyRuleSeverities([], { 'missing-rollback': 'fatal' }); } catch (e) { msg = e.message; }
+  includes(msg, 'Invalid severity "fatal"', 'invalid severity');
+  eq(Object.keys(LINT_RULES).length, 7, 'seven rules');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+writeFileSync(join(migrationsDir, '20250101000000_good.sql'), GOOD_PG);
+writeFileSync(join(migrationsDir, '20250102000000_drop.sql'), GOOD_PG.replace('CREATE TABLE "posts" ("id" serial PRIMARY KEY);', 'DROP TABLE "legacy";'));
+writeFileSync(join(migrationsDir, 'notes.txt'), 'not a migration');
+
+suite('MigrationLint.run — warnings only');
+{
+  const { result: code, output } = await captured(() => new MigrationLint({ config }).run());
+  eq(code, LINT_EXIT_CODES.CLEAN, 'warnings alone exit 0');
+  includes(output, '20250102000000_drop.sql', 'file heading');
+  includes(output, 'destructive-statement', 'rule shown');
+  includes(output, '0 error(s), 1 warning(s) in 2 file(s)', 'summary (non-.sql ignored)');
+
+  const strict = await captured(() => new MigrationLint({ strict: true, config }).run());
+  eq(strict.result, LINT_EXIT_CODES.FINDINGS, '--strict fails on warnings');
+}
+
+suite('MigrationLint.run — errors and JSON output');
+{
+  writeFileSync(join(migrationsDir, '20250103000000_norollback.sql'), GOOD_PG.replace(/--rollback.*\n/g, ''));
+  const { result: code, output } = await captured(() => new MigrationLint({ format: 'json', config }).run());
+  eq(code, LINT_EXIT_CODES.FINDINGS, 'errors exit 2');
+
+  const report = JSON.parse(output);
+  eq(report.files, 3, 'files counted');
+  eq(report.errors, 1, 'one error');
+  eq(report.failed, true, 'failed flag');
+  eq(report.findings.map(f => `${f.file}:${f.rule}`), [
+    '20250102000000_drop.sql:destructive-statement',
+    '20250103000000_norollback.sql:missing-rollback',
+  ], 'findings in file order');
+
+  const downgraded = await captured(() => new MigrationLint({
+    format: 'json',
+    config: { ...config, lint: { rules: { 'missing-rollback': 'warning' } } },
+  }).run());
+  eq(downgraded.result, LINT_EXIT_CODES.CLEAN, 'config severity override');
+}
+
+suite('MigrationLint — explicit files and guards');
+{
+  const l = new MigrationLint({ files: ['migrations/20250101000000_good.sql'], projectRoot: tmpBase, config });
+  await l.init();
+  const result = l.lint();
+  eq(result.files, 1, 'only the given file');
+  eq(result.findings, [], 'clean');
+
+  let msg = '';
+  try { await new MigrationLint({ format: 'xml', config }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Unsupported format "xml"', 'format validated');
+
+  msg = '';
+  const missing = new MigrationLint({ files: ['nope.sql'], projectRoot: tmpBase, config });
+  await missing.init();
+  try { missing.lint(); } catch (e) { msg = e.message; }
+  includes(msg, 'Migration file not found', 'missing file');
+
+  msg = '';
+  try { await new MigrationLint({ config: { ...config, lint: { rules: { typo: 'off' } } } }).init(); } catch (e) { msg = e.message; }
+  includes(msg, 'Unknown lint rule "typo"', 'config rules validated in init');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
@@ -0,0 +1,274 @@
+/**
+ * Test 20 — Rebase
+ *
+ * Unit tests for src/rebase.mjs covering:
+ *   - planRebase() — out-of-order files, duplicate ids, partly applied files
+ *   - renumberFiles() — timestamps after the newest migration, order kept
+ *   - moveChangelogIncludes() / renameChangesetId()
+ *   - MigrationRebase — --dry-run, files and changelog rewritten
+ *
+ * Migrations live in a temp directory. These tests do NOT require a
+ * database connection — DATABASECHANGELOG is stubbed.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  planRebase,
+  renumberFiles,
+  moveChangelogIncludes,
+  renameChangesetId,
+  MigrationRebase,
+} from '../src/rebase.mjs';
+import { readChangelogIncludes, loadChangesets, parseFormattedSql } from '../src/changelog.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test20-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+const masterChangelog = join(tmpBase, 'master-changelog.xml');
+
+const BREAK = 'splitStatements:false endDelimiter:--> statement-breakpoint';
+
+const migration = (author, id, sql) => `--liquibase formatted sql
+
+--changeset ${author}:${id} ${BREAK}
+
+${sql}
+--> statement-breakpoint
+
+--rollback -- Manual rollback required
+`;
+
+// main deployed users, orders and its own schema_diff_migration; the branch
+// generated posts (also schema_diff_migration) before them but merged after.
+const FILES = {
+  '20250101090000_create_users.sql': migration('jane', 'create_users', 'CREATE TABLE "users" ("id" serial);'),
+  '20250102090000_schema_diff_migration.sql': migration('jane', 'schema_diff_migration', 'CREATE TABLE "posts" ("id" serial);'),
+  '20250103090000_add_orders.sql': migration('bob', 'add_orders', 'CREATE TABLE "orders" ("id" serial);'),
+  '20250104090000_schema_diff_migration.sql': migration('jane', 'schema_diff_migration', 'CREATE TABLE "tags" ("id" serial);'),
+  '20250105090000_add_likes.sql': migration('bob', 'add_likes', 'CREATE TABLE "likes" ("id" serial);'),
+};
+
+const APPLIED = [
+  { id: 'create_users', author: 'jane', filename: 'migrations/20250101090000_create_users.sql' },
+  { id: 'add_orders', author: 'bob', filename: 'migrations/20250103090000_add_orders.sql' },
+  { id: 'schema_diff_migration', author: 'jane', filename: 'migrations/20250104090000_schema_diff_migration.sql' },
+];
+
+function changelogXml(files) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+    xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+
+    <!-- Include all SQL migration files in chronological order -->
+${files.map(f => `    <include file="migrations/${f}"/>`).join('\n')}
+</databaseChangeLog>
+`;
+}
+
+function resetFixture(files = FILES) {
+  rmSync(tmpBase, { recursive: true, force: true });
+  mkdirSync(migrationsDir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) writeFileSync(join(migrationsDir, file), content);
+  writeFileSync(masterChangelog, changelogXml(Object.keys(files)));
+}
+
+const config = {
+  migrationsDir,
+  masterChangelog,
+  databaseUrl: 'postgresql://localhost:5432/test',
+  timestampFormat: 'YYYYMMDDHHmmss',
+};
+
+/** Run with console.log captured; returns { result, output }. */
+async function captured(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: await fn(), output: lines.join('\n') };
+  } finally {
+    console.log = original;
+  }
+}
+
+function makeRebase(opts = {}, applied = APPLIED) {
+  const rebase = new MigrationRebase({ config, ...opts });
+  rebase.readApplied = async () => applied;
+  return rebase;
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+resetFixture();
+const includesList = readChangelogIncludes(masterChangelog);
+const changesets = loadChangesets(masterChangelog);
+
+suite('planRebase — out of order and duplicates');
+{
+  const plan = planRebase(includesList, changesets, APPLIED);
+  eq(plan.outOfOrder.map(i => i.file), ['migrations/20250102090000_schema_diff_migration.sql'],
+    'unapplied file before applied ones is out of order');
+  eq(plan.duplicates.length, 1, 'one duplicate');
+  eq(plan.duplicates[0].changeset.file, 'migrations/20250102090000_schema_diff_migration.sql',
+    'the unapplied copy is renamed');
+  eq(plan.duplicates[0].newId, 'schema_diff_migration_2', 'numeric suffix');
+  eq(plan.warnings, [], 'no warnings');
+}
+
+suite('planRebase — clean changelogs');
+{
+  eq(planRebase(includesList, changesets, []).outOfOrder, [], 'nothing applied → nothing out of order');
+  const allApplied = changesets.map(cs => ({ id: cs.id, author: cs.author, filename: cs.file }));
+  const plan = planRebase(includesList, changesets, allApplied);
+  eq([plan.outOfOrder, plan.duplicates], [[], []], 'everything applied → nothing to do');
+  includes(plan.warnings[0], 'jane:schema_diff_migration is applied from', 'two applied copies only warned about');
+}
+
+suite('planRebase — duplicates');
+{
+  const three = [
+    { author: 'a', id: 'x', file: 'f1' },
+    { author: 'a', id: 'x', file: 'f2' },
+    { author: 'a', id: 'x_2', file: 'f3' },
+    { author: 'a', id: 'x', file: 'f4' },
+  ];
+  const plan = planRebase(['f1', 'f2', 'f3', 'f4'].map(file => ({ file: `${file}.sql`, path: file })),
+    three.map(cs => ({ ...cs, file: `${cs.file}.sql` })), []);
+  eq(plan.duplicates.map(d => d.newId), ['x_3', 'x_4'], 'first copy kept, suffixes skip ids already taken');
+  eq(plan.duplicates.map(d => d.changeset.file), ['f2.sql', 'f4.sql'], 'later copies renamed');
+}
+
+suite('planRebase — partly applied file');
+{
+  const files = {
+    '20250101090000_a.sql': migration('jane', 'a', 'SELECT 1;') + '\n' + migration('jane', 'a2', 'SELECT 2;').replace('--liquibase formatted sql\n', ''),
+    '20250102090000_b.sql': migration('jane', 'b', 'SELECT 3;'),
+  };
+  resetFixture(files);
+  let msg = '';
+  try {
+    planRebase(readChangelogIncludes(masterChangelog), loadChangesets(masterChangelog), [
+      { id: 'a', author: 'jane', filename: 'migrations/20250101090000_a.sql' },
+      { id: 'b', author: 'jane', filename: 'migrations/20250102090000_b.sql' },
+    ]);
+  } catch (e) { msg = e.message; }
+  includes(msg, '20250101090000_a.sql is partly applied', 'partly applied out-of-order file rejected');
+  includes(msg, 'jane:a2', 'pending changeset named');
+  resetFixture();
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('renumberFiles');
+{
+  const moving = [{ file: 'migrations/20250102090000_b.sql' }, { file: 'migrations/20250101000000_a.sql' }];
+  const all = [...moving, { file: 'migrations/20250105090000_c.sql' }];
+  const now = new Date(2025, 5, 1, 12, 0, 0);
+  eq([...renumberFiles(moving, all, { now })], [
+    ['migrations/20250102090000_b.sql', 'migrations/20250601120000_b.sql'],
+    ['migrations/20250101000000_a.sql', 'migrations/20250601120001_a.sql'],
+  ], 'now-based timestamps, one second apart, order kept');
+
+  const past = new Date(2025, 0, 1, 0, 0, 0);
+  eq([...renumberFiles(moving, all, { now: past }).values()], [
+    'migrations/20250105090001_b.sql',
+    'migrations/20250105090002_a.sql',
+  ], 'clock behind the newest migration counts up from it');
+
+  eq([...renumberFiles([{ file: '20250102090000_b.sql' }], [{ file: '20250102090000_b.sql' }], { now }).values()],
+    ['20250601120000_b.sql'], 'includes without a directory');
+}
+
+suite('moveChangelogIncludes');
+{
+  const xml = changelogXml(['1_a.sql', '2_b.sql', '3_c.sql']);
+  const moved = moveChangelogIncludes(xml, new Map([['migrations/1_a.sql', 'migrations/9_a.sql']]));
+  const lines = moved.split('\n').filter(l => l.includes('<include'));
+  eq(lines, [
+    '    <include file="migrations/2_b.sql"/>',
+    '    <include file="migrations/3_c.sql"/>',
+    '    <include file="migrations/9_a.sql"/>',
+  ], 'renamed include moved after the last one');
+  includes(moved, '<!-- Include all SQL migration files', 'comment kept');
+  includes(moved, '"/>\n</databaseChangeLog>', 'closing tag kept');
+
+  let msg = '';
+  try { moveChangelogIncludes(xml, new Map([['migrations/x.sql', 'y.sql']])); } catch (e) { msg = e.message; }
+  includes(msg, 'Include for migrations/x.sql not found', 'missing include');
+}
+
+suite('renameChangesetId');
+{
+  const content = FILES['20250102090000_schema_diff_migration.sql'];
+  const [cs] = parseFormattedSql(content).changesets;
+  const renamed = renameChangesetId(content, cs, 'schema_diff_migration_2');
+  includes(renamed, `--changeset jane:schema_diff_migration_2 ${BREAK}`, 'id replaced, attributes kept');
+  eq(parseFormattedSql(renamed).changesets[0].id, 'schema_diff_migration_2', 'parses back');
+
+  const quoted = '--liquibase formatted sql\n--changeset "Jane Doe":"my id"\nSELECT 1;\n';
+  const [q] = parseFormattedSql(quoted).changesets;
+  includes(renameChangesetId(quoted, q, 'my id_2'), '--changeset "Jane Doe":"my id_2"', 'quoted ids stay quoted');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('MigrationRebase.run — dry run');
+{
+  resetFixture();
+  const { result, output } = await captured(() => makeRebase({ dryRun: true }).run());
+  eq(result.moved.length, 1, 'one file would move');
+  eq(result.moved[0].from, 'migrations/20250102090000_schema_diff_migration.sql', 'out-of-order file');
+  eq(result.renamedIds[0].to, 'jane:schema_diff_migration_2', 'id would be renamed');
+  includes(output, 'Dry run — nothing changed', 'dry run noted');
+  eq(readFileSync(masterChangelog, 'utf-8'), changelogXml(Object.keys(FILES)), 'changelog untouched');
+  eq(readdirSync(migrationsDir).sort(), Object.keys(FILES).sort(), 'files untouched');
+}
+
+suite('MigrationRebase.run — rewrites files and changelog');
+{
+  resetFixture();
+  const { result, output } = await captured(() => makeRebase().run());
+  const newFile = result.moved[0].to;
+  assert(/^migrations\/\d{14}_schema_diff_migration\.sql$/.test(newFile), 'renumbered with a fresh timestamp');
+  eq(result.renamedIds[0].file, newFile, 'id fix reported against the new file');
+  includes(output, 'Renumbered 1 file(s), renamed 1 changeset id(s)', 'summary');
+
+  eq(existsSync(join(migrationsDir, '20250102090000_schema_diff_migration.sql')), false, 'old file gone');
+  const content = readFileSync(join(tmpBase, newFile), 'utf-8');
+  includes(content, '--changeset jane:schema_diff_migration_2', 'duplicate id renamed');
+  includes(content, 'CREATE TABLE "posts"', 'content kept');
+
+  eq(readChangelogIncludes(masterChangelog).map(i => i.file), [
+    'migrations/20250101090000_create_users.sql',
+    'migrations/20250103090000_add_orders.sql',
+    'migrations/20250104090000_schema_diff_migration.sql',
+    'migrations/20250105090000_add_likes.sql',
+    newFile,
+  ], 'include moved to the end');
+
+  const again = await captured(() => makeRebase().run());
+  includes(again.output, 'Nothing to rebase', 'second run is a no-op');
+}
+
+suite('MigrationRebase.init — needs a database');
+{
+  let msg = '';
+  try {
+    await new MigrationRebase({ config: { ...config, databaseUrl: null } }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'rebase compares the changelog with the target database', 'missing URL rejected');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
@@ -0,0 +1,213 @@
+/**
+ * Test 22 — Snapshot Diff
+ *
+ * Tests for src/snapshot.mjs and src/git.mjs covering:
+ *   - checkoutDirectory() — files copied out of git at a ref
+ *   - importSnapshotApi() — drizzle-kit's snapshot functions per dialect
+ *   - SnapshotDiff — ref → ref and ref → working tree diffs, a ref that
+ *     predates the schema, --dry-run, errors
+ *
+ * Each scenario runs in a temp git repository whose node_modules links to
+ * this package's, so the schema files load real drizzle-orm tables and
+ * drizzle-kit builds the snapshots. No database connection is needed.
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, readdirSync, realpathSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { SnapshotDiff, importSnapshotApi } from '../src/snapshot.mjs';
+import { checkoutDirectory, gitRoot, repoRelative } from '../src/git.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const packageRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const tmpBase = join(realpathSync(tmpdir()), `dml-test22-${Date.now()}`);
+
+const usersTs = (extra = '') => `import { pgTable, serial, varchar } from 'drizzle-orm/pg-core'
+
+export const users = pgTable('users', {
+  id: serial('id').primaryKey(),
+  email: varchar('email', { length: 255 }).notNull(),${extra}
+})
+`;
+
+let repoCount = 0;
+
+/** A git repository with src/schema committed on main. */
+function makeRepo() {
+  const root = join(tmpBase, `repo${++repoCount}`);
+  mkdirSync(join(root, 'src', 'schema'), { recursive: true });
+  symlinkSync(join(packageRoot, 'node_modules'), join(root, 'node_modules'), 'dir');
+
+  const git = (...args) => {
+    const res = spawnSync('git', [
+      '-c', 'user.email=jane@example.com', '-c', 'user.name=jane', '-c', 'core.hooksPath=/dev/null',
+      '-c', 'commit.gpgsign=false', ...args,
+    ], { cwd: root, encoding: 'utf8' });
+    if (res.status !== 0) throw new Error(`git ${args.join(' ')}: ${res.stderr}`);
+    return res.stdout;
+  };
+  const write = (path, content) => writeFileSync(join(root, path), content);
+
+  git('init', '-q', '-b', 'main');
+  write('.gitignore', 'node_modules\n');
+  write('src/schema/index.ts', "export * from './users'\n");
+  write('src/schema/users.ts', usersTs());
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+
+  const config = {
+    schemaDir: join(root, 'src', 'schema'),
+    migrationsDir: join(root, 'liquibase', 'migrations'),
+    masterChangelog: join(root, 'liquibase', 'master-changelog.xml'),
+    dialect: 'postgresql',
+    author: 'jane',
+  };
+  const diff = (opts = {}) => new SnapshotDiff({ config: { ...config }, projectRoot: root, ...opts });
+  return { root, git, write, config, diff };
+}
+
+/** Run with console.log captured; returns { result, output }. */
+async function captured(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: await fn(), output: lines.join('\n') };
+  } finally {
+    console.log = original;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('git helpers');
+{
+  const repo = makeRepo();
+  eq(gitRoot(join(repo.root, 'src')), repo.root, 'gitRoot from a subdirectory');
+  eq(gitRoot(tmpdir()), null, 'null outside a repository');
+  eq(repoRelative(repo.root, repo.config.schemaDir), 'src/schema', 'repo-relative path');
+
+  repo.write('src/schema/users.ts', usersTs("\n  phone: varchar('phone'),"));
+  const target = join(tmpBase, 'checkout');
+  const files = checkoutDirectory('HEAD', 'src/schema', target, repo.root);
+  eq(files.sort(), ['index.ts', 'users.ts'], 'every file copied');
+  assert(!readFileSync(join(target, 'users.ts'), 'utf-8').includes('phone'), 'committed version, not the working tree');
+
+  eq(checkoutDirectory('HEAD', 'src/missing', join(tmpBase, 'missing'), repo.root), [], 'missing directory → no files');
+
+  let msg = '';
+  try { checkoutDirectory('no-such-branch', 'src/schema', target, repo.root); } catch (e) { msg = e.message; }
+  includes(msg, 'Unknown git ref "no-such-branch"', 'unknown ref rejected');
+}
+
+suite('importSnapshotApi');
+{
+  for (const dialect of ['postgresql', 'mysql', 'sqlite', 'singlestore']) {
+    const api = await importSnapshotApi(dialect, packageRoot);
+    const empty = await api.serialize({});
+    eq(empty.dialect, dialect, `${dialect}: snapshot dialect`);
+    eq(await api.diff(empty, empty), [], `${dialect}: empty diff`);
+  }
+  let msg = '';
+  try { await importSnapshotApi('oracle', packageRoot); } catch (e) { msg = e.message; }
+  includes(msg, 'Unsupported dialect', 'unknown dialect rejected');
+}
+
+suite('SnapshotDiff — ref to ref');
+{
+  const repo = makeRepo();
+  repo.git('checkout', '-q', '-b', 'feature');
+  repo.write('src/schema/users.ts', usersTs("\n  phone: varchar('phone', { length: 20 }),"));
+  repo.git('commit', '-q', '-am', 'add phone');
+
+  const { result, output } = await captured(() => repo.diff({ fromRef: 'main', toRef: 'HEAD', name: 'add_phone' }).run());
+  eq(result.statements, ['ALTER TABLE "users" ADD COLUMN "phone" varchar(20);'], 'column added between refs');
+  includes(result.rollbacks[0], 'DROP COLUMN "phone"', 'rollback inferred');
+  includes(output, 'Comparing main → HEAD', 'refs reported');
+
+  const files = readdirSync(repo.config.migrationsDir);
+  eq(files.length, 1, 'migration written');
+  assert(files[0].endsWith('_add_phone.sql'), 'named from the generate name');
+  const content = readFileSync(join(repo.config.migrationsDir, files[0]), 'utf-8');
+  includes(content, '--changeset jane:add_phone splitStatements:false', 'formatted like generate');
+  includes(readFileSync(repo.config.masterChangelog, 'utf-8'), files[0], 'registered in the master changelog');
+  eq(readdirSync(repo.root).filter(f => f.startsWith('.drizzle-liquibase-ref-')), [], 'temp copies removed');
+}
+
+suite('SnapshotDiff — ref to working tree, --dry-run');
+{
+  const repo = makeRepo();
+  repo.write('src/schema/posts.ts', `import { pgTable, serial, text } from 'drizzle-orm/pg-core'
+
+export const posts = pgTable('posts', {
+  id: serial('id').primaryKey(),
+  body: text('body'),
+})
+`);
+  repo.write('src/schema/index.ts', "export * from './users'\nexport * from './posts'\n");
+
+  let stdout = '';
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => { stdout += chunk; return true; };
+  try {
+    await captured(() => repo.diff({ fromRef: 'HEAD', output: '-' }).run());
+  } finally {
+    process.stdout.write = write;
+  }
+  includes(stdout, 'CREATE TABLE "posts"', 'uncommitted table diffed');
+  includes(stdout, '--rollback DROP TABLE', 'rollback rendered');
+  assert(!existsSync(repo.config.migrationsDir), 'nothing written with --dry-run');
+}
+
+suite('SnapshotDiff — no changes, and a ref before the schema existed');
+{
+  const repo = makeRepo();
+  const { result, output } = await captured(() => repo.diff({ fromRef: 'HEAD' }).run());
+  eq(result.statements, [], 'identical schemas → nothing to do');
+  includes(output, 'No schema changes detected', 'reported');
+
+  // An orphan commit without src/schema stands in for history before the schema
+  repo.git('checkout', '-q', '--orphan', 'empty');
+  repo.git('rm', '-rq', '--cached', 'src');
+  repo.git('commit', '-q', '-m', 'empty');
+  repo.git('checkout', '-q', '-f', 'main');
+  const { result: fromEmpty, output: emptyOut } = await captured(() =>
+    repo.diff({ fromRef: 'empty', toRef: 'main', output: join(repo.root, 'out.sql') }).run());
+  includes(fromEmpty.statements[0], 'CREATE TABLE "users"', 'whole schema created');
+  includes(emptyOut, 'does not exist at empty', 'empty side explained');
+}
+
+suite('SnapshotDiff.init — errors');
+{
+  const repo = makeRepo();
+  let msg = '';
+  try { await repo.diff({}).init(); } catch (e) { msg = e.message; }
+  includes(msg, '--from-ref is required', 'from-ref required');
+
+  const outside = join(tmpBase, 'outside');
+  mkdirSync(outside, { recursive: true });
+  msg = '';
+  try {
+    await new SnapshotDiff({ fromRef: 'main', config: { ...repo.config }, projectRoot: outside }).init();
+  } catch (e) { msg = e.message; }
+  includes(msg, 'inside a git repository', 'outside git rejected');
+
+  const d = repo.diff({ fromRef: 'main' });
+  await d.init();
+  assert(d.engine.offline, 'engine runs without a database');
+  eq(d.engine.databaseUrl, undefined, 'no databaseUrl needed');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
@@ -0,0 +1,255 @@
+/**
+ * Test 24 — Status and History
+ *
+ * Unit tests for src/status.mjs covering:
+ *   - buildStatus() — applied / pending / unknown, changelog and execution order
+ *   - formatTable()
+ *   - MigrationStatus — status and history as text and JSON, --verbose, errors
+ *
+ * Migrations live in a temp directory. These tests do NOT require a
+ * database connection — DATABASECHANGELOG is stubbed.
+ */
+
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { buildStatus, formatTable, MigrationStatus } from '../src/status.mjs';
+import { loadChangesets } from '../src/changelog.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test24-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+const masterChangelog = join(tmpBase, 'master-changelog.xml');
+
+const migration = (author, id, sql) => `--liquibase formatted sql
+
+--changeset ${author}:${id} splitStatements:false endDelimiter:--> statement-breakpoint
+
+${sql}
+--> statement-breakpoint
+
+--rollback -- Manual rollback required
+`;
+
+const FILES = {
+  '20250101090000_create_users.sql': migration('jane', 'create_users', 'CREATE TABLE "users" ("id" serial);'),
+  '20250102090000_add_orders.sql': migration('bob', 'add_orders', 'CREATE TABLE "orders" ("id" serial);'),
+  '20250103090000_add_phone.sql': migration('jane', 'add_phone', 'ALTER TABLE "users" ADD COLUMN "phone" text;'),
+};
+
+mkdirSync(migrationsDir, { recursive: true });
+for (const [file, content] of Object.entries(FILES)) writeFileSync(join(migrationsDir, file), content);
+writeFileSync(masterChangelog, `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog
+    xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+${Object.keys(FILES).map(f => `    <include file="migrations/${f}"/>`).join('\n')}
+</databaseChangeLog>
+`);
+
+const row = (order, author, id, filename, extra = {}) => ({
+  id, author, filename,
+  dateexecuted: new Date(2025, 0, order, 12, 0, 5),
+  orderexecuted: order,
+  exectype: 'EXECUTED',
+  md5sum: `9:md5-${id}`,
+  description: 'sql',
+  tag: null,
+  deployment_id: '5734805123',
+  ...extra,
+});
+
+// add_orders ran first; create_users second and tagged; a deleted file is still recorded
+const APPLIED = [
+  row(1, 'bob', 'add_orders', 'migrations/20250102090000_add_orders.sql'),
+  row(2, 'jane', 'create_users', 'migrations/20250101090000_create_users.sql', { tag: 'v1.0' }),
+  row(3, 'bob', 'add_audit_log', 'migrations/20241231090000_add_audit_log.sql', { exectype: 'MARK_RAN', md5sum: null }),
+];
+
+const config = {
+  migrationsDir,
+  masterChangelog,
+  databaseUrl: 'postgresql://localhost/app',
+  author: 'jane',
+};
+
+/** MigrationStatus with DATABASECHANGELOG stubbed. */
+function stubbedStatus(opts = {}, applied = APPLIED) {
+  const status = new MigrationStatus({ config, ...opts });
+  status.readApplied = async () => applied;
+  return status;
+}
+
+/** Run with console.log captured; returns { result, output }. */
+async function captured(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    return { result: await fn(), output: lines.join('\n') };
+  } finally {
+    console.log = original;
+  }
+}
+
+/** Run with process.stdout.write captured; returns the text written. */
+async function stdoutOf(fn) {
+  let stdout = '';
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => { stdout += chunk; return true; };
+  try {
+    await captured(fn);
+  } finally {
+    process.stdout.write = write;
+  }
+  return stdout;
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('buildStatus — states and order');
+{
+  const { changesets, history, summary: counts } = buildStatus(loadChangesets(masterChangelog), APPLIED);
+  eq(counts, { applied: 2, pending: 1, unknown: 1 }, 'summary counts');
+  eq(changesets.map(e => `${e.state} ${e.id}`), [
+    'applied create_users',
+    'applied add_orders',
+    'pending add_phone',
+    'unknown add_audit_log',
+  ], 'changelog order, unknown last');
+  eq(history.map(e => `${e.orderExecuted} ${e.state} ${e.id}`), [
+    '1 applied add_orders',
+    '2 applied create_users',
+    '3 unknown add_audit_log',
+  ], 'history in execution order');
+
+  const users = changesets[0];
+  eq(users.file, 'migrations/20250101090000_create_users.sql', 'file as recorded in FILENAME');
+  eq(users.dateExecuted, '2025-01-02 12:00:05', 'date formatted');
+  eq(users.tag, 'v1.0', 'tag carried over');
+  eq(users.md5sum, '9:md5-create_users', 'md5sum carried over');
+  eq(users.deploymentId, '5734805123', 'deployment id carried over');
+
+  const pending = changesets[2];
+  eq([pending.dateExecuted, pending.orderExecuted, pending.md5sum], [null, null, null], 'pending has no execution data');
+  eq(changesets[3].execType, 'MARK_RAN', 'exec type kept');
+}
+
+suite('buildStatus — matching and date formats');
+{
+  const cs = [{ id: 'a', author: 'jane', file: 'migrations/a.sql' }];
+
+  const moved = buildStatus(cs, [row(1, 'jane', 'a', 'liquibase/migrations/a.sql')]);
+  eq(moved.summary, { applied: 0, pending: 1, unknown: 1 }, 'a different FILENAME is a different changeset');
+
+  const otherAuthor = buildStatus(cs, [row(1, 'bob', 'a', 'migrations/a.sql')]);
+  eq(otherAuthor.summary.pending, 1, 'author is part of the key');
+
+  const iso = buildStatus(cs, [row(1, 'jane', 'a', 'migrations/a.sql', { dateexecuted: '2025-01-01T12:00:05.123Z', orderexecuted: '7' })]);
+  eq(iso.changesets[0].dateExecuted, '2025-01-01 12:00:05', 'ISO string normalised');
+  eq(iso.changesets[0].orderExecuted, 7, 'order coerced to a number');
+
+  const plain = buildStatus(cs, [row(1, 'jane', 'a', 'migrations/a.sql', { dateexecuted: '2025-01-01 12:00:05' })]);
+  eq(plain.changesets[0].dateExecuted, '2025-01-01 12:00:05', 'SQLite text date kept');
+
+  eq(buildStatus([], []).summary, { applied: 0, pending: 0, unknown: 0 }, 'empty');
+}
+
+suite('formatTable');
+{
+  const lines = formatTable([{ a: 'x', b: 'long value' }, { a: 'yyyy', b: null }], [
+    ['A', r => r.a],
+    ['B', r => r.b],
+  ]);
+  eq(lines, [
+    'A     B',
+    '----  ----------',
+    'x     long value',
+    'yyyy',
+  ], 'columns padded, trailing space trimmed');
+}
+
+suite('MigrationStatus — status text');
+{
+  const { result, output } = await captured(() => stubbedStatus().run());
+  eq(result.summary, { applied: 2, pending: 1, unknown: 1 }, 'document returned');
+  includes(output, '📋 Migration status (postgresql)', 'heading');
+  includes(output, '2 applied, 1 pending, 1 unknown', 'summary line');
+  includes(output, 'jane:add_phone', 'pending listed');
+  includes(output, 'bob:add_audit_log', 'unknown listed');
+  assert(!output.includes('jane:create_users'), 'applied hidden without --verbose');
+  includes(output, 'missing from the changelog', 'unknown explained');
+  includes(output, '1 pending changeset(s)', 'next step shown');
+
+  const { output: verbose } = await captured(() => stubbedStatus({ verbose: true }).run());
+  includes(verbose, 'jane:create_users', 'applied listed with --verbose');
+  includes(verbose, 'v1.0', 'tag shown');
+}
+
+suite('MigrationStatus — up to date');
+{
+  const upToDate = loadChangesets(masterChangelog).map((cs, i) => row(i + 1, cs.author, cs.id, cs.file));
+  const { output } = await captured(() => stubbedStatus({}, upToDate).run());
+  includes(output, '3 applied, 0 pending, 0 unknown', 'all applied');
+  includes(output, 'Database is up to date', 'reported');
+}
+
+suite('MigrationStatus — status JSON');
+{
+  const doc = JSON.parse(await stdoutOf(() => stubbedStatus({ format: 'json' }).run()));
+  eq(doc.dialect, 'postgresql', 'dialect');
+  eq(doc.changelog, masterChangelog, 'changelog path');
+  eq(doc.summary, { applied: 2, pending: 1, unknown: 1 }, 'summary');
+  eq(doc.changesets.length, 4, 'every changeset');
+  eq(Object.keys(doc.changesets[0]), [
+    'state', 'id', 'author', 'file', 'dateExecuted', 'orderExecuted', 'execType', 'tag', 'md5sum', 'deploymentId',
+  ], 'entry fields');
+}
+
+suite('MigrationStatus — history');
+{
+  const { result, output } = await captured(() => stubbedStatus({ view: 'history' }).run());
+  eq(result.history.length, 3, 'every row');
+  includes(output, '📜 Migration history (postgresql)', 'heading');
+  includes(output, 'MD5SUM', 'md5 column');
+  includes(output, '9:md5-add_orders', 'md5sum shown');
+  includes(output, 'MARK_RAN', 'exec type shown');
+  includes(output, 'bob:add_audit_log ❓', 'unknown flagged');
+  includes(output, '3 changeset(s) applied', 'count');
+  assert(output.indexOf('bob:add_orders') < output.indexOf('jane:create_users'), 'execution order');
+
+  const doc = JSON.parse(await stdoutOf(() => stubbedStatus({ view: 'history', format: 'json' }).run()));
+  eq(Object.keys(doc), ['dialect', 'history'], 'history document');
+  eq(doc.history.map(e => e.id), ['add_orders', 'create_users', 'add_audit_log'], 'execution order');
+
+  const { output: none } = await captured(() => stubbedStatus({ view: 'history' }, []).run());
+  includes(none, 'No changesets have been applied', 'empty history');
+}
+
+suite('MigrationStatus.init — errors');
+{
+  const rejects = async (opts, expected, label) => {
+    let msg = '';
+    try { await new MigrationStatus({ config, ...opts }).init(); } catch (e) { msg = e.message; }
+    includes(msg, expected, label);
+  };
+  await rejects({ view: 'log' }, 'Unknown view "log"', 'unknown view');
+  await rejects({ format: 'xml' }, 'Unsupported format "xml"', 'unknown format');
+  await rejects({ config: { ...config, databaseUrl: undefined } }, 'DATABASE_URL is required', 'database required');
+  await rejects({ dialect: 'oracle' }, 'Invalid dialect "oracle"', 'dialect validated');
+
+  const s = new MigrationStatus({ config: { ...config, databaseUrl: 'mysql://localhost/app' } });
+  await s.init();
+  eq(s.dialect, 'mysql', 'dialect detected from the URL');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
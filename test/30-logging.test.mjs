@@ -0,0 +1,247 @@
+/**
+ * Test 30 — Logging levels and formats
+ *
+ * Unit tests for src/logger.mjs and the logger option on the commands
+ * covering:
+ *   - getLogSettings() — DRIZZLE_LIQUIBASE_LOG_LEVEL / _LOG_FORMAT, DEBUG
+ *   - createConsoleLogger() / consoleLogger — level filtering, streams
+ *   - JSON lines — decoration stripped, env / project, blank messages
+ *   - describeQuery() and the generator's introspection queries at debug
+ *   - ASTSchemaParser parse details at debug
+ *   - MigrationScaffold / MigrationLint — progress through the logger
+ *   - DrizzleKitEngine — drizzle-kit's warnings and data loss at warn
+ *
+ * These tests do NOT require a database connection.
+ */
+
+import { existsSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  LOG_LEVELS, getLogSettings, formatJsonLine, createConsoleLogger, consoleLogger, resolveLogger,
+} from '../src/logger.mjs';
+import { describeQuery } from '../src/database.mjs';
+import { SchemaDiffGenerator } from '../src/generate.mjs';
+import { ASTSchemaParser } from '../src/ast-parser.mjs';
+import { MigrationScaffold } from '../src/scaffold.mjs';
+import { MigrationLint } from '../src/lint.mjs';
+import { DrizzleKitEngine } from '../src/drizzle-kit-engine.mjs';
+import { suite, assert, eq, includes, summary } from './helpers.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const tmpBase = join(tmpdir(), `dml-test30-${Date.now()}`);
+const migrationsDir = join(tmpBase, 'migrations');
+mkdirSync(migrationsDir, { recursive: true });
+
+const config = {
+  migrationsDir,
+  masterChangelog: join(tmpBase, 'master-changelog.xml'),
+  databaseUrl: 'postgresql://localhost:5432/test',
+  author: 'jane',
+  timestampFormat: 'YYYYMMDDHHmmss',
+};
+
+const VARS = ['DRIZZLE_LIQUIBASE_LOG_LEVEL', 'DRIZZLE_LIQUIBASE_LOG_FORMAT', 'DEBUG',
+  'DRIZZLE_LIQUIBASE_ENV', 'DRIZZLE_LIQUIBASE_PROJECT'];
+
+/** Run with the given variables set (the other logging ones removed). */
+async function withVars(vars, fn) {
+  const saved = Object.fromEntries(VARS.map(n => [n, process.env[n]]));
+  for (const name of VARS) {
+    if (vars[name] === undefined) delete process.env[name];
+    else process.env[name] = vars[name];
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const name of VARS) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+}
+
+/** Run with console.log / warn / error captured; returns { result, out, err }. */
+async function captured(fn) {
+  const out = [];
+  const err = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = (...args) => out.push(args.join(' '));
+  console.warn = (...args) => err.push(args.join(' '));
+  console.error = (...args) => err.push(args.join(' '));
+  try {
+    const result = await fn();
+    return { result, out, err };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+/** A logger collecting `level: message` lines. */
+function collector() {
+  const lines = [];
+  const logger = {};
+  for (const level of ['info', 'warn', 'error', 'debug']) {
+    logger[level] = (...args) => lines.push(`${level}: ${args.join(' ')}`);
+  }
+  return { lines, logger };
+}
+
+/** Send one message at every level. */
+function logAll(logger) {
+  logger.error('e');
+  logger.warn('w');
+  logger.info('i');
+  logger.debug('d');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('getLogSettings');
+{
+  eq(await withVars({}, getLogSettings), { level: 'info', format: 'text' }, 'defaults');
+  eq(await withVars({ DRIZZLE_LIQUIBASE_LOG_LEVEL: 'warn', DRIZZLE_LIQUIBASE_LOG_FORMAT: 'json' }, getLogSettings),
+    { level: 'warn', format: 'json' }, 'from the environment');
+  eq((await withVars({ DEBUG: '1' }, getLogSettings)).level, 'debug', 'DEBUG means debug');
+  eq((await withVars({ DEBUG: '1', DRIZZLE_LIQUIBASE_LOG_LEVEL: 'error' }, getLogSettings)).level, 'error', 'an explicit level wins over DEBUG');
+  eq(await withVars({ DRIZZLE_LIQUIBASE_LOG_LEVEL: 'loud', DRIZZLE_LIQUIBASE_LOG_FORMAT: 'xml' }, getLogSettings),
+    { level: 'info', format: 'text' }, 'unknown values fall back');
+  eq(LOG_LEVELS, ['silent', 'error', 'warn', 'info', 'debug'], 'levels in order');
+}
+
+suite('createConsoleLogger — levels and streams');
+{
+  const info = await withVars({}, () => captured(() => logAll(createConsoleLogger())));
+  eq(info.out, ['i'], 'info → stdout');
+  eq(info.err, ['e', 'w'], 'error and warn → stderr, debug hidden');
+
+  const debug = await captured(() => logAll(createConsoleLogger({ level: 'debug' })));
+  eq(debug.err, ['e', 'w', 'd'], 'debug → stderr');
+
+  const quiet = await captured(() => logAll(createConsoleLogger({ level: 'warn' })));
+  eq([quiet.out, quiet.err], [[], ['e', 'w']], 'warn level');
+
+  const silent = await captured(() => logAll(createConsoleLogger({ level: 'silent' })));
+  eq([silent.out, silent.err], [[], []], 'silent level');
+}
+
+suite('consoleLogger — settings read on every call');
+{
+  const quiet = await withVars({ DRIZZLE_LIQUIBASE_LOG_LEVEL: 'warn' }, () => captured(() => logAll(consoleLogger)));
+  eq([quiet.out, quiet.err], [[], ['e', 'w']], '--quiet');
+
+  const verbose = await withVars({ DRIZZLE_LIQUIBASE_LOG_LEVEL: 'debug' }, () => captured(() => logAll(consoleLogger)));
+  eq(verbose.err, ['e', 'w', 'd'], '--verbose');
+
+  const legacy = await withVars({ DEBUG: 'true' }, () => captured(() => consoleLogger.debug('stack')));
+  eq(legacy.err, ['stack'], 'DEBUG still shows debug output');
+
+  assert(resolveLogger(undefined) === consoleLogger, 'the default logger');
+}
+
+suite('JSON lines');
+{
+  const time = new Date('2026-03-01T10:15:00.000Z');
+  eq(await withVars({}, () => formatJsonLine('info', ['\n✅ Migration generated:', '/app/m.sql'], time)),
+    '{"time":"2026-03-01T10:15:00.000Z","level":"info","msg":"Migration generated: /app/m.sql"}', 'emoji and spacing dropped');
+  eq(JSON.parse(formatJsonLine('warn', ['⚠️  Hints'], time)).msg, 'Hints', 'variation selector dropped');
+  eq(JSON.parse(formatJsonLine('info', ['   - Tables to create: %d', 3], time)).msg, '- Tables to create: 3', 'console.log formatting');
+  eq(formatJsonLine('info', [''], time), null, 'blank line skipped');
+
+  const tagged = await withVars({ DRIZZLE_LIQUIBASE_ENV: 'prod', DRIZZLE_LIQUIBASE_PROJECT: 'api' },
+    () => JSON.parse(formatJsonLine('info', ['x'], time)));
+  eq([tagged.env, tagged.project], ['prod', 'api'], 'environment and project included');
+
+  const { out, err } = await withVars({ DRIZZLE_LIQUIBASE_LOG_FORMAT: 'json' }, () => captured(() => {
+    consoleLogger.info('📖 Parsing Drizzle schema files...');
+    consoleLogger.info('');
+    consoleLogger.debug('hidden');
+    consoleLogger.error('❌ Error generating migration:', 'boom');
+  }));
+  eq(out, [], 'nothing on stdout');
+  eq(err.map(line => JSON.parse(line)).map(({ level, msg }) => [level, msg]),
+    [['info', 'Parsing Drizzle schema files...'], ['error', 'Error generating migration: boom']], 'one object per message on stderr');
+}
+
+suite('describeQuery');
+{
+  eq(describeQuery('\n  SELECT *\n    FROM pg_indexes\n  WHERE schemaname = ?\n', ['public']),
+    '   SQL: SELECT * FROM pg_indexes WHERE schemaname = ?  ["public"]', 'one line, parameters appended');
+  eq(describeQuery('SELECT 1'), '   SQL: SELECT 1', 'no parameters');
+}
+
+suite('SchemaDiffGenerator — introspection queries at debug');
+{
+  const { lines, logger } = collector();
+  const generator = new SchemaDiffGenerator({ config, logger });
+  generator.config = config;
+  generator.sqlClient = { query: async () => ({ rows: [] }) };
+  const tables = await generator.getDatabaseSchema();
+  eq(tables, {}, 'empty database');
+  const queries = lines.filter(l => l.startsWith('debug:    SQL:'));
+  eq(queries.length, 5, 'every query logged');
+  includes(queries[0], 'FROM information_schema.tables t', 'query text');
+  includes(lines, 'debug:         → 0 row(s)', 'row counts');
+  includes(lines, 'debug:    Introspected 0 table(s)', 'summary');
+  eq(lines[0], 'info: 🔍 Introspecting current database schema...', 'progress stays at info');
+}
+
+suite('ASTSchemaParser — parse details at debug');
+{
+  const { lines, logger } = collector();
+  new ASTSchemaParser({ logger }).parseFile(`import { pgTable, serial, text, index } from 'drizzle-orm/pg-core'
+
+export const users = pgTable('users', {
+  id: serial('id').primaryKey(),
+  email: text('email'),
+}, (t) => [index('users_email_idx').on(t.email)])
+`, 'users');
+  eq(lines, [
+    'debug:   Parsing schema file (AST): users',
+    'debug:     users → users: 2 column(s), 1 index(es), 0 unique, 0 policies',
+  ], 'file and table');
+}
+
+suite('commands — progress through the logger');
+{
+  const scaffold = collector();
+  const { out, result } = await captured(() =>
+    new MigrationScaffold({ name: 'seed', config, logger: scaffold.logger }).run());
+  eq(out, [], 'nothing printed directly');
+  includes(scaffold.lines, `info: ✅ Created ${result}`, 'progress went to the logger');
+
+  const lint = collector();
+  const linted = await captured(() =>
+    new MigrationLint({ files: [result], config, logger: lint.logger }).run());
+  includes(lint.lines, 'info: 🧹 Linting migrations...', 'heading through the logger');
+  assert(linted.out.some(line => line.includes('in 1 file(s)')), 'results printed directly');
+}
+
+suite('DrizzleKitEngine — drizzle-kit warnings survive --quiet');
+{
+  const { lines, logger } = collector();
+  const engine = new DrizzleKitEngine({ config, output: join(tmpBase, 'drop.sql'), logger });
+  engine.init = async () => {};
+  engine.computeDiff = async () => ({
+    sqlStatements: ['DROP TABLE "legacy";'],
+    removedCount: 0,
+    hasDataLoss: true,
+    warnings: ['You are about to delete legacy table with 3 items'],
+    hints: [],
+    drizzleKitVersion: 'v0',
+  });
+  await engine.execute();
+  includes(lines, 'warn:    You are about to delete legacy table with 3 items', 'warning at warn');
+  includes(lines, 'warn: \n⚠️  This migration may cause data loss. Review carefully.', 'data loss at warn');
+}
+
+// ═══════════════════════════════════════════════════════════════
+
+suite('cleanup temp files');
+{
+  rmSync(tmpBase, { recursive: true, force: true });
+  assert(!existsSync(tmpBase), 'temp directory removed');
+}
+
+summary();
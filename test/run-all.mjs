@@ -24,6 +24,30 @@ const ALL_SUITES = [
   { file: '05-config.test.mjs', label: 'Config Loader & Helpers' },
   { file: '06-type-mappings.test.mjs', label: 'Data Type Mappings' },
   { file: '07-drizzle-kit-engine.test.mjs', label: 'Drizzle Kit Engine' },
+  { file: '08-convert.test.mjs', label: 'Drizzle Kit Converter' },
+  { file: '09-changelog.test.mjs', label: 'Changelog Reader' },
+  { file: '10-baseline.test.mjs', label: 'Baseline (mark applied)' },
+  { file: '11-check.test.mjs', label: 'Drift Check' },
+  { file: '12-report.test.mjs', label: 'Change Reports' },
+  { file: '13-review.test.mjs', label: 'Interactive Review' },
+  { file: '14-renames.test.mjs', label: 'Rename Resolution' },
+  { file: '15-squash.test.mjs', label: 'Squash' },
+  { file: '16-scaffold.test.mjs', label: 'Empty Migration Scaffold' },
+  { file: '17-lint.test.mjs', label: 'Migration Lint' },
+  { file: '18-doctor.test.mjs', label: 'Doctor' },
+  { file: '19-watch.test.mjs', label: 'Watch Mode' },
+  { file: '20-rebase.test.mjs', label: 'Rebase' },
+  { file: '21-verify-staged.test.mjs', label: 'Verify Staged' },
+  { file: '22-snapshot-diff.test.mjs', label: 'Snapshot Diff' },
+  { file: '23-db-snapshot.test.mjs', label: 'Database Snapshots' },
+  { file: '24-status.test.mjs', label: 'Status and History' },
+  { file: '25-native.test.mjs', label: 'Native Executor' },
+  { file: '26-api.test.mjs', label: 'Programmatic API' },
+  { file: '27-environments.test.mjs', label: 'Config environments' },
+  { file: '28-drizzle-config.test.mjs', label: 'drizzle.config.ts reuse' },
+  { file: '29-projects.test.mjs', label: 'Monorepo projects' },
+  { file: '30-logging.test.mjs', label: 'Logging' },
+  { file: '31-plugins.test.mjs', label: 'Plugins' },
 ];
 
 // Allow filtering by suite number prefix or keyword